@@ -8,11 +8,18 @@ import cron from 'node-cron';
 import crypto from 'node:crypto';
 import sax from 'sax';
 import fetch from 'node-fetch';
+import readline from 'node:readline';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import nodemailer from 'nodemailer';
 
 // ========================================
 // VARIABLES D’ENVIRONNEMENT
 // ========================================
+const APP_DIR = path.dirname(fileURLToPath(import.meta.url)); // chemins relatifs résolus depuis app.js, pas depuis le cwd
 const PORT = Number(process.env.PORT || 3003);
+const DB_PATH = process.env.DB_PATH || 'jobs.db'; // ":memory:" pour les tests
 const SITE_URL = (process.env.SITE_URL || `http://localhost:${PORT}`).replace(/\/+$/,'');
 const SITE_NAME = process.env.SITE_NAME || 'Emplois chauffeur';
 const FAVICON_URL = process.env.FAVICON_URL || '';
@@ -20,25 +27,70 @@ const SITE_LOGO = process.env.SITE_LOGO || '';
 const SITE_SAMEAS = process.env.SITE_SAMEAS || ''; // URLs sociales séparées par des virgules
 const TARGET_LANG = process.env.TARGET_LANG || 'fr';
 const FEED_URL = process.env.Feed_URL || process.env.FEED_URL || '';
-const MAX_JOBS = Number(process.env.MAX_JOBS || 1000);
+const FEEDS_CONFIG = process.env.FEEDS || ''; // JSON : [{ "url", "label", "format", "mapping", "cron", "keywords", "aiLimit", "maxJobs", "minScore", "enabled" }]
+const MAX_JOBS = Number(process.env.MAX_JOBS || 1000); // plafond des offres non protégées (0 = aucun)
 const CRON_SCHEDULE = process.env.CRON_SCHEDULE || '0 */6 * * *';
 const HAS_OPENAI = !!process.env.OPENAI_API_KEY;
 const CLICK_SECRET = process.env.CLICK_SECRET || crypto.randomBytes(16).toString('hex');
 const TARGET_PROFESSION = process.env.TARGET_PROFESSION || 'conducteur routier';
 const AI_PROCESS_LIMIT = Number(process.env.AI_PROCESS_LIMIT || 1000); // 0 = illimité
+const AI_QUEUE_CONCURRENCY = Math.max(1, Number(process.env.AI_QUEUE_CONCURRENCY || 2)); // réécritures IA menées en parallèle
+const AI_QUEUE_MAX_ATTEMPTS = Math.max(1, Number(process.env.AI_QUEUE_MAX_ATTEMPTS || 5)); // au-delà, l'offre garde sa description de secours
+const AI_QUEUE_RETRY_SECONDS = Number(process.env.AI_QUEUE_RETRY_SECONDS || 30); // délai avant la 2e tentative, doublé ensuite
+const AI_QUEUE_QUOTA_PAUSE_MINUTES = Number(process.env.AI_QUEUE_QUOTA_PAUSE_MINUTES || 60); // file suspendue quand le crédit OpenAI est épuisé
+const ADMIN_USER = process.env.ADMIN_USER || 'admin';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || ''; // vide = administration désactivée
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ''; // jeton Bearer pour les scripts (ex. cron externe sur /fetch)
+const ADMIN_SESSION_HOURS = Number(process.env.ADMIN_SESSION_HOURS || 12);
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'console').toLowerCase(); // console | file | smtp | none
+const MAIL_FROM = process.env.MAIL_FROM || `${SITE_NAME} <no-reply@${new URL(SITE_URL).hostname}>`;
+const MAIL_DIR = path.resolve(APP_DIR, process.env.MAIL_DIR || 'mail');
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const SMTP_SECURE = process.env.SMTP_SECURE === '1'; // TLS dès la connexion (port 465), sinon STARTTLS s'il est proposé
+const SMTP_PORT = Number(process.env.SMTP_PORT || (SMTP_SECURE ? 465 : 587));
+const SMTP_USER = process.env.SMTP_USER || ''; // vide = pas d'authentification (ex. relais local)
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD || '';
+const ALERTS_DAILY_CRON = process.env.ALERTS_DAILY_CRON || '0 7 * * *'; // récapitulatif des alertes quotidiennes
+const ALERTS_PER_EMAIL = Number(process.env.ALERTS_PER_EMAIL || 10); // alertes actives ou en attente par adresse
+const API_RATE_LIMIT = Number(process.env.API_RATE_LIMIT || 1000); // requêtes par heure, valeur par défaut des nouvelles clés API
+const SITEMAP_CACHE_DIR = path.resolve(APP_DIR, process.env.SITEMAP_CACHE_DIR || path.join('cache', 'sitemaps'));
+const OCCUPATIONAL_CATEGORY = process.env.OCCUPATIONAL_CATEGORY || ''; // code ROME des offres non classées (vide = occupationalCategory omis)
+const ROME_AI_FALLBACK = process.env.ROME_AI_FALLBACK === '1'; // classement ROME par l'IA quand les règles ne tranchent pas
+const RELEVANCE_THRESHOLD = Number(process.env.RELEVANCE_THRESHOLD || 3); // score minimal d'une offre de flux (surcharge : minScore par source)
+const INDEXNOW_KEY = process.env.INDEXNOW_KEY || ''; // vide = IndexNow désactivé ; 8 à 128 caractères [a-zA-Z0-9-]
+const INDEXNOW_ENDPOINT = process.env.INDEXNOW_ENDPOINT || 'https://api.indexnow.org/indexnow';
+const INDEXNOW_BATCH_SIZE = Math.min(10000, Number(process.env.INDEXNOW_BATCH_SIZE) || 10000); // URL par requête (10 000 au plus)
+const TRUST_PROXY = process.env.TRUST_PROXY || ''; // ex. "1" derrière un reverse proxy, pour req.ip
+const POST_RATE_LIMIT = Number(process.env.POST_RATE_LIMIT || 5); // soumissions /post-job par IP et par heure
+const BLOCKED_DOMAINS = process.env.BLOCKED_DOMAINS || ''; // domaines séparés par des virgules (ajoutés à la table blocklist)
+const DUPLICATE_THRESHOLD = Number(process.env.DUPLICATE_THRESHOLD || 0.8); // similarité (0–1) titre+entreprise
+const CLUSTER_TEXT_THRESHOLD = Number(process.env.CLUSTER_TEXT_THRESHOLD || 0.8); // similarité (0–1) des descriptions pour regrouper deux offres de flux
+const JOB_TTL_DAYS = Number(process.env.JOB_TTL_DAYS || 30); // durée de vie d'une offre publiée
+const EMPLOYER_SESSION_DAYS = Number(process.env.EMPLOYER_SESSION_DAYS || 30);
+const MAGIC_LINK_MINUTES = Number(process.env.MAGIC_LINK_MINUTES || 30);
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS || 90); // âge max. d'une offre de flux (0 = illimité)
+const ARCHIVE_AFTER_DAYS = Number(process.env.ARCHIVE_AFTER_DAYS || 7); // délai avant archivage d'une offre expirée/clôturée
+const RETENTION_CRON = process.env.RETENTION_CRON || '30 3 * * *';
+
+// Liste séparée par des virgules, en minuscules. Une /regex/ (éventuellement « -/regex/ ») est
+// reprise telle quelle : elle peut contenir des virgules (\d{1,3}) et sa casse compte (\S ≠ \s).
+const KEYWORD_TOKEN_RE = /\s*(?:(-?\s*\/(?:\\.|\[(?:\\.|[^\]\\])*\]|[^\\/[])+\/[a-z]*)(?=\s*(?:,|$))|([^,]*))\s*(?:,|$)/g;
+export function parseKeywords(csv = '') {
+  return [...String(csv || '').matchAll(KEYWORD_TOKEN_RE)]
+    .map(([, regex, phrase]) => regex || phrase.trim().toLowerCase())
+    .filter(Boolean);
+}
 
-// Mots-clés (minuscule)
-const PROFESSION_KEYWORDS = (process.env.PROFESSION_KEYWORDS ||
-  'chauffeur de camion, chauffeur routier, chauffeur professionnel, chauffeur longue distance, chauffeur de camion, chauffeur de semi-remorque, chauffeur CE')
-  .toLowerCase()
-  .split(',')
-  .map(s => s.trim())
-  .filter(Boolean);
+// Règles de pertinence : expression, « -expression » négative ou /regex/ (voir scoreRelevance)
+const PROFESSION_KEYWORDS = parseKeywords(process.env.PROFESSION_KEYWORDS ||
+  'chauffeur de camion, chauffeur routier, conducteur routier, chauffeur professionnel, chauffeur longue distance, chauffeur de semi-remorque, ' +
+  'chauffeur poids lourd, conducteur poids lourd, /\\b(?:chauffeur|conducteur)s?\\s+(?:spl|pl|ce|c\\s*\\+\\s*e)\\b/, ' +
+  '-préparateur de commandes, -magasinier, -cariste, -manutentionnaire');
 
 // ========================================
 // BASE DE DONNÉES
 // ========================================
-const db = new Database('jobs.db');
+export const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 db.pragma('synchronous = NORMAL');
 db.pragma('cache_size = -64000');
@@ -83,6 +135,336 @@ CREATE TABLE IF NOT EXISTS stats_cache (
   value INTEGER,
   updated_at INTEGER DEFAULT (strftime('%s','now'))
 );
+
+CREATE TABLE IF NOT EXISTS feeds (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT UNIQUE NOT NULL,
+  label TEXT NOT NULL,
+  cron TEXT,                -- NULL = CRON_SCHEDULE
+  keywords TEXT DEFAULT '', -- vide = PROFESSION_KEYWORDS
+  ai_limit INTEGER,         -- NULL = AI_PROCESS_LIMIT, 0 = illimité
+  format TEXT DEFAULT 'xml',-- clé de FEED_FORMATS
+  mapping TEXT,             -- JSON : surcharge du format (itemTags, itemsPath, fields)
+  enabled INTEGER DEFAULT 1,
+  created_at INTEGER DEFAULT (strftime('%s','now'))
+);
+
+CREATE TABLE IF NOT EXISTS feed_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  feed_id INTEGER,
+  source TEXT,
+  status TEXT DEFAULT 'running', -- running | success | error | interrupted
+  started_at INTEGER,
+  finished_at INTEGER,
+  processed INTEGER DEFAULT 0,
+  matched INTEGER DEFAULT 0,
+  inserted INTEGER DEFAULT 0,
+  ai_applied INTEGER DEFAULT 0,
+  fallback INTEGER DEFAULT 0,
+  skipped INTEGER DEFAULT 0,
+  errors TEXT DEFAULT '[]'       -- JSON : messages d'erreur et avertissements
+);
+CREATE INDEX IF NOT EXISTS idx_feed_runs_started ON feed_runs(started_at DESC);
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT NOT NULL,
+  window_start INTEGER NOT NULL,
+  count INTEGER DEFAULT 0,
+  PRIMARY KEY (key, window_start)
+);
+
+CREATE TABLE IF NOT EXISTS blocklist (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind TEXT NOT NULL,        -- domain | url
+  pattern TEXT NOT NULL,     -- domaine (sous-domaines inclus) ou fragment d'URL
+  note TEXT,
+  created_at INTEGER DEFAULT (strftime('%s','now')),
+  UNIQUE(kind, pattern)
+);
+
+CREATE TABLE IF NOT EXISTS employers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT UNIQUE NOT NULL COLLATE NOCASE,
+  company_name TEXT,
+  verified INTEGER DEFAULT 0, -- e-mail confirmé par lien magique
+  created_at INTEGER DEFAULT (strftime('%s','now')),
+  last_login_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS login_tokens (
+  token_hash TEXT PRIMARY KEY,
+  employer_id INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  used_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  token_hash TEXT PRIMARY KEY,
+  role TEXT NOT NULL,
+  subject_id INTEGER,
+  expires_at INTEGER NOT NULL,
+  created_at INTEGER DEFAULT (strftime('%s','now'))
+);
+
+CREATE TABLE IF NOT EXISTS alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT NOT NULL COLLATE NOCASE,
+  query TEXT NOT NULL,       -- critères en query string canonique (q, tag, near, radius, filtres)
+  frequency TEXT NOT NULL DEFAULT 'daily', -- instant | daily
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending | active | unsubscribed
+  last_listed_at INTEGER,    -- offres mises en ligne après cette date pas encore envoyées
+  created_at INTEGER DEFAULT (strftime('%s','now')),
+  confirmed_at INTEGER,
+  last_sent_at INTEGER,
+  sent_count INTEGER DEFAULT 0,
+  UNIQUE(email, query)
+);
+CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status, frequency);
+
+CREATE TABLE IF NOT EXISTS indexnow_urls (
+  url TEXT PRIMARY KEY,
+  changed_at INTEGER NOT NULL, -- updated_at de l'offre (ou date d'archivage) au moment de la mise en file
+  submitted_at INTEGER,        -- NULL = à soumettre
+  attempts INTEGER DEFAULT 0,
+  last_status INTEGER,         -- code HTTP de la dernière tentative
+  last_error TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_indexnow_pending ON indexnow_urls(submitted_at, changed_at);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key_hash TEXT UNIQUE NOT NULL, -- sha256 de la clé, jamais stockée en clair
+  key_prefix TEXT NOT NULL,      -- début de la clé, pour la reconnaître dans l'admin
+  label TEXT NOT NULL,
+  rate_limit INTEGER NOT NULL,   -- requêtes par heure
+  request_count INTEGER DEFAULT 0,
+  created_at INTEGER DEFAULT (strftime('%s','now')),
+  last_used_at INTEGER,
+  revoked_at INTEGER
+);
+`);
+
+// Migrations légères : colonnes ajoutées après coup sur une base existante
+function ensureColumn(table, column, ddl) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+  }
+}
+ensureColumn('jobs', 'feed_id', 'INTEGER');
+ensureColumn('jobs', 'city', 'TEXT');
+ensureColumn('jobs', 'salary_text', 'TEXT');
+ensureColumn('jobs', 'contract_text', 'TEXT');
+ensureColumn('jobs', 'run_id', 'INTEGER');
+ensureColumn('jobs', 'status', "TEXT DEFAULT 'published'"); // published | unpublished | pending | rejected | closed | expired
+ensureColumn('jobs', 'contact_email', 'TEXT');
+ensureColumn('jobs', 'moderation_note', 'TEXT');
+ensureColumn('jobs', 'employer_id', 'INTEGER');
+ensureColumn('jobs', 'expires_at', 'INTEGER');
+// Champs structurés (facettes) calculés à l'import, NULL = pas encore calculés
+ensureColumn('jobs', 'employment_type', 'TEXT');
+ensureColumn('jobs', 'is_remote', 'INTEGER DEFAULT 0');
+ensureColumn('jobs', 'salary_min', 'REAL');
+ensureColumn('jobs', 'salary_max', 'REAL');
+ensureColumn('jobs', 'salary_currency', 'TEXT');
+ensureColumn('jobs', 'salary_unit', 'TEXT');
+ensureColumn('jobs', 'salary_year_min', 'INTEGER'); // salaire ramené à l'année, pour le filtre « salaire min »
+ensureColumn('jobs', 'salary_year_max', 'INTEGER');
+ensureColumn('jobs', 'salary_basis', 'TEXT'); // GROSS | NET | NULL (non précisé)
+ensureColumn('jobs', 'salary_confidence', 'REAL'); // fiabilité de l'extraction (0–1)
+ensureColumn('jobs', 'qualifications', 'TEXT'); // JSON : codes de QUALIFICATIONS (permis, FIMO, ADR…)
+ensureColumn('jobs', 'rome_code', 'TEXT'); // métier (code ROME, data/rome.json)
+ensureColumn('jobs', 'rome_method', 'TEXT'); // rules | ai
+ensureColumn('jobs', 'experience', 'TEXT');
+ensureColumn('jobs', 'experience_in_place', 'INTEGER DEFAULT 0');
+ensureColumn('jobs', 'postcode', 'TEXT');
+ensureColumn('jobs', 'department', 'TEXT');
+ensureColumn('jobs', 'region', 'TEXT');
+ensureColumn('jobs', 'lat', 'REAL');
+ensureColumn('jobs', 'lon', 'REAL');
+ensureColumn('jobs', 'facets_version', 'INTEGER'); // < FACETS_VERSION : à recalculer au démarrage
+ensureColumn('jobs', 'source_html', 'TEXT'); // description d'origine du flux, source des facettes (NULL = description_html)
+ensureColumn('jobs', 'last_seen_at', 'INTEGER'); // dernière présence dans le flux source
+ensureColumn('feed_runs', 'expired', 'INTEGER DEFAULT 0');
+ensureColumn('feeds', 'format', "TEXT DEFAULT 'xml'");
+ensureColumn('feeds', 'mapping', 'TEXT');
+db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_feed_id ON jobs(feed_id)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_run_id ON jobs(run_id)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_employer_id ON jobs(employer_id)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_employment_type ON jobs(employment_type)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_city ON jobs(city COLLATE NOCASE)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_lat ON jobs(lat)`);
+// Offres antérieures au cycle de vie : une durée de vie complète à partir de maintenant
+db.prepare(`UPDATE jobs SET expires_at = CAST(strftime('%s','now') AS INTEGER) + ? WHERE expires_at IS NULL AND status = 'published'`)
+  .run(JOB_TTL_DAYS * 24 * 3600);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_status_expires ON jobs(status, expires_at)`);
+
+// Index plein texte (FTS5, contenu externe) synchronisé par triggers : insertion,
+// suppression (y compris la rétention) et mise à jour des champs indexés.
+// remove_diacritics : « echelle » trouve « échelle ».
+const ftsExists = db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='jobs_fts'`).get();
+db.exec(`
+CREATE VIRTUAL TABLE IF NOT EXISTS jobs_fts USING fts5(
+  title, company, description_short, tags_csv,
+  content='jobs', content_rowid='id',
+  tokenize="unicode61 remove_diacritics 2"
+);
+CREATE TRIGGER IF NOT EXISTS jobs_fts_ai AFTER INSERT ON jobs BEGIN
+  INSERT INTO jobs_fts(rowid, title, company, description_short, tags_csv)
+  VALUES (new.id, new.title, new.company, new.description_short, new.tags_csv);
+END;
+CREATE TRIGGER IF NOT EXISTS jobs_fts_ad AFTER DELETE ON jobs BEGIN
+  INSERT INTO jobs_fts(jobs_fts, rowid, title, company, description_short, tags_csv)
+  VALUES ('delete', old.id, old.title, old.company, old.description_short, old.tags_csv);
+END;
+CREATE TRIGGER IF NOT EXISTS jobs_fts_au AFTER UPDATE OF title, company, description_short, tags_csv ON jobs BEGIN
+  INSERT INTO jobs_fts(jobs_fts, rowid, title, company, description_short, tags_csv)
+  VALUES ('delete', old.id, old.title, old.company, old.description_short, old.tags_csv);
+  INSERT INTO jobs_fts(rowid, title, company, description_short, tags_csv)
+  VALUES (new.id, new.title, new.company, new.description_short, new.tags_csv);
+END;
+`);
+if (!ftsExists) {
+  db.exec(`INSERT INTO jobs_fts(jobs_fts) VALUES ('rebuild')`);
+}
+db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_status_published ON jobs(status, published_at DESC, id DESC)`);
+
+// Offres retirées de la base par la rétention ou l'admin : on garde de quoi répondre
+// 410 avec des offres similaires, et le guid pour ne pas réimporter l'offre
+// (sauf retrait faute de place : quota de la source ou MAX_JOBS).
+db.exec(`
+CREATE TABLE IF NOT EXISTS jobs_archive (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id INTEGER,
+  guid TEXT,
+  slug TEXT,
+  source TEXT,
+  feed_id INTEGER,
+  title TEXT,
+  company TEXT,
+  description_short TEXT,
+  url TEXT,
+  city TEXT,
+  tags_csv TEXT,
+  status TEXT,           -- statut au moment de l'archivage
+  published_at INTEGER,
+  expires_at INTEGER,
+  reason TEXT,           -- ended | age | quota | max_jobs | deleted
+  archived_at INTEGER DEFAULT (strftime('%s','now'))
+);
+CREATE INDEX IF NOT EXISTS idx_jobs_archive_slug ON jobs_archive(slug);
+CREATE INDEX IF NOT EXISTS idx_jobs_archive_guid ON jobs_archive(guid);
+`);
+ensureColumn('jobs', 'featured', 'INTEGER DEFAULT 0'); // protégée de la rétention, comme les offres manuelles
+ensureColumn('jobs', 'ended_reason', 'TEXT'); // offre expirée : unseen (absente de son flux) | expired (échéance atteinte)
+ensureColumn('jobs_archive', 'ended_reason', 'TEXT');
+ensureColumn('feeds', 'max_jobs', 'INTEGER'); // quota d'offres conservées pour la source (NULL = aucun)
+ensureColumn('feeds', 'min_score', 'REAL'); // seuil de pertinence de la source (NULL = RELEVANCE_THRESHOLD)
+ensureColumn('jobs', 'relevance_score', 'REAL'); // score de pertinence à l'import (NULL = offre déposée)
+ensureColumn('feed_runs', 'clustered', 'INTEGER DEFAULT 0');
+// Doublons entre sources : cluster_id = id de l'offre canonique du groupe (elle-même comprise)
+ensureColumn('jobs', 'cluster_id', 'INTEGER');
+ensureColumn('jobs', 'cluster_locked', 'INTEGER DEFAULT 0'); // détachée à la main : plus de regroupement automatique
+ensureColumn('jobs', 'dedupe_key', 'TEXT'); // empreinte titre + entreprise + ville
+ensureColumn('jobs', 'minhash', 'TEXT'); // signature MinHash de la description ('' = trop courte, NULL = pas calculée)
+db.exec(`
+CREATE INDEX IF NOT EXISTS idx_jobs_cluster_id ON jobs(cluster_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_dedupe_key ON jobs(dedupe_key);
+CREATE TABLE IF NOT EXISTS job_lsh (
+  band INTEGER NOT NULL,
+  bucket TEXT NOT NULL,
+  job_id INTEGER NOT NULL,
+  PRIMARY KEY (band, bucket, job_id)
+) WITHOUT ROWID;
+CREATE INDEX IF NOT EXISTS idx_job_lsh_job_id ON job_lsh(job_id);
+CREATE TRIGGER IF NOT EXISTS jobs_lsh_ad AFTER DELETE ON jobs BEGIN
+  DELETE FROM job_lsh WHERE job_id = old.id;
+END;
+`);
+
+// Entreprises normalisées : une ligne par entreprise, les variantes du nom reçues des flux
+// (« ADECCO France », « Adecco Lyon ») pointant vers elle via company_aliases
+db.exec(`
+CREATE TABLE IF NOT EXISTS companies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL,
+  norm_key TEXT UNIQUE NOT NULL, -- cf. companyKey
+  is_agency INTEGER DEFAULT 0,   -- agence d'intérim
+  agency_source TEXT,            -- list | name | text | admin (NULL = non évalué au-delà du nom)
+  created_at INTEGER DEFAULT (strftime('%s','now'))
+);
+CREATE TABLE IF NOT EXISTS company_aliases (
+  alias TEXT PRIMARY KEY,        -- nom reçu, normalisé par placeKey
+  company_id INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_company_aliases_company ON company_aliases(company_id);
+`);
+ensureColumn('jobs', 'company_id', 'INTEGER'); // entreprise normalisée (0 = nom inexploitable)
+db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_company_id ON jobs(company_id)`);
+
+// File de réécriture IA : l'import enregistre l'offre avec sa description de secours,
+// le texte d'origine attend ici d'être réécrit (cf. FILE DE RÉÉCRITURE IA)
+db.exec(`
+CREATE TABLE IF NOT EXISTS ai_queue (
+  job_id INTEGER PRIMARY KEY,
+  run_id INTEGER,                  -- import d'origine (compteur feed_runs.ai_applied)
+  payload TEXT NOT NULL,           -- JSON : title, company, html d'origine
+  classify_rome INTEGER DEFAULT 0, -- ROME_AI_FALLBACK : classer aussi le métier par l'IA
+  status TEXT DEFAULT 'pending',   -- pending | running | failed
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at INTEGER DEFAULT 0,
+  last_error TEXT,
+  created_at INTEGER DEFAULT (strftime('%s','now'))
+);
+CREATE INDEX IF NOT EXISTS idx_ai_queue_next ON ai_queue(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_ai_queue_run ON ai_queue(run_id);
+CREATE TRIGGER IF NOT EXISTS jobs_ai_queue_ad AFTER DELETE ON jobs BEGIN
+  DELETE FROM ai_queue WHERE job_id = old.id;
+END;
+`);
+ensureColumn('feed_runs', 'ai_queued', 'INTEGER DEFAULT 0'); // offres confiées à la file IA (ai_applied : réécrites depuis)
+ensureColumn('employers', 'website', 'TEXT'); // site officiel : hiringOrganization.sameAs des données structurées
+ensureColumn('employers', 'logo_url', 'TEXT'); // hiringOrganization.logo
+// Profil soumis par l'employeur, en attente de validation (JSON { company_name, website, logo_url }) :
+// rien n'atteint les données structurées avant l'accord d'un administrateur
+ensureColumn('employers', 'pending_profile', 'TEXT');
+ensureColumn('employers', 'profile_submitted_at', 'INTEGER');
+
+// Dernière modification du contenu visible d'une offre (lastmod des sitemaps). Les
+// prolongations d'import (expires_at, last_seen_at) et les facettes recalculées n'y touchent pas.
+ensureColumn('jobs', 'updated_at', 'INTEGER');
+db.exec(`
+UPDATE jobs SET updated_at = published_at WHERE updated_at IS NULL;
+CREATE TRIGGER IF NOT EXISTS jobs_updated_at_ai AFTER INSERT ON jobs WHEN new.updated_at IS NULL BEGIN
+  UPDATE jobs SET updated_at = CAST(strftime('%s','now') AS INTEGER) WHERE id = new.id;
+END;
+CREATE TRIGGER IF NOT EXISTS jobs_updated_at_au
+AFTER UPDATE OF title, company, description_html, url, tags_csv, status, city, salary_text, contract_text ON jobs
+WHEN old.title IS NOT new.title OR old.company IS NOT new.company OR old.description_html IS NOT new.description_html
+  OR old.url IS NOT new.url OR old.tags_csv IS NOT new.tags_csv OR old.status IS NOT new.status
+  OR old.city IS NOT new.city OR old.salary_text IS NOT new.salary_text OR old.contract_text IS NOT new.contract_text
+BEGIN
+  UPDATE jobs SET updated_at = CAST(strftime('%s','now') AS INTEGER) WHERE id = new.id;
+END;
+`);
+
+// Première mise en ligne d'une offre (curseur des alertes) : à l'import, à l'approbation d'une
+// offre modérée… L'id ne convient pas : une offre sortie de modération a un id ancien.
+const listedAtExists = db.prepare(`PRAGMA table_info(jobs)`).all().some(c => c.name === 'listed_at');
+ensureColumn('jobs', 'listed_at', 'INTEGER');
+if (!listedAtExists) {
+  db.exec(`UPDATE jobs SET listed_at = created_at WHERE status NOT IN ('pending', 'rejected')`);
+}
+db.exec(`
+CREATE INDEX IF NOT EXISTS idx_jobs_listed_at ON jobs(listed_at);
+CREATE TRIGGER IF NOT EXISTS jobs_listed_at_ai AFTER INSERT ON jobs WHEN new.status = 'published' AND new.listed_at IS NULL BEGIN
+  UPDATE jobs SET listed_at = CAST(strftime('%s','now') AS INTEGER) WHERE id = new.id;
+END;
+CREATE TRIGGER IF NOT EXISTS jobs_listed_at_au AFTER UPDATE OF status ON jobs
+WHEN new.status = 'published' AND new.listed_at IS NULL BEGIN
+  UPDATE jobs SET listed_at = CAST(strftime('%s','now') AS INTEGER) WHERE id = new.id;
+END;
 `);
 
 // ========================================
@@ -90,65 +472,47 @@ CREATE TABLE IF NOT EXISTS stats_cache (
 // ========================================
 const stmtInsertJob = db.prepare(`
 INSERT OR IGNORE INTO jobs
-(guid, source, title, company, description_html, description_short, url, published_at, slug, tags_csv)
-VALUES (@guid, @source, @title, @company, @description_html, @description_short, @url, @published_at, @slug, @tags_csv)
+(guid, source, feed_id, run_id, title, company, description_html, description_short, url, published_at, slug, tags_csv,
+ city, salary_text, contract_text, status, contact_email, employer_id, expires_at, last_seen_at, relevance_score, company_id, source_html)
+VALUES (@guid, @source, @feed_id, @run_id, @title, @company, @description_html, @description_short, @url, @published_at, @slug, @tags_csv,
+ @city, @salary_text, @contract_text, COALESCE(@status, 'published'), @contact_email, @employer_id, @expires_at, @last_seen_at, @relevance_score,
+ @company_id, @source_html)
 `);
 const stmtHasGuid = db.prepare(`SELECT id FROM jobs WHERE guid=? LIMIT 1`);
 const stmtBySlug = db.prepare(`SELECT * FROM jobs WHERE slug=? LIMIT 1`);
 const stmtById = db.prepare(`SELECT * FROM jobs WHERE id=? LIMIT 1`);
-
-const stmtPageCursor = db.prepare(`
-SELECT id, title, company, description_short, slug, published_at
-FROM jobs
-WHERE published_at < ? OR (published_at = ? AND id < ?)
-ORDER BY published_at DESC, id DESC
-LIMIT ?
+const stmtClearJobSource = db.prepare(`UPDATE jobs SET source_html=NULL WHERE id=?`);
+const stmtSetJobFacets = db.prepare(`
+UPDATE jobs SET employment_type=@employment_type, is_remote=@is_remote,
+  salary_min=@salary_min, salary_max=@salary_max, salary_currency=@salary_currency, salary_unit=@salary_unit,
+  salary_basis=@salary_basis, salary_confidence=@salary_confidence, qualifications=@qualifications,
+  rome_code = CASE WHEN @rome_code IS NULL AND rome_method = 'ai' THEN rome_code ELSE @rome_code END,
+  rome_method = CASE WHEN @rome_code IS NULL AND rome_method = 'ai' THEN rome_method ELSE @rome_method END,
+  salary_year_min=@salary_year_min, salary_year_max=@salary_year_max,
+  experience=@experience, experience_in_place=@experience_in_place, city=@city,
+  postcode=@postcode, department=@department, region=@region, lat=@lat, lon=@lon,
+  facets_version=@facets_version
+WHERE id=@id
 `);
-const stmtPageFirst = db.prepare(`
-SELECT id, title, company, description_short, slug, published_at
-FROM jobs
-ORDER BY published_at DESC, id DESC
-LIMIT ?
-`);
-
-const stmtSearch = db.prepare(`
-SELECT id, title, company, description_short, slug, published_at
-FROM jobs
-WHERE title LIKE ? OR company LIKE ?
-ORDER BY published_at DESC, id DESC
-LIMIT 100
+const stmtJobsWithoutFacets = db.prepare(`
+SELECT id, title, description_html, salary_text, contract_text, city
+FROM jobs WHERE facets_version IS NULL OR facets_version < ? LIMIT ?
 `);
 
 const stmtGetTagBySlug = db.prepare(`SELECT * FROM tags WHERE slug=? LIMIT 1`);
 const stmtGetTagByName = db.prepare(`SELECT * FROM tags WHERE name=? LIMIT 1`);
 const stmtInsertTag = db.prepare(`INSERT OR IGNORE INTO tags (name, slug) VALUES (?, ?)`);
 const stmtInsertJobTag = db.prepare(`INSERT OR IGNORE INTO job_tags (job_id, tag_id) VALUES (?, ?)`);
-const stmtCountJobsByTagId = db.prepare(`SELECT COUNT(*) AS c FROM job_tags WHERE tag_id=?`);
-
-const stmtJobsByTagCursor = db.prepare(`
-SELECT j.id, j.title, j.company, j.description_short, j.slug, j.published_at
-FROM jobs j
-JOIN job_tags jt ON jt.job_id = j.id
-JOIN tags t ON t.id = jt.tag_id
-WHERE t.slug = ?
-  AND (j.published_at < ? OR (j.published_at = ? AND j.id < ?))
-ORDER BY j.published_at DESC, j.id DESC
-LIMIT ?
-`);
-const stmtJobsByTagFirst = db.prepare(`
-SELECT j.id, j.title, j.company, j.description_short, j.slug, j.published_at
-FROM jobs j
-JOIN job_tags jt ON jt.job_id = j.id
-JOIN tags t ON t.id = jt.tag_id
-WHERE t.slug = ?
-ORDER BY j.published_at DESC, j.id DESC
-LIMIT ?
+const stmtCountJobsByTagId = db.prepare(`
+SELECT COUNT(*) AS c FROM job_tags jt JOIN jobs j ON j.id = jt.job_id
+WHERE jt.tag_id=? AND j.status = 'published'
 `);
 
 const stmtPopularTags = db.prepare(`
 SELECT t.name, t.slug, COUNT(*) AS cnt
 FROM tags t
 JOIN job_tags jt ON jt.tag_id = t.id
+JOIN jobs j ON j.id = jt.job_id AND j.status = 'published'
 GROUP BY t.id
 HAVING cnt >= ?
 ORDER BY cnt DESC, t.name ASC
@@ -157,9 +521,52 @@ LIMIT ?
 const stmtRecent = db.prepare(`
 SELECT title, slug, published_at
 FROM jobs
+WHERE status = 'published'
+ORDER BY published_at DESC, id DESC
+LIMIT ?
+`);
+// Dernier changement d'une offre, archivage compris (Last-Modified des comptages par tag)
+const stmtJobsLastChange = db.prepare(`
+SELECT MAX(COALESCE((SELECT MAX(updated_at) FROM jobs), 0), COALESCE((SELECT MAX(archived_at) FROM jobs_archive), 0)) AS at
+`);
+// Sitemaps : une page par tranche d'ids (une offre ne change jamais de page, pas d'OFFSET)
+const stmtSitemapLastmod = db.prepare(`SELECT MAX(updated_at) AS lastmod FROM jobs WHERE status = 'published'`);
+const stmtSitemapJobPages = db.prepare(`
+SELECT (id - 1) / CAST(@size AS INTEGER) + 1 AS page, MAX(updated_at) AS lastmod
+FROM jobs WHERE status = 'published'
+GROUP BY page ORDER BY page
+`);
+const stmtSitemapJobs = db.prepare(`
+SELECT slug, updated_at FROM jobs WHERE status = 'published' AND id > ? AND id <= ? ORDER BY id
+`);
+// Offres publiées et non échues, pour le contrôle des données structurées
+const stmtStructuredDataJobs = db.prepare(`
+SELECT * FROM jobs WHERE status = 'published' AND (expires_at IS NULL OR expires_at > ?)
 ORDER BY published_at DESC, id DESC
+LIMIT ? OFFSET ?
+`);
+const stmtCountStructuredDataJobs = db.prepare(`
+SELECT COUNT(*) AS c FROM jobs WHERE status = 'published' AND (expires_at IS NULL OR expires_at > ?)
+`);
+const stmtSitemapTags = db.prepare(`
+SELECT t.slug, MAX(j.updated_at) AS lastmod
+FROM tags t
+JOIN job_tags jt ON jt.tag_id = t.id
+JOIN jobs j ON j.id = jt.job_id AND j.status = 'published'
+GROUP BY t.id
+ORDER BY t.slug
 LIMIT ?
 `);
+// Export agrégateurs : lots successifs par curseur (published_at, id)
+const stmtExportJobs = db.prepare(`
+SELECT id, slug, title, company, description_html, description_short, published_at, expires_at,
+  city, postcode, region, employment_type, is_remote, salary_min, salary_max, salary_currency, salary_unit, salary_basis, rome_code, tags_csv
+FROM jobs
+WHERE status = 'published' AND (expires_at IS NULL OR expires_at > @now)
+  AND (@pub IS NULL OR published_at < @pub OR (published_at = @pub AND id < @id))
+ORDER BY published_at DESC, id DESC
+LIMIT @limit
+`);
 
 const stmtGetCache = db.prepare(`SELECT value FROM stats_cache WHERE key=? AND updated_at > ?`);
 const stmtSetCache = db.prepare(`
@@ -171,19 +578,475 @@ function getCachedCount(ttlSeconds = 300) {
   const cutoff = Math.floor(Date.now() / 1000) - ttlSeconds;
   const cached = stmtGetCache.get('total_jobs', cutoff);
   if (cached) return cached.value;
-  const count = db.prepare(`SELECT COUNT(*) as c FROM jobs`).get().c;
+  const count = db.prepare(`SELECT COUNT(*) as c FROM jobs WHERE status = 'published'`).get().c;
   stmtSetCache.run('total_jobs', count);
   return count;
 }
 
-const stmtDeleteOld = db.prepare(`
-DELETE FROM jobs
-WHERE id IN (
-  SELECT id FROM jobs
-  ORDER BY published_at DESC, id DESC
-  LIMIT -1 OFFSET ?
+const stmtEnabledFeeds = db.prepare(`SELECT * FROM feeds WHERE enabled=1 ORDER BY id`);
+const stmtAllFeeds = db.prepare(`SELECT * FROM feeds ORDER BY id`);
+const stmtFeedById = db.prepare(`SELECT * FROM feeds WHERE id=?`);
+const stmtUpsertFeed = db.prepare(`
+INSERT INTO feeds (url, label, format, mapping, cron, keywords, ai_limit, max_jobs, min_score, enabled)
+VALUES (@url, @label, @format, @mapping, @cron, @keywords, @ai_limit, @max_jobs, @min_score, @enabled)
+ON CONFLICT(url) DO UPDATE SET
+  label=excluded.label, format=excluded.format, mapping=excluded.mapping, cron=excluded.cron,
+  keywords=excluded.keywords, ai_limit=excluded.ai_limit, max_jobs=excluded.max_jobs, min_score=excluded.min_score,
+  enabled=excluded.enabled
+`);
+const stmtDisableFeed = db.prepare(`UPDATE feeds SET enabled=0 WHERE id=? AND enabled=1`);
+
+const stmtStartRun = db.prepare(`
+INSERT INTO feed_runs (feed_id, source, status, started_at) VALUES (?, ?, 'running', strftime('%s','now'))
+`);
+const stmtFinishRun = db.prepare(`
+UPDATE feed_runs SET
+  status=@status, finished_at=strftime('%s','now'),
+  processed=@processed, matched=@matched, inserted=@inserted,
+  ai_queued=@aiQueued, fallback=@fallbackUsed, skipped=@skipped, expired=@expired, clustered=@clustered, errors=@errors
+WHERE id=@runId
+`);
+
+// Cycle de vie : une offre vue dans son flux est prolongée (et republiée si elle avait expiré),
+// une offre absente d'une exécution réussie de son flux expire.
+const stmtTouchJob = db.prepare(`
+UPDATE jobs SET last_seen_at=@now, expires_at=MAX(COALESCE(expires_at, 0), @expires_at),
+  ended_reason = CASE WHEN status = 'expired' THEN NULL ELSE ended_reason END,
+  status = CASE WHEN status = 'expired' THEN 'published' ELSE status END
+WHERE id=@id
+`);
+const stmtExpireUnseen = db.prepare(`
+UPDATE jobs SET status='expired', expires_at=@now, ended_reason='unseen'
+WHERE feed_id=@feed_id AND status='published' AND COALESCE(last_seen_at, 0) < @since
+`);
+// Un doublon absent de son flux n'est plus proposé comme autre source (le statut reste « duplicate »)
+const stmtExpireUnseenDuplicates = db.prepare(`
+UPDATE jobs SET expires_at=@now
+WHERE feed_id=@feed_id AND status='duplicate' AND COALESCE(last_seen_at, 0) < @since AND expires_at > @now
+`);
+const stmtExpireDue = db.prepare(`
+UPDATE jobs SET status='expired', ended_reason='expired'
+WHERE status='published' AND expires_at IS NOT NULL AND expires_at <= ?
+`);
+const stmtArchivedBySlug = db.prepare(`
+SELECT * FROM jobs_archive WHERE slug=? AND status IN ('published', 'closed', 'expired')
+ORDER BY archived_at DESC LIMIT 1
+`);
+const stmtArchivedGuid = db.prepare(`SELECT reason FROM jobs_archive WHERE guid=? ORDER BY archived_at DESC, id DESC LIMIT 1`);
+// Offres similaires : tags en commun, même ville d'abord
+const stmtSimilarJobs = db.prepare(`
+SELECT j.id, j.title, j.company, j.slug, j.city, j.published_at, COUNT(*) AS shared
+FROM job_tags jt
+JOIN tags t ON t.id = jt.tag_id
+JOIN jobs j ON j.id = jt.job_id
+WHERE t.name IN (SELECT trim(value) FROM json_each(@tags)) AND j.status = 'published' AND j.slug != @slug
+GROUP BY j.id
+ORDER BY (j.city = @city COLLATE NOCASE) DESC, shared DESC, j.published_at DESC
+LIMIT @limit
+`);
+const stmtRecentRuns = db.prepare(`
+SELECT r.*, f.label AS feed_label
+FROM feed_runs r LEFT JOIN feeds f ON f.id = r.feed_id
+ORDER BY r.started_at DESC, r.id DESC
+LIMIT ?
+`);
+const stmtRunById = db.prepare(`
+SELECT r.*, f.label AS feed_label, f.url AS feed_url
+FROM feed_runs r LEFT JOIN feeds f ON f.id = r.feed_id
+WHERE r.id=?
+`);
+const stmtJobsByRun = db.prepare(`
+SELECT id, title, company, slug, published_at FROM jobs WHERE run_id=? ORDER BY id LIMIT ?
+`);
+const stmtRunTrends = db.prepare(`
+SELECT date(started_at, 'unixepoch') AS day,
+  COUNT(*) AS runs,
+  SUM(processed) AS processed, SUM(matched) AS matched, SUM(inserted) AS inserted,
+  SUM(ai_applied) AS ai_applied, SUM(CASE WHEN status='error' THEN 1 ELSE 0 END) AS failed
+FROM feed_runs
+WHERE started_at > ?
+GROUP BY day
+ORDER BY day DESC
+`);
+// Un redémarrage pendant un import laisse des exécutions « running » orphelines
+db.prepare(`UPDATE feed_runs SET status='interrupted' WHERE status='running'`).run();
+
+// File de réécriture IA (cf. aiQueueWorker)
+const stmtEnqueueAi = db.prepare(`
+INSERT INTO ai_queue (job_id, run_id, payload, classify_rome) VALUES (@job_id, @run_id, @payload, @classify_rome)
+ON CONFLICT(job_id) DO UPDATE SET run_id=excluded.run_id, payload=excluded.payload, classify_rome=excluded.classify_rome,
+  status='pending', attempts=0, next_attempt_at=0, last_error=NULL
+`);
+const stmtClaimAiTask = db.prepare(`
+UPDATE ai_queue SET status='running', attempts=attempts + 1
+WHERE job_id = (
+  SELECT job_id FROM ai_queue WHERE status='pending' AND next_attempt_at <= ? ORDER BY next_attempt_at, job_id LIMIT 1
 )
+RETURNING *
+`);
+// refund = 1 : tentative non comptée (limite de débit, l'offre n'y est pour rien)
+const stmtDeferAiTask = db.prepare(`
+UPDATE ai_queue SET status='pending', attempts=attempts - @refund, next_attempt_at=@next_attempt_at, last_error=@last_error
+WHERE job_id=@job_id AND status='running'
+`);
+const stmtFailAiTask = db.prepare(`UPDATE ai_queue SET status='failed', last_error=? WHERE job_id=? AND status='running'`);
+const stmtDeleteAiTask = db.prepare(`DELETE FROM ai_queue WHERE job_id=?`);
+const stmtAiTaskByJob = db.prepare(`SELECT * FROM ai_queue WHERE job_id=?`);
+const stmtNextAiAttempt = db.prepare(`SELECT MIN(next_attempt_at) AS at FROM ai_queue WHERE status='pending'`);
+const stmtAiQueueCounts = db.prepare(`
+SELECT COALESCE(SUM(status='pending'), 0) AS pending, COALESCE(SUM(status='running'), 0) AS running,
+  COALESCE(SUM(status='failed'), 0) AS failed
+FROM ai_queue
+`);
+const stmtAiQueueTasks = db.prepare(`
+SELECT q.job_id, q.run_id, q.status, q.attempts, q.next_attempt_at, q.last_error, q.created_at, j.title, j.source
+FROM ai_queue q JOIN jobs j ON j.id = q.job_id
+WHERE (@status = '' OR q.status = @status)
+ORDER BY q.status = 'running' DESC, q.status = 'failed' DESC, q.next_attempt_at, q.job_id
+LIMIT @limit
+`);
+// Avancement par import : offres confiées à l'IA, réécrites, encore en file, abandonnées
+const stmtAiQueueRuns = db.prepare(`
+SELECT r.id, r.source, r.started_at, r.ai_queued, r.ai_applied,
+  COUNT(q.job_id) AS remaining, COALESCE(SUM(q.status = 'failed'), 0) AS failed
+FROM feed_runs r LEFT JOIN ai_queue q ON q.run_id = r.id
+WHERE r.ai_queued > 0
+GROUP BY r.id
+ORDER BY r.id DESC
+LIMIT ?
+`);
+const stmtRetryFailedAi = db.prepare(`
+UPDATE ai_queue SET status='pending', attempts=0, next_attempt_at=0, last_error=NULL
+WHERE status='failed' AND (@job_id IS NULL OR job_id=@job_id)
+`);
+const stmtDiscardFailedAi = db.prepare(`DELETE FROM ai_queue WHERE status='failed'`);
+const stmtRunAiApplied = db.prepare(`UPDATE feed_runs SET ai_applied = ai_applied + 1 WHERE id=?`);
+const stmtSetJobRomeAI = db.prepare(`UPDATE jobs SET rome_code=?, rome_method='ai' WHERE id=? AND rome_code IS NULL`);
+// Tâches interrompues par un arrêt du processus : reprises au démarrage
+db.prepare(`UPDATE ai_queue SET status='pending' WHERE status='running'`).run();
+
+const stmtAdminJobs = db.prepare(`
+SELECT id, title, company, source, status, slug, published_at
+FROM jobs
+WHERE (@status = '' OR status = @status)
+  AND (@like = '' OR title LIKE @like OR company LIKE @like)
+ORDER BY id DESC
+LIMIT @limit OFFSET @offset
+`);
+const stmtAdminJobsCount = db.prepare(`
+SELECT COUNT(*) AS c FROM jobs
+WHERE (@status = '' OR status = @status)
+  AND (@like = '' OR title LIKE @like OR company LIKE @like)
+`);
+const stmtUpdateJobContent = db.prepare(`
+UPDATE jobs SET title=@title, company=@company, description_html=@description_html,
+  description_short=@description_short, tags_csv=@tags_csv
+WHERE id=@id
+`);
+const stmtSetJobStatus = db.prepare(`UPDATE jobs SET status=? WHERE id=?`);
+const stmtSetFeatured = db.prepare(`UPDATE jobs SET featured=? WHERE id=?`);
+// Republication manuelle : une offre déjà échue repart pour une durée de vie complète
+const stmtRepublishJob = db.prepare(`
+UPDATE jobs SET status='published',
+  expires_at = CASE WHEN expires_at IS NULL OR expires_at > @now THEN expires_at ELSE @now + @ttl END
+WHERE id=@id
 `);
+const stmtApproveJob = db.prepare(`
+UPDATE jobs SET status='published', published_at=strftime('%s','now'),
+  expires_at=strftime('%s','now') + ?, moderation_note=NULL
+WHERE id=?
+`);
+const stmtRejectJob = db.prepare(`UPDATE jobs SET status='rejected', moderation_note=? WHERE id=?`);
+const stmtPendingJobs = db.prepare(`
+SELECT id, title, company, url, contact_email, description_short, slug, created_at
+FROM jobs WHERE status='pending' ORDER BY created_at ASC, id ASC LIMIT ?
+`);
+const stmtCountPending = db.prepare(`SELECT COUNT(*) AS c FROM jobs WHERE status='pending'`);
+const stmtDeleteJobTags = db.prepare(`DELETE FROM job_tags WHERE job_id=?`);
+
+const stmtHitRate = db.prepare(`
+INSERT INTO rate_limits (key, window_start, count) VALUES (?, ?, 1)
+ON CONFLICT(key, window_start) DO UPDATE SET count = count + 1
+RETURNING count
+`);
+const stmtPurgeRates = db.prepare(`DELETE FROM rate_limits WHERE window_start < ?`);
+
+const stmtBlocklist = db.prepare(`SELECT * FROM blocklist ORDER BY kind, pattern`);
+const stmtAddBlock = db.prepare(`INSERT OR IGNORE INTO blocklist (kind, pattern, note) VALUES (?, ?, ?)`);
+const stmtDeleteBlock = db.prepare(`DELETE FROM blocklist WHERE id=?`);
+
+const stmtDuplicateCandidates = db.prepare(`
+SELECT id, title, company, status FROM jobs
+WHERE status IN ('published', 'pending') AND created_at > ?
+`);
+
+// Groupes de doublons entre sources (cf. clusterJob). Seules les offres publiées servent de
+// canoniques : une offre publiée est soit canonique de son groupe, soit isolée. Deux offres
+// d'un même flux ne sont jamais regroupées (postes identiques sur plusieurs sites, par exemple).
+const stmtSetJobFingerprint = db.prepare(`UPDATE jobs SET dedupe_key=@dedupe_key, minhash=@minhash WHERE id=@id`);
+const stmtInsertLsh = db.prepare(`INSERT OR IGNORE INTO job_lsh (band, bucket, job_id) VALUES (?, ?, ?)`);
+const stmtDeleteJobLsh = db.prepare(`DELETE FROM job_lsh WHERE job_id=?`);
+const stmtClusterByKey = db.prepare(`
+SELECT id FROM jobs
+WHERE dedupe_key=@key AND id != @id AND feed_id IS NOT @feed_id AND status='published' AND cluster_locked=0
+ORDER BY id LIMIT 1
+`);
+const stmtLshCandidates = db.prepare(`
+SELECT j.id, j.title, j.minhash FROM job_lsh l JOIN jobs j ON j.id = l.job_id
+WHERE l.band=@band AND l.bucket=@bucket AND j.id != @id AND j.feed_id IS NOT @feed_id
+  AND j.status='published' AND j.cluster_locked=0
+`);
+const stmtJobsWithoutFingerprint = db.prepare(`
+SELECT id, feed_id, title, company, city, description_html, source_html, status FROM jobs WHERE minhash IS NULL ORDER BY id LIMIT ?
+`);
+const stmtSetClusterCanonical = db.prepare(`UPDATE jobs SET cluster_id=id, cluster_locked=0 WHERE id=?`);
+const stmtSetClusterDuplicate = db.prepare(`UPDATE jobs SET cluster_id=?, status='duplicate' WHERE id=?`);
+const stmtMergeCluster = db.prepare(`
+UPDATE jobs SET cluster_id=@to, cluster_locked=0, status = CASE WHEN status='published' THEN 'duplicate' ELSE status END
+WHERE id=@from OR cluster_id=@from
+`);
+const stmtMoveCluster = db.prepare(`UPDATE jobs SET cluster_id=@to WHERE cluster_id=@from`);
+const stmtPromoteClusterMember = db.prepare(`
+UPDATE jobs SET cluster_id=id, status = CASE WHEN status='duplicate' THEN 'published' ELSE status END WHERE id=?
+`);
+const stmtDetachFromCluster = db.prepare(`
+UPDATE jobs SET cluster_id=NULL, cluster_locked=1, status = CASE WHEN status='duplicate' THEN 'published' ELSE status END
+WHERE id=?
+`);
+// Groupe réduit à sa canonique : l'offre redevient isolée
+const stmtDissolveCluster = db.prepare(`
+UPDATE jobs SET cluster_id=NULL
+WHERE id=@id AND cluster_id=@id AND NOT EXISTS (SELECT 1 FROM jobs d WHERE d.cluster_id=@id AND d.id != @id)
+`);
+const stmtClusterMembers = db.prepare(`
+SELECT j.*, f.label AS feed_label FROM jobs j LEFT JOIN feeds f ON f.id = j.feed_id
+WHERE j.cluster_id=? ORDER BY j.id = j.cluster_id DESC, j.id
+`);
+const stmtNextClusterMember = db.prepare(`
+SELECT id FROM jobs WHERE cluster_id=@id AND id != @id
+ORDER BY status='duplicate' AND expires_at > @now DESC, last_seen_at DESC, id LIMIT 1
+`);
+const stmtLiveClusterMember = db.prepare(`
+SELECT id FROM jobs WHERE cluster_id=? AND status='duplicate' AND expires_at > ?
+ORDER BY last_seen_at DESC, id LIMIT 1
+`);
+// « Également publiée sur… » : doublons encore présents dans leur flux
+const stmtClusterAlternates = db.prepare(`
+SELECT j.id, j.source, j.company, f.label AS feed_label FROM jobs j LEFT JOIN feeds f ON f.id = j.feed_id
+WHERE j.cluster_id=@id AND j.id != @id AND j.status='duplicate' AND j.expires_at > @now AND j.url != ''
+ORDER BY j.id
+`);
+// Canonique expirée ou archivée alors que des doublons restent rattachés
+const stmtOrphanClusters = db.prepare(`
+SELECT DISTINCT d.cluster_id AS id FROM jobs d LEFT JOIN jobs c ON c.id = d.cluster_id
+WHERE d.status='duplicate' AND (c.id IS NULL OR c.status='expired')
+`);
+// Ancienne canonique republiée par son flux alors qu'un doublon a pris sa place
+const stmtDemoteClusterDuplicates = db.prepare(`
+UPDATE jobs SET status='duplicate'
+WHERE status='published' AND cluster_id IS NOT NULL AND cluster_id != id
+  AND EXISTS (SELECT 1 FROM jobs c WHERE c.id = jobs.cluster_id AND c.status='published')
+`);
+const stmtClusters = db.prepare(`
+SELECT c.id, c.slug, c.title, c.company, c.city, c.status, c.published_at, COUNT(d.id) AS members
+FROM jobs c JOIN jobs d ON d.cluster_id = c.id AND d.id != c.id
+WHERE c.cluster_id = c.id
+GROUP BY c.id
+ORDER BY c.published_at DESC, c.id DESC
+LIMIT ? OFFSET ?
+`);
+const stmtCountClusters = db.prepare(`SELECT COUNT(*) AS c FROM jobs WHERE cluster_id = id`);
+
+// Entreprises (cf. resolveCompany)
+const stmtCompanyById = db.prepare(`SELECT * FROM companies WHERE id=?`);
+const stmtCompanyBySlug = db.prepare(`SELECT * FROM companies WHERE slug=?`);
+const stmtCompanyByKey = db.prepare(`SELECT * FROM companies WHERE norm_key=?`);
+const stmtCompanyByAlias = db.prepare(`
+SELECT c.* FROM company_aliases a JOIN companies c ON c.id = a.company_id WHERE a.alias=?
+`);
+const stmtInsertCompany = db.prepare(`
+INSERT INTO companies (name, slug, norm_key, is_agency, agency_source)
+VALUES (@name, @slug, @norm_key, @is_agency, @agency_source)
+RETURNING *
+`);
+const stmtInsertCompanyAlias = db.prepare(`INSERT OR IGNORE INTO company_aliases (alias, company_id) VALUES (?, ?)`);
+// Indice dans la description : ne remplace ni la liste, ni le nom, ni une décision de l'admin
+const stmtFlagAgencyFromText = db.prepare(`
+UPDATE companies SET is_agency=1, agency_source='text' WHERE id=? AND agency_source IS NULL
+`);
+const stmtSetCompanyAgency = db.prepare(`UPDATE companies SET is_agency=?, agency_source='admin' WHERE id=?`);
+const stmtSetJobCompany = db.prepare(`UPDATE jobs SET company_id=? WHERE id=?`);
+const stmtJobsWithoutCompany = db.prepare(`
+SELECT id, company, description_html, status FROM jobs WHERE company_id IS NULL ORDER BY id LIMIT ?
+`);
+const stmtMoveCompanyAliases = db.prepare(`UPDATE company_aliases SET company_id=@into WHERE company_id=@from`);
+const stmtMoveCompanyJobs = db.prepare(`UPDATE jobs SET company_id=@into WHERE company_id=@from`);
+const stmtDeleteCompany = db.prepare(`DELETE FROM companies WHERE id=?`);
+const stmtCompanyStats = db.prepare(`
+SELECT c.*, COUNT(j.id) AS jobs, SUM(j.status = 'published') AS published,
+  (SELECT COUNT(*) FROM company_aliases a WHERE a.company_id = c.id) AS aliases
+FROM companies c LEFT JOIN jobs j ON j.company_id = c.id
+WHERE (@q = '' OR c.norm_key LIKE '%' || @q || '%' OR c.name LIKE '%' || @q || '%')
+  AND (@agency IS NULL OR c.is_agency = @agency)
+GROUP BY c.id
+ORDER BY published DESC, jobs DESC, c.name
+LIMIT @limit OFFSET @offset
+`);
+const stmtCompanyAliases = db.prepare(`SELECT alias FROM company_aliases WHERE company_id=? ORDER BY alias`);
+
+const stmtEmployerById = db.prepare(`SELECT * FROM employers WHERE id=?`);
+const stmtEmployerByEmail = db.prepare(`SELECT * FROM employers WHERE email=?`);
+const stmtInsertEmployer = db.prepare(`
+INSERT INTO employers (email, company_name) VALUES (?, ?)
+ON CONFLICT(email) DO UPDATE SET company_name=COALESCE(employers.company_name, excluded.company_name)
+`);
+const stmtUpdateEmployerProfile = db.prepare(`
+UPDATE employers SET company_name=@company_name, website=@website, logo_url=@logo_url,
+  pending_profile=NULL, profile_submitted_at=NULL
+WHERE id=@id
+`);
+const stmtSubmitEmployerProfile = db.prepare(`
+UPDATE employers SET pending_profile=?, profile_submitted_at=strftime('%s','now') WHERE id=?
+`);
+const stmtClearEmployerProfile = db.prepare(`UPDATE employers SET pending_profile=NULL, profile_submitted_at=NULL WHERE id=?`);
+const stmtPendingProfiles = db.prepare(`
+SELECT * FROM employers WHERE pending_profile IS NOT NULL ORDER BY profile_submitted_at LIMIT ?
+`);
+const stmtCountPendingProfiles = db.prepare(`SELECT COUNT(*) AS c FROM employers WHERE pending_profile IS NOT NULL`);
+const stmtEmployerLoggedIn = db.prepare(`UPDATE employers SET verified=1, last_login_at=strftime('%s','now') WHERE id=?`);
+const stmtInsertLoginToken = db.prepare(`INSERT INTO login_tokens (token_hash, employer_id, expires_at) VALUES (?, ?, ?)`);
+const stmtUseLoginToken = db.prepare(`
+UPDATE login_tokens SET used_at=strftime('%s','now')
+WHERE token_hash=? AND used_at IS NULL AND expires_at > ?
+RETURNING employer_id
+`);
+const stmtPurgeLoginTokens = db.prepare(`DELETE FROM login_tokens WHERE expires_at <= ?`);
+// Rattache les offres soumises avant la création du compte (même e-mail de contact)
+const stmtClaimJobs = db.prepare(`
+UPDATE jobs SET employer_id=? WHERE employer_id IS NULL AND source='manuel' AND contact_email=? COLLATE NOCASE
+`);
+const stmtEmployerJobs = db.prepare(`
+SELECT id, title, company, status, slug, published_at, expires_at
+FROM jobs WHERE employer_id=? ORDER BY created_at DESC, id DESC
+`);
+const stmtEmployerUpdateJob = db.prepare(`
+UPDATE jobs SET title=@title, company=@company, url=@url, description_html=@description_html,
+  description_short=@description_short, tags_csv=@tags_csv, status=@status
+WHERE id=@id AND employer_id=@employer_id
+`);
+const stmtRenewJob = db.prepare(`
+UPDATE jobs SET expires_at = MAX(COALESCE(expires_at, 0), CAST(strftime('%s','now') AS INTEGER)) + ?
+WHERE id=? AND employer_id=?
+`);
+
+const stmtInsertSession = db.prepare(`
+INSERT INTO sessions (token_hash, role, subject_id, expires_at) VALUES (?, ?, ?, ?)
+`);
+const stmtGetSession = db.prepare(`SELECT * FROM sessions WHERE token_hash=? AND role=? AND expires_at > ?`);
+const stmtDeleteSession = db.prepare(`DELETE FROM sessions WHERE token_hash=?`);
+const stmtPurgeSessions = db.prepare(`DELETE FROM sessions WHERE expires_at <= ?`);
+
+// Rétention : chaque requête renvoie les offres à archiver pour une règle.
+// Offres protégées : publications manuelles et offres mises en avant.
+const PROTECTED_JOB = `(source = 'manuel' OR featured = 1)`;
+const stmtRetentionEnded = db.prepare(`
+SELECT id FROM jobs
+WHERE status IN ('expired', 'closed', 'rejected', 'duplicate') AND COALESCE(expires_at, published_at) < ?
+`);
+const stmtRetentionAge = db.prepare(`
+SELECT id FROM jobs
+WHERE NOT ${PROTECTED_JOB} AND status != 'pending' AND published_at < ?
+`);
+const stmtRetentionQuota = db.prepare(`
+SELECT id FROM jobs
+WHERE feed_id = ? AND NOT ${PROTECTED_JOB}
+ORDER BY published_at DESC, id DESC
+LIMIT -1 OFFSET ?
+`);
+const stmtRetentionMax = db.prepare(`
+SELECT id FROM jobs
+WHERE NOT ${PROTECTED_JOB} AND status != 'pending'
+ORDER BY published_at DESC, id DESC
+LIMIT -1 OFFSET ?
+`);
+const stmtFeedsWithQuota = db.prepare(`SELECT id, label, max_jobs FROM feeds WHERE max_jobs > 0`);
+// Place restante sous le quota d'une source et sous MAX_JOBS (mêmes périmètres que ci-dessus)
+const stmtFeedQuotaCount = db.prepare(`SELECT COUNT(*) AS c FROM jobs WHERE feed_id = ? AND NOT ${PROTECTED_JOB}`);
+const stmtMaxJobsCount = db.prepare(`SELECT COUNT(*) AS c FROM jobs WHERE NOT ${PROTECTED_JOB} AND status != 'pending'`);
+const stmtArchiveJobs = db.prepare(`
+INSERT INTO jobs_archive (job_id, guid, slug, source, feed_id, title, company, description_short, url, city,
+  tags_csv, status, published_at, expires_at, reason, ended_reason)
+SELECT id, guid, slug, source, feed_id, title, company, description_short, url, city,
+  tags_csv, status, published_at, expires_at, @reason, ended_reason
+FROM jobs WHERE id IN (SELECT value FROM json_each(@ids))
+`);
+const stmtDeleteJobsTags = db.prepare(`DELETE FROM job_tags WHERE job_id IN (SELECT value FROM json_each(?))`);
+const stmtDeleteJobs = db.prepare(`DELETE FROM jobs WHERE id IN (SELECT value FROM json_each(?))`);
+const stmtDeleteOrphanTags = db.prepare(`DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM job_tags)`);
+
+// Alertes e-mail. Une alerte désabonnée puis recréée repasse par la confirmation.
+const stmtAlertById = db.prepare(`SELECT * FROM alerts WHERE id=?`);
+const stmtAlertByQuery = db.prepare(`SELECT * FROM alerts WHERE email=? AND query=?`);
+const stmtUpsertAlert = db.prepare(`
+INSERT INTO alerts (email, query, frequency) VALUES (?, ?, ?)
+ON CONFLICT(email, query) DO UPDATE SET
+  frequency = excluded.frequency,
+  status = CASE WHEN status = 'active' THEN 'active' ELSE 'pending' END
+RETURNING *
+`);
+const stmtCountAlertsByEmail = db.prepare(`SELECT COUNT(*) AS c FROM alerts WHERE email=? AND status != 'unsubscribed'`);
+const stmtConfirmAlert = db.prepare(`
+UPDATE alerts SET status='active', confirmed_at=CAST(strftime('%s','now') AS INTEGER),
+  last_listed_at=CAST(strftime('%s','now') AS INTEGER) - 1
+WHERE id=? AND status='pending'
+`);
+const stmtUnsubscribeAlert = db.prepare(`UPDATE alerts SET status='unsubscribed' WHERE id=?`);
+const stmtActiveAlerts = db.prepare(`SELECT * FROM alerts WHERE status='active' AND frequency=? ORDER BY id`);
+const stmtAdvanceAlert = db.prepare(`
+UPDATE alerts SET last_listed_at=@last_listed_at,
+  last_sent_at=CASE WHEN @sent THEN @now ELSE last_sent_at END,
+  sent_count=sent_count + @sent
+WHERE id=@id
+`);
+
+// IndexNow : une ligne par URL. Remettre en file une modification déjà connue ne fait
+// rien ; une modification plus récente relance la soumission.
+const stmtQueueIndexNow = db.prepare(`
+INSERT INTO indexnow_urls (url, changed_at)
+SELECT url, changed_at FROM (
+  SELECT @prefix || slug AS url, updated_at AS changed_at FROM jobs
+  WHERE updated_at >= @since AND status IN ('published', 'expired', 'closed', 'unpublished')
+  UNION ALL
+  SELECT @prefix || slug, archived_at FROM jobs_archive WHERE archived_at >= @since AND slug IS NOT NULL
+) WHERE true
+ON CONFLICT(url) DO UPDATE SET changed_at = excluded.changed_at, submitted_at = NULL, attempts = 0, last_error = NULL
+WHERE excluded.changed_at > indexnow_urls.changed_at
+`);
+const stmtPendingIndexNow = db.prepare(`
+SELECT url FROM indexnow_urls WHERE submitted_at IS NULL AND attempts < ? ORDER BY changed_at LIMIT ?
+`);
+const stmtIndexNowSubmitted = db.prepare(`
+UPDATE indexnow_urls SET submitted_at=@now, last_status=@status, last_error=NULL
+WHERE url IN (SELECT value FROM json_each(@urls))
+`);
+const stmtIndexNowFailed = db.prepare(`
+UPDATE indexnow_urls SET attempts=attempts + 1, last_status=@status, last_error=@error
+WHERE url IN (SELECT value FROM json_each(@urls))
+`);
+const stmtIndexNowStats = db.prepare(`
+SELECT COUNT(*) AS total,
+  SUM(submitted_at IS NOT NULL) AS submitted,
+  SUM(submitted_at IS NULL AND attempts < ?) AS pending,
+  SUM(submitted_at IS NULL AND attempts >= ?) AS failed,
+  MAX(submitted_at) AS last_submitted_at
+FROM indexnow_urls
+`);
+
+const stmtApiKeys = db.prepare(`SELECT * FROM api_keys ORDER BY revoked_at IS NOT NULL, created_at DESC`);
+const stmtInsertApiKey = db.prepare(`INSERT INTO api_keys (key_hash, key_prefix, label, rate_limit) VALUES (?, ?, ?, ?)`);
+const stmtApiKeyByHash = db.prepare(`SELECT * FROM api_keys WHERE key_hash=? AND revoked_at IS NULL`);
+const stmtApiKeyUsed = db.prepare(`UPDATE api_keys SET last_used_at=?, request_count=request_count + 1 WHERE id=?`);
+const stmtRevokeApiKey = db.prepare(`UPDATE api_keys SET revoked_at=CAST(strftime('%s','now') AS INTEGER) WHERE id=? AND revoked_at IS NULL`);
 
 // ========================================
 // OUTILS
@@ -213,6 +1076,7 @@ function uniqNormTags(tags = []) {
   return out.slice(0, 8);
 }
 function tagSlug(t) { return mkSlug(t); }
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 function sanitizeHtml(html = '') {
   if (!html) return '';
@@ -249,22 +1113,131 @@ function canonical(path = '') {
   return `${SITE_URL}${p.startsWith('/') ? '' : '/'}${p}`;
 }
 
-function matchesProfession(title = '', company = '', description = '') {
-  const text = `${title} ${company} ${description}`.toLowerCase();
-  return PROFESSION_KEYWORDS.some(keyword => text.includes(keyword));
+// Score de pertinence d'une offre de flux. Chaque mot-clé est une règle :
+//   « chauffeur routier »  expression en mots entiers, accents et casse ignorés
+//   « -magasinier »        règle négative, qui retire des points
+//   « /\bspl\b/ »          expression régulière, appliquée sans tenir compte de la casse du texte
+// Une règle compte une seule fois, avec le poids du champ le plus fort où elle apparaît :
+// une mention en bas de description pèse moins qu'un titre.
+const RELEVANCE_WEIGHTS = { title: 3, company: 1, description: 1 };
+const RELEVANCE_FIELD_LABELS = { title: 'titre', company: 'entreprise', description: 'description' };
+const relevanceRulesCache = new Map();
+
+export function compileRelevanceRules(keywords) {
+  const key = keywords.join('\n');
+  if (relevanceRulesCache.has(key)) return relevanceRulesCache.get(key);
+  const rules = [];
+  const errors = [];
+  for (const keyword of keywords) {
+    const negative = keyword.startsWith('-');
+    const body = keyword.replace(/^-\s*/, '');
+    const regex = body.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+      try {
+        const re = new RegExp(regex[1], `${regex[2].replace(/[giy]/g, '')}i`);
+        rules.push({ keyword, negative, test: (f) => re.test(f.raw) });
+      } catch (e) {
+        errors.push(`Règle de pertinence invalide « ${keyword} » : ${e.message}`);
+      }
+      continue;
+    }
+    const phrase = ` ${occupationKey(body)} `;
+    if (phrase.trim()) rules.push({ keyword, negative, test: (f) => f.key.includes(phrase) });
+  }
+  const compiled = { rules, errors };
+  if (relevanceRulesCache.size > 100) relevanceRulesCache.clear();
+  relevanceRulesCache.set(key, compiled);
+  return compiled;
+}
+
+/**
+ * Score de l'offre et détail des règles retenues : [{ keyword, field, points }].
+ */
+export function scoreRelevance({ title = '', company = '', description = '' }, rules) {
+  const fields = Object.entries({ title, company, description }).map(([name, value]) => {
+    const raw = String(value || '').replace(/<[^>]*>/g, ' ');
+    return { name, raw, key: ` ${occupationKey(raw)} ` };
+  });
+  let score = 0;
+  const matches = [];
+  for (const rule of rules) {
+    const field = fields.find(f => f.raw && rule.test(f));
+    if (!field) continue;
+    const points = (rule.negative ? -1 : 1) * RELEVANCE_WEIGHTS[field.name];
+    score += points;
+    matches.push({ keyword: rule.keyword, field: field.name, points });
+  }
+  return { score, matches };
+}
+
+const describeRelevance = (matches) => matches
+  .map(m => `${m.keyword} (${RELEVANCE_FIELD_LABELS[m.field]}, ${m.points > 0 ? '+' : ''}${m.points})`).join(' · ');
+
+// Permis et certifications du transport routier, détectés dans le texte de l'offre
+// (minuscules). `implies` : une certification spécialisée inclut la base (ADR citerne → ADR).
+const PERMIT_TOKEN = '(?:c1\\s*\\+?\\s*e|c1|c\\s*\\+\\s*e|ce|ec|c|be|b|d1|de(?!\\s+(?!et\\b|ou\\b)[a-zà-ÿ])|d)(?![\\wà-ÿ\'’])';
+// « permis C », « permis C/CE », « permis de conduire catégories C et CE »
+const PERMIT_LIST_RE = new RegExp(`\\bpermis\\s+(?:de conduire\\s+)?(?:cat[ée]gories?\\s+)?:?\\s*((?:${PERMIT_TOKEN}(?:\\s*(?:,|/|et|ou|-|\\+)\\s*)?)+)`, 'g');
+const PERMIT_LIST_CODES = {
+  b: 'permis-b', be: 'permis-b', c1: 'permis-c1', c1e: 'permis-c1e', c: 'permis-c',
+  ce: 'permis-ce', ec: 'permis-ce', d1: 'permis-d', d: 'permis-d', de: 'permis-d'
+};
+const QUALIFICATIONS = [
+  { code: 'permis-b', label: 'Permis B', kind: 'license', patterns: [/\bpermis\s+(?:de conduire\s+)?(?:vl|voiture)\b/] },
+  { code: 'permis-c1', label: 'Permis C1', kind: 'license', patterns: [/\bpl\s+l[ée]ger\b/] },
+  { code: 'permis-c1e', label: 'Permis C1E', kind: 'license', patterns: [] },
+  {
+    code: 'permis-c', label: 'Permis C', kind: 'license',
+    patterns: [/(?<!super[\s-])\bpoids[-\s]lourds?\b/, /\b(?:chauffeur|conducteur)s?\s+(?:pl\s+)?porteurs?\b/, /\b(?:chauffeur|conducteur)s?\s+(?:routiers?\s+)?(?:pl|c)(?![\wà-ÿ'’/])/]
+  },
+  {
+    code: 'permis-ce', label: 'Permis CE', kind: 'license',
+    patterns: [/\bspl\b/, /\bsuper[-\s]poids[-\s]lourds?\b/, /\bsemi[-\s]remorques?\b/, /\b(?:chauffeur|conducteur)s?\s+(?:routiers?\s+)?(?:(?:pl|spl)\s*[/-]\s*)?(?:ce|ec)(?![\wà-ÿ'’])/]
+  },
+  { code: 'permis-d', label: 'Permis D', kind: 'license', patterns: [/\b(?:autocar|autobus)\b/] },
+  { code: 'fimo', label: 'FIMO', kind: 'certificate', patterns: [/\bfimo\b/, /formation initiale minimale obligatoire/] },
+  { code: 'fco', label: 'FCO', kind: 'certificate', patterns: [/\bfco\b/, /formation continue obligatoire/] },
+  { code: 'adr', label: 'ADR', kind: 'certificate', patterns: [/\badr\b/, /\bmati[èe]res?\s+dangereuses\b/, /\btmd\b/] },
+  { code: 'adr-citerne', label: 'ADR citerne', kind: 'certificate', implies: ['adr'], patterns: [/\badr\b[^.\n]{0,30}\bciternes?\b/, /\bciternes?\s+adr\b/] },
+  { code: 'adr-explosifs', label: 'ADR classe 1 (explosifs)', tag: 'adr explosifs', kind: 'certificate', implies: ['adr'], patterns: [/\badr\b[^.\n]{0,30}(?:\bclasse\s*1\b|\bexplosifs?\b)/] },
+  { code: 'adr-radioactifs', label: 'ADR classe 7 (radioactifs)', tag: 'adr radioactifs', kind: 'certificate', implies: ['adr'], patterns: [/\badr\b[^.\n]{0,30}(?:\bclasse\s*7\b|\bradioacti)/] },
+  {
+    code: 'carte-conducteur', label: 'Carte conducteur (tachygraphe)', tag: 'carte conducteur', kind: 'license',
+    patterns: [/\bcarte\s+(?:de\s+)?conducteur\b/, /\bcarte\s+(?:chrono)?tachygraphe\b/, /\b(?:chrono)?tachygraphe\b/]
+  }
+];
+const QUALIFICATION_BY_CODE = Object.fromEntries(QUALIFICATIONS.map(q => [q.code, q]));
+const qualificationTag = (q) => q.tag || q.label.toLowerCase();
+
+// Codes des permis et certifications mentionnés (ordre de la taxonomie)
+export function detectQualifications(text = '') {
+  const src = String(text || '').toLowerCase();
+  const found = new Set();
+  for (const m of src.matchAll(PERMIT_LIST_RE)) {
+    for (const token of m[1].split(/\s*(?:,|\/|\bet\b|\bou\b|-)\s*/)) {
+      const code = PERMIT_LIST_CODES[token.replace(/[\s+]/g, '')];
+      if (code) found.add(code);
+    }
+  }
+  for (const q of QUALIFICATIONS) {
+    if (q.patterns.some(re => re.test(src))) found.add(q.code);
+  }
+  for (const code of [...found]) {
+    for (const base of QUALIFICATION_BY_CODE[code].implies || []) found.add(base);
+  }
+  return QUALIFICATIONS.map(q => q.code).filter(code => found.has(code));
 }
 
 // Tags par profession (FR)
 const PROFESSION_TAGS = {
   'conducteur routier': [
-    'permis ce','permis c','spl','poids lourd','super poids lourd',
-    'fimo','fco','adr','matières dangereuses','tachygraphe',
+    'poids lourd','super poids lourd','matières dangereuses',
     'semi-remorque','remorque','solo','plateau','citerne','bâché','frigorifique',
     'distribution','navettes','régional','national','international',
     'travail de nuit','week-end','rotation','planification de tournée'
   ],
   'truck driver': ['class 1', 'class a', 'cdl', 'long haul', 'regional', 'local', 'tanker', 'flatbed', 'otr', 'hazmat'],
-  'chauffeur poids lourd': ['pl','spl','permIs c','permis ce','fimo','fco'],
+  'chauffeur poids lourd': ['pl','spl'],
   'warehouse': ['chariot','cariste','préparateur','expédition','réception','inventaire']
 };
 
@@ -272,7 +1245,10 @@ function extractTags({ title = '', company = '', html = '' }) {
   const text = `${title} ${company} ${convert(html || '', { wordwrap: 120 }).slice(0, 1000)}`.toLowerCase();
   const profKey = TARGET_PROFESSION.toLowerCase();
   const profTags = PROFESSION_TAGS[profKey] || PROFESSION_TAGS['conducteur routier'] || [];
-  const found = profTags.filter(tag => text.includes(tag));
+  // Mot entier : « permis c » ne doit pas correspondre dans « permis ce »
+  const found = profTags.filter(tag => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(tag)}($|[^\\p{L}\\p{N}])`, 'u').test(text));
+  // Permis et certifications : tags issus de la taxonomie (« permis ce », « fimo »…)
+  found.push(...detectQualifications(text).map(code => qualificationTag(QUALIFICATION_BY_CODE[code])));
 
   if (/(télétravail|remote|travail à distance)/i.test(text)) found.push('télétravail');
   if (/(temps plein|full[-\s]?time|plein temps)/i.test(text)) found.push('temps plein');
@@ -285,47 +1261,133 @@ function extractTags({ title = '', company = '', html = '' }) {
   return uniqNormTags(found);
 }
 
+// Extraction du salaire (FR + EN) : montants « 2 300 € », « 13,50 € de l'heure »,
+// « 35-40 k€ brut annuel », « EUR 2000-2500 par mois ». Chaque montant accompagné
+// d'une devise (ou de « k ») est un candidat, noté selon son contexte ; le mieux noté l'emporte.
+const SALARY_NUMBER = '\\d{1,3}(?:[ \\u00a0\\u202f.,]\\d{3})+(?:,\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?';
+const SALARY_CURRENCY = '€|euros?\\b|eur\\b|chf\\b|£|gbp\\b|\\$|usd\\b';
+const SALARY_AMOUNT = `(${SALARY_CURRENCY})?\\s*(${SALARY_NUMBER})\\s*(k(?=eur|[^a-zà-ÿ]|$))?\\s*(${SALARY_CURRENCY})?`;
+const SALARY_RE = new RegExp(`${SALARY_AMOUNT}(?:\\s*(?:-|–|—|à|et|to)\\s*${SALARY_AMOUNT})?`, 'gi');
+const SALARY_CURRENCIES = { '€': 'EUR', eur: 'EUR', euro: 'EUR', euros: 'EUR', chf: 'CHF', '£': 'GBP', gbp: 'GBP', '$': 'USD', usd: 'USD' };
+// Unité cherchée juste après le montant…
+const SALARY_UNIT_PATTERNS = [
+  ['HOUR', /\/\s*h(?:eure)?\b|de l['’]heure|par heure|horaire|per hour|hourly|\/\s*hr\b/i],
+  ['DAY', /\/\s*j(?:our)?\b|par jour|journali|per day|daily|\/\s*day\b/i],
+  ['WEEK', /\/\s*semaine|par semaine|hebdo|per week|weekly/i],
+  ['MONTH', /\/\s*mois|par mois|mensuel|per month|monthly|\/\s*month\b/i],
+  ['YEAR', /\/\s*an\b|par an\b|l['’]an\b|\/\s*année|par année|annuel|per year|annually|\/\s*yr\b|\bp\.?a\.?(?![a-z])/i]
+];
+// … sinon juste avant, sous forme d'adjectif (« taux horaire : 12 € », « salaire mensuel de 2 000 € »)
+const SALARY_UNIT_BEFORE = [
+  ['HOUR', /(horaire|hourly)[^\d]*$/i],
+  ['DAY', /(journali\w*|daily)[^\d]*$/i],
+  ['WEEK', /(hebdo\w*|weekly)[^\d]*$/i],
+  ['MONTH', /(mensuel\w*|monthly)[^\d]*$/i],
+  ['YEAR', /(annuel\w*|annual|yearly)[^\d]*$/i]
+];
+// Montants qui ne sont pas un salaire (primes, frais, chiffre d'affaires…)
+const SALARY_EXCLUDE_RE = /(prime|panier|indemnit|ticket|mutuelle|frais|bonus|repas|caution|rembours|chèque|cheque|acompte|avance|participation|capital|chiffre d['’]affaires|budget|amende)[^€\d]*$/i;
+const SALARY_CONTEXT_RE = /(salaire|rémunération|remuneration|rémunéré|taux horaire|paie|payé|salary|pay\b|gehalt|lohn)/i;
+// Bornes plausibles par unité : hors de ces bornes, le montant est écarté ou peu fiable
+const SALARY_BOUNDS = { HOUR: [9, 150], DAY: [60, 1500], WEEK: [300, 5000], MONTH: [1000, 20000], YEAR: [12000, 250000] };
+const SALARY_MIN_CONFIDENCE = 0.5; // en dessous, le salaire n'est pas retenu
+const SALARY_BASIS_LABELS = { GROSS: 'brut', NET: 'net' };
+// Salaire net → brut pour les montants annualisés (charges salariales ≈ 22 % dans le privé)
+const NET_TO_GROSS = 1 / 0.78;
+
+// « 2 300,50 » → 2300.5 ; « 2.300 » → 2300 ; « 13,50 » → 13.5
+function parseSalaryNumber(raw, kilo = false) {
+  const n = Number(String(raw)
+    .replace(/\s/g, '')
+    .replace(/[.,](?=\d{3}(?:\D|$))/g, '')
+    .replace(',', '.'));
+  return kilo ? n * 1000 : n;
+}
+
+// Unité déduite de l'ordre de grandeur quand le texte ne la précise pas
+function inferSalaryUnit(value, kilo) {
+  if (kilo || value >= 10000) return 'YEAR';
+  if (value >= 1000) return 'MONTH';
+  if (value >= 100) return 'DAY';
+  return 'HOUR';
+}
+
+/**
+ * Meilleur salaire trouvé dans un texte, ou null :
+ * { currency, min, max, unit, basis: 'GROSS' | 'NET' | null, confidence (0–1), text }.
+ * `structured` : texte issu d'un champ salaire dédié (flux, formulaire), plus fiable.
+ */
+export function parseSalary(text = '', { structured = false } = {}) {
+  const src = String(text || '');
+  let best = null;
+  for (const m of src.matchAll(SALARY_RE)) {
+    const [whole, cur1, num1, kilo1, cur2, cur3, num2, kilo2, cur4] = m;
+    const currencyToken = (cur1 || cur2 || cur3 || cur4 || '').toLowerCase();
+    if (!currencyToken && !kilo1 && !kilo2) continue;
+    const before = src.slice(Math.max(0, m.index - 40), m.index);
+    const after = src.slice(m.index + whole.length, m.index + whole.length + 30);
+    if (SALARY_EXCLUDE_RE.test(before)) continue;
+
+    let min = parseSalaryNumber(num1, Boolean(kilo1));
+    let max = num2 ? parseSalaryNumber(num2, Boolean(kilo2)) : null;
+    if (kilo2 && !kilo1 && min < 1000) min *= 1000; // « 35-40 k€ »
+    if (max != null && max < min) max = null; // « 12 € et 2 jours » : pas une fourchette
+    if (!(min > 0)) continue;
+    if (max == null && /(jusqu['’]à|max(?:imum)?|up to)\s*$/i.test(before)) [min, max] = [null, min];
+
+    const explicit = SALARY_UNIT_PATTERNS.find(([, re]) => re.test(after))
+      || SALARY_UNIT_BEFORE.find(([, re]) => re.test(before.slice(-25)));
+    const reference = min ?? max;
+    const unit = explicit ? explicit[0] : inferSalaryUnit(reference, Boolean(kilo1 || kilo2));
+    const context = SALARY_CONTEXT_RE.test(before);
+    const [low, high] = SALARY_BOUNDS[unit];
+    const plausible = [min, max].every(v => v == null || (v >= low && v <= high));
+    if (!explicit && (!plausible || (unit === 'DAY' && !context))) continue;
+
+    const basisMatch = `${before.slice(-15)} ${after}`.match(/\b(brut|bruts|brute|gross|net|nets|nette)\b/i);
+    const basis = basisMatch ? (/^(net|nets|nette)$/i.test(basisMatch[1]) ? 'NET' : 'GROSS') : null;
+
+    let confidence = 0.3
+      + (currencyToken ? 0.25 : 0)
+      + (explicit ? 0.25 : 0.05)
+      + (context ? 0.1 : 0)
+      + (basis ? 0.05 : 0)
+      + (max != null && min != null ? 0.05 : 0)
+      + (structured ? 0.2 : 0);
+    if (!plausible) confidence *= 0.3;
+    confidence = Math.round(Math.min(1, confidence) * 100) / 100;
+
+    if (!best || confidence > best.confidence) {
+      best = {
+        currency: SALARY_CURRENCIES[currencyToken] || 'EUR',
+        min, max, unit, basis, confidence,
+        text: whole.trim()
+      };
+    }
+  }
+  return best;
+}
+
+// Montant annuel brut (filtre « salaire min »), null si l'unité est inconnue
+function annualSalary(value, unit, basis) {
+  if (!value || !UNITS_PER_YEAR[unit]) return null;
+  return Math.round(value * UNITS_PER_YEAR[unit] * (basis === 'NET' ? NET_TO_GROSS : 1));
+}
+
 // Analyse méta (FR + EN)
 function parseMeta(textHTML = '', title = '') {
   const text = (convert(textHTML || '', { wordwrap: 1000 }) + ' ' + (title || '')).toLowerCase();
 
   let employmentType = 'FULL_TIME';
   if (/(temps partiel|part[-\s]?time|mi-temps)\b/i.test(text)) employmentType = 'PART_TIME';
-  else if (/(cdd|intérim|interim|contrat|contractor|zeitarbeit|befristet)\b/i.test(text)) employmentType = 'CONTRACTOR';
+  else if (/\bcdi\b/i.test(text)) employmentType = 'FULL_TIME';
+  // CDD et intérim sont des contrats salariés à durée limitée (TEMPORARY) ; CONTRACTOR = prestataire indépendant
+  else if (/\b(cdd|int[ée]rim\w*|temporaire|saisonni\w+|seasonal|zeitarbeit|befristet)\b/i.test(text)) employmentType = 'TEMPORARY';
   else if (/(stage|stagiaire|internship|praktikum)\b/i.test(text)) employmentType = 'INTERN';
-  else if (/(temporaire|seasonal|saison)/i.test(text)) employmentType = 'TEMPORARY';
+  else if (/\b(freelance|auto-?entrepreneur|micro-?entrepreneur|contractor)\b/i.test(text)) employmentType = 'CONTRACTOR';
 
   const isRemote = /(télétravail|remote|travail à distance|home office|homeoffice|telecommute)/i.test(text);
-
-  // Unité de salaire
-  let unit = 'HOUR';
-  if (/\b(an|année|annuel|par an|year|annually|per year)\b/i.test(text)) unit = 'YEAR';
-  else if (/\b(mois|mensuel|par mois|month|monthly|per month)\b/i.test(text)) unit = 'MONTH';
-  else if (/\b(semaine|hebdo|par semaine|week|weekly|per week)\b/i.test(text)) unit = 'WEEK';
-  else if (/\b(jour|journalier|par jour|day|daily|per day)\b/i.test(text)) unit = 'DAY';
-  else if (/\b(heure|horaire|par heure|hour|hourly|per hour)\b/i.test(text)) unit = 'HOUR';
-
-  // Devise & plages
-  let currency = null, min = null, max = null;
-  const cMatch = text.match(/\b(eur|euro|usd|chf|gbp)\b|[€$£]/i);
-  if (cMatch) {
-    const c = cMatch[0].toUpperCase();
-    currency = (c === '€' || c === 'EUR' || c === 'EURO') ? 'EUR'
-      : (c === '$' || c === 'USD') ? 'USD'
-      : (c === '£' || c === 'GBP') ? 'GBP'
-      : (c === 'CHF') ? 'CHF' : null;
-  }
-  const range = text.match(/(\d{1,2}[.,]?\d{3,6})\s*[-–—à]\s*(\d{1,2}[.,]?\d{3,6})/i);
-  if (range) {
-    min = Number(range[1].replace(/[.,]/g, ''));
-    max = Number(range[2].replace(/[.,]/g, ''));
-  } else {
-    const one = text.match(/(?:à partir de|dès|from|de|von)\s*(\d{1,2}[.,]?\d{3,6})|(\d{1,2}[.,]?\d{3,6})\s*(?:\+|jusqu'?à|bis)/i);
-    if (one) {
-      const val = one[1] || one[2];
-      min = Number(String(val || '').replace(/[.,]/g, ''));
-    }
-  }
+  const qualifications = detectQualifications(text);
 
   // Expérience
   let experienceRequirements = null;
@@ -343,7 +1405,9 @@ function parseMeta(textHTML = '', title = '') {
   return {
     employmentType,
     isRemote,
-    salary: (currency && (min || max)) ? { currency, min, max, unit } : null,
+    salary: parseSalary(text),
+    qualifications,
+    occupation: classifyRome({ title, text, qualifications }),
     experienceRequirements,
     experienceInPlaceOfEducation
   };
@@ -370,18 +1434,12 @@ function getCountryFromHost(siteUrl) {
 /**
  * Toujours renvoyer un jobLocation valide.
  */
-function inferJobLocations(html = '', title = '', siteUrl = SITE_URL) {
+function inferJobLocations(html = '', title = '', siteUrl = SITE_URL, knownCity = null) {
   const country = getCountryFromHost(siteUrl);
-  const text = (convert(html || '', { wordwrap: 1000 }) + ' ' + (title || '')).toLowerCase();
-
-  const citiesFR = ['paris','lyon','marseille','toulouse','lille','bordeaux','nantes','strasbourg','rennes','montpellier','nice','grenoble','dijon','angers','tours','reims','saint-étienne','toulon','le havre','clermont-ferrand'];
-  let city = null;
-  for (const c of citiesFR) {
-    if (text.includes(c)) { city = c; break; }
-  }
+  const city = locateJob(html, title, knownCity)?.city;
 
   const address = city
-    ? { "@type": "PostalAddress", "addressLocality": city[0].toUpperCase() + city.slice(1), "addressCountry": country }
+    ? { "@type": "PostalAddress", "addressLocality": city, "addressCountry": country }
     : { "@type": "PostalAddress", "addressCountry": country };
 
   return [{
@@ -391,17 +1449,99 @@ function inferJobLocations(html = '', title = '', siteUrl = SITE_URL) {
 }
 
 const UNIT_LABELS = { YEAR: 'an', MONTH: 'mois', WEEK: 'semaine', DAY: 'jour', HOUR: 'heure' };
+// À incrémenter quand le calcul change : les offres existantes sont recalculées au démarrage
+const FACETS_VERSION = 6;
+// Conversion en salaire annuel : 35 h × 52 semaines, 218 jours travaillés
+const UNITS_PER_YEAR = { YEAR: 1, MONTH: 12, WEEK: 52, DAY: 218, HOUR: 1820 };
+
+/**
+ * Champs filtrables d'une offre (colonnes de jobs), calculés une fois à l'import
+ * à partir de la description et des champs structurés du flux.
+ */
+function computeJobFacets({ html = '', title = '', salary_text = null, contract_text = null, city = null }) {
+  const meta = parseMeta([html, salary_text, contract_text].filter(Boolean).join(' '), title);
+  // Le type de contrat structuré (flux, formulaire) prime sur celui deviné dans le texte
+  const employmentType = contract_text ? parseMeta(contract_text).employmentType : meta.employmentType;
+  // Le champ salaire structuré prime, sauf si le texte donne un montant plus sûr
+  const salary = [salary_text ? parseSalary(salary_text, { structured: true }) : null, meta.salary]
+    .filter(s => s && s.confidence >= SALARY_MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)[0] || null;
+  return {
+    employment_type: employmentType,
+    is_remote: meta.isRemote ? 1 : 0,
+    salary_min: salary?.min || null,
+    salary_max: salary?.max || null,
+    salary_currency: salary?.currency || null,
+    salary_unit: salary?.unit || null,
+    salary_basis: salary?.basis || null,
+    salary_confidence: salary?.confidence ?? null,
+    salary_year_min: salary ? annualSalary(salary.min, salary.unit, salary.basis) : null,
+    salary_year_max: salary ? annualSalary(salary.max, salary.unit, salary.basis) : null,
+    qualifications: meta.qualifications.length ? JSON.stringify(meta.qualifications) : null,
+    rome_code: meta.occupation?.code || null,
+    rome_method: meta.occupation ? 'rules' : null,
+    experience: meta.experienceRequirements,
+    experience_in_place: meta.experienceInPlaceOfEducation ? 1 : 0,
+    city: null, postcode: null, department: null, region: null, lat: null, lon: null,
+    ...locateJob(html, title, city),
+    facets_version: FACETS_VERSION
+  };
+}
+
+// Recalcule et enregistre les facettes d'une offre, sur le même texte qu'à l'import :
+// la description d'origine du flux tant qu'elle n'a pas été remplacée à la main
+export function refreshJobFacets(job) {
+  stmtSetJobFacets.run({
+    id: job.id,
+    ...computeJobFacets({
+      html: job.source_html ?? job.description_html, title: job.title,
+      salary_text: job.salary_text, contract_text: job.contract_text, city: job.city
+    })
+  });
+}
+
+// Méta d'une offre au format de parseMeta, depuis les colonnes stockées
+// Codes de permis et certifications enregistrés pour une offre
+function jobQualifications(job) {
+  try {
+    return JSON.parse(job.qualifications || '[]').filter(code => QUALIFICATION_BY_CODE[code]);
+  } catch {
+    return [];
+  }
+}
+
+function jobMeta(job) {
+  if (!job.employment_type) {
+    const metaSource = [job.description_html || '', job.salary_text, job.contract_text].filter(Boolean).join(' ');
+    const meta = parseMeta(metaSource, job.title || '');
+    return { ...meta, salary: meta.salary?.confidence >= SALARY_MIN_CONFIDENCE ? meta.salary : null };
+  }
+  return {
+    employmentType: job.employment_type,
+    isRemote: Boolean(job.is_remote),
+    salary: (job.salary_currency && (job.salary_min || job.salary_max))
+      ? {
+        currency: job.salary_currency, min: job.salary_min, max: job.salary_max, unit: job.salary_unit,
+        basis: job.salary_basis, confidence: job.salary_confidence
+      }
+      : null,
+    qualifications: jobQualifications(job),
+    experienceRequirements: job.experience,
+    experienceInPlaceOfEducation: Boolean(job.experience_in_place)
+  };
+}
 
 // Contenu AI
-async function rewriteJobRich({ title, company, html }, useAI = false) {
-  const plain = convert(html || '', {
-    wordwrap: 120,
-    selectors: [{ selector: 'a', options: { ignoreHref: true } }]
-  }).slice(0, 9000);
-
-  const fallback = () => {
-    const paragraphs = plain.split(/\n+/).filter(Boolean).slice(0, 6).map(p => `<p>${escapeHtml(p)}</p>`).join('\n');
-    const fallbackHTML = `
+const rewritePlainText = (html) => convert(html || '', {
+  wordwrap: 120,
+  selectors: [{ selector: 'a', options: { ignoreHref: true } }]
+}).slice(0, 9000);
+
+// Description de secours, sans IA : instantanée, publiée à l'import en attendant la file IA
+function rewriteJobFallback({ title, company, html }) {
+  const plain = rewritePlainText(html);
+  const paragraphs = plain.split(/\n+/).filter(Boolean).slice(0, 6).map(p => `<p>${escapeHtml(p)}</p>`).join('\n');
+  const fallbackHTML = `
 <section><h2>À propos du poste</h2>${paragraphs || '<p>Détails fournis par l’employeur.</p>'}</section>
 <section><h2>Responsabilités</h2><ul><li>Réaliser les missions décrites.</li></ul></section>
 <section><h2>Profil recherché</h2><ul><li>Expérience pertinente ou motivation à apprendre.</li></ul></section>
@@ -411,16 +1551,21 @@ async function rewriteJobRich({ title, company, html }, useAI = false) {
 <section><h2>Candidater</h2><p>Utilisez le bouton “Postuler”.</p></section>
 `.trim();
 
-    return {
-      short: truncateWords(plain, 45),
-      html: sanitizeHtml(fallbackHTML),
-      tags: extractTags({ title, company, html }),
-      usedAI: false
-    };
+  return {
+    short: truncateWords(plain, 45),
+    html: sanitizeHtml(fallbackHTML),
+    tags: extractTags({ title, company, html }),
+    usedAI: false
   };
+}
 
-  if (!HAS_OPENAI || !useAI || !openai) return fallback();
-
+/**
+ * Réécriture par l'IA ; lève l'erreur de l'API (status 429 compris) pour que l'appelant
+ * décide : description de secours (rewriteJobRich) ou nouvelle tentative (file IA).
+ * `requestOptions` est transmis au client OpenAI (ex. { maxRetries: 0 }).
+ */
+async function rewriteJobAI({ title, company, html }, requestOptions = {}) {
+  const plain = rewritePlainText(html);
   const system = `
 Tu es un éditeur senior de contenus d'offres pour ${TARGET_PROFESSION}. Rédige naturellement en ${TARGET_LANG}.
 CONTRAT DE SORTIE — renvoie EXACTEMENT ces trois blocs dans cet ordre :
@@ -464,49 +1609,62 @@ Entreprise: ${company || 'N/A'}
 Texte:
 ${plain}`;
 
-  try {
-    const resp = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      temperature: 0.2,
-      messages: [
-        { role: "system", content: system },
-        { role: "user", content: user }
-      ]
-    });
+  const resp = await openai.chat.completions.create({
+    model: "gpt-4o-mini",
+    temperature: 0.2,
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: user }
+    ]
+  }, requestOptions);
 
-    const out = resp.choices?.[0]?.message?.content || '';
-    const descMatch = out.match(/===DESCRIPTION===\s*([\s\S]*?)\s*===HTML===/i);
-    const htmlMatch = out.match(/===HTML===\s*([\s\S]*?)\s*===TAGS===/i);
-    const tagsMatch = out.match(/===TAGS===\s*([\s\S]*)$/i);
+  const out = resp.choices?.[0]?.message?.content || '';
+  const descMatch = out.match(/===DESCRIPTION===\s*([\s\S]*?)\s*===HTML===/i);
+  const htmlMatch = out.match(/===HTML===\s*([\s\S]*?)\s*===TAGS===/i);
+  const tagsMatch = out.match(/===TAGS===\s*([\s\S]*)$/i);
 
-    let short = (descMatch?.[1] || '').trim();
-    if (!short) short = convert(out, { wordwrap: 120 }).slice(0, 300);
-    short = convert(short, { wordwrap: 120 }).trim().slice(0, 600);
+  let short = (descMatch?.[1] || '').trim();
+  if (!short) short = convert(out, { wordwrap: 120 }).slice(0, 300);
+  short = convert(short, { wordwrap: 120 }).trim().slice(0, 600);
 
-    let htmlOut = (htmlMatch?.[1] || '').trim();
-    if (!htmlOut) {
-      htmlOut = `<section><h2>À propos du poste</h2><p>${escapeHtml(short)}</p></section>`;
-    }
-    htmlOut = stripDocumentTags(htmlOut);
-    if (htmlOut.length < 50) {
-      htmlOut = `<section><h2>À propos du poste</h2><p>${escapeHtml(short)}</p></section>`;
-    }
+  let htmlOut = (htmlMatch?.[1] || '').trim();
+  if (!htmlOut) {
+    htmlOut = `<section><h2>À propos du poste</h2><p>${escapeHtml(short)}</p></section>`;
+  }
+  htmlOut = stripDocumentTags(htmlOut);
+  if (htmlOut.length < 50) {
+    htmlOut = `<section><h2>À propos du poste</h2><p>${escapeHtml(short)}</p></section>`;
+  }
 
-    let tagsParsed = null;
-    try {
-      const m = (tagsMatch?.[1] || '').match(/\[[\s\S]*\]/);
-      if (m) tagsParsed = JSON.parse(m[0]);
-    } catch { /* noop */ }
+  let tagsParsed = null;
+  try {
+    const m = (tagsMatch?.[1] || '').match(/\[[\s\S]*\]/);
+    if (m) tagsParsed = JSON.parse(m[0]);
+  } catch { /* noop */ }
 
-    const tags = uniqNormTags(tagsParsed || extractTags({ title, company, html }));
+  const tags = uniqNormTags(tagsParsed || extractTags({ title, company, html }));
+
+  return { short, html: sanitizeHtml(htmlOut), tags, usedAI: true };
+}
 
-    return { short, html: sanitizeHtml(htmlOut), tags, usedAI: true };
+// Réécriture immédiate (dépôt d'offre, admin) : description de secours si l'IA échoue
+async function rewriteJobRich(input, useAI = false) {
+  if (!HAS_OPENAI || !useAI || !openai) return rewriteJobFallback(input);
+  try {
+    return await rewriteJobAI(input);
   } catch (e) {
     console.error('OpenAI error:', e.message);
-    return fallback();
+    return rewriteJobFallback(input);
   }
 }
 
+function replaceTagsForJob(jobId, tags = []) {
+  db.transaction(() => {
+    stmtDeleteJobTags.run(jobId);
+    upsertTagsForJob(jobId, tags);
+  })();
+}
+
 function upsertTagsForJob(jobId, tags = []) {
   const insertTag = db.transaction((names) => {
     for (const name of names) {
@@ -520,340 +1678,2385 @@ function upsertTagsForJob(jobId, tags = []) {
 }
 
 // ========================================
-// TRAITEMENT DU FLUX (avec limite IA)
+// RECHERCHE PLEIN TEXTE
 // ========================================
-let FEED_RUNNING = false;
+const FTS_STOPWORDS = new Set(['de', 'du', 'des', 'la', 'le', 'les', 'l', 'd', 'et', 'en', 'un', 'une', 'au', 'aux', 'pour', 'h', 'f']);
 
-export async function processFeed() {
-  if (FEED_RUNNING) {
-    console.log('Traitement du flux déjà en cours, on ignore…');
-    return;
+const foldAccents = (s = '') => String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Traduit une saisie libre en requête FTS5 sûre : "expressions entre guillemets"
+ * conservées, autres mots sans accents, singularisés (s/x final) et en préfixe.
+ */
+function buildFtsQuery(q = '') {
+  const parts = [];
+  for (const m of String(q).matchAll(/"([^"]+)"|([\p{L}\p{N}]+)/gu)) {
+    if (m[1]) {
+      const words = m[1].match(/[\p{L}\p{N}]+/gu);
+      if (words) parts.push(`"${words.map(foldAccents).join(' ')}"`);
+      continue;
+    }
+    let term = foldAccents(m[2]);
+    if (FTS_STOPWORDS.has(term)) continue;
+    if (term.length > 3) term = term.replace(/[sx]$/, '');
+    parts.push(term.length > 2 ? `"${term}"*` : `"${term}"`);
   }
-  if (!FEED_URL) {
-    console.log('Aucune FEED_URL configurée');
-    return;
+  return parts.slice(0, 12).join(' ');
+}
+
+// Curseur de recherche : clé de tri (score bm25 ou distance) et id
+const encodeSearchCursor = (row) => Buffer.from(`${row.sort_key}:${row.id}`).toString('base64url');
+function decodeSearchCursor(cursor) {
+  const raw = Buffer.from(String(cursor || ''), 'base64url').toString('utf8');
+  const idx = raw.lastIndexOf(':');
+  const key = Number(raw.slice(0, idx));
+  const id = Number(raw.slice(idx + 1));
+  return (idx > 0 && Number.isFinite(key) && id) ? { key, id } : null;
+}
+
+const renderHighlight = (s = '') => escapeHtml(s).replace(/\u0001/g, '<mark>').replace(/\u0002/g, '</mark>');
+
+// ========================================
+// GÉOLOCALISATION (gazetteer des communes)
+// ========================================
+// data/communes.json : communes françaises avec codes postaux et coordonnées
+// (généré par data/build-communes.mjs), chargé en mémoire au démarrage.
+const placeKey = (s = '') => foldAccents(s).replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Noms de communes qui sont aussi des mots courants dans une offre : ignorés sans préposition de lieu
+const PLACE_STOPWORDS = new Set([
+  'job', 'us', 'publier', 'bonne', 'cast', 'don', 'rue', 'die', 'bras', 'brie', 'caux', 'sand', 'vue', 'isle',
+  'prat', 'leon', 'yves', 'remy', 'gray', 'lent', 'sens', 'orange', 'mer', 'ham', 'bourg', 'mont', 'roche',
+  'bains', 'signes', 'gap', 'lure', 'hem', 'gan', 'pia', 'mus', 'drap', 'erre', 'cars', 'ger', 'mons', 'mane',
+  'mens', 'fors', 'bias', 'avion', 'marines', 'plan', 'charge', 'moyen'
+]);
+// Prépositions qui annoncent un lieu : « basé à Rungis », « secteur Roissy »
+const PLACE_CONTEXT = /(?:^|\s)(?:à|a|sur|secteur|proche de|près de|proximité de|région de|agence de|site de|dépôt de)\s*$/i;
+
+const GAZETTEER = { byName: new Map(), byPostcode: new Map(), maxWords: 1 };
+try {
+  const raw = JSON.parse(fs.readFileSync(path.join(APP_DIR, 'data', 'communes.json'), 'utf8'));
+  // Classées par population décroissante : en cas d'homonymie, la plus peuplée l'emporte
+  for (const [name, insee, department, regionCode, postcodes, lat, lon, population] of raw.communes) {
+    const commune = { name, insee, department, region: raw.regions[regionCode] || null, postcodes, lat, lon, population };
+    const key = placeKey(name);
+    if (!GAZETTEER.byName.has(key)) GAZETTEER.byName.set(key, commune);
+    GAZETTEER.maxWords = Math.max(GAZETTEER.maxWords, key.split(' ').length);
+    for (const pc of postcodes) {
+      if (!GAZETTEER.byPostcode.has(pc)) GAZETTEER.byPostcode.set(pc, commune);
+    }
   }
+} catch (e) {
+  console.error('Gazetteer des communes indisponible (data/communes.json) :', e.message);
+}
 
-  FEED_RUNNING = true;
-  try {
-    console.log(`\nRécupération du flux XML : ${FEED_URL}`);
-    console.log(`Filtrage pour la profession : ${TARGET_PROFESSION}`);
-    console.log(`Mots-clés : ${PROFESSION_KEYWORDS.join(', ')}`);
-    console.log(`Traitement IA : ${AI_PROCESS_LIMIT === 0 ? 'Illimité' : `Premières ${AI_PROCESS_LIMIT} offres`}`);
-    console.log('Démarrage du parseur XML en streaming…\n');
-
-    const response = await fetch(FEED_URL);
-    const stream = response.body;
-
-    let matched = 0;
-    let processed = 0;
-    let skipped = 0;
-    let aiEnhanced = 0;
-    let fallbackUsed = 0;
-
-    const batchSize = 100;
-    const insertBatch = db.transaction((jobs) => {
-      for (const job of jobs) {
-        stmtInsertJob.run(job);
-        const inserted = stmtHasGuid.get(job.guid);
-        if (inserted) {
-          upsertTagsForJob(inserted.id, job.tags_csv.split(', ').filter(Boolean));
-        }
-      }
-    });
+const placeFromCommune = (c, postcode = null) => ({
+  city: c.name,
+  postcode: postcode || c.postcodes[0],
+  department: c.department,
+  region: c.region,
+  lat: c.lat,
+  lon: c.lon
+});
 
-    let batch = [];
-    let currentItem = null;
-    let currentTag = '';
-    let currentText = '';
+/**
+ * Commune d'une saisie libre (« Lyon », « 69007 », « Lyon (69) »), ou null.
+ */
+function findCommune(query = '') {
+  const s = String(query || '').trim();
+  const pc = s.match(/\b(\d{5})\b/);
+  if (pc && GAZETTEER.byPostcode.has(pc[1])) return { commune: GAZETTEER.byPostcode.get(pc[1]), postcode: pc[1] };
+  const key = placeKey(s.replace(/\(.*?\)|\d+/g, ' '));
+  const commune = GAZETTEER.byName.get(key) || GAZETTEER.byName.get(key.replace(/ cedex$/, ''));
+  return commune ? { commune, postcode: null } : null;
+}
 
-    const parser = sax.createStream(true, { trim: true, normalize: true });
+/**
+ * Commune citée dans le texte d'une offre. Un code postal n'est retenu que s'il est
+ * entre parenthèses ou accompagné du nom de sa commune (sinon « 28000 € » serait Chartres) ;
+ * un nom doit commencer par une majuscule et être assez peuplé, ou annoncé par « à », « secteur »…
+ */
+export function detectCommune(text = '') {
+  const folded = placeKey(text);
+  for (const m of text.matchAll(/(\()?\b(\d{2}) ?(\d{3})\b/g)) {
+    const pc = m[2] + m[3];
+    const commune = GAZETTEER.byPostcode.get(pc);
+    if (commune && (m[1] || folded.includes(placeKey(commune.name)))) return { commune, postcode: pc };
+  }
 
-    parser.on('opentag', (node) => {
-      currentTag = node.name.toLowerCase();
-      currentText = '';
-      if (currentTag === 'job' || currentTag === 'item') {
-        currentItem = { title: '', description: '', company: '', link: '', guid: '', pubDate: new Date().toISOString() };
-      }
-    });
+  const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+  let best = null;
+  for (let i = 0; i < words.length; i++) {
+    if (!/^\p{Lu}/u.test(words[i][0])) continue;
+    // Correspondance la plus longue à partir de ce mot (« Saint-Priest », « L'Isle-d'Abeau »)
+    for (let n = Math.min(GAZETTEER.maxWords, words.length - i); n >= 1; n--) {
+      const key = placeKey(words.slice(i, i + n).map(w => w[0]).join(' '));
+      const commune = GAZETTEER.byName.get(key);
+      if (!commune || key.length < 3) continue;
+      const before = text.slice(Math.max(0, words[i].index - 20), words[i].index);
+      const announced = PLACE_CONTEXT.test(before);
+      // « Orange », « Gap » : retenus seulement s'ils sont annoncés comme un lieu
+      if (!announced && PLACE_STOPWORDS.has(key)) continue;
+      const score = Math.log10(commune.population + 1) + (announced ? 3 : 0);
+      if (score >= 4 && (!best || score > best.score)) best = { commune, score };
+      break;
+    }
+  }
+  return best ? { commune: best.commune, postcode: null } : null;
+}
 
-    parser.on('text', (text) => { currentText += text; });
-    parser.on('cdata', (text) => { currentText += text; });
+/**
+ * Lieu d'une offre : ville fournie par le flux si elle est connue du gazetteer,
+ * sinon commune détectée dans l'intitulé et la description.
+ */
+function locateJob(html = '', title = '', knownCity = null) {
+  const fromFeed = knownCity ? findCommune(knownCity) : null;
+  const text = `${title || ''}\n${convert(html || '', { wordwrap: false })}`;
+  if (fromFeed && !fromFeed.postcode) {
+    // « Lyon » dans le flux, « 69007 » dans la description
+    fromFeed.postcode = fromFeed.commune.postcodes.find(pc => text.includes(pc)) || null;
+  }
+  const found = fromFeed || detectCommune(text);
+  if (found) return placeFromCommune(found.commune, found.postcode);
+  if (knownCity) {
+    const city = String(knownCity).trim();
+    return { city: city[0].toUpperCase() + city.slice(1) };
+  }
+  return null;
+}
 
-    parser.on('closetag', (tagName) => {
-      tagName = tagName.toLowerCase();
-      if (!currentItem) return;
-
-      switch (tagName) {
-        case 'title': currentItem.title = currentText.trim(); break;
-        case 'description': currentItem.description = currentText.trim(); break;
-        case 'company': currentItem.company = currentText.trim(); break;
-        case 'url':
-        case 'link': currentItem.link = currentText.trim(); break;
-        case 'guid':
-        case 'referencenumber':
-          if (!currentItem.guid) currentItem.guid = currentText.trim();
-          break;
-        case 'pubdate':
-        case 'date_updated': currentItem.pubDate = currentText.trim(); break;
-      }
+// Distance orthodromique (formule de haversine), exposée à SQLite pour trier par distance
+function haversineKm(lat1, lon1, lat2, lon2) {
+  if (lat1 == null || lon1 == null || lat2 == null || lon2 == null) return null;
+  const rad = (d) => d * Math.PI / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2
+    + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+db.function('distance_km', { deterministic: true }, haversineKm);
 
-      if (tagName === 'job' || tagName === 'item') {
-        processed++;
-        if (processed % 10000 === 0) {
-          console.log(`Traité ${processed.toLocaleString()} éléments (retenus : ${matched.toLocaleString()}, ignorés : ${skipped.toLocaleString()})`);
-        }
+// ========================================
+// MÉTIERS (codes ROME)
+// ========================================
+// data/rome.json : fiches ROME du transport et de la logistique, avec pour chacune les
+// expressions caractéristiques de l'intitulé et de la description. Classement hors ligne
+// par score (intitulé 5, description 1, permis typique 2) ; en cas d'échec, l'IA peut
+// choisir parmi les mêmes codes (ROME_AI_FALLBACK=1).
+const ROME_TITLE_WEIGHT = 5;
+const ROME_TEXT_WEIGHT = 1;
+const ROME_QUALIFICATION_WEIGHT = 2;
+const ROME_MIN_SCORE = 4; // un intitulé caractéristique, ou plusieurs indices concordants
+const occupationKey = (s = '') => foldAccents(s).replace(/[^a-z0-9]+/g, ' ').trim();
+
+const ROME = { codes: [], byCode: new Map() };
+try {
+  const raw = JSON.parse(fs.readFileSync(path.join(APP_DIR, 'data', 'rome.json'), 'utf8'));
+  for (const c of raw.codes) {
+    const entry = {
+      code: c.code, label: c.label, short: c.short || c.label, isco: c.isco || null,
+      title: c.title.map(occupationKey), text: c.text.map(occupationKey), qualifications: c.qualifications || []
+    };
+    ROME.codes.push(entry);
+    ROME.byCode.set(entry.code, entry);
+  }
+} catch (e) {
+  console.error('Référentiel ROME indisponible (data/rome.json) :', e.message);
+}
 
-        const guid = currentItem.guid || currentItem.link || `job-${processed}`;
-        if (stmtHasGuid.get(guid)) {
-          skipped++;
-          currentItem = null;
-          return;
-        }
-        if (!matchesProfession(currentItem.title, currentItem.company, currentItem.description)) {
-          skipped++;
-          currentItem = null;
-          return;
-        }
+/**
+ * Code ROME le plus probable : { code, score } ou null si aucun ne se détache
+ * (score insuffisant ou égalité entre deux métiers).
+ */
+function classifyRome({ title = '', text = '', qualifications = [] }) {
+  const t = ` ${occupationKey(title)} `;
+  const d = ` ${occupationKey(text)} `;
+  const scores = ROME.codes.map(c => {
+    let score = 0;
+    for (const kw of c.title) {
+      if (t.includes(` ${kw} `)) score += ROME_TITLE_WEIGHT;
+      else if (d.includes(` ${kw} `)) score += ROME_TEXT_WEIGHT;
+    }
+    for (const kw of c.text) {
+      if (d.includes(` ${kw} `) || t.includes(` ${kw} `)) score += ROME_TEXT_WEIGHT;
+    }
+    score += c.qualifications.filter(q => qualifications.includes(q)).length * ROME_QUALIFICATION_WEIGHT;
+    return { code: c.code, score };
+  }).sort((a, b) => b.score - a.score);
+  const [best, second] = scores;
+  if (!best || best.score < ROME_MIN_SCORE || best.score === second?.score) return null;
+  return best;
+}
 
-        matched++;
-        batch.push({
-          rawTitle: currentItem.title,
-          rawCompany: currentItem.company,
-          rawDescription: currentItem.description,
-          guid,
-          source: new URL(FEED_URL).hostname,
-          url: currentItem.link,
-          published_at: unixtime(currentItem.pubDate)
-        });
-        currentItem = null;
-      }
+// Repli IA : choix contraint parmi les codes du référentiel, null si l'IA ne tranche pas
+async function classifyRomeAI({ title = '', company = '', html = '' }) {
+  if (!HAS_OPENAI || !openai || !ROME.codes.length) return null;
+  const plain = convert(html || '', { wordwrap: 120 }).slice(0, 3000);
+  try {
+    const resp = await openai.chat.completions.create({
+      model: "gpt-4o-mini",
+      temperature: 0,
+      messages: [
+        {
+          role: "system",
+          content: `Classe l'offre d'emploi dans UNE fiche ROME de cette liste, ou réponds AUCUN si aucune ne convient.
+Réponds uniquement par le code (ex. N4101) ou AUCUN.
+${ROME.codes.map(c => `${c.code} : ${c.label}`).join('\n')}`
+        },
+        { role: "user", content: `Titre : ${title}\nEntreprise : ${company || 'N/A'}\nTexte :\n${plain}` }
+      ]
     });
+    const code = (resp.choices?.[0]?.message?.content || '').toUpperCase().match(/\b[A-N]\d{4}\b/)?.[0];
+    return code && ROME.byCode.has(code) ? code : null;
+  } catch (e) {
+    console.error('Classement ROME IA :', e.message);
+    return null;
+  }
+}
 
-    parser.on('error', (err) => {
-      console.error('Erreur SAX :', err.message);
-    });
+// ========================================
+// ENTREPRISES (normalisation, agences d'intérim)
+// ========================================
+// Le champ company des flux est libre : « Adecco », « ADECCO France » et « Adecco Lyon »
+// désignent la même entreprise. Chaque nom reçu devient un alias d'une ligne de companies,
+// retrouvée par sa clé normalisée (companyKey). Les agences d'intérim sont repérées par
+// data/interim-agencies.json, par leur nom (« … Intérim », « travail temporaire ») ou par
+// la description (« pour le compte de notre client ») ; l'admin a le dernier mot.
+const COMPANY_STOPWORDS = new Set(['sa', 'sas', 'sasu', 'sarl', 'eurl', 'snc', 'sca', 'scop', 'sci', 'gie', 'ltd', 'gmbh', 'inc', 'cie',
+  'groupe', 'group', 'france', 'fr', 'the']);
+const AGENCY_NAME_RE = /\b(?:interim|travail temporaire|ett|agence d emploi)\b/;
+const AGENCY_TEXT_RE = /\b(?:pour (?:le compte d (?:un|une|notre) |le compte de (?:notre|nos) |l un de nos |(?:notre|nos|un) )clients?|agence (?:d emploi|d interim|de travail temporaire)|entreprise de travail temporaire)\b/;
 
-    await new Promise((resolve, reject) => {
-      stream.pipe(parser);
-
-      parser.on('end', async () => {
-        if (batch.length > 0) {
-          console.log(`\nTraitement de ${batch.length} offres retenues…`);
-          const processedBatch = [];
-          for (let i = 0; i < batch.length; i++) {
-            const rawJob = batch[i];
-            const shouldUseAI = (AI_PROCESS_LIMIT === 0) || (aiEnhanced < AI_PROCESS_LIMIT);
-            const { short, html, tags, usedAI } = await rewriteJobRich(
-              { title: rawJob.rawTitle, company: rawJob.rawCompany, html: rawJob.rawDescription },
-              shouldUseAI
-            );
-
-            if (usedAI) {
-              aiEnhanced++;
-              if (aiEnhanced % 10 === 0) console.log(`IA appliquée : ${aiEnhanced} offres…`);
-            } else {
-              fallbackUsed++;
-            }
+/**
+ * Clé de regroupement d'un nom d'entreprise : sans accents, formes juridiques, précisions
+ * entre parenthèses ou après un tiret, ni ville finale (« Transports Dupont - Agence de Lyon »).
+ */
+function companyKey(name = '') {
+  const head = foldAccents(name).replace(/\(.*?\)/g, ' ').split(/\s[-–|/]\s/)[0];
+  let words = placeKey(head).split(' ').filter(w => w && !COMPANY_STOPWORDS.has(w));
+  // Ville finale retirée seulement s'il reste au moins deux mots (« Transports Lyon » reste tel quel)
+  for (let n = Math.min(GAZETTEER.maxWords, words.length - 2); n >= 1; n--) {
+    if (GAZETTEER.byName.has(words.slice(-n).join(' '))) {
+      words = words.slice(0, -n);
+      break;
+    }
+  }
+  while (words.length > 2 && ['agence', 'de', 'd', 'du', 'l'].includes(words[words.length - 1])) words.pop();
+  return words.join(' ');
+}
 
-            const slug = mkSlug(`${rawJob.rawTitle}-${rawJob.rawCompany}`) || mkSlug(rawJob.rawTitle) || mkSlug(rawJob.guid);
-
-            processedBatch.push({
-              guid: rawJob.guid,
-              source: rawJob.source,
-              title: rawJob.rawTitle || 'Sans titre',
-              company: rawJob.rawCompany || '',
-              description_html: html,
-              description_short: truncateWords(short, 60),
-              url: rawJob.url || '',
-              published_at: rawJob.published_at,
-              slug,
-              tags_csv: tags.join(', ')
-            });
-
-            if (processedBatch.length >= batchSize) {
-              insertBatch(processedBatch);
-              processedBatch.length = 0;
-            }
-          }
-          if (processedBatch.length > 0) {
-            insertBatch(processedBatch);
-          }
-        }
-        resolve();
-      });
+const AGENCIES = (() => {
+  try {
+    const raw = JSON.parse(fs.readFileSync(path.join(APP_DIR, 'data', 'interim-agencies.json'), 'utf8'));
+    return raw.agencies.map(a => ({
+      name: a.name, exact: Boolean(a.exact),
+      keys: [...new Set([a.name, ...(a.aliases || [])].map(companyKey).filter(Boolean))]
+    })).map(a => ({ ...a, key: a.keys[0] }));
+  } catch (e) {
+    console.error('Liste des agences d’intérim indisponible (data/interim-agencies.json) :', e.message);
+    return [];
+  }
+})();
 
-      parser.on('error', reject);
-      stream.on('error', reject);
-    });
+// Enseigne d'intérim correspondant à une clé (égalité, ou préfixe : « adecco lyon »)
+function matchAgency(key) {
+  return AGENCIES.find(a => a.keys.some(k => key === k || (!a.exact && key.startsWith(`${k} `)))) || null;
+}
+
+function uniqueCompanySlug(name) {
+  const base = mkSlug(name) || 'entreprise';
+  let slug = base;
+  for (let i = 2; stmtCompanyBySlug.get(slug); i++) slug = `${base}-${i}`;
+  return slug;
+}
+
+// Description d'offre rédigée par une agence (« pour le compte de notre client »…)
+const agencyTextHint = (text) => Boolean(text) && AGENCY_TEXT_RE.test(placeKey(String(text).replace(/<[^>]*>/g, ' ')));
 
-    console.log(`\nFlux traité !`);
-    console.log(`Total éléments : ${processed.toLocaleString()}`);
-    console.log(`Offres retenues : ${matched.toLocaleString()}`);
-    console.log(`IA appliquée : ${aiEnhanced.toLocaleString()}`);
-    console.log(`Fallback rapide : ${fallbackUsed.toLocaleString()}`);
-    console.log(`Ignorés : ${skipped.toLocaleString()} (doublons/non pertinents)\n`);
-
-    const total = getCachedCount(0);
-    if (total > MAX_JOBS) {
-      console.log(`Nettoyage : on garde ${MAX_JOBS.toLocaleString()} offres les plus récentes`);
-      stmtDeleteOld.run(MAX_JOBS);
-      stmtSetCache.run('total_jobs', MAX_JOBS);
+/**
+ * Entreprise (id) correspondant au nom reçu, créée au besoin ; null si le nom est vide.
+ * `text` (description de l'offre) sert à repérer une agence que son nom ne trahit pas : à ne
+ * fournir que pour un texte de confiance (flux, administration). Une offre soumise sur le site
+ * n'engage l'entreprise qu'une fois approuvée (cf. flagAgencyFromJob).
+ */
+function resolveCompany(name, text = '') {
+  const display = String(name || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+  const alias = placeKey(display);
+  if (!alias) return null;
+  const agencyHint = agencyTextHint(text);
+
+  let company = stmtCompanyByAlias.get(alias);
+  if (!company) {
+    const key = companyKey(display) || alias;
+    const agency = matchAgency(key);
+    // Clé d'une entreprise fusionnée dans une autre : conservée comme alias (cf. mergeCompanies)
+    company = stmtCompanyByKey.get(agency ? agency.key : key) || stmtCompanyByAlias.get(agency ? agency.key : key);
+    if (!company) {
+      const source = agency ? 'list' : AGENCY_NAME_RE.test(alias) ? 'name' : agencyHint ? 'text' : null;
+      company = stmtInsertCompany.get({
+        name: agency ? agency.name : display,
+        slug: uniqueCompanySlug(agency ? agency.name : display),
+        norm_key: agency ? agency.key : key,
+        is_agency: source ? 1 : 0,
+        agency_source: source
+      });
     }
-  } catch (error) {
-    console.error('Erreur de traitement du flux :', error.message);
-    throw error;
-  } finally {
-    FEED_RUNNING = false;
+    stmtInsertCompanyAlias.run(alias, company.id);
   }
+  if (agencyHint && !company.is_agency) stmtFlagAgencyFromText.run(company.id);
+  return company.id;
 }
 
-// ========================================
-// CSS (thème bleu moderne) + bandeau cookies
-// ========================================
-const baseCss = `
-:root {
-  --primary: #2563eb;
-  --primary-dark: #1e40af;
-  --bg: #f8fafc;
-  --card: #ffffff;
-  --text: #1e293b;
-  --text-muted: #64748b;
-  --border: #e2e8f0;
-  --shadow: 0 1px 3px rgba(0,0,0,0.1);
-  --shadow-lg: 0 4px 6px -1px rgba(0,0,0,0.1), 0 2px 4px -1px rgba(0,0,0,0.06);
+// Offre modérée publiée : sa description peut désormais signaler une agence
+function flagAgencyFromJob(job) {
+  if (job.company_id && agencyTextHint(job.description_html)) stmtFlagAgencyFromText.run(job.company_id);
 }
-* { box-sizing: border-box; }
-body { margin: 0; background: var(--bg); color: var(--text); font-family: system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; line-height: 1.6; }
-.wrap { max-width: 1000px; margin: 0 auto; padding: 20px; }
-header.wrap { display: flex; justify-content: space-between; align-items: center; padding-top: 24px; padding-bottom: 24px; border-bottom: 1px solid var(--border); background: var(--card); flex-wrap: wrap; gap: 16px; }
-header h1 { margin: 0; font-size: 24px; }
-header h1 a { color: var(--text); text-decoration: none; font-weight: 700; }
-nav { display: flex; align-items: center; gap: 12px; flex-wrap: wrap; }
-nav a { color: var(--text-muted); text-decoration: none; padding: 8px 12px; border-radius: 6px; transition: all 0.2s; }
-nav a:hover { color: var(--primary); background: var(--bg); }
-.btn { display: inline-block; padding: 10px 18px; background: var(--text); color: white; border-radius: 8px; border: none; cursor: pointer; font-size: 14px; font-weight: 500; text-decoration: none; transition: all 0.2s; }
-.btn:hover { background: var(--text-muted); transform: translateY(-1px); }
-.btn-primary { background: var(--primary); color: white; font-weight: 600; }
-.btn-primary:hover { background: var(--primary-dark); }
-.card { background: var(--card); border-radius: 12px; padding: 24px; margin: 16px 0; box-shadow: var(--shadow); border: 1px solid var(--border); transition: all 0.2s; }
-.card:hover { box-shadow: var(--shadow-lg); border-color: var(--primary); }
-.list { list-style: none; padding: 0; margin: 0; }
-.muted { color: var(--text-muted); }
-.small { font-size: 14px; }
-.search-form { margin: 24px 0; }
-.search-form input[type="search"] { width: 100%; max-width: 500px; padding: 12px 16px; border: 2px solid var(--border); border-radius: 8px; font-size: 16px; transition: all 0.2s; }
-.search-form input[type="search"]:focus { outline: none; border-color: var(--primary); box-shadow: 0 0 0 3px rgba(37, 99, 235, 0.1); }
-.pager { display: flex; gap: 12px; margin: 24px 0; flex-wrap: wrap; }
-.pager a, .pager .current { padding: 8px 16px; background: var(--card); border-radius: 8px; color: var(--text); text-decoration: none; box-shadow: var(--shadow); border: 1px solid var(--border); transition: all 0.2s; }
-.pager a:hover { background: var(--primary); color: white; border-color: var(--primary); }
-.pager .disabled { opacity: 0.5; pointer-events: none; }
-.tags { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 12px; }
-.tag { background: #eff6ff; color: var(--primary); border-radius: 999px; padding: 6px 14px; font-size: 13px; text-decoration: none; transition: all 0.2s; border: 1px solid #dbeafe; }
-.tag:hover { background: var(--primary); color: white; border-color: var(--primary); }
-.content h2 { color: var(--text); margin-top: 24px; font-size: 20px; }
-.content p, .content ul, .content ol { line-height: 1.7; margin: 12px 0; }
-.content ul, .content ol { padding-left: 24px; }
-form label { display: block; margin-top: 16px; margin-bottom: 6px; font-weight: 500; color: var(--text); }
-form input[type="text"], form input[type="url"], form input[type="number"], form select, form textarea { width: 100%; padding: 10px 14px; border: 2px solid var(--border); border-radius: 8px; font-size: 15px; font-family: inherit; transition: all 0.2s; }
-form input:focus, form select:focus, form textarea:focus { outline: none; border-color: var(--primary); box-shadow: 0 0 0 3px rgba(37, 99, 235, 0.1); }
-form textarea { min-height: 150px; resize: vertical; }
-form button[type="submit"] { margin-top: 20px; }
-.form-row { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 16px; }
-.help-text { font-size: 13px; color: var(--text-muted); margin-top: 4px; }
-footer { margin-top: 60px; padding-top: 24px; border-top: 1px solid var(--border); }
-/* Bandeau cookies */
-.cookie-banner { position: fixed; left: 16px; right: 16px; bottom: 16px; z-index: 9999; background: var(--card); color: var(--text); border: 1px solid var(--border); box-shadow: var(--shadow-lg); border-radius: 12px; padding: 16px; display: none; }
-.cookie-actions { display: flex; gap: 8px; margin-top: 12px; flex-wrap: wrap; }
-.cookie-link { color: var(--primary); text-decoration: none; }
-.cookie-link:hover { text-decoration: underline; }
-@media (max-width: 768px) {
-  header.wrap { flex-direction: column; align-items: flex-start; }
-  nav { width: 100%; justify-content: flex-start; }
-  .form-row { grid-template-columns: 1fr; }
+
+// Regroupe une entreprise dans une autre (alias et offres), par exemple un doublon de nom
+const mergeCompanies = db.transaction((from, into) => {
+  if (from === into) throw new Error('Choisissez deux entreprises différentes');
+  const source = stmtCompanyById.get(from);
+  if (!source || !stmtCompanyById.get(into)) throw new Error('Entreprise introuvable');
+  stmtMoveCompanyAliases.run({ from, into });
+  stmtInsertCompanyAlias.run(source.norm_key, into);
+  stmtMoveCompanyJobs.run({ from, into });
+  stmtDeleteCompany.run(from);
+});
+
+// Colonnes company_slug / company_agency (cf. LIST_COLUMNS) et company_name (cf. API_COLUMNS) d'une offre lue en entier
+function jobCompanyRow(job) {
+  const company = job.company_id ? stmtCompanyById.get(job.company_id) : null;
+  return { company: job.company, company_slug: company?.slug, company_agency: company?.is_agency, company_name: company?.name };
+}
+
+// Ligne « entreprise » des cartes et pages d'offres, avec lien vers /entreprise/:slug
+function companyLine(r, extra = '') {
+  if (!r.company) return '';
+  const name = r.company_slug ? `<a href="/entreprise/${r.company_slug}">${escapeHtml(r.company)}</a>` : escapeHtml(r.company);
+  return `<div class="muted">${name}${r.company_agency ? ' <span class="badge-agency">Agence d’intérim</span>' : ''}${extra}</div>`;
 }
-`;
 
 // ========================================
-// GABARIT HTML (avec bandeau cookies)
+// FACETTES (filtres des listes d'offres)
 // ========================================
-function layout({ title, body, metaExtra = '', breadcrumbs = null }) {
-  const faviconHtml = FAVICON_URL ? `<link rel="icon" href="${escapeHtml(FAVICON_URL)}"/>` : '';
-  const canonicalUrl = canonical(breadcrumbs ? breadcrumbs[breadcrumbs.length - 1].url : '/');
+// L'état des filtres vit dans la query string (?contract=…&remote=1&salary_min=…&city=…&permit=…&rome=…&no_agency=1),
+// traduit en conditions SQL sur les colonnes calculées à l'import.
+const CONTRACT_LABELS = {
+  FULL_TIME: 'Temps plein', PART_TIME: 'Temps partiel', TEMPORARY: 'CDD / intérim',
+  CONTRACTOR: 'Indépendant / freelance', INTERN: 'Stage'
+};
+// Anciens slugs de tag du filtre « permit » (liens et alertes existants)
+const PERMIT_ALIASES = { spl: 'permis-ce' };
+const SALARY_STEPS = [20000, 25000, 30000, 35000, 40000]; // brut annuel
+const FACET_CACHE_SECONDS = 60;
+
+function parseFacetFilters(query = {}) {
+  const list = (v) => (Array.isArray(v) ? v : v ? [v] : []).map(String);
+  const salaryMin = Number(query.salary_min);
+  return {
+    contract: [...new Set(list(query.contract))].filter(c => CONTRACT_LABELS[c]),
+    remote: query.remote === '1',
+    salaryMin: SALARY_STEPS.includes(salaryMin) ? salaryMin : null,
+    city: String(query.city || '').trim().slice(0, 80),
+    permit: [...new Set(list(query.permit).map(p => PERMIT_ALIASES[p] || p))].filter(p => QUALIFICATION_BY_CODE[p]),
+    rome: [...new Set(list(query.rome).map(c => c.toUpperCase()))].filter(c => ROME.byCode.has(c)),
+    noAgency: query.no_agency === '1'
+  };
+}
 
-  let breadcrumbSchema = '';
-  if (breadcrumbs && breadcrumbs.length > 1) {
-    breadcrumbSchema = `<script type="application/ld+json">${JSON.stringify({
-      "@context": "https://schema.org",
-      "@type": "BreadcrumbList",
-      "itemListElement": breadcrumbs.map((crumb, idx) => ({
-        "@type": "ListItem",
-        "position": idx + 1,
-        "name": crumb.name,
-        "item": canonical(crumb.url)
-      }))
-    })}</script>`;
-  }
+const hasFacetFilters = (f) => Boolean(f.contract.length || f.remote || f.salaryMin || f.city || f.permit.length || f.rome.length || f.noAgency);
+
+// Paramètres de query string des filtres actifs (pour les liens de pagination)
+function facetParams(f) {
+  const params = [];
+  for (const c of f.contract) params.push(['contract', c]);
+  if (f.remote) params.push(['remote', '1']);
+  if (f.salaryMin) params.push(['salary_min', String(f.salaryMin)]);
+  if (f.city) params.push(['city', f.city]);
+  for (const p of f.permit) params.push(['permit', p]);
+  for (const c of f.rome) params.push(['rome', c]);
+  if (f.noAgency) params.push(['no_agency', '1']);
+  return params;
+}
 
-  const cookieBanner = `
-<div id="cookie-banner" class="cookie-banner" role="dialog" aria-live="polite" aria-label="Consentement aux cookies">
-  <div>
-    <strong>Nous utilisons des cookies</strong>
-    <p class="small muted" style="margin:6px 0 0 0;">
-      Nous utilisons des cookies essentiels pour faire fonctionner ${escapeHtml(SITE_NAME)} et améliorer votre expérience.
-      Consultez notre <a class="cookie-link" href="/cookies">Politique Cookies</a> et notre <a class="cookie-link" href="/privacy">Politique de confidentialité</a>.
-    </p>
-    <div class="cookie-actions">
-      <button id="cookie-accept" class="btn btn-primary">Tout accepter</button>
-      <a class="cookie-link" href="/cookies">Gérer les paramètres</a>
-    </div>
-  </div>
-</div>
-<script>
-(function(){
-  function getCookie(name){
-    return document.cookie.split('; ').find(row => row.startsWith(name + '='))?.split('=')[1];
+// Offre publiée par une entreprise qui n'est pas une agence d'intérim (ou sans entreprise connue)
+const DIRECT_EMPLOYER = 'NOT EXISTS (SELECT 1 FROM companies co WHERE co.id = j.company_id AND co.is_agency = 1)';
+
+/**
+ * Conditions SQL (alias j = jobs) des filtres actifs. `skip` omet une facette,
+ * pour compter ses valeurs sans qu'elle se restreigne elle-même.
+ */
+function facetConditions(f, skip = null) {
+  const where = [];
+  const params = [];
+  if (skip !== 'contract' && f.contract.length) {
+    where.push(`j.employment_type IN (${f.contract.map(() => '?').join(', ')})`);
+    params.push(...f.contract);
   }
-  function showBanner(){
-    var el = document.getElementById('cookie-banner');
-    if (el) el.style.display = 'block';
+  if (skip !== 'remote' && f.remote) where.push('j.is_remote = 1');
+  if (skip !== 'salary' && f.salaryMin) {
+    where.push('COALESCE(j.salary_year_max, j.salary_year_min) >= ?');
+    params.push(f.salaryMin);
   }
-  function hideBanner(){
-    var el = document.getElementById('cookie-banner');
-    if (el) el.style.display = 'none';
+  if (skip !== 'city' && f.city) {
+    where.push('j.city = ? COLLATE NOCASE');
+    params.push(f.city);
   }
-  if (!getCookie('cookie_consent')){
-    window.addEventListener('load', showBanner);
+  for (const p of f.permit) {
+    where.push('EXISTS (SELECT 1 FROM json_each(j.qualifications) WHERE value = ?)');
+    params.push(p);
   }
-  var btn = document.getElementById('cookie-accept');
-  if (btn){
-    btn.addEventListener('click', function(){
-      var oneYear = 365*24*60*60;
-      document.cookie = 'cookie_consent=1; Max-Age=' + oneYear + '; Path=/; SameSite=Lax';
-      hideBanner();
-    });
+  if (skip !== 'rome' && f.rome.length) {
+    where.push(`j.rome_code IN (${f.rome.map(() => '?').join(', ')})`);
+    params.push(...f.rome);
   }
-})();
-</script>
-`;
+  if (skip !== 'agency' && f.noAgency) where.push(DIRECT_EMPLOYER);
+  return { where, params };
+}
 
-  return `
-<!doctype html>
-<html lang="${TARGET_LANG}">
-<head>
-<meta charset="utf-8"/>
-<meta name="viewport" content="width=device-width,initial-scale=1"/>
-<title>${title ? `${escapeHtml(title)} · ` : ''}${escapeHtml(SITE_NAME)}</title>
-<meta name="description" content="Trouvez des emplois de ${escapeHtml(TARGET_PROFESSION)} sur ${escapeHtml(SITE_NAME)}"/>
-<link rel="canonical" href="${canonicalUrl}"/>
-${faviconHtml}
-<link rel="alternate" type="application/rss+xml" title="Flux RSS" href="${canonical('/feed.xml')}"/>
-<!-- Open Graph -->
-<meta property="og:title" content="${escapeHtml(title || SITE_NAME)}"/>
-<meta property="og:description" content="Offres récentes pour ${escapeHtml(TARGET_PROFESSION)}"/>
-<meta property="og:url" content="${canonicalUrl}"/>
-<meta property="og:type" content="website"/>
-${SITE_LOGO ? `<meta property="og:image" content="${escapeHtml(SITE_LOGO)}"/>` : ''}
+// Périmètres de liste : toutes les offres publiées, un tag, une entreprise ou une recherche plein texte
+const scopeAll = () => ({ key: 'all', from: 'jobs j', where: ["j.status = 'published'"], params: [] });
+const scopeTag = (slug) => ({
+  key: `tag:${slug}`,
+  from: 'jobs j JOIN job_tags jt ON jt.job_id = j.id JOIN tags t ON t.id = jt.tag_id',
+  where: ['t.slug = ?', "j.status = 'published'"],
+  params: [slug]
+});
+const scopeCompany = (id) => ({ key: `company:${id}`, from: 'jobs j', where: ['j.company_id = ?', "j.status = 'published'"], params: [id] });
+const scopeSearch = (match) => ({
+  key: `fts:${match}`,
+  from: 'jobs_fts JOIN jobs j ON j.id = jobs_fts.rowid',
+  where: ['jobs_fts MATCH ?', "j.status = 'published'"],
+  params: [match]
+});
+
+// Les requêtes varient selon les filtres : on les prépare une fois par texte SQL
+const dynamicStmts = new Map();
+function prepareCached(sql) {
+  let stmt = dynamicStmts.get(sql);
+  if (!stmt) {
+    stmt = db.prepare(sql);
+    dynamicStmts.set(sql, stmt);
+  }
+  return stmt;
+}
+
+function scopedQuery(scope, f, skip = null, extraWhere = [], extraParams = []) {
+  const cond = facetConditions(f, skip);
+  return {
+    from: scope.from,
+    where: [...scope.where, ...cond.where, ...extraWhere].join(' AND '),
+    params: [...scope.params, ...cond.params, ...extraParams]
+  };
+}
+
+const LIST_COLUMNS = `j.id, j.title, j.company, j.description_short, j.slug, j.published_at,
+  j.city, j.employment_type, j.is_remote, j.salary_min, j.salary_max, j.salary_currency, j.salary_unit, j.salary_basis, j.rome_code,
+  (SELECT slug FROM companies co WHERE co.id = j.company_id) AS company_slug,
+  (SELECT is_agency FROM companies co WHERE co.id = j.company_id) AS company_agency`;
+
+// Page d'offres par date décroissante, curseur « published_at-id »
+function listJobs(scope, f, cursor, limit, columns = LIST_COLUMNS) {
+  const q = scopedQuery(scope, f, null,
+    cursor ? ['(j.published_at < ? OR (j.published_at = ? AND j.id < ?))'] : [],
+    cursor ? [cursor.pub, cursor.pub, cursor.id] : []);
+  return prepareCached(`SELECT ${columns} FROM ${q.from} WHERE ${q.where}
+ORDER BY j.published_at DESC, j.id DESC LIMIT ?`).all(...q.params, limit);
+}
+
+function countJobs(scope, f) {
+  const q = scopedQuery(scope, f);
+  return prepareCached(`SELECT COUNT(*) AS c FROM ${q.from} WHERE ${q.where}`).get(...q.params).c;
+}
+
+// Restreint un périmètre aux offres situées à moins de `radius` km d'un point
+// (boîte englobante sur lat/lon indexée, puis distance exacte)
+function withinRadius(scope, place, radius) {
+  const dLat = radius / 111.2;
+  const dLon = radius / (111.2 * Math.cos(place.lat * Math.PI / 180));
+  return {
+    key: `${scope.key}|near:${place.lat},${place.lon},${radius}`,
+    from: scope.from,
+    where: [...scope.where, 'j.lat BETWEEN ? AND ?', 'j.lon BETWEEN ? AND ?', 'distance_km(j.lat, j.lon, ?, ?) <= ?'],
+    params: [...scope.params, place.lat - dLat, place.lat + dLat, place.lon - dLon, place.lon + dLon, place.lat, place.lon, radius]
+  };
+}
+
+/**
+ * Recherche : plein texte (tri bm25 : titre > entreprise > tags > description) et/ou
+ * autour d'un lieu (tri par distance). Pagination par curseur (sort_key, id) sur la
+ * sous-requête classée ; \u0001 / \u0002 délimitent les surlignages, convertis en <mark>
+ * après échappement.
+ */
+function searchJobs({ match = '', near = null, radius = 0, filters, cursor, limit, columns = LIST_COLUMNS }) {
+  let scope = match ? scopeSearch(match) : scopeAll();
+  if (near) scope = withinRadius(scope, near, radius);
+  const q = scopedQuery(scope, filters);
+  const textCols = match
+    ? `bm25(jobs_fts, 10.0, 5.0, 1.0, 3.0) AS score,
+    highlight(jobs_fts, 0, char(1), char(2)) AS title_hl,
+    snippet(jobs_fts, 2, char(1), char(2), '…', 24) AS snippet`
+    : 'NULL AS score, j.title AS title_hl, j.description_short AS snippet';
+  const distanceCol = near ? 'distance_km(j.lat, j.lon, ?, ?)' : 'NULL';
+  const sortKey = near ? 'distance' : 'score';
+  const rows = prepareCached(`SELECT * FROM (
+  SELECT ${columns}, ${textCols}, ${distanceCol} AS distance
+  FROM ${q.from}
+  WHERE ${q.where}
+)
+WHERE ? IS NULL OR ${sortKey} > ? OR (${sortKey} = ? AND id > ?)
+ORDER BY ${sortKey}, id
+LIMIT ?`).all(
+    ...(near ? [near.lat, near.lon] : []), ...q.params,
+    cursor?.key ?? null, cursor?.key ?? null, cursor?.key ?? null, cursor?.id ?? 0, limit
+  );
+  return { rows: rows.map(r => ({ ...r, sort_key: r[sortKey] })), scope };
+}
+
+function parseListCursor(raw) {
+  const [pub, id] = String(raw || '').split('-').map(Number);
+  return pub && id ? { pub, id } : null;
+}
+const encodeListCursor = (row) => `${row.published_at}-${row.id}`;
+
+// Comptes par valeur de facette, en cache court (les pages de liste sont les plus vues)
+const facetCountsCache = new Map();
+function facetCounts(scope, f) {
+  const cacheKey = JSON.stringify([scope.key, f]);
+  const cached = facetCountsCache.get(cacheKey);
+  if (cached && cached.at > Date.now() - FACET_CACHE_SECONDS * 1000) return cached.value;
+
+  const rows = (skip, select, tail = '') => {
+    const q = scopedQuery(scope, f, skip);
+    return prepareCached(`SELECT ${select} FROM ${q.from} WHERE ${q.where} ${tail}`).all(...q.params);
+  };
+
+  const contract = {};
+  for (const r of rows('contract', 'j.employment_type AS v, COUNT(*) AS c', 'GROUP BY j.employment_type')) {
+    if (r.v) contract[r.v] = r.c;
+  }
+  const remote = rows('remote', 'COUNT(*) AS c', 'AND j.is_remote = 1')[0].c;
+  const salaryRow = rows('salary', SALARY_STEPS.map(st => `SUM(COALESCE(j.salary_year_max, j.salary_year_min) >= ${st}) AS s${st}`).join(', '))[0];
+  const salary = Object.fromEntries(SALARY_STEPS.map(st => [st, salaryRow[`s${st}`] || 0]));
+  const cities = rows('city', 'j.city AS v, COUNT(*) AS c',
+    'AND j.city IS NOT NULL GROUP BY j.city COLLATE NOCASE ORDER BY c DESC, v ASC LIMIT 15');
+  // Les permis se cumulent (ET) : leurs comptes tiennent compte des permis déjà cochés
+  const permitRow = rows(null, QUALIFICATIONS.map((q, i) =>
+    `SUM(EXISTS (SELECT 1 FROM json_each(j.qualifications) WHERE value = '${q.code}')) AS q${i}`).join(', '))[0];
+  const permit = Object.fromEntries(QUALIFICATIONS.map((q, i) => [q.code, permitRow[`q${i}`] || 0]));
+  const rome = {};
+  for (const r of rows('rome', 'j.rome_code AS v, COUNT(*) AS c', 'AND j.rome_code IS NOT NULL GROUP BY j.rome_code')) {
+    rome[r.v] = r.c;
+  }
+  const direct = rows('agency', 'COUNT(*) AS c', `AND ${DIRECT_EMPLOYER}`)[0].c;
+  const value = { contract, remote, salary, cities, permit, rome, direct };
+
+  if (facetCountsCache.size > 500) facetCountsCache.clear();
+  facetCountsCache.set(cacheKey, { at: Date.now(), value });
+  return value;
+}
+
+function formatSalary(r) {
+  if (!r.salary_currency || !(r.salary_min || r.salary_max)) return '';
+  const fmt = (n) => Number(n).toLocaleString('fr-FR', Number.isInteger(Number(n)) ? {} : { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const currency = r.salary_currency === 'EUR' ? '€' : r.salary_currency;
+  const amount = r.salary_min && r.salary_max ? `${fmt(r.salary_min)}–${fmt(r.salary_max)}`
+    : r.salary_max ? `jusqu’à ${fmt(r.salary_max)}` : fmt(r.salary_min);
+  const basis = SALARY_BASIS_LABELS[r.salary_basis] ? ` ${SALARY_BASIS_LABELS[r.salary_basis]}` : '';
+  return `${amount} ${currency}${basis}${r.salary_unit ? ` / ${UNIT_LABELS[r.salary_unit] || r.salary_unit}` : ''}`;
+}
+
+// Ligne « métier · ville · contrat · télétravail · salaire » des cartes d'offres
+function jobCardFacts(r) {
+  const facts = [
+    ROME.byCode.get(r.rome_code)?.short,
+    r.city ? `${r.city}${r.distance != null ? ` (${Math.round(r.distance)} km)` : ''}` : null,
+    CONTRACT_LABELS[r.employment_type], r.is_remote ? 'Télétravail' : null, formatSalary(r)
+  ].filter(Boolean);
+  return facts.length ? `<div class="muted small">${facts.map(escapeHtml).join(' · ')}</div>` : '';
+}
+
+/**
+ * Formulaire GET des filtres avec le nombre d'offres par valeur ;
+ * `hidden` conserve les autres paramètres de la page (q, near, radius pour la recherche).
+ */
+function renderFacets(action, f, counts, hidden = {}) {
+  const checkbox = (name, value, label, checked, count) => `
+    <label class="facet-option"><input type="checkbox" name="${name}" value="${escapeHtml(value)}"${checked ? ' checked' : ''}/> ${escapeHtml(label)} <span class="muted">(${count || 0})</span></label>`;
+  const cityOptions = counts.cities.map(c => c.v);
+  if (f.city && !cityOptions.some(c => c.toLowerCase() === f.city.toLowerCase())) cityOptions.unshift(f.city);
+  const cityCount = (v) => counts.cities.find(c => c.v.toLowerCase() === v.toLowerCase())?.c || 0;
+
+  return `
+<form method="GET" action="${action}" class="card facets">
+  ${Object.entries(hidden).map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}"/>`).join('')}
+  <fieldset>
+    <legend>Contrat</legend>
+    ${Object.entries(CONTRACT_LABELS).map(([v, label]) => checkbox('contract', v, label, f.contract.includes(v), counts.contract[v])).join('')}
+    ${checkbox('remote', '1', 'Télétravail', f.remote, counts.remote)}
+    ${checkbox('no_agency', '1', 'Hors agences d’intérim', f.noAgency, counts.direct)}
+  </fieldset>
+  <fieldset>
+    <legend>Salaire et lieu</legend>
+    <label for="salary_min">Salaire annuel minimum</label>
+    <select id="salary_min" name="salary_min">
+      <option value="">Indifférent</option>
+      ${SALARY_STEPS.map(st => `<option value="${st}"${f.salaryMin === st ? ' selected' : ''}>${st.toLocaleString('fr-FR')} € et plus (${counts.salary[st]})</option>`).join('')}
+    </select>
+    <label for="city">Ville</label>
+    <select id="city" name="city">
+      <option value="">Toutes</option>
+      ${cityOptions.map(v => `<option value="${escapeHtml(v)}"${f.city.toLowerCase() === v.toLowerCase() ? ' selected' : ''}>${escapeHtml(v)} (${cityCount(v)})</option>`).join('')}
+    </select>
+  </fieldset>
+  <fieldset>
+    <legend>Permis et certifications</legend>
+    ${QUALIFICATIONS.filter(q => counts.permit[q.code] || f.permit.includes(q.code))
+      .map(q => checkbox('permit', q.code, q.label, f.permit.includes(q.code), counts.permit[q.code])).join('')
+      || '<p class="muted small">Aucun permis ni certification mentionné.</p>'}
+  </fieldset>
+  <fieldset>
+    <legend>Métier</legend>
+    ${ROME.codes.filter(c => counts.rome[c.code] || f.rome.includes(c.code))
+      .map(c => checkbox('rome', c.code, c.short, f.rome.includes(c.code), counts.rome[c.code])).join('')
+      || '<p class="muted small">Aucune offre classée.</p>'}
+  </fieldset>
+  <div class="actions">
+    <button type="submit" class="btn">Filtrer</button>
+    ${hasFacetFilters(f) ? `<a href="${escapeHtml(action + (Object.keys(hidden).length ? `?${new URLSearchParams(hidden)}` : ''))}">Effacer les filtres</a>` : ''}
+  </div>
+</form>`;
+}
+
+// ========================================
+// E-MAILS (transports interchangeables)
+// ========================================
+// Un transport est une fonction async (message) => void. MAIL_TRANSPORT choisit
+// parmi MAIL_TRANSPORTS ; setMailTransport() permet d'en injecter un autre (tests).
+// En local, smtp peut viser un serveur de capture (ex. Mailpit : SMTP_HOST=localhost SMTP_PORT=1025).
+const SMTP_TIMEOUT_MS = 30000;
+const MAIL_TRANSPORTS = {
+  none: () => async () => {},
+  console: () => async (msg) => {
+    console.log(`\n[mail] À : ${msg.to}\nObjet : ${msg.subject}\n\n${msg.text}\n`);
+  },
+  // Un fichier JSON par message dans MAIL_DIR
+  file: () => {
+    fs.mkdirSync(MAIL_DIR, { recursive: true });
+    return async (msg) => {
+      const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.promises.writeFile(path.join(MAIL_DIR, name), JSON.stringify(msg, null, 2));
+    };
+  },
+  // STARTTLS si le serveur le propose (sauf SMTP_SECURE, chiffré dès la connexion) ; AUTH si SMTP_USER est défini
+  smtp: () => {
+    if (!SMTP_HOST) throw new Error('SMTP_HOST manquant pour MAIL_TRANSPORT=smtp');
+    const transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined,
+      connectionTimeout: SMTP_TIMEOUT_MS,
+      greetingTimeout: SMTP_TIMEOUT_MS,
+      socketTimeout: SMTP_TIMEOUT_MS
+    });
+    return async (msg) => {
+      await transporter.sendMail({ ...msg, date: new Date(msg.date) });
+    };
+  }
+};
+
+let mailTransport = null;
+export function setMailTransport(transport) {
+  mailTransport = transport;
+}
+function getMailTransport() {
+  if (!mailTransport) {
+    const factory = MAIL_TRANSPORTS[MAIL_TRANSPORT];
+    if (!factory) console.error(`MAIL_TRANSPORT inconnu : ${MAIL_TRANSPORT}, console utilisée`);
+    mailTransport = (factory || MAIL_TRANSPORTS.console)();
+  }
+  return mailTransport;
+}
+
+const isValidEmail = (s) => /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(String(s || ''));
+
+// N'échoue jamais : renvoie false si l'envoi n'a pas abouti
+async function sendMail({ to, subject, text, html = null, headers = null }) {
+  if (!isValidEmail(to)) return false;
+  const msg = {
+    from: MAIL_FROM, to, subject, text, ...(html ? { html } : {}), ...(headers ? { headers } : {}),
+    date: new Date().toISOString()
+  };
+  try {
+    await getMailTransport()(msg);
+    return true;
+  } catch (e) {
+    console.error('Erreur d’envoi e-mail :', e.message);
+    return false;
+  }
+}
+
+// ========================================
+// ANTI-SPAM (formulaire public)
+// ========================================
+/**
+ * Limite à fenêtre fixe stockée en base : `limit` requêtes par `windowSeconds` pour une clé.
+ */
+function hitRateLimit(key, limit, windowSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % windowSeconds);
+  const { count } = stmtHitRate.get(key, windowStart);
+  if (Math.random() < 0.01) stmtPurgeRates.run(now - 24 * 3600); // ménage occasionnel
+  return {
+    allowed: count <= limit,
+    remaining: Math.max(0, limit - count),
+    retryAfter: windowStart + windowSeconds - now
+  };
+}
+
+// Jeton CSRF : cookie aléatoire + jeton de formulaire signé (HMAC CLICK_SECRET) et horodaté
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_MAX_AGE = 24 * 3600;
+const CSRF_MIN_FILL_SECONDS = 3; // en dessous, soumission trop rapide pour un humain
+
+function signCsrf(secret, ts) {
+  return crypto.createHmac('sha256', CLICK_SECRET).update(`${secret}.${ts}`).digest('hex').slice(0, 32);
+}
+function issueCsrfToken(req, res) {
+  let secret = parseCookies(req)[CSRF_COOKIE];
+  if (!secret || !/^[a-f0-9]{32}$/.test(secret)) {
+    secret = crypto.randomBytes(16).toString('hex');
+    res.cookie(CSRF_COOKIE, secret, { httpOnly: true, sameSite: 'lax', secure: SECURE_COOKIES, path: '/' });
+  }
+  const ts = Math.floor(Date.now() / 1000);
+  return `${ts}.${signCsrf(secret, ts)}`;
+}
+/** Renvoie null si le jeton est valide, sinon la raison du refus. */
+function checkCsrfToken(req, token) {
+  const secret = parseCookies(req)[CSRF_COOKIE];
+  const [tsRaw, sig] = String(token || '').split('.');
+  const ts = Number(tsRaw);
+  if (!secret || !ts || !sig || !safeEqual(sig, signCsrf(secret, ts))) return 'jeton invalide';
+  const age = Math.floor(Date.now() / 1000) - ts;
+  if (age > CSRF_MAX_AGE) return 'formulaire expiré';
+  if (age < CSRF_MIN_FILL_SECONDS) return 'soumission trop rapide';
+  return null;
+}
+
+for (const domain of parseKeywords(BLOCKED_DOMAINS)) {
+  stmtAddBlock.run('domain', domain, 'BLOCKED_DOMAINS');
+}
+
+function extractUrls(text = '') {
+  return String(text).match(/https?:\/\/[^\s"'<>)]+/gi) || [];
+}
+
+/** Renvoie l'entrée de blocklist correspondante, ou null. */
+function findBlocked({ url = '', email = '', description = '' }) {
+  const urls = [url, ...extractUrls(description)].filter(Boolean).map(u => String(u).toLowerCase());
+  const hosts = urls.map(feedHostname);
+  const emailDomain = String(email || '').toLowerCase().split('@')[1] || '';
+  if (emailDomain) hosts.push(emailDomain);
+
+  for (const entry of stmtBlocklist.all()) {
+    const pattern = entry.pattern.toLowerCase();
+    if (entry.kind === 'domain' && hosts.some(h => h === pattern || h.endsWith(`.${pattern}`))) return entry;
+    if (entry.kind === 'url' && urls.some(u => u.includes(pattern))) return entry;
+  }
+  return null;
+}
+
+// Détection de quasi-doublons sur le couple titre + entreprise
+const DEDUPE_STOPWORDS = new Set(['h', 'f', 'hf', 'fh', 'x', 'm', 'de', 'du', 'des', 'la', 'le', 'les', 'en', 'et', 'un', 'une']);
+function normTokens(s = '') {
+  return String(s)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(t => t && !DEDUPE_STOPWORDS.has(t));
+}
+// Deux ensembles vides ne prouvent rien : similarité nulle (sinon deux offres sans entreprise seraient des doublons)
+export function jaccard(a, b) {
+  const A = new Set(a), B = new Set(b);
+  if (!A.size || !B.size) return 0;
+  let inter = 0;
+  for (const x of A) if (B.has(x)) inter++;
+  return inter / (A.size + B.size - inter);
+}
+function findNearDuplicate(title, company, { sinceDays = 90, excludeId = null } = {}) {
+  const t = normTokens(title), c = normTokens(company);
+  const since = Math.floor(Date.now() / 1000) - sinceDays * 24 * 3600;
+  for (const row of stmtDuplicateCandidates.iterate(since)) {
+    if (row.id === excludeId) continue;
+    if (jaccard(c, normTokens(row.company)) < DUPLICATE_THRESHOLD) continue;
+    if (jaccard(t, normTokens(row.title)) >= DUPLICATE_THRESHOLD) return row;
+  }
+  return null;
+}
+
+// ========================================
+// DOUBLONS ENTRE SOURCES (regroupement)
+// ========================================
+// La même offre reprise par plusieurs agences ou flux forme un groupe : jobs.cluster_id est
+// l'id de l'offre canonique (la première importée), seule publiée ; les autres passent au
+// statut « duplicate » et sont proposées comme « Également publiée sur… ». Deux offres sont
+// regroupées si leur empreinte titre + entreprise + ville est identique, ou si leurs
+// descriptions sont quasi identiques (MinHash sur des triplets de mots, candidats trouvés
+// par LSH) et leurs titres proches. Une offre détachée à la main n'est plus regroupée.
+const MINHASH_SIZE = 64;
+const LSH_ROWS = 4; // 16 bandes de 4 valeurs : une paire similaire à 0,8 est candidate à 99,9 %
+const SHINGLE_WORDS = 3;
+const CLUSTER_TITLE_THRESHOLD = 0.5; // similarité minimale des titres pour un regroupement par description
+
+function fmix32(h) {
+  h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+function fnv1a32(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+const MINHASH_SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => fmix32(i + 1));
+
+/** Signature MinHash (hexadécimal, 8 caractères par valeur) de la description ; '' si trop courte. */
+function minhashSignature(html = '') {
+  const words = occupationKey(String(html).replace(/<[^>]*>/g, ' ')).split(' ').filter(w => w && !DEDUPE_STOPWORDS.has(w));
+  if (words.length < SHINGLE_WORDS * 4) return '';
+  const sig = new Array(MINHASH_SIZE).fill(0xffffffff);
+  const seen = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    const h = fnv1a32(words.slice(i, i + SHINGLE_WORDS).join(' '));
+    if (seen.has(h)) continue;
+    seen.add(h);
+    for (let k = 0; k < MINHASH_SIZE; k++) {
+      const v = fmix32(h ^ MINHASH_SEEDS[k]);
+      if (v < sig[k]) sig[k] = v;
+    }
+  }
+  return sig.map(v => v.toString(16).padStart(8, '0')).join('');
+}
+const minhashBands = (sig) => sig
+  ? Array.from({ length: MINHASH_SIZE / LSH_ROWS }, (_, b) => sig.slice(b * LSH_ROWS * 8, (b + 1) * LSH_ROWS * 8))
+  : [];
+function minhashSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < MINHASH_SIZE * 8; i += 8) if (a.slice(i, i + 8) === b.slice(i, i + 8)) same++;
+  return same / MINHASH_SIZE;
+}
+
+/** Empreintes d'une offre : clé exacte titre + entreprise + ville, signature de la description. */
+function jobFingerprint({ title = '', company = '', city = '', html = '' }) {
+  const t = [...new Set(normTokens(title))].sort().join(' ');
+  const c = normTokens(company).join(' ');
+  return {
+    dedupe_key: t && c ? crypto.createHash('sha1').update(`${t}|${c}|${foldAccents(city || '').trim()}`).digest('hex').slice(0, 20) : null,
+    minhash: minhashSignature(html)
+  };
+}
+
+/** Empreintes des champs enregistrés d'une offre (description d'origine du flux si elle existe). */
+const storedJobFingerprint = (job) => jobFingerprint({
+  title: job.title, company: job.company, city: job.city, html: job.source_html ?? job.description_html
+});
+
+/** Offre canonique dont celle-ci (importée par le flux feedId) serait un doublon, ou null. */
+function findClusterCanonical(fingerprint, title, feedId, id = 0) {
+  const exact = fingerprint.dedupe_key && stmtClusterByKey.get({ key: fingerprint.dedupe_key, id, feed_id: feedId });
+  if (exact) return exact.id;
+  const t = normTokens(title);
+  const seen = new Set();
+  let best = null;
+  minhashBands(fingerprint.minhash).forEach((bucket, band) => {
+    for (const row of stmtLshCandidates.all({ band, bucket, id, feed_id: feedId })) {
+      if (seen.has(row.id)) continue;
+      seen.add(row.id);
+      const similarity = minhashSimilarity(fingerprint.minhash, row.minhash);
+      if (similarity < CLUSTER_TEXT_THRESHOLD || jaccard(t, normTokens(row.title)) < CLUSTER_TITLE_THRESHOLD) continue;
+      if (!best || similarity > best.similarity || (similarity === best.similarity && row.id < best.id)) {
+        best = { id: row.id, similarity };
+      }
+    }
+  });
+  return best?.id ?? null;
+}
+
+/** Enregistre (ou remplace après modification) les empreintes d'une offre, sans la regrouper. */
+function fingerprintJob(id, fingerprint) {
+  stmtSetJobFingerprint.run({ id, ...fingerprint });
+  stmtDeleteJobLsh.run(id);
+  minhashBands(fingerprint.minhash).forEach((bucket, band) => stmtInsertLsh.run(band, bucket, id));
+}
+
+/**
+ * Enregistre les empreintes d'une offre de flux publiée et la rattache au groupe de son
+ * doublon éventuel (à appeler dans une transaction). Renvoie l'id de la canonique, ou null.
+ * Les offres saisies sur le site (modérées) ne passent pas par ici : elles restent canoniques.
+ */
+function clusterJob(id, fingerprint, title, feedId) {
+  const canonical = findClusterCanonical(fingerprint, title, feedId, id);
+  fingerprintJob(id, fingerprint);
+  if (!canonical) return null;
+  stmtSetClusterCanonical.run(canonical);
+  stmtSetClusterDuplicate.run(canonical, id);
+  return canonical;
+}
+
+/**
+ * Canonique expirée ou archivée : le doublon encore actif le plus récent prend sa place.
+ * Une ancienne canonique republiée par son flux redevient un doublon. Les canoniques
+ * dépubliées, refusées ou clôturées gardent leur groupe masqué (décision de modération).
+ */
+function repairClusters() {
+  const now = Math.floor(Date.now() / 1000);
+  let promoted = 0;
+  db.transaction(() => {
+    for (const { id } of stmtOrphanClusters.all()) {
+      const next = stmtLiveClusterMember.get(id, now);
+      if (!next) continue;
+      stmtMoveCluster.run({ from: id, to: next.id });
+      stmtPromoteClusterMember.run(next.id);
+      promoted++;
+    }
+    stmtDemoteClusterDuplicates.run();
+  })();
+  if (promoted) console.log(`Doublons : ${promoted} offre(s) promue(s) canonique(s)`);
+  return promoted;
+}
+
+// Actions d'administration (/admin/clusters)
+export const mergeClusters = db.transaction((id, into) => {
+  const job = stmtById.get(id), target = stmtById.get(into);
+  if (!job || !target) throw new Error('Offre introuvable');
+  let from = job.cluster_id || job.id, to = target.cluster_id || target.id;
+  if (from === to) throw new Error('Les deux offres sont déjà dans le même groupe');
+  // Une offre saisie sur le site (modérée) n'est jamais un doublon : son groupe absorbe l'autre
+  const sitePosted = (root) => stmtById.get(root).feed_id == null;
+  if (sitePosted(from)) {
+    if (sitePosted(to)) throw new Error('Deux offres saisies sur le site ne peuvent pas être regroupées');
+    [from, to] = [to, from];
+  }
+  stmtSetClusterCanonical.run(to);
+  stmtMergeCluster.run({ from, to });
+  return to;
+});
+
+const splitFromCluster = db.transaction((id) => {
+  const job = stmtById.get(id);
+  if (!job?.cluster_id) throw new Error('Cette offre n’appartient à aucun groupe');
+  let root = job.cluster_id;
+  if (root === job.id) {
+    const next = stmtNextClusterMember.get({ id: job.id, now: Math.floor(Date.now() / 1000) });
+    if (next) {
+      stmtMoveCluster.run({ from: job.id, to: next.id });
+      stmtPromoteClusterMember.run(next.id);
+      root = next.id;
+    }
+  }
+  stmtDetachFromCluster.run(job.id);
+  stmtDissolveCluster.run({ id: root });
+  return root;
+});
+
+export const setClusterCanonical = db.transaction((id) => {
+  const job = stmtById.get(id);
+  if (!job?.cluster_id) throw new Error('Cette offre n’appartient à aucun groupe');
+  if (job.cluster_id === job.id) return job.id;
+  if (job.status !== 'duplicate') throw new Error('Seul un doublon actif peut devenir l’offre canonique');
+  const previous = stmtById.get(job.cluster_id);
+  if (previous && previous.feed_id == null) throw new Error('L’offre saisie sur le site reste l’offre canonique de son groupe');
+  stmtMoveCluster.run({ from: job.cluster_id, to: job.id });
+  if (previous?.status === 'published') {
+    stmtSetJobStatus.run('duplicate', previous.id);
+    stmtSetJobStatus.run('published', job.id);
+  }
+  return job.id;
+});
+
+// ========================================
+// ADAPTATEURS DE FORMAT DE FLUX
+// ========================================
+// Chaque format indique où trouver les offres et, pour chaque champ normalisé,
+// les emplacements candidats par ordre de priorité :
+//  - XML : chemin relatif à l'élément offre ("title", "author/name"), "@attr" pour un attribut ("link@href", "@id")
+//  - JSON / JSON Lines : chemin pointé dans l'objet offre ("company.name")
+const FEED_FIELDS = ['title', 'description', 'company', 'link', 'guid', 'pubDate', 'city', 'salary', 'contract'];
+
+const JSON_FIELDS = {
+  title: ['title', 'name'],
+  description: ['description', 'content', 'body'],
+  company: ['company', 'company.name', 'hiringOrganization.name', 'employer'],
+  link: ['url', 'link', 'applyUrl', 'apply_url'],
+  guid: ['id', 'guid', 'referencenumber', 'reference'],
+  pubDate: ['date', 'published_at', 'datePosted', 'pubDate', 'updated'],
+  city: ['city', 'location.city', 'location'],
+  salary: ['salary', 'salary_text'],
+  contract: ['contract', 'jobtype', 'employmentType', 'contract_type']
+};
+
+const FEED_FORMATS = {
+  // Format historique : <job> ou <item> génériques
+  xml: {
+    kind: 'xml',
+    itemTags: ['job', 'item'],
+    fields: {
+      title: ['title'], description: ['description'], company: ['company'],
+      link: ['url', 'link'], guid: ['guid', 'referencenumber'], pubDate: ['pubdate', 'date_updated'],
+      city: ['city'], salary: ['salary'], contract: ['jobtype']
+    }
+  },
+  indeed: {
+    kind: 'xml',
+    itemTags: ['job'],
+    fields: {
+      title: ['title'], description: ['description'], company: ['company'],
+      link: ['url'], guid: ['referencenumber'], pubDate: ['date'],
+      city: ['city'], salary: ['salary'], contract: ['jobtype']
+    }
+  },
+  jooble: {
+    kind: 'xml',
+    itemTags: ['job'],
+    fields: {
+      title: ['name', 'title'], description: ['description'], company: ['company'],
+      link: ['link', 'url'], guid: ['@id', 'id'], pubDate: ['updated', 'pubdate'],
+      city: ['region', 'location', 'city'], salary: ['salary'], contract: ['type', 'jobtype']
+    }
+  },
+  atom: {
+    kind: 'xml',
+    itemTags: ['entry'],
+    fields: {
+      title: ['title'], description: ['content', 'summary'], company: ['author/name'],
+      link: ['link@href'], guid: ['id'], pubDate: ['published', 'updated'],
+      city: [], salary: [], contract: []
+    }
+  },
+  json: { kind: 'json', itemsPath: '', fields: JSON_FIELDS },
+  jsonl: { kind: 'jsonl', fields: JSON_FIELDS }
+};
+
+/**
+ * Format effectif d'une source : préréglage + surcharge JSON de feeds.mapping.
+ */
+function resolveFeedFormat(feed) {
+  const preset = FEED_FORMATS[feed.format || 'xml'] || FEED_FORMATS.xml;
+  let override = {};
+  if (feed.mapping) {
+    try {
+      override = JSON.parse(feed.mapping) || {};
+    } catch (e) {
+      console.error(`[${feed.label}] Mapping invalide, préréglage utilisé :`, e.message);
+    }
+  }
+  const isXml = preset.kind === 'xml';
+  const norm = (v) => (Array.isArray(v) ? v : [v]).filter(Boolean).map(x => isXml ? String(x).toLowerCase() : String(x));
+
+  const fields = { ...preset.fields };
+  for (const [field, specs] of Object.entries(override.fields || {})) {
+    if (FEED_FIELDS.includes(field)) fields[field] = norm(specs);
+  }
+  return {
+    kind: preset.kind,
+    itemTags: override.itemTags ? norm(override.itemTags) : preset.itemTags,
+    itemsPath: override.itemsPath ?? preset.itemsPath ?? '',
+    fields
+  };
+}
+
+function readFeedItems(response, format, onItem, onWarning = console.error) {
+  if (format.kind === 'json') return readJsonItems(response, format, onItem);
+  if (format.kind === 'jsonl') return readJsonLinesItems(response.body, format, onItem, onWarning);
+  return readXmlItems(response.body, format, onItem);
+}
+
+function readXmlItems(stream, format, onItem) {
+  // chemin -> [[champ, priorité]]
+  const targets = new Map();
+  for (const field of FEED_FIELDS) {
+    (format.fields[field] || []).forEach((spec, rank) => {
+      if (!targets.has(spec)) targets.set(spec, []);
+      targets.get(spec).push([field, rank]);
+    });
+  }
+  const itemTags = new Set(format.itemTags);
+
+  return new Promise((resolve, reject) => {
+    const parser = sax.createStream(true, { trim: true, normalize: true });
+    let item = null;
+    let ranks = null;
+    let stack = [];
+    let currentText = '';
+
+    const assign = (spec, value) => {
+      if (!value) return;
+      for (const [field, rank] of targets.get(spec) || []) {
+        if (ranks[field] === undefined || rank < ranks[field]) {
+          item[field] = value;
+          ranks[field] = rank;
+        }
+      }
+    };
+    const assignAttributes = (prefix, attributes) => {
+      for (const [name, value] of Object.entries(attributes || {})) {
+        assign(`${prefix}@${name.toLowerCase()}`, String(value).trim());
+      }
+    };
+
+    parser.on('opentag', (node) => {
+      const name = node.name.toLowerCase();
+      currentText = '';
+      if (!item) {
+        if (!itemTags.has(name)) return;
+        item = {};
+        ranks = {};
+        stack = [];
+        assignAttributes('', node.attributes);
+        return;
+      }
+      stack.push(name);
+      assignAttributes(stack.join('/'), node.attributes);
+    });
+
+    parser.on('text', (text) => { currentText += text; });
+    parser.on('cdata', (text) => { currentText += text; });
+
+    parser.on('closetag', () => {
+      if (!item) return;
+      if (!stack.length) {
+        onItem(item);
+        item = null;
+        return;
+      }
+      assign(stack.join('/'), currentText.trim());
+      stack.pop();
+      currentText = '';
+    });
+
+    parser.on('error', (err) => {
+      console.error('Erreur SAX :', err.message);
+      reject(err);
+    });
+    parser.on('end', resolve);
+    stream.on('error', reject);
+    stream.pipe(parser);
+  });
+}
+
+function getPath(obj, dotted) {
+  if (!dotted) return obj;
+  return String(dotted).split('.').reduce((o, k) => (o === null || o === undefined) ? undefined : o[k], obj);
+}
+
+function mapJsonItem(raw, format) {
+  const item = {};
+  for (const field of FEED_FIELDS) {
+    for (const spec of format.fields[field] || []) {
+      let v = getPath(raw, spec);
+      if (Array.isArray(v)) v = v.filter(x => typeof x !== 'object').join(', ');
+      if (v === null || v === undefined || typeof v === 'object') continue;
+      v = String(v).trim();
+      if (v) { item[field] = v; break; }
+    }
+  }
+  return item;
+}
+
+async function readJsonItems(response, format, onItem) {
+  const data = await response.json();
+  let list = getPath(data, format.itemsPath);
+  if (!format.itemsPath && !Array.isArray(list)) {
+    list = ['jobs', 'items', 'results', 'data'].map(k => data?.[k]).find(Array.isArray);
+  }
+  if (!Array.isArray(list)) throw new Error('Aucun tableau d’offres trouvé dans le JSON');
+  for (const raw of list) {
+    if (raw && typeof raw === 'object') onItem(mapJsonItem(raw, format));
+  }
+}
+
+async function readJsonLinesItems(stream, format, onItem, onWarning = console.error) {
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNo = 0;
+  for await (const line of rl) {
+    lineNo++;
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    let raw;
+    try {
+      raw = JSON.parse(trimmed);
+    } catch (e) {
+      onWarning(`JSON Lines : ligne ${lineNo} ignorée (${e.message})`);
+      continue;
+    }
+    if (raw && typeof raw === 'object') onItem(mapJsonItem(raw, format));
+  }
+}
+
+// Dates de flux : ISO/RFC 822, ou timestamp (secondes ou millisecondes)
+function parseFeedDate(value) {
+  if (value && /^\d+$/.test(String(value))) {
+    const n = Number(value);
+    return n > 1e11 ? Math.floor(n / 1000) : n;
+  }
+  const t = unixtime(value || Date.now());
+  return Number.isFinite(t) ? t : Math.floor(Date.now() / 1000);
+}
+
+// ========================================
+// SOURCES DE FLUX
+// ========================================
+function feedHostname(url) {
+  try { return new URL(url).hostname; } catch { return String(url || ''); }
+}
+
+/**
+ * Synchronise la table feeds avec la configuration d'environnement :
+ * FEED_URL (historique, une seule source) et FEEDS (tableau JSON).
+ */
+function syncFeedsFromEnv() {
+  const declared = [];
+  let configValid = true;
+  if (FEED_URL) declared.push({ url: FEED_URL });
+  if (FEEDS_CONFIG) {
+    try {
+      const list = JSON.parse(FEEDS_CONFIG);
+      if (Array.isArray(list)) declared.push(...list);
+      else {
+        configValid = false;
+        console.error('FEEDS doit être un tableau JSON');
+      }
+    } catch (e) {
+      configValid = false;
+      console.error('FEEDS invalide :', e.message);
+    }
+  }
+
+  for (const f of declared) {
+    if (!f || !f.url) continue;
+    const aiLimit = f.aiLimit ?? f.ai_limit;
+    const format = String(f.format || 'xml').toLowerCase();
+    if (!FEED_FORMATS[format]) {
+      console.error(`[${f.label || f.url}] Format de flux inconnu : ${format}`);
+      continue;
+    }
+    stmtUpsertFeed.run({
+      url: String(f.url),
+      label: String(f.label || feedHostname(f.url)),
+      format,
+      mapping: f.mapping ? (typeof f.mapping === 'string' ? f.mapping : JSON.stringify(f.mapping)) : null,
+      cron: f.cron ? String(f.cron) : null,
+      keywords: Array.isArray(f.keywords) ? f.keywords.join(', ') : String(f.keywords || ''),
+      ai_limit: (aiLimit === undefined || aiLimit === null || aiLimit === '') ? null : Number(aiLimit),
+      max_jobs: Number(f.maxJobs ?? f.max_jobs) > 0 ? Number(f.maxJobs ?? f.max_jobs) : null,
+      min_score: Number.isFinite(Number(f.minScore ?? f.min_score ?? NaN)) ? Number(f.minScore ?? f.min_score) : null,
+      enabled: f.enabled === false || f.enabled === 0 ? 0 : 1
+    });
+  }
+
+  // Source retirée de la configuration : désactivée (ses offres et son historique sont conservés).
+  // Une configuration illisible ne désactive rien, pour ne pas vider le site sur une faute de frappe.
+  if (!configValid) return;
+  const declaredUrls = new Set(declared.filter(f => f && f.url).map(f => String(f.url)));
+  for (const feed of stmtAllFeeds.all()) {
+    if (declaredUrls.has(feed.url) || !stmtDisableFeed.run(feed.id).changes) continue;
+    console.log(`[${feed.label}] Source absente de FEEDS/FEED_URL : désactivée`);
+  }
+}
+syncFeedsFromEnv();
+
+function feedKeywords(feed) {
+  const own = parseKeywords(feed.keywords);
+  return own.length ? own : PROFESSION_KEYWORDS;
+}
+function feedThreshold(feed) {
+  return (feed.min_score === null || feed.min_score === undefined) ? RELEVANCE_THRESHOLD : Number(feed.min_score);
+}
+function feedAiLimit(feed) {
+  return (feed.ai_limit === null || feed.ai_limit === undefined) ? AI_PROCESS_LIMIT : Number(feed.ai_limit);
+}
+
+// ========================================
+// TRAITEMENT DU FLUX (avec limite IA)
+// ========================================
+let FEED_RUNNING = false;
+let FEED_PENDING = null; // { all, feedIds } : exécution demandée pendant un import, relancée à sa fin
+
+/**
+ * Traite toutes les sources actives (ou seulement feedIds) l'une après l'autre.
+ * Renvoie les compteurs par source ; l'échec d'une source n'interrompt pas les suivantes.
+ * Un appel pendant un import en cours est mis en file (fusionné avec les autres demandes)
+ * et renvoie [] ; il démarre dès la fin de l'import.
+ */
+export async function processFeed({ feedIds = null } = {}) {
+  if (FEED_RUNNING) {
+    FEED_PENDING ||= { all: false, feedIds: new Set() };
+    if (feedIds) feedIds.forEach(id => FEED_PENDING.feedIds.add(id));
+    else FEED_PENDING.all = true;
+    console.log(`Traitement du flux déjà en cours : ${feedIds ? `source(s) #${feedIds.join(', #')}` : 'toutes les sources'} mise(s) en file`);
+    return [];
+  }
+  const feeds = stmtEnabledFeeds.all().filter(f => !feedIds || feedIds.includes(f.id));
+  if (!feeds.length) {
+    console.log('Aucune source de flux configurée');
+    return [];
+  }
+
+  FEED_RUNNING = true;
+  const startedAt = Math.floor(Date.now() / 1000);
+  const results = [];
+  try {
+    for (const feed of feeds) {
+      results.push(await processSource(feed));
+    }
+
+    repairClusters();
+    applyRetention();
+    invalidateSitemaps();
+    notifyIndexNow(startedAt);
+    await sendAlertDigests('instant').catch(e => console.error('Erreur d’envoi des alertes :', e.message));
+    return results;
+  } finally {
+    FEED_RUNNING = false;
+    if (FEED_PENDING) {
+      const next = FEED_PENDING;
+      FEED_PENDING = null;
+      console.log('Démarrage de l’import mis en file pendant le précédent…');
+      setImmediate(() => processFeed({ feedIds: next.all ? null : [...next.feedIds] }).catch(console.error));
+    }
+  }
+}
+
+const REIMPORTABLE_ARCHIVE_REASONS = new Set(['quota', 'max_jobs']);
+
+// Copie les offres dans jobs_archive puis les supprime avec leurs job_tags (à appeler dans une transaction)
+function archiveJobs(ids, reason) {
+  const json = JSON.stringify(ids);
+  stmtArchiveJobs.run({ ids: json, reason });
+  stmtDeleteJobsTags.run(json);
+  return stmtDeleteJobs.run(json).changes;
+}
+
+/**
+ * Archive (jobs_archive) puis supprime les offres sorties de la politique de rétention,
+ * avec leurs job_tags et les tags devenus orphelins. Règles, dans l'ordre :
+ * offres terminées depuis ARCHIVE_AFTER_DAYS, offres plus vieilles que RETENTION_DAYS,
+ * quota max_jobs par source, plafond global MAX_JOBS. Les offres manuelles et mises
+ * en avant ne sont touchées que par la première règle.
+ */
+function applyRetention() {
+  const now = Math.floor(Date.now() / 1000);
+  const counts = {};
+  const archive = (ids, reason) => {
+    if (ids.length) counts[reason] = (counts[reason] || 0) + archiveJobs(ids, reason);
+  };
+  const ids = (rows) => rows.map(r => r.id);
+
+  db.transaction(() => {
+    archive(ids(stmtRetentionEnded.all(now - ARCHIVE_AFTER_DAYS * 24 * 3600)), 'ended');
+    if (RETENTION_DAYS > 0) archive(ids(stmtRetentionAge.all(now - RETENTION_DAYS * 24 * 3600)), 'age');
+    for (const feed of stmtFeedsWithQuota.all()) {
+      archive(ids(stmtRetentionQuota.all(feed.id, feed.max_jobs)), 'quota');
+    }
+    if (MAX_JOBS > 0) archive(ids(stmtRetentionMax.all(MAX_JOBS)), 'max_jobs');
+    if (Object.keys(counts).length) stmtDeleteOrphanTags.run();
+  })();
+  if (Object.keys(counts).length) repairClusters();
+
+  if (Object.keys(counts).length) {
+    stmtSetCache.run('total_jobs', getCachedCount(0));
+    invalidateSitemaps();
+    console.log(`Rétention : offres archivées ${Object.entries(counts).map(([k, v]) => `${k}=${v}`).join(', ')}`);
+  }
+  return counts;
+}
+
+// Expire les offres arrivées à échéance (expires_at) ; au démarrage puis toutes les heures
+function expireDueJobs() {
+  const now = Math.floor(Date.now() / 1000);
+  const changes = stmtExpireDue.run(now).changes;
+  if (changes) {
+    repairClusters();
+    stmtSetCache.run('total_jobs', getCachedCount(0));
+    invalidateSitemaps();
+    notifyIndexNow(now);
+    console.log(`Expiration : ${changes} offre(s) arrivée(s) à échéance`);
+  }
+  return changes;
+}
+
+/**
+ * Importe une source en enregistrant l'exécution dans feed_runs
+ * (compteurs, erreurs, offres insérées rattachées via jobs.run_id).
+ */
+async function processSource(feed) {
+  const runId = Number(stmtStartRun.run(feed.id, feed.label).lastInsertRowid);
+  const stats = { runId, feed: feed.label, processed: 0, matched: 0, inserted: 0, skipped: 0, expired: 0, clustered: 0, aiQueued: 0, fallbackUsed: 0, errors: [] };
+  const finish = (status) => stmtFinishRun.run({ ...stats, status, errors: JSON.stringify(stats.errors.slice(0, 100)) });
+
+  try {
+    await importSource(feed, stats);
+  } catch (error) {
+    console.error(`Erreur de traitement du flux [${feed.label}] :`, error.message);
+    stats.errors.push(error.message);
+    finish('error');
+    return { ...stats, error: error.message };
+  }
+  finish('success');
+  return stats;
+}
+
+async function importSource(feed, stats) {
+  const keywords = feedKeywords(feed);
+  const { rules, errors: ruleErrors } = compileRelevanceRules(keywords);
+  const threshold = feedThreshold(feed);
+  const aiLimit = feedAiLimit(feed);
+  const format = resolveFeedFormat(feed);
+
+  console.log(`\n[${feed.label}] Récupération du flux (${feed.format || 'xml'}) : ${feed.url}`);
+  console.log(`Filtrage pour la profession : ${TARGET_PROFESSION}`);
+  console.log(`Mots-clés : ${keywords.join(', ')} (seuil ${threshold})`);
+  console.log(`Traitement IA : ${aiLimit === 0 ? 'Illimité' : `Premières ${aiLimit} offres`}`);
+  console.log('Démarrage de la lecture en streaming…\n');
+
+  const response = await fetch(feed.url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const startedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = startedAt + JOB_TTL_DAYS * 24 * 3600;
+  const seenIds = [];
+  // Une offre retirée par la rétention n'est pas réimportée, sauf si elle l'a été faute de place
+  // et qu'il y en a de nouveau (le dépassement éventuel est corrigé par applyRetention en fin d'import)
+  const hasRoom = (!(feed.max_jobs > 0) || stmtFeedQuotaCount.get(feed.id).c < feed.max_jobs)
+    && (!(MAX_JOBS > 0) || stmtMaxJobsCount.get().c < MAX_JOBS);
+
+  const batchSize = 100;
+  const insertBatch = db.transaction((jobs) => {
+    for (const job of jobs) {
+      const { facets, fingerprint, ai, ...row } = job;
+      // Même intitulé et même entreprise qu'une offre connue (autre source, autre poste) : sans
+      // suffixe, le slug déjà pris ferait ignorer l'insertion avant tout regroupement
+      if (!stmtHasGuid.get(row.guid) && stmtBySlug.get(row.slug)) {
+        row.slug = `${row.slug}-${crypto.createHash('sha1').update(row.guid).digest('hex').slice(0, 8)}`;
+      }
+      if (stmtInsertJob.run(row).changes) {
+        stats.inserted++;
+        const id = stmtHasGuid.get(job.guid).id;
+        stmtSetJobFacets.run({ id, ...facets });
+        if (clusterJob(id, fingerprint, row.title, row.feed_id)) stats.clustered++;
+        if (ai) {
+          stmtEnqueueAi.run({ job_id: id, run_id: stats.runId, payload: JSON.stringify(ai.input), classify_rome: ai.classifyRome ? 1 : 0 });
+          stats.aiQueued++;
+        }
+      }
+      const inserted = stmtHasGuid.get(job.guid);
+      if (inserted) {
+        upsertTagsForJob(inserted.id, job.tags_csv.split(', ').filter(Boolean));
+      }
+    }
+  });
+
+  // Offres retenues insérées par lots au fil de la lecture : la mémoire ne dépend pas de la
+  // taille du flux, et la file IA démarre dès le premier lot
+  const pending = [];
+  let aiRequested = 0;
+  const flush = () => {
+    if (!pending.length) return;
+    insertBatch(pending);
+    pending.length = 0;
+    kickAiQueue();
+  };
+
+  const warn = (message) => {
+    console.error(`[${feed.label}] ${message}`);
+    stats.errors.push(message);
+  };
+  ruleErrors.forEach(warn);
+
+  await readFeedItems(response, format, (item) => {
+    stats.processed++;
+    if (stats.processed % 10000 === 0) {
+      console.log(`[${feed.label}] Traité ${stats.processed.toLocaleString()} éléments (retenus : ${stats.matched.toLocaleString()}, ignorés : ${stats.skipped.toLocaleString()})`);
+    }
+
+    const guid = item.guid || item.link || `job-${feed.id}-${stats.processed}`;
+    const existing = stmtHasGuid.get(guid);
+    if (existing) {
+      seenIds.push(existing.id);
+      stats.skipped++;
+      return;
+    }
+    const archived = stmtArchivedGuid.get(guid);
+    if (archived && !(hasRoom && REIMPORTABLE_ARCHIVE_REASONS.has(archived.reason))) {
+      stats.skipped++;
+      return;
+    }
+    const { score } = scoreRelevance(item, rules);
+    if (score < threshold) {
+      stats.skipped++;
+      return;
+    }
+
+    stats.matched++;
+    const rawTitle = item.title || '';
+    const rawCompany = item.company || '';
+    const rawDescription = item.description || '';
+    const city = item.city || null;
+    const salaryText = item.salary || null;
+    const contractText = item.contract || null;
+    // Empreintes sur la description d'origine : pas de réécriture IA pour un doublon connu
+    const fingerprint = jobFingerprint({ title: rawTitle, company: rawCompany, city, html: rawDescription });
+    const knownDuplicate = findClusterCanonical(fingerprint, rawTitle, feed.id);
+    const shouldUseAI = HAS_OPENAI && !knownDuplicate && ((aiLimit === 0) || (aiRequested < aiLimit));
+    // Publiée tout de suite avec la description de secours ; la file IA la réécrit ensuite
+    const input = { title: rawTitle, company: rawCompany, html: rawDescription };
+    const { short, html, tags } = rewriteJobFallback(input);
+    if (shouldUseAI) aiRequested++;
+    else stats.fallbackUsed++;
+
+    const slug = mkSlug(`${rawTitle}-${rawCompany}`) || mkSlug(rawTitle) || mkSlug(guid);
+    // Facettes calculées sur la description d'origine, plus complète que la réécriture
+    const facets = computeJobFacets({
+      html: rawDescription, title: rawTitle, salary_text: salaryText, contract_text: contractText, city
+    });
+
+    pending.push({
+      guid,
+      source: feed.label,
+      feed_id: feed.id,
+      run_id: stats.runId,
+      title: rawTitle || 'Sans titre',
+      company: rawCompany,
+      description_html: html,
+      description_short: truncateWords(short, 60),
+      url: item.link || '',
+      published_at: parseFeedDate(item.pubDate),
+      slug,
+      tags_csv: tags.join(', '),
+      city,
+      salary_text: salaryText,
+      contract_text: contractText,
+      status: 'published',
+      contact_email: null,
+      employer_id: null,
+      expires_at: expiresAt,
+      last_seen_at: startedAt,
+      relevance_score: score,
+      company_id: resolveCompany(rawCompany, rawDescription) ?? 0,
+      source_html: rawDescription,
+      facets,
+      fingerprint,
+      ai: shouldUseAI ? { input, classifyRome: !facets.rome_code && ROME_AI_FALLBACK } : null
+    });
+    if (pending.length >= batchSize) flush();
+  }, warn);
+  flush();
+
+  db.transaction(() => {
+    for (const id of seenIds) stmtTouchJob.run({ id, now: startedAt, expires_at: expiresAt });
+    // Un flux vide est plus probablement en panne que réellement vide : on n'expire rien
+    if (stats.processed > 0) {
+      stats.expired = stmtExpireUnseen.run({ feed_id: feed.id, since: startedAt, now: startedAt }).changes;
+      stmtExpireUnseenDuplicates.run({ feed_id: feed.id, since: startedAt, now: startedAt });
+    }
+  })();
+
+  console.log(`\n[${feed.label}] Flux traité !`);
+  console.log(`Total éléments : ${stats.processed.toLocaleString()}`);
+  console.log(`Offres retenues : ${stats.matched.toLocaleString()}`);
+  console.log(`Offres insérées : ${stats.inserted.toLocaleString()} (dont ${stats.clustered.toLocaleString()} doublons regroupés)`);
+  console.log(`File IA : ${stats.aiQueued.toLocaleString()} offres à réécrire`);
+  console.log(`Fallback rapide : ${stats.fallbackUsed.toLocaleString()}`);
+  console.log(`Ignorés : ${stats.skipped.toLocaleString()} (doublons/non pertinents)`);
+  console.log(`Expirées : ${stats.expired.toLocaleString()} (absentes du flux)\n`);
+}
+
+// ========================================
+// FILE DE RÉÉCRITURE IA
+// ========================================
+// Les offres importées sont publiées aussitôt avec leur description de secours ; leur texte
+// d'origine attend dans ai_queue. AI_QUEUE_CONCURRENCY boucles (aiQueueWorker) le confient
+// à l'IA puis remplacent description, résumé et tags. Un échec est retenté après
+// AI_QUEUE_RETRY_SECONDS, puis 2×, 4×… jusqu'à AI_QUEUE_MAX_ATTEMPTS tentatives ; une erreur
+// 429 suspend toute la file le temps demandé par l'API (Retry-After) sans compter de
+// tentative. Un 429 de quota épuisé (crédit, plafond de facturation) ne se résout pas en
+// quelques secondes : la tentative compte et la file s'arrête AI_QUEUE_QUOTA_PAUSE_MINUTES.
+// La file survit aux redémarrages : les tâches « running » repartent au démarrage.
+const AI_QUEUE = { workers: 0, pausedUntil: 0, timer: null, appliedSince: null };
+const AI_QUOTA_ERROR_CODES = new Set(['insufficient_quota', 'billing_hard_limit_reached']);
+
+// Délai demandé par l'API après un 429 (en ms), null s'il n'est pas précisé
+function aiRetryAfterMs(error) {
+  const ms = Number(error.headers?.get?.('retry-after-ms'));
+  if (ms > 0) return ms;
+  const header = error.headers?.get?.('retry-after');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (seconds >= 0) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Erreur définitive : requête refusée telle quelle, inutile de la renvoyer
+const isPermanentAiError = (error) => error.status >= 400 && error.status < 500 && ![408, 409, 429].includes(error.status);
+
+async function runAiTask(task) {
+  const input = JSON.parse(task.payload);
+  // Pas de nouvelles tentatives côté client : la file gère délais et 429
+  const result = await rewriteJobAI(input, { maxRetries: 0 });
+  const romeCode = task.classify_rome ? await classifyRomeAI(input) : null;
+
+  db.transaction(() => {
+    const job = stmtById.get(task.job_id);
+    // Offre supprimée, modifiée à la main ou remise en file pendant l'appel : rien à écrire
+    if (!job || stmtAiTaskByJob.get(task.job_id)?.status !== 'running') return;
+    stmtUpdateJobContent.run({
+      id: job.id,
+      title: job.title,
+      company: job.company,
+      description_html: result.html,
+      description_short: truncateWords(result.short, 60),
+      tags_csv: result.tags.join(', ')
+    });
+    replaceTagsForJob(job.id, result.tags);
+    if (romeCode) stmtSetJobRomeAI.run(romeCode, job.id);
+    stmtDeleteAiTask.run(job.id);
+    if (task.run_id) stmtRunAiApplied.run(task.run_id);
+  })();
+  AI_QUEUE.appliedSince ??= Math.floor(Date.now() / 1000);
+}
+
+function handleAiTaskError(task, error) {
+  const message = String(error.message || error).slice(0, 500);
+  if (AI_QUOTA_ERROR_CODES.has(error.code)) {
+    AI_QUEUE.pausedUntil = Math.max(AI_QUEUE.pausedUntil, Date.now() + AI_QUEUE_QUOTA_PAUSE_MINUTES * 60 * 1000);
+    if (task.attempts >= AI_QUEUE_MAX_ATTEMPTS) stmtFailAiTask.run(message, task.job_id);
+    else stmtDeferAiTask.run({ job_id: task.job_id, refund: 0, next_attempt_at: Math.ceil(AI_QUEUE.pausedUntil / 1000), last_error: message });
+    console.error(`File IA : quota OpenAI épuisé (${error.code}), file suspendue ${AI_QUEUE_QUOTA_PAUSE_MINUTES} min`);
+  } else if (error.status === 429) {
+    const wait = aiRetryAfterMs(error) ?? AI_QUEUE_RETRY_SECONDS * 1000;
+    AI_QUEUE.pausedUntil = Math.max(AI_QUEUE.pausedUntil, Date.now() + wait);
+    stmtDeferAiTask.run({ job_id: task.job_id, refund: 1, next_attempt_at: Math.ceil(AI_QUEUE.pausedUntil / 1000), last_error: message });
+    console.error(`File IA : limite de débit atteinte, reprise dans ${Math.ceil(wait / 1000)} s`);
+  } else if (task.attempts >= AI_QUEUE_MAX_ATTEMPTS || isPermanentAiError(error)) {
+    stmtFailAiTask.run(message, task.job_id);
+    console.error(`File IA : offre #${task.job_id} abandonnée après ${task.attempts} tentative(s) : ${message}`);
+  } else {
+    const delay = AI_QUEUE_RETRY_SECONDS * 2 ** (task.attempts - 1);
+    stmtDeferAiTask.run({ job_id: task.job_id, refund: 0, next_attempt_at: Math.floor(Date.now() / 1000) + delay, last_error: message });
+    console.error(`File IA : offre #${task.job_id}, tentative ${task.attempts} échouée (${message}), nouvel essai dans ${delay} s`);
+  }
+}
+
+async function aiQueueWorker() {
+  AI_QUEUE.workers++;
+  try {
+    while (Date.now() >= AI_QUEUE.pausedUntil) {
+      const task = stmtClaimAiTask.get(Math.floor(Date.now() / 1000));
+      if (!task) break;
+      try {
+        await runAiTask(task);
+      } catch (e) {
+        handleAiTaskError(task, e);
+      }
+    }
+  } finally {
+    AI_QUEUE.workers--;
+    if (!AI_QUEUE.workers) scheduleAiQueue();
+  }
+}
+
+// Démarre les boucles manquantes ; appelée après chaque lot importé, au démarrage et par le minuteur
+function kickAiQueue() {
+  if (!HAS_OPENAI || !openai) return;
+  clearTimeout(AI_QUEUE.timer);
+  AI_QUEUE.timer = null;
+  if (Date.now() < AI_QUEUE.pausedUntil) return scheduleAiQueue();
+  // Une boucle sans tâche à prendre se termine aussitôt : on en lance un nombre fixe
+  for (let i = AI_QUEUE.workers; i < AI_QUEUE_CONCURRENCY; i++) {
+    aiQueueWorker().catch(e => console.error('Erreur de la file IA :', e.message));
+  }
+}
+
+// File au repos : annonce les offres réécrites, puis attend la prochaine tentative prévue
+function scheduleAiQueue() {
+  if (AI_QUEUE.appliedSince) {
+    invalidateSitemaps();
+    notifyIndexNow(AI_QUEUE.appliedSince);
+    AI_QUEUE.appliedSince = null;
+  }
+  const next = stmtNextAiAttempt.get().at;
+  if (next === null || AI_QUEUE.timer) return;
+  const delay = Math.max(next * 1000, AI_QUEUE.pausedUntil) - Date.now();
+  AI_QUEUE.timer = setTimeout(kickAiQueue, Math.max(1000, delay));
+  AI_QUEUE.timer.unref(); // ne retient pas le processus (tests, arrêt)
+}
+
+function aiQueueStatus() {
+  return {
+    ...stmtAiQueueCounts.get(),
+    workers: AI_QUEUE.workers,
+    pausedUntil: AI_QUEUE.pausedUntil > Date.now() ? new Date(AI_QUEUE.pausedUntil).toISOString() : null
+  };
+}
+
+// ========================================
+// ALERTES E-MAIL (nouvelles offres)
+// ========================================
+// Une alerte = une adresse + des critères (mots-clés, tags, lieu, filtres de facettes)
+// stockés en query string canonique. Double opt-in : l'alerte reste « pending » jusqu'au
+// lien de confirmation. last_listed_at sert de curseur : un envoi ne reprend que les offres
+// mises en ligne depuis (jobs.listed_at), les instantanées après chaque import, les quotidiennes
+// sur ALERTS_DAILY_CRON.
+const ALERT_FREQUENCIES = { instant: 'Dès qu’une offre arrive', daily: 'Un récapitulatif par jour' };
+const ALERT_DIGEST_SIZE = 20;
+
+function parseAlertCriteria(query = {}) {
+  const list = (v) => (Array.isArray(v) ? v : v ? [v] : []).map(String);
+  return {
+    q: String(query.q || '').trim().slice(0, 200),
+    tags: [...new Set(list(query.tag))].filter(slug => stmtGetTagBySlug.get(slug)).slice(0, 10),
+    near: String(query.near || '').trim().slice(0, 80),
+    radius: RADIUS_STEPS.includes(Number(query.radius)) ? Number(query.radius) : 50,
+    filters: parseFacetFilters(query)
+  };
+}
+
+const hasAlertCriteria = (c) => Boolean(c.q || c.tags.length || c.near || hasFacetFilters(c.filters));
+
+// Paramètres canoniques : clé d'unicité (email, query) et liens vers la liste correspondante
+function alertParams(c) {
+  return [
+    ...(c.q ? [['q', c.q]] : []),
+    ...c.tags.map(slug => ['tag', slug]),
+    ...(c.near ? [['near', c.near], ['radius', String(c.radius)]] : []),
+    ...facetParams(c.filters)
+  ];
+}
+
+// Query string stockée → objet de query Express (clés répétées en tableau)
+function alertCriteriaOf(alert) {
+  const query = {};
+  for (const [k, v] of new URLSearchParams(alert.query)) {
+    query[k] = k in query ? [].concat(query[k], v) : v;
+  }
+  return parseAlertCriteria(query);
+}
+
+function describeAlert(c) {
+  const tagName = (slug) => stmtGetTagBySlug.get(slug)?.name || slug;
+  const parts = [
+    c.q ? `« ${c.q} »` : null,
+    ...c.tags.map(tagName),
+    c.near ? `à ${c.radius} km de ${c.near}` : null,
+    ...c.filters.contract.map(v => CONTRACT_LABELS[v]),
+    c.filters.remote ? 'Télétravail' : null,
+    c.filters.salaryMin ? `${c.filters.salaryMin.toLocaleString('fr-FR')} € et plus` : null,
+    c.filters.city || null,
+    ...c.filters.permit.map(code => QUALIFICATION_BY_CODE[code].label),
+    ...c.filters.rome.map(code => ROME.byCode.get(code).short),
+    c.filters.noAgency ? 'Hors agences d’intérim' : null
+  ];
+  return parts.filter(Boolean).join(' · ') || 'Toutes les offres';
+}
+
+// Page du site qui liste les mêmes offres (recherche, tag ou accueil filtré)
+function alertListUrl(c) {
+  const facets = facetParams(c.filters);
+  if (c.q || c.near) return `/search?${new URLSearchParams(alertParams({ ...c, tags: [] }))}`;
+  const base = c.tags.length === 1 ? `/tag/${c.tags[0]}` : '/';
+  return facets.length ? `${base}?${new URLSearchParams(facets)}` : base;
+}
+
+/**
+ * Offres publiées mises en ligne dans ]after, until] (secondes) répondant aux critères
+ * (tags : au moins un des tags), les plus récentes d'abord.
+ */
+function alertMatches(c, after, until, limit) {
+  const match = c.q ? buildFtsQuery(c.q) : '';
+  if (c.q && !match) return [];
+  let scope = match ? scopeSearch(match) : scopeAll();
+  if (c.near) {
+    const found = findCommune(c.near);
+    if (!found) return [];
+    scope = withinRadius(scope, placeFromCommune(found.commune, found.postcode), c.radius);
+  }
+  const where = ['j.listed_at > ?', 'j.listed_at <= ?'];
+  const params = [after, until];
+  if (c.tags.length) {
+    where.push(`EXISTS (SELECT 1 FROM job_tags ajt JOIN tags atg ON atg.id = ajt.tag_id
+      WHERE ajt.job_id = j.id AND atg.slug IN (SELECT value FROM json_each(?)))`);
+    params.push(JSON.stringify(c.tags));
+  }
+  const q = scopedQuery(scope, c.filters, null, where, params);
+  return prepareCached(`SELECT ${LIST_COLUMNS} FROM ${q.from} WHERE ${q.where}
+ORDER BY j.listed_at DESC, j.id DESC LIMIT ?`).all(...q.params, limit);
+}
+
+// Liens de confirmation et de désabonnement signés (HMAC CLICK_SECRET), sans expiration
+function signAlert(purpose, alert) {
+  return crypto.createHmac('sha256', CLICK_SECRET)
+    .update(`${purpose}:${alert.id}:${String(alert.email).toLowerCase()}`)
+    .digest('hex').slice(0, 32);
+}
+const alertLink = (purpose, alert) => canonical(`/alerts/${purpose}?id=${alert.id}&token=${signAlert(purpose, alert)}`);
+function alertFromToken(purpose, id, token) {
+  const alert = stmtAlertById.get(Number(id) || 0);
+  return alert && safeEqual(String(token || ''), signAlert(purpose, alert)) ? alert : null;
+}
+
+function alertConfirmMail(alert, c) {
+  return {
+    to: alert.email,
+    subject: `Confirmez votre alerte ${SITE_NAME}`,
+    text: [
+      'Bonjour,',
+      '',
+      `Vous avez demandé à recevoir par e-mail les nouvelles offres : ${describeAlert(c)}`,
+      `(${ALERT_FREQUENCIES[alert.frequency].toLowerCase()}).`,
+      '',
+      'Pour activer cette alerte, confirmez votre adresse :',
+      alertLink('confirm', alert),
+      '',
+      'Si vous n’êtes pas à l’origine de cette demande, ignorez ce message : aucune offre ne vous sera envoyée.',
+      '',
+      `— ${SITE_NAME}`
+    ].join('\n')
+  };
+}
+
+// `rows` contient au plus ALERT_DIGEST_SIZE + 1 offres : la dernière signale qu'il y en a d'autres
+function alertDigestMail(alert, c, rows) {
+  const shown = rows.slice(0, ALERT_DIGEST_SIZE);
+  const unsubscribe = alertLink('unsubscribe', alert);
+  const lines = shown.map(r => {
+    const where = [r.company, r.city].filter(Boolean).join(', ');
+    return `- ${r.title}${where ? ` — ${where}` : ''}\n  ${canonical(`/job/${r.slug}`)}`;
+  });
+  return {
+    to: alert.email,
+    subject: `${shown.length}${rows.length > shown.length ? '+' : ''} nouvelle${shown.length > 1 ? 's' : ''} offre${shown.length > 1 ? 's' : ''} : ${describeAlert(c)}`,
+    text: [
+      'Bonjour,',
+      '',
+      `Nouvelles offres pour votre alerte : ${describeAlert(c)}`,
+      '',
+      ...lines,
+      '',
+      ...(rows.length > shown.length ? [`Toutes les offres : ${canonical(alertListUrl(c))}`, ''] : []),
+      `Se désabonner de cette alerte : ${unsubscribe}`,
+      '',
+      `— ${SITE_NAME}`
+    ].join('\n'),
+    // Désabonnement en un clic depuis le client mail (RFC 8058)
+    headers: {
+      'List-Unsubscribe': `<${unsubscribe}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+// Un envoi par fréquence à la fois : les quotidiennes ne sont pas bloquées par les instantanées
+const ALERTS_SENDING = new Set();
+
+/**
+ * Envoie à chaque alerte active de la fréquence donnée les offres mises en ligne depuis son
+ * dernier passage. Un envoi raté laisse le curseur en place : les offres repartiront
+ * au passage suivant. Un appel pendant un envoi de même fréquence renvoie null ; ses offres
+ * partiront au passage suivant.
+ */
+export async function sendAlertDigests(frequency) {
+  if (ALERTS_SENDING.has(frequency)) return null;
+  ALERTS_SENDING.add(frequency);
+  const counts = { sent: 0, failed: 0 };
+  try {
+    // Seconde en cours exclue : une offre mise en ligne pendant l'envoi partira au suivant
+    const until = Math.floor(Date.now() / 1000) - 1;
+    for (const alert of stmtActiveAlerts.all(frequency)) {
+      const after = alert.last_listed_at ?? 0;
+      if (after >= until) continue;
+      const c = alertCriteriaOf(alert);
+      const rows = alertMatches(c, after, until, ALERT_DIGEST_SIZE + 1);
+      if (rows.length && !(await sendMail(alertDigestMail(alert, c, rows)))) {
+        counts.failed++;
+        continue;
+      }
+      stmtAdvanceAlert.run({ id: alert.id, last_listed_at: until, sent: rows.length ? 1 : 0, now: Math.floor(Date.now() / 1000) });
+      if (rows.length) counts.sent++;
+    }
+  } finally {
+    ALERTS_SENDING.delete(frequency);
+  }
+  if (counts.sent || counts.failed) {
+    console.log(`Alertes (${frequency}) : ${counts.sent} envoyée(s), ${counts.failed} échec(s)`);
+  }
+  return counts;
+}
+
+// ========================================
+// INDEXNOW (signalement des URL modifiées aux moteurs)
+// ========================================
+// Après chaque import, expiration ou approbation, les pages d'offres créées, modifiées,
+// expirées ou archivées depuis le début de l'opération sont mises en file (indexnow_urls),
+// puis soumises par lots de INDEXNOW_BATCH_SIZE URL. Un échec laisse les URL en file pour le passage
+// suivant, jusqu'à INDEXNOW_MAX_ATTEMPTS tentatives.
+const INDEXNOW_ENABLED = /^[a-zA-Z0-9-]{8,128}$/.test(INDEXNOW_KEY);
+if (INDEXNOW_KEY && !INDEXNOW_ENABLED) console.error('INDEXNOW_KEY invalide (8 à 128 caractères a-z, A-Z, 0-9, -) : IndexNow désactivé');
+const INDEXNOW_MAX_ATTEMPTS = 5;
+
+// Client HTTP (fetch par défaut) ; setIndexNowClient() permet d'en injecter un autre (tests)
+let indexNowClient = fetch;
+export function setIndexNowClient(client) {
+  indexNowClient = client;
+}
+
+function queueIndexNow(since) {
+  if (!INDEXNOW_ENABLED) return 0;
+  return stmtQueueIndexNow.run({ prefix: canonical('/job/'), since }).changes;
+}
+
+let INDEXNOW_RUNNING = false;
+
+async function submitIndexNow() {
+  if (!INDEXNOW_ENABLED || INDEXNOW_RUNNING) return null;
+  INDEXNOW_RUNNING = true;
+  const counts = { submitted: 0, failed: 0 };
+  try {
+    for (;;) {
+      const urls = stmtPendingIndexNow.all(INDEXNOW_MAX_ATTEMPTS, INDEXNOW_BATCH_SIZE).map(r => r.url);
+      if (!urls.length) break;
+      let status = null;
+      let error = null;
+      try {
+        const response = await indexNowClient(INDEXNOW_ENDPOINT, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json; charset=utf-8' },
+          body: JSON.stringify({
+            host: new URL(SITE_URL).hostname,
+            key: INDEXNOW_KEY,
+            keyLocation: canonical(`/${INDEXNOW_KEY}.txt`),
+            urlList: urls
+          }),
+          signal: AbortSignal.timeout(30000)
+        });
+        status = response.status;
+        if (!response.ok) error = `HTTP ${status}`; // 400, 403 (clé), 422 (URL hors hôte), 429…
+      } catch (e) {
+        error = e.message;
+      }
+      if (error) {
+        stmtIndexNowFailed.run({ urls: JSON.stringify(urls), status, error: error.slice(0, 500) });
+        counts.failed += urls.length;
+        break; // on réessaiera au prochain passage
+      }
+      stmtIndexNowSubmitted.run({ urls: JSON.stringify(urls), status, now: Math.floor(Date.now() / 1000) });
+      counts.submitted += urls.length;
+    }
+  } finally {
+    INDEXNOW_RUNNING = false;
+  }
+  if (counts.submitted || counts.failed) {
+    console.log(`IndexNow : ${counts.submitted} URL soumise(s), ${counts.failed} en échec`);
+  }
+  return counts;
+}
+
+// Met en file les changements depuis `since` puis soumet, sans jamais lever d'erreur
+function notifyIndexNow(since) {
+  if (!INDEXNOW_ENABLED) return;
+  try {
+    queueIndexNow(since);
+  } catch (e) {
+    console.error('Erreur IndexNow :', e.message);
+    return;
+  }
+  submitIndexNow().catch(e => console.error('Erreur IndexNow :', e.message));
+}
+
+// ========================================
+// DONNÉES STRUCTURÉES (JobPosting)
+// ========================================
+// JSON-LD des pages d'offres, construit à partir des colonnes stockées (lieu géocodé,
+// facettes, compte employeur), et contrôlé selon les exigences de Google :
+// https://developers.google.com/search/docs/appearance/structured-data/job-posting
+// Erreur = offre inéligible aux résultats enrichis ; avertissement = champ recommandé absent.
+const JOB_POSTING_EMPLOYMENT_TYPES = ['FULL_TIME', 'PART_TIME', 'CONTRACTOR', 'TEMPORARY', 'INTERN', 'VOLUNTEER', 'PER_DIEM', 'OTHER'];
+const JOB_POSTING_UNITS = ['HOUR', 'DAY', 'WEEK', 'MONTH', 'YEAR'];
+// Balises admises par Google dans description ; les autres sont retirées, blocs remplacés par <br>
+const JOB_POSTING_TAGS = new Set(['p', 'br', 'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'u', 'h2', 'h3', 'h4']);
+const JOB_POSTING_BLOCKS = new Set(['div', 'section', 'article', 'h1', 'h5', 'h6', 'tr', 'table', 'blockquote', 'pre']);
+
+function jobPostingDescription(html = '') {
+  let out = sanitizeHtml(stripDocumentTags(html))
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(\/?)([a-z][a-z0-9]*)\b[^>]*>/gi, (_, close, name) => {
+      const tag = name.toLowerCase();
+      if (JOB_POSTING_TAGS.has(tag)) return tag === 'br' ? '<br>' : `<${close}${tag}>`;
+      return close && JOB_POSTING_BLOCKS.has(tag) ? '<br>' : '';
+    })
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/\s+/g, ' ');
+  // Éléments vides (éventuellement imbriqués) puis sauts de ligne superflus
+  const empty = /<(p|li|ul|ol|strong|b|em|i|u|h2|h3|h4)>(?:\s|<br>)*<\/\1>/g;
+  for (let prev; prev !== out;) {
+    prev = out;
+    out = out.replace(empty, '');
+  }
+  return out
+    .replace(/(<\/(?:p|ul|ol|li|h2|h3|h4)>)(?:\s*<br>)+/g, '$1')
+    .replace(/(?:<br>\s*)+(<(?:p|ul|ol|li|h2|h3|h4)>)/g, '$1')
+    .replace(/(?:\s*<br>\s*){3,}/g, '<br><br>')
+    .replace(/^(?:\s|<br>)+|(?:\s|<br>)+$/g, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+function jobPostingLocations(job) {
+  const country = getCountryFromHost(SITE_URL);
+  if (!job.city) return inferJobLocations(job.description_html || '', job.title || '', SITE_URL, null);
+  return [{
+    "@type": "Place",
+    "address": {
+      "@type": "PostalAddress",
+      "addressLocality": job.city,
+      ...(job.region ? { "addressRegion": job.region } : {}),
+      ...(job.postcode ? { "postalCode": job.postcode } : {}),
+      "addressCountry": country
+    },
+    ...(job.lat != null && job.lon != null ? {
+      "geo": { "@type": "GeoCoordinates", "latitude": job.lat, "longitude": job.lon }
+    } : {})
+  }];
+}
+
+// sameAs et logo seulement pour un compte employeur vérifié, déclarés dans son profil
+function jobHiringOrganization(job) {
+  const employer = job.employer_id ? stmtEmployerById.get(job.employer_id) : null;
+  const verified = Boolean(employer?.verified);
+  return {
+    "@type": "Organization",
+    "name": String(job.company || employer?.company_name || '').trim(),
+    ...(verified && employer.website ? { "sameAs": employer.website } : {}),
+    ...(verified && employer.logo_url ? { "logo": employer.logo_url } : {})
+  };
+}
+
+// Candidature sur le site lui-même (sans redirection vers un tiers)
+function jobDirectApply(job) {
+  try {
+    return new URL(job.url).hostname === new URL(SITE_URL).hostname;
+  } catch {
+    return false;
+  }
+}
+
+// Niveau de formation exigé, déduit du texte (catégories de credentialCategory)
+function jobEducationRequirements(text) {
+  if (/(sans diplôme|aucun diplôme|pas de diplôme|no degree required)/i.test(text)) return 'no requirements';
+  const category =
+    /\b(bac\s*\+\s*[345]|licence|master|bachelor)\b/i.test(text) ? 'bachelor degree'
+    : /\b(bac\s*\+\s*2|bts|dut)\b/i.test(text) ? 'associate degree'
+    : /\b(bac|baccalaur[ée]at)\b/i.test(text) ? 'high school'
+    : /\b(cap|bep|titre professionnel)\b/i.test(text) ? 'professional certificate'
+    : null;
+  return category ? { "@type": "EducationalOccupationalCredential", "credentialCategory": category } : null;
+}
+
+function buildJobPosting(job) {
+  const meta = jobMeta(job);
+  const country = getCountryFromHost(SITE_URL);
+  const text = convert(job.description_html || '', { wordwrap: false }) + ' ' + (job.title || '');
+  const education = jobEducationRequirements(text);
+  const salary = meta.salary;
+  return {
+    "@context": "https://schema.org",
+    "@type": "JobPosting",
+    "title": job.title,
+    "description": jobPostingDescription(job.description_html),
+    "datePosted": new Date(job.published_at * 1000).toISOString(),
+    ...(job.expires_at ? { "validThrough": new Date(job.expires_at * 1000).toISOString() } : {}),
+    ...(meta.employmentType ? { "employmentType": meta.employmentType } : {}),
+    "hiringOrganization": jobHiringOrganization(job),
+    "jobLocation": jobPostingLocations(job),
+    ...(meta.isRemote ? {
+      "jobLocationType": "TELECOMMUTE",
+      "applicantLocationRequirements": { "@type": "Country", "name": country }
+    } : {}),
+    "identifier": { "@type": "PropertyValue", "name": SITE_NAME, "value": String(job.guid || job.id) },
+    "directApply": jobDirectApply(job),
+    ...(job.rome_code || OCCUPATIONAL_CATEGORY ? { "occupationalCategory": job.rome_code || OCCUPATIONAL_CATEGORY } : {}),
+    ...(education ? { "educationRequirements": education } : {}),
+    ...(meta.qualifications.length ? {
+      "qualifications": meta.qualifications.map(code => ({
+        "@type": "EducationalOccupationalCredential",
+        "credentialCategory": QUALIFICATION_BY_CODE[code].kind,
+        "name": QUALIFICATION_BY_CODE[code].label
+      }))
+    } : {}),
+    ...(meta.experienceRequirements ? { "experienceRequirements": meta.experienceRequirements } : {}),
+    "experienceInPlaceOfEducation": Boolean(meta.experienceInPlaceOfEducation),
+    ...(salary ? {
+      "baseSalary": {
+        "@type": "MonetaryAmount",
+        "currency": salary.currency,
+        "value": {
+          "@type": "QuantitativeValue",
+          ...(salary.min && salary.max
+            ? { "minValue": salary.min, "maxValue": salary.max }
+            : { "value": salary.min || salary.max }),
+          "unitText": salary.unit
+        }
+      }
+    } : {})
+  };
+}
+
+/**
+ * Contrôle un JobPosting : [{ level: 'error' | 'warning', field, message }].
+ * Les erreurs correspondent aux propriétés obligatoires ou mal formées, les
+ * avertissements aux propriétés recommandées manquantes.
+ */
+export function validateJobPosting(jp, now = Date.now()) {
+  const issues = [];
+  const error = (field, message) => issues.push({ level: 'error', field, message });
+  const warning = (field, message) => issues.push({ level: 'warning', field, message });
+  const dateOf = (v) => (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}/.test(v) && !Number.isNaN(Date.parse(v)) ? Date.parse(v) : null);
+
+  if (!String(jp.title || '').trim()) error('title', 'Intitulé manquant');
+  else if (/<[a-z/]/i.test(jp.title)) error('title', 'Balises HTML dans l’intitulé');
+
+  const plain = convert(jp.description || '', { wordwrap: false }).trim();
+  if (!plain) error('description', 'Description vide');
+  else if (plain.length < 100) warning('description', 'Description très courte (moins de 100 caractères)');
+
+  const posted = dateOf(jp.datePosted);
+  if (posted == null) error('datePosted', 'Date de publication absente ou invalide (ISO 8601)');
+  else if (posted > now + 24 * 3600 * 1000) error('datePosted', 'Date de publication dans le futur');
+
+  if (jp.validThrough == null) warning('validThrough', 'Date d’expiration absente');
+  else {
+    const until = dateOf(jp.validThrough);
+    if (until == null) error('validThrough', 'Date d’expiration invalide (ISO 8601)');
+    else if (until <= now) error('validThrough', 'Offre expirée');
+    else if (posted != null && until <= posted) error('validThrough', 'Expiration antérieure à la publication');
+  }
+
+  if (!String(jp.hiringOrganization?.name || '').trim()) error('hiringOrganization.name', 'Nom de l’employeur manquant');
+  for (const key of ['sameAs', 'logo']) {
+    const v = jp.hiringOrganization?.[key];
+    if (v && !/^https:\/\/\S+$/i.test(v)) error(`hiringOrganization.${key}`, 'URL absolue https attendue');
+  }
+
+  const telecommute = jp.jobLocationType === 'TELECOMMUTE';
+  const locations = Array.isArray(jp.jobLocation) ? jp.jobLocation : jp.jobLocation ? [jp.jobLocation] : [];
+  if (!locations.length && !telecommute) error('jobLocation', 'Lieu manquant (ou jobLocationType TELECOMMUTE)');
+  if (telecommute && !jp.applicantLocationRequirements) {
+    error('applicantLocationRequirements', 'Télétravail sans zone géographique des candidats');
+  }
+  for (const place of locations) {
+    const address = place?.address || {};
+    if (!/^[A-Z]{2}$/.test(String(address.addressCountry || ''))) {
+      error('jobLocation.address.addressCountry', 'Pays absent ou non conforme (ISO 3166-1 alpha-2)');
+    }
+    if (!address.addressLocality && !address.addressRegion && !address.postalCode && !address.streetAddress) {
+      warning('jobLocation.address', 'Adresse réduite au pays (ni ville, ni région, ni code postal)');
+    } else if (!address.postalCode) {
+      warning('jobLocation.address.postalCode', 'Code postal absent');
+    }
+  }
+
+  if (!jp.employmentType) warning('employmentType', 'Type de contrat absent');
+  else if (![].concat(jp.employmentType).every(t => JOB_POSTING_EMPLOYMENT_TYPES.includes(t))) {
+    error('employmentType', `Type de contrat inconnu : ${[].concat(jp.employmentType).join(', ')}`);
+  }
+
+  if (!jp.baseSalary) warning('baseSalary', 'Salaire absent');
+  else {
+    const { currency, value = {} } = jp.baseSalary;
+    const numbers = ['value', 'minValue', 'maxValue'].filter(k => value[k] != null);
+    if (!/^[A-Z]{3}$/.test(String(currency || ''))) error('baseSalary.currency', 'Devise absente ou non conforme (ISO 4217)');
+    if (!numbers.length) error('baseSalary.value', 'Montant absent');
+    if (numbers.some(k => typeof value[k] !== 'number' || !(value[k] > 0))) error('baseSalary.value', 'Montant non numérique ou nul');
+    if (value.minValue > value.maxValue) error('baseSalary.value', 'Minimum supérieur au maximum');
+    if (!JOB_POSTING_UNITS.includes(value.unitText)) error('baseSalary.value.unitText', 'Unité absente ou inconnue (HOUR, DAY, WEEK, MONTH, YEAR)');
+  }
+
+  if (!jp.identifier) warning('identifier', 'Identifiant absent');
+  return issues;
+}
+
+// ========================================
+// CSS (thème bleu moderne) + bandeau cookies
+// ========================================
+const baseCss = `
+:root {
+  --primary: #2563eb;
+  --primary-dark: #1e40af;
+  --bg: #f8fafc;
+  --card: #ffffff;
+  --text: #1e293b;
+  --text-muted: #64748b;
+  --border: #e2e8f0;
+  --shadow: 0 1px 3px rgba(0,0,0,0.1);
+  --shadow-lg: 0 4px 6px -1px rgba(0,0,0,0.1), 0 2px 4px -1px rgba(0,0,0,0.06);
+}
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--bg); color: var(--text); font-family: system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; line-height: 1.6; }
+.wrap { max-width: 1000px; margin: 0 auto; padding: 20px; }
+header.wrap { display: flex; justify-content: space-between; align-items: center; padding-top: 24px; padding-bottom: 24px; border-bottom: 1px solid var(--border); background: var(--card); flex-wrap: wrap; gap: 16px; }
+header h1 { margin: 0; font-size: 24px; }
+header h1 a { color: var(--text); text-decoration: none; font-weight: 700; }
+nav { display: flex; align-items: center; gap: 12px; flex-wrap: wrap; }
+nav a { color: var(--text-muted); text-decoration: none; padding: 8px 12px; border-radius: 6px; transition: all 0.2s; }
+nav a:hover { color: var(--primary); background: var(--bg); }
+.btn { display: inline-block; padding: 10px 18px; background: var(--text); color: white; border-radius: 8px; border: none; cursor: pointer; font-size: 14px; font-weight: 500; text-decoration: none; transition: all 0.2s; }
+.btn:hover { background: var(--text-muted); transform: translateY(-1px); }
+.btn-primary { background: var(--primary); color: white; font-weight: 600; }
+.btn-primary:hover { background: var(--primary-dark); }
+.card { background: var(--card); border-radius: 12px; padding: 24px; margin: 16px 0; box-shadow: var(--shadow); border: 1px solid var(--border); transition: all 0.2s; }
+.card:hover { box-shadow: var(--shadow-lg); border-color: var(--primary); }
+.list { list-style: none; padding: 0; margin: 0; }
+.muted { color: var(--text-muted); }
+.small { font-size: 14px; }
+.search-form { margin: 24px 0; }
+.search-form input[type="search"] { width: 100%; max-width: 500px; padding: 12px 16px; border: 2px solid var(--border); border-radius: 8px; font-size: 16px; transition: all 0.2s; }
+.search-form input[type="search"]:focus { outline: none; border-color: var(--primary); box-shadow: 0 0 0 3px rgba(37, 99, 235, 0.1); }
+.facets { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 12px 24px; }
+.facets fieldset { border: none; padding: 0; margin: 0; }
+.facets legend { font-weight: 600; margin-bottom: 8px; }
+.facets select { width: 100%; padding: 8px; border: 1px solid var(--border); border-radius: 8px; margin-bottom: 8px; }
+.facet-option { display: block; font-weight: normal; margin: 4px 0; }
+mark { background: #fef08a; color: inherit; padding: 0 2px; border-radius: 2px; }
+.pager { display: flex; gap: 12px; margin: 24px 0; flex-wrap: wrap; }
+.pager a, .pager .current { padding: 8px 16px; background: var(--card); border-radius: 8px; color: var(--text); text-decoration: none; box-shadow: var(--shadow); border: 1px solid var(--border); transition: all 0.2s; }
+.pager a:hover { background: var(--primary); color: white; border-color: var(--primary); }
+.pager .disabled { opacity: 0.5; pointer-events: none; }
+.tags { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 12px; }
+.tag { background: #eff6ff; color: var(--primary); border-radius: 999px; padding: 6px 14px; font-size: 13px; text-decoration: none; transition: all 0.2s; border: 1px solid #dbeafe; }
+.tag:hover { background: var(--primary); color: white; border-color: var(--primary); }
+.content h2 { color: var(--text); margin-top: 24px; font-size: 20px; }
+.content p, .content ul, .content ol { line-height: 1.7; margin: 12px 0; }
+.content ul, .content ol { padding-left: 24px; }
+form label { display: block; margin-top: 16px; margin-bottom: 6px; font-weight: 500; color: var(--text); }
+form input[type="text"], form input[type="url"], form input[type="password"], form input[type="number"], form select, form textarea { width: 100%; padding: 10px 14px; border: 2px solid var(--border); border-radius: 8px; font-size: 15px; font-family: inherit; transition: all 0.2s; }
+form input:focus, form select:focus, form textarea:focus { outline: none; border-color: var(--primary); box-shadow: 0 0 0 3px rgba(37, 99, 235, 0.1); }
+form textarea { min-height: 150px; resize: vertical; }
+form button[type="submit"] { margin-top: 20px; }
+.form-row { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 16px; }
+.badge-agency { display: inline-block; margin-left: 8px; padding: 2px 10px; border-radius: 999px; background: #fef3c7; color: #b45309; font-size: 12px; font-weight: 600; }
+.badge-verified { display: inline-block; margin-left: 8px; padding: 2px 10px; border-radius: 999px; background: #dcfce7; color: #15803d; font-size: 12px; font-weight: 600; }
+.hp { position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden; }
+.help-text { font-size: 13px; color: var(--text-muted); margin-top: 4px; }
+.admin-table { width: 100%; border-collapse: collapse; font-size: 14px; }
+.admin-table th, .admin-table td { text-align: left; padding: 8px; border-bottom: 1px solid var(--border); vertical-align: top; }
+.admin-table th { color: var(--text-muted); font-weight: 600; }
+.bar { display: inline-block; height: 10px; background: var(--primary); border-radius: 4px; vertical-align: middle; }
+.admin-nav { display: flex; gap: 16px; align-items: center; margin-bottom: 12px; }
+.inline-form { display: inline; margin: 0; }
+.link-button { background: none; border: none; padding: 0; color: var(--primary); cursor: pointer; font: inherit; }
+.actions { display: flex; gap: 8px; flex-wrap: wrap; align-items: center; }
+.status-success, .status-published { color: #15803d; }
+.status-unpublished { color: var(--text-muted); }
+.status-pending { color: #b45309; }
+.status-rejected { color: #b91c1c; }
+.status-closed, .status-expired, .status-duplicate { color: var(--text-muted); }
+.status-error { color: #b91c1c; }
+.status-running, .status-interrupted { color: #b45309; }
+footer { margin-top: 60px; padding-top: 24px; border-top: 1px solid var(--border); }
+/* Bandeau cookies */
+.cookie-banner { position: fixed; left: 16px; right: 16px; bottom: 16px; z-index: 9999; background: var(--card); color: var(--text); border: 1px solid var(--border); box-shadow: var(--shadow-lg); border-radius: 12px; padding: 16px; display: none; }
+.cookie-actions { display: flex; gap: 8px; margin-top: 12px; flex-wrap: wrap; }
+.cookie-link { color: var(--primary); text-decoration: none; }
+.cookie-link:hover { text-decoration: underline; }
+@media (max-width: 768px) {
+  header.wrap { flex-direction: column; align-items: flex-start; }
+  nav { width: 100%; justify-content: flex-start; }
+  .form-row { grid-template-columns: 1fr; }
+}
+`;
+
+// ========================================
+// GABARIT HTML (avec bandeau cookies)
+// ========================================
+function layout({ title, body, metaExtra = '', breadcrumbs = null }) {
+  const faviconHtml = FAVICON_URL ? `<link rel="icon" href="${escapeHtml(FAVICON_URL)}"/>` : '';
+  const canonicalUrl = canonical(breadcrumbs ? breadcrumbs[breadcrumbs.length - 1].url : '/');
+
+  let breadcrumbSchema = '';
+  if (breadcrumbs && breadcrumbs.length > 1) {
+    breadcrumbSchema = `<script type="application/ld+json">${JSON.stringify({
+      "@context": "https://schema.org",
+      "@type": "BreadcrumbList",
+      "itemListElement": breadcrumbs.map((crumb, idx) => ({
+        "@type": "ListItem",
+        "position": idx + 1,
+        "name": crumb.name,
+        "item": canonical(crumb.url)
+      }))
+    })}</script>`;
+  }
+
+  const cookieBanner = `
+<div id="cookie-banner" class="cookie-banner" role="dialog" aria-live="polite" aria-label="Consentement aux cookies">
+  <div>
+    <strong>Nous utilisons des cookies</strong>
+    <p class="small muted" style="margin:6px 0 0 0;">
+      Nous utilisons des cookies essentiels pour faire fonctionner ${escapeHtml(SITE_NAME)} et améliorer votre expérience.
+      Consultez notre <a class="cookie-link" href="/cookies">Politique Cookies</a> et notre <a class="cookie-link" href="/privacy">Politique de confidentialité</a>.
+    </p>
+    <div class="cookie-actions">
+      <button id="cookie-accept" class="btn btn-primary">Tout accepter</button>
+      <a class="cookie-link" href="/cookies">Gérer les paramètres</a>
+    </div>
+  </div>
+</div>
+<script>
+(function(){
+  function getCookie(name){
+    return document.cookie.split('; ').find(row => row.startsWith(name + '='))?.split('=')[1];
+  }
+  function showBanner(){
+    var el = document.getElementById('cookie-banner');
+    if (el) el.style.display = 'block';
+  }
+  function hideBanner(){
+    var el = document.getElementById('cookie-banner');
+    if (el) el.style.display = 'none';
+  }
+  if (!getCookie('cookie_consent')){
+    window.addEventListener('load', showBanner);
+  }
+  var btn = document.getElementById('cookie-accept');
+  if (btn){
+    btn.addEventListener('click', function(){
+      var oneYear = 365*24*60*60;
+      document.cookie = 'cookie_consent=1; Max-Age=' + oneYear + '; Path=/; SameSite=Lax';
+      hideBanner();
+    });
+  }
+})();
+</script>
+`;
+
+  return `
+<!doctype html>
+<html lang="${TARGET_LANG}">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>${title ? `${escapeHtml(title)} · ` : ''}${escapeHtml(SITE_NAME)}</title>
+<meta name="description" content="Trouvez des emplois de ${escapeHtml(TARGET_PROFESSION)} sur ${escapeHtml(SITE_NAME)}"/>
+<link rel="canonical" href="${canonicalUrl}"/>
+${faviconHtml}
+<link rel="alternate" type="application/rss+xml" title="Flux RSS" href="${canonical('/feed.xml')}"/>
+<!-- Open Graph -->
+<meta property="og:title" content="${escapeHtml(title || SITE_NAME)}"/>
+<meta property="og:description" content="Offres récentes pour ${escapeHtml(TARGET_PROFESSION)}"/>
+<meta property="og:url" content="${canonicalUrl}"/>
+<meta property="og:type" content="website"/>
+${SITE_LOGO ? `<meta property="og:image" content="${escapeHtml(SITE_LOGO)}"/>` : ''}
 <!-- Twitter Card -->
 <meta name="twitter:card" content="summary"/>
 <meta name="twitter:title" content="${escapeHtml(title || SITE_NAME)}"/>
@@ -867,6 +4070,7 @@ ${metaExtra}
   <h1><a href="/">${escapeHtml(SITE_NAME)}</a></h1>
   <nav>
     <a href="/post-job" class="btn btn-primary">Publier une offre</a>
+    <a href="/employer">Espace employeur</a>
     <a href="/tags">Tags</a>
     <a href="/feed.xml">RSS</a>
     <a href="/rules">Règles</a>
@@ -876,748 +4080,3267 @@ ${metaExtra}
 </header>
 <main class="wrap">
 ${body}
-</main>
-<footer class="wrap">
-  <p class="muted small">© ${new Date().getFullYear()} ${escapeHtml(SITE_NAME)} · Offres ${escapeHtml(TARGET_PROFESSION)} · <a href="/privacy">Confidentialité</a> · <a href="/terms">Conditions</a> · <a href="/cookies">Cookies</a></p>
-</footer>
-${cookieBanner}
-</body>
-</html>
+</main>
+<footer class="wrap">
+  <p class="muted small">© ${new Date().getFullYear()} ${escapeHtml(SITE_NAME)} · Offres ${escapeHtml(TARGET_PROFESSION)} · <a href="/privacy">Confidentialité</a> · <a href="/terms">Conditions</a> · <a href="/cookies">Cookies</a></p>
+</footer>
+${cookieBanner}
+</body>
+</html>
+`;
+}
+
+// ========================================
+// SERVEUR HTTP
+// ========================================
+export const app = express();
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+app.use(express.static(path.join(APP_DIR, 'public')));
+
+// Santé
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), jobs: getCachedCount(), feeds: stmtEnabledFeeds.all().length, feedRunning: FEED_RUNNING, aiEnabled: HAS_OPENAI, aiQueue: aiQueueStatus() });
+});
+
+// ACCUEIL
+app.get('/', (req, res) => {
+  const pageSize = 50;
+  const cursor = req.query.cursor ? parseListCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) return res.status(400).send('Curseur invalide');
+  const filters = parseFacetFilters(req.query);
+  const filtered = hasFacetFilters(filters);
+  const scope = scopeAll();
+
+  const rows = listJobs(scope, filters, cursor, pageSize);
+  const total = filtered ? countJobs(scope, filters) : getCachedCount();
+  const hasMore = rows.length === pageSize;
+  const nextCursor = hasMore ? encodeListCursor(rows[rows.length - 1]) : null;
+
+  const items = rows.map(r => `
+<li class="card">
+  <h2><a href="/job/${r.slug}">${escapeHtml(r.title)}</a></h2>
+  ${companyLine(r)}
+  ${jobCardFacts(r)}
+  <p>${escapeHtml(r.description_short)}</p>
+  <div class="muted small">${new Date(r.published_at * 1000).toLocaleDateString('fr-FR')}</div>
+</li>`).join('');
+
+  const popular = stmtPopularTags.all(5, 50);
+  const tagsBlock = popular.length ? `
+<section>
+  <h3>Tags populaires</h3>
+  <div class="tags">
+    ${popular.map(t => `<a class="tag" href="/tag/${t.slug}">${escapeHtml(t.name)} (${t.cnt})</a>`).join('')}
+  </div>
+</section>` : '';
+
+  const qs = (c) => {
+    const params = new URLSearchParams([...facetParams(filters), ...(c ? [['cursor', c]] : [])]).toString();
+    return params ? `/?${params}` : '/';
+  };
+  const pagerLinks = [];
+  if (nextCursor) {
+    res.setHeader('Link', `<${canonical(qs(nextCursor))}>; rel="next"`);
+    pagerLinks.push(`<a href="${escapeHtml(qs(nextCursor))}" rel="next">Suivant →</a>`);
+  }
+  if (cursor) {
+    pagerLinks.unshift(`<a href="${escapeHtml(qs(null))}" rel="prev">← Début</a>`);
+  }
+  const pager = pagerLinks.length ? `<div class="pager">${pagerLinks.join('')}</div>` : '';
+
+  const orgSchema = `<script type="application/ld+json">${JSON.stringify({
+    "@context": "https://schema.org",
+    "@type": "Organization",
+    "name": SITE_NAME,
+    "url": SITE_URL,
+    ...(SITE_LOGO ? { "logo": SITE_LOGO } : {}),
+    ...(SITE_SAMEAS ? { "sameAs": SITE_SAMEAS.split(',').map(s => s.trim()).filter(Boolean) } : {})
+  })}</script>`;
+
+  const websiteSchema = `<script type="application/ld+json">${JSON.stringify({
+    "@context": "https://schema.org",
+    "@type": "WebSite",
+    "name": SITE_NAME,
+    "url": SITE_URL,
+    "potentialAction": {
+      "@type": "SearchAction",
+      "target": { "@type": "EntryPoint", "urlTemplate": `${SITE_URL}/search?q={search_term_string}` },
+      "query-input": "required name=search_term_string"
+    }
+  })}</script>`;
+
+  res.send(layout({
+    title: 'Dernières offres',
+    body: `
+<section class="card search-form">
+  <form method="GET" action="/search">
+    <label for="q">Rechercher une offre</label>
+    ${searchFields()}
+    <button type="submit" class="btn" style="margin-top:12px">Rechercher</button>
+  </form>
+</section>
+<p class="muted">Affichage des postes ${escapeHtml(TARGET_PROFESSION)} · ${total.toLocaleString('fr-FR')} offres ${filtered ? 'correspondant aux filtres' : 'au total'}</p>
+${tagsBlock}
+${renderFacets('/', filters, facetCounts(scope, filters))}
+${filtered ? alertCta(facetParams(filters)) : ''}
+<ul class="list">${items || `<li class="card">${filtered ? 'Aucune offre ne correspond à ces filtres.' : 'Aucune offre pour le moment.'}</li>`}</ul>
+${pager}
+`,
+    // Les combinaisons de filtres ne sont pas indexées : seule la liste complète l'est
+    metaExtra: orgSchema + websiteSchema + (filtered ? `<meta name="robots" content="noindex, follow"/>` : '')
+  }));
+});
+
+// RECHERCHE — noindex
+const RADIUS_STEPS = [10, 25, 50, 100, 200];
+
+// Champs de recherche (mots-clés, lieu, rayon), repris sur l'accueil et la page de résultats
+function searchFields({ q = '', near = '', radius = 50 } = {}) {
+  return `
+  <input type="search" id="q" name="q" value="${escapeHtml(q)}" placeholder="Poste, entreprise, permis…" aria-label="Rechercher une offre"/>
+  <div class="form-row">
+    <div>
+      <label for="near">Autour de</label>
+      <input type="text" id="near" name="near" value="${escapeHtml(near)}" placeholder="Ville ou code postal"/>
+    </div>
+    <div>
+      <label for="radius">Rayon</label>
+      <select id="radius" name="radius">
+        ${RADIUS_STEPS.map(km => `<option value="${km}"${km === radius ? ' selected' : ''}>${km} km</option>`).join('')}
+      </select>
+    </div>
+  </div>`;
+}
+
+app.get('/search', (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  const q = String(req.query.q || '').trim();
+  const nearInput = String(req.query.near || '').trim().slice(0, 80);
+  if (!q && !nearInput) return res.redirect('/');
+  const radius = RADIUS_STEPS.includes(Number(req.query.radius)) ? Number(req.query.radius) : 50;
+  const pageSize = 30;
+  const cursor = req.query.cursor ? decodeSearchCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) return res.status(400).send('Curseur invalide');
+
+  const filters = parseFacetFilters(req.query);
+  const match = buildFtsQuery(q);
+  const found = nearInput ? findCommune(nearInput) : null;
+  const near = found ? placeFromCommune(found.commune, found.postcode) : null;
+  const searchParams = [...(q ? [['q', q]] : []), ...(nearInput ? [['near', nearInput], ['radius', String(radius)]] : [])];
+
+  let rows = [];
+  let total = 0;
+  let facetsHtml = '';
+  if ((match || !q) && (near || !nearInput)) {
+    const result = searchJobs({ match, near, radius, filters, cursor, limit: pageSize });
+    rows = result.rows;
+    total = countJobs(result.scope, filters);
+    facetsHtml = renderFacets('/search', filters, facetCounts(result.scope, filters), Object.fromEntries(searchParams));
+  }
+  const nextCursor = rows.length === pageSize ? encodeSearchCursor(rows[rows.length - 1]) : null;
+
+  const items = rows.map(r => `
+<li class="card">
+  <h2><a href="/job/${r.slug}">${renderHighlight(r.title_hl)}</a></h2>
+  ${companyLine(r)}
+  ${jobCardFacts(r)}
+  <p>${renderHighlight(r.snippet)}</p>
+  <div class="muted small">${new Date(r.published_at * 1000).toLocaleDateString('fr-FR')}</div>
+</li>`).join('');
+
+  const qs = (c) => `/search?${new URLSearchParams([...searchParams, ...facetParams(filters), ...(c ? [['cursor', c]] : [])])}`;
+  const pagerLinks = [];
+  if (nextCursor) {
+    res.setHeader('Link', `<${canonical(qs(nextCursor))}>; rel="next"`);
+    pagerLinks.push(`<a href="${escapeHtml(qs(nextCursor))}" rel="next">Suivant →</a>`);
+  }
+  if (cursor) {
+    pagerLinks.unshift(`<a href="${escapeHtml(qs(null))}" rel="prev">← Début</a>`);
+  }
+  const pager = pagerLinks.length ? `<div class="pager">${pagerLinks.join('')}</div>` : '';
+
+  const heading = [q ? `"${q}"` : null, near ? `à ${radius} km de ${near.city}${found.postcode ? ` (${found.postcode})` : ''}` : null]
+    .filter(Boolean).join(' ');
+  const breadcrumbs = [
+    { name: 'Accueil', url: '/' },
+    { name: 'Recherche', url: `/search?${new URLSearchParams(searchParams)}` }
+  ];
+
+  res.send(layout({
+    title: `Recherche : ${heading || q || nearInput}`,
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › Recherche</nav>
+<form method="GET" action="/search" class="search-form">
+  ${searchFields({ q, near: nearInput, radius })}
+  <button type="submit" class="btn">Rechercher</button>
+</form>
+<h1>Recherche : ${escapeHtml(heading || q || nearInput)}</h1>
+${nearInput && !near ? `<p class="card">Lieu inconnu : « ${escapeHtml(nearInput)} ». Indiquez une commune ou un code postal.</p>` : ''}
+<p class="muted">${total.toLocaleString('fr-FR')} résultat${total > 1 ? 's' : ''}${near ? ', du plus proche au plus éloigné' : ''}</p>
+${facetsHtml}
+${facetsHtml ? alertCta([...searchParams, ...facetParams(filters)]) : ''}
+<ul class="list">${items || '<li class="card">Aucun résultat.</li>'}</ul>
+${pager}
+<p><a href="/">← Retour aux offres</a></p>
+`,
+    breadcrumbs,
+    metaExtra: `<meta name="robots" content="noindex, nofollow"/>`
+  }));
+});
+
+// ALERTES E-MAIL — abonnement, confirmation, désabonnement (noindex)
+function alertPage(res, title, body) {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  res.send(layout({
+    title,
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › Alertes e-mail</nav>
+<article class="card" style="max-width:560px">
+${body}
+  <p><a href="/">← Retour aux offres</a></p>
+</article>
+`,
+    metaExtra: `<meta name="robots" content="noindex, nofollow"/>`
+  }));
+}
+
+// Lien « Créer une alerte » des pages de liste, avec les critères de la page
+const alertCta = (params) =>
+  `<p class="small"><a href="/alerts/new?${escapeHtml(new URLSearchParams(params).toString())}">🔔 Recevoir ces offres par e-mail</a></p>`;
+
+app.get('/alerts/new', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const c = parseAlertCriteria(req.query);
+  if (!hasAlertCriteria(c)) return res.redirect('/');
+  const csrfToken = issueCsrfToken(req, res);
+  alertPage(res, 'Créer une alerte', `
+  <h1>Créer une alerte</h1>
+  <p>Recevez par e-mail les nouvelles offres : <strong>${escapeHtml(describeAlert(c))}</strong>.</p>
+  <form method="POST" action="/alerts">
+    <input type="hidden" name="_csrf" value="${csrfToken}"/>
+    ${alertParams(c).map(([k, v]) => `<input type="hidden" name="${k}" value="${escapeHtml(v)}"/>`).join('\n    ')}
+    <div class="hp" aria-hidden="true">
+      <label for="website">Ne pas remplir ce champ</label>
+      <input type="text" id="website" name="website" tabindex="-1" autocomplete="off"/>
+    </div>
+    <label for="email">E-mail</label>
+    <input type="text" id="email" name="email" inputmode="email" required autocomplete="email"/>
+    <label for="frequency">Fréquence</label>
+    <select id="frequency" name="frequency">
+      ${Object.entries(ALERT_FREQUENCIES).map(([v, label]) => `<option value="${v}"${v === 'daily' ? ' selected' : ''}>${label}</option>`).join('')}
+    </select>
+    <button type="submit" class="btn btn-primary">Créer l’alerte</button>
+  </form>
+  <p class="muted small">Un e-mail de confirmation vous sera envoyé. Chaque envoi contient un lien de désabonnement.</p>`);
+});
+
+app.post('/alerts', async (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  const body = req.body || {};
+  const email = String(body.email || '').trim().toLowerCase();
+  const frequency = ALERT_FREQUENCIES[body.frequency] ? body.frequency : 'daily';
+  const c = parseAlertCriteria(body);
+
+  if (body.website) {
+    console.log(`Anti-spam : pot de miel rempli (alerte) depuis ${req.ip}`);
+    return res.redirect('/alerts/merci');
+  }
+  const csrfError = checkCsrfToken(req, body._csrf);
+  if (csrfError) {
+    console.log(`Anti-spam : CSRF refusé (${csrfError}, alerte) depuis ${req.ip}`);
+    return res.status(403).send('Formulaire invalide ou expiré, rechargez la page et réessayez.');
+  }
+  if (!isValidEmail(email)) return res.status(400).send('Adresse e-mail invalide');
+  if (!hasAlertCriteria(c)) return res.status(400).send('Aucun critère d’alerte');
+
+  const rate = hitRateLimit(`alerts:${req.ip}`, 10, 3600);
+  const rateEmail = hitRateLimit(`alerts:${email}`, 5, 3600);
+  if (!rate.allowed || !rateEmail.allowed) {
+    res.setHeader('Retry-After', String(Math.max(rate.retryAfter, rateEmail.retryAfter)));
+    return res.status(429).send('Trop de demandes. Réessayez plus tard.');
+  }
+  if (findBlocked({ email })) {
+    console.log(`Anti-spam : alerte refusée pour ${email}`);
+    return res.redirect('/alerts/merci'); // réponse identique, rien à signaler
+  }
+
+  const query = new URLSearchParams(alertParams(c)).toString();
+  const existing = stmtAlertByQuery.get(email, query);
+  if ((!existing || existing.status === 'unsubscribed') && stmtCountAlertsByEmail.get(email).c >= ALERTS_PER_EMAIL) {
+    return res.status(400).send(`Nombre maximal d’alertes atteint pour cette adresse (${ALERTS_PER_EMAIL}).`);
+  }
+  const alert = stmtUpsertAlert.get(email, query, frequency);
+  if (alert.status === 'pending') await sendMail(alertConfirmMail(alert, c));
+  res.redirect('/alerts/merci');
+});
+
+app.get('/alerts/merci', (req, res) => {
+  alertPage(res, 'Alerte enregistrée', `
+  <h1>Vérifiez votre boîte de réception</h1>
+  <p>Si l’adresse est valide, un e-mail de confirmation vient de vous être envoyé.
+  L’alerte ne sera active qu’après un clic sur le lien qu’il contient.</p>
+  <p class="muted small">Si l’alerte était déjà active, sa fréquence a simplement été mise à jour.</p>`);
+});
+
+// Le GET n'affiche qu'un bouton : les antivirus de messagerie qui suivent les liens
+// ne doivent ni confirmer ni désabonner à la place du destinataire.
+app.get(['/alerts/confirm', '/alerts/unsubscribe'], (req, res) => {
+  const purpose = req.path.endsWith('/confirm') ? 'confirm' : 'unsubscribe';
+  const alert = alertFromToken(purpose, req.query.id, req.query.token);
+  if (!alert) {
+    res.status(404);
+    return alertPage(res, 'Lien invalide', `<h1>Lien invalide</h1><p>Ce lien d’alerte est invalide ou incomplet.</p>`);
+  }
+  const c = alertCriteriaOf(alert);
+  const action = `/alerts/${purpose}?id=${alert.id}&token=${signAlert(purpose, alert)}`;
+  alertPage(res, purpose === 'confirm' ? 'Confirmer l’alerte' : 'Se désabonner', `
+  <h1>${purpose === 'confirm' ? 'Confirmer l’alerte' : 'Se désabonner'}</h1>
+  <p>Alerte : <strong>${escapeHtml(describeAlert(c))}</strong> (${escapeHtml(ALERT_FREQUENCIES[alert.frequency].toLowerCase())}),
+  envoyée à ${escapeHtml(alert.email)}.</p>
+  <form method="POST" action="${escapeHtml(action)}">
+    <button type="submit" class="btn btn-primary">${purpose === 'confirm' ? 'Activer l’alerte' : 'Ne plus recevoir cette alerte'}</button>
+  </form>`);
+});
+
+// Aussi appelé par les clients mail (List-Unsubscribe-Post) : jeton dans l'URL, pas de CSRF
+app.post(['/alerts/confirm', '/alerts/unsubscribe'], (req, res) => {
+  const purpose = req.path.endsWith('/confirm') ? 'confirm' : 'unsubscribe';
+  const alert = alertFromToken(purpose, req.query.id, req.query.token);
+  if (!alert) {
+    res.status(404);
+    return alertPage(res, 'Lien invalide', `<h1>Lien invalide</h1><p>Ce lien d’alerte est invalide ou incomplet.</p>`);
+  }
+  const c = alertCriteriaOf(alert);
+  if (purpose === 'unsubscribe') {
+    stmtUnsubscribeAlert.run(alert.id);
+    return alertPage(res, 'Désabonnement', `
+  <h1>Vous êtes désabonné·e</h1>
+  <p>Vous ne recevrez plus l’alerte <strong>${escapeHtml(describeAlert(c))}</strong>.</p>
+  <p><a href="/alerts/new?${escapeHtml(alert.query)}">Recréer cette alerte</a></p>`);
+  }
+  if (alert.status === 'unsubscribed') {
+    return alertPage(res, 'Alerte désactivée', `
+  <h1>Alerte désactivée</h1>
+  <p>Vous vous êtes désabonné·e de cette alerte. <a href="/alerts/new?${escapeHtml(alert.query)}">La recréer</a></p>`);
+  }
+  stmtConfirmAlert.run(alert.id);
+  alertPage(res, 'Alerte activée', `
+  <h1>Alerte activée</h1>
+  <p>Vous recevrez les nouvelles offres <strong>${escapeHtml(describeAlert(c))}</strong>
+  (${escapeHtml(ALERT_FREQUENCIES[alert.frequency].toLowerCase())}).</p>
+  <p><a href="${escapeHtml(alertListUrl(c))}">Voir les offres actuelles</a></p>`);
+});
+
+// PUBLIER UNE OFFRE (GET)
+app.get('/post-job', (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  res.setHeader('Cache-Control', 'no-store');
+  const csrfToken = issueCsrfToken(req, res);
+  const employer = currentEmployer(req);
+  const breadcrumbs = [
+    { name: 'Accueil', url: '/' },
+    { name: 'Publier une offre', url: '/post-job' }
+  ];
+  res.send(layout({
+    title: 'Publier une offre',
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › Publier une offre</nav>
+<article class="card">
+  <h1>Publier une offre</h1>
+  <p>Publiez votre offre ${escapeHtml(TARGET_PROFESSION)}. Les champs marqués d’un * sont obligatoires.
+  Chaque offre est relue avant publication.</p>
+  <form method="POST" action="/post-job">
+    <input type="hidden" name="_csrf" value="${csrfToken}"/>
+    <div class="hp" aria-hidden="true">
+      <label for="website">Ne pas remplir ce champ</label>
+      <input type="text" id="website" name="website" tabindex="-1" autocomplete="off"/>
+    </div>
+    <label for="title">Intitulé du poste *</label>
+    <input type="text" id="title" name="title" required placeholder="ex. Conducteur SPL"/>
+
+    <label for="company">Entreprise *</label>
+    <input type="text" id="company" name="company" required placeholder="ex. ABC Logistique"/>
+
+    <label for="url">URL de candidature *</label>
+    <input type="url" id="url" name="url" required placeholder="https://..."/>
+    <div class="help-text">Lien où les candidat·e·s postulent</div>
+
+    <label for="description">Description (optionnel)</label>
+    <textarea id="description" name="description" placeholder="Si vide, l’IA générera une description structurée…"></textarea>
+    <div class="help-text">Laissez vide pour contenu IA, ou fournissez votre HTML/texte</div>
+
+    <label for="tags">Tags (optionnel)</label>
+    <input type="text" id="tags" name="tags" placeholder="ex. télétravail, temps plein, adr"/>
+    <div class="help-text">Séparés par des virgules</div>
+
+    <label for="email">E-mail de contact (optionnel)</label>
+    <input type="text" id="email" name="email" inputmode="email" placeholder="vous@entreprise.fr" value="${escapeHtml(employer?.email || '')}"/>
+    <div class="help-text">Pour être prévenu·e de la validation de l’offre. Jamais affiché publiquement.
+    ${employer ? 'L’offre sera rattachée à votre espace employeur.' : 'Avec un <a href="/employer/login">espace employeur</a>, vous pourrez ensuite la modifier, la clôturer ou la prolonger.'}</div>
+
+    <div class="form-row">
+      <div>
+        <label for="employmentType">Type de contrat</label>
+        <select id="employmentType" name="employmentType">
+          ${Object.entries(CONTRACT_LABELS).map(([v, label]) => `<option value="${v}">${label}</option>`).join('')}
+        </select>
+      </div>
+      <div>
+        <label for="isRemote">Télétravail</label>
+        <select id="isRemote" name="isRemote">
+          <option value="no">Non</option>
+          <option value="yes">Oui</option>
+        </select>
+      </div>
+    </div>
+
+    <h3 style="margin-top:24px">Salaire (optionnel)</h3>
+    <div class="form-row">
+      <div>
+        <label for="currency">Devise</label>
+        <select id="currency" name="currency">
+          <option value="">Aucune</option>
+          <option value="EUR">EUR</option>
+          <option value="CHF">CHF</option>
+          <option value="USD">USD</option>
+          <option value="GBP">GBP</option>
+        </select>
+      </div>
+      <div>
+        <label for="salaryMin">Minimum</label>
+        <input type="number" id="salaryMin" name="salaryMin" placeholder="ex. 28000"/>
+      </div>
+      <div>
+        <label for="salaryMax">Maximum</label>
+        <input type="number" id="salaryMax" name="salaryMax" placeholder="ex. 35000"/>
+      </div>
+      <div>
+        <label for="salaryUnit">Par</label>
+        <select id="salaryUnit" name="salaryUnit">
+          <option value="YEAR">An</option>
+          <option value="MONTH">Mois</option>
+          <option value="WEEK">Semaine</option>
+          <option value="DAY">Jour</option>
+          <option value="HOUR">Heure</option>
+        </select>
+      </div>
+    </div>
+
+    <button type="submit" class="btn btn-primary">Soumettre l’offre</button>
+  </form>
+</article>
+`,
+    breadcrumbs
+  }));
+});
+
+// PUBLIER UNE OFFRE (POST)
+const POST_JOB_CURRENCIES = ['EUR', 'CHF', 'USD', 'GBP'];
+
+// Montant saisi dans le formulaire : entier positif ou null
+function parseSalaryInput(value) {
+  const n = Number(String(value ?? '').replace(/\s/g, '').replace(',', '.'));
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : null;
+}
+
+app.post('/post-job', async (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  try {
+    const {
+      title, company, url,
+      description = '', tags = '',
+      employmentType = 'FULL_TIME',
+      isRemote = 'no',
+      currency = '',
+      salaryMin = '',
+      salaryMax = '',
+      salaryUnit = 'YEAR',
+      email = '',
+      website = '',
+      _csrf = ''
+    } = req.body || {};
+
+    // Contrôles anti-spam, tous avant l'appel éventuel à l'IA
+    if (website) {
+      console.log(`Anti-spam : pot de miel rempli depuis ${req.ip}`);
+      return res.redirect('/post-job/merci'); // on ne signale rien au robot
+    }
+    const csrfError = checkCsrfToken(req, _csrf);
+    if (csrfError) {
+      console.log(`Anti-spam : CSRF refusé (${csrfError}) depuis ${req.ip}`);
+      return res.status(403).send('Formulaire invalide ou expiré, rechargez la page et réessayez.');
+    }
+    const rate = hitRateLimit(`post-job:${req.ip}`, POST_RATE_LIMIT, 3600);
+    if (!rate.allowed) {
+      res.setHeader('Retry-After', String(rate.retryAfter));
+      return res.status(429).send('Trop de soumissions depuis votre adresse. Réessayez plus tard.');
+    }
+
+    if (!title || !company || !url) {
+      return res.status(400).send('Champs obligatoires manquants');
+    }
+    if (!/^https?:\/\//i.test(String(url))) {
+      return res.status(400).send('URL de candidature invalide');
+    }
+    const employer = currentEmployer(req);
+    const contactEmail = String(email || '').trim() || employer?.email || '';
+    if (contactEmail && !isValidEmail(contactEmail)) {
+      return res.status(400).send('Adresse e-mail invalide');
+    }
+    const blocked = findBlocked({ url, email: contactEmail, description });
+    if (blocked) {
+      console.log(`Anti-spam : ${blocked.kind} bloqué (${blocked.pattern}) depuis ${req.ip}`);
+      return res.status(422).send('Cette offre contient un lien ou un domaine non autorisé.');
+    }
+    const duplicate = findNearDuplicate(title, company);
+    if (duplicate) {
+      console.log(`Anti-spam : doublon probable de l'offre #${duplicate.id} depuis ${req.ip}`);
+      return res.status(409).send('Une offre très similaire (même intitulé, même entreprise) existe déjà.');
+    }
+
+    const guid = `manual-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+    const published_at = Math.floor(Date.now() / 1000);
+
+    const userTags = tags.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+
+    let finalHtml, finalShort, finalTags;
+
+    if (!String(description || '').trim()) {
+      console.log('Génération IA pour publication manuelle :', title);
+      const result = await rewriteJobRich({ title, company, html: `<p>Poste chez ${company}</p>` }, true);
+      finalHtml = result.html;
+      finalShort = result.short;
+      finalTags = [...new Set([...result.tags, ...userTags])];
+    } else {
+      finalHtml = sanitizeHtml(stripDocumentTags(description));
+      finalShort = truncateWords(convert(description, { wordwrap: 120 }), 45);
+      finalTags = [...new Set([...extractTags({ title, company, html: description }), ...userTags])];
+    }
+
+    // Champs libres côté client : nombres et devise revalidés avant d'entrer dans le HTML publié
+    let salaryInfo = '';
+    let salaryText = null;
+    const salaryLow = parseSalaryInput(salaryMin);
+    const salaryHigh = parseSalaryInput(salaryMax);
+    const salaryCurrency = String(currency).toUpperCase();
+    if (POST_JOB_CURRENCIES.includes(salaryCurrency) && (salaryLow || salaryHigh)) {
+      const unitLabel = UNIT_LABELS[String(salaryUnit).toUpperCase()] || 'période';
+      salaryText = escapeHtml(`${salaryCurrency} ${salaryLow || ''}${salaryLow && salaryHigh ? '-' : ''}${salaryHigh || ''} par ${unitLabel}`);
+      salaryInfo = `\n<p><strong>Salaire :</strong> ${salaryText}</p>`;
+    }
+    // Les choix du formulaire passent par contract_text pour que les facettes les reprennent
+    const contractText = [CONTRACT_LABELS[employmentType] || null, isRemote === 'yes' ? 'télétravail' : null]
+      .filter(Boolean).join(', ') || null;
+
+    const enrichedHtml = finalHtml + salaryInfo;
+    const slug = mkSlug(`${title}-${company}-${Date.now()}`) || mkSlug(guid);
+
+    stmtInsertJob.run({
+      guid,
+      source: 'manuel',
+      feed_id: null,
+      run_id: null,
+      title,
+      company,
+      description_html: enrichedHtml,
+      description_short: finalShort,
+      url,
+      published_at,
+      slug,
+      tags_csv: uniqNormTags(finalTags).join(', '),
+      city: null,
+      salary_text: salaryText,
+      contract_text: contractText,
+      status: 'pending', // en attente de modération
+      contact_email: contactEmail || null,
+      employer_id: employer?.id ?? null,
+      expires_at: published_at + JOB_TTL_DAYS * 24 * 3600,
+      last_seen_at: null,
+      relevance_score: null,
+      company_id: resolveCompany(company) ?? 0, // texte non modéré : pas d'indice d'agence
+      source_html: null
+    });
+
+    const inserted = stmtHasGuid.get(guid);
+    if (inserted) {
+      upsertTagsForJob(inserted.id, finalTags);
+      const job = stmtById.get(inserted.id);
+      refreshJobFacets(job);
+      fingerprintJob(job.id, storedJobFingerprint(job)); // canonique pour les flux, jamais doublon
+    }
+
+    console.log(`Offre soumise (en attente de modération) : ${title} chez ${company}`);
+    res.redirect(employer ? '/employer?done=submitted' : '/post-job/merci');
+  } catch (error) {
+    console.error('Erreur lors de la publication :', error);
+    res.status(500).send('Erreur serveur. Veuillez réessayer.');
+  }
+});
+
+// PUBLIER UNE OFFRE — confirmation
+app.get('/post-job/merci', (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  res.send(layout({
+    title: 'Offre reçue',
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › Publier une offre</nav>
+<article class="card">
+  <h1>Merci, votre offre a bien été reçue</h1>
+  <p>Elle sera publiée après vérification par notre équipe, généralement sous 24 h.
+  Si vous avez indiqué un e-mail, vous serez prévenu·e de la décision.</p>
+  <p><a href="/">← Retour aux offres</a></p>
+</article>
+`,
+    metaExtra: `<meta name="robots" content="noindex, nofollow"/>`
+  }));
+});
+
+// RÈGLES (FAQ + schéma)
+app.get('/rules', (req, res) => {
+  const breadcrumbs = [
+    { name: 'Accueil', url: '/' },
+    { name: 'Règles', url: '/rules' }
+  ];
+  const faqData = {
+    "@context": "https://schema.org",
+    "@type": "FAQPage",
+    "mainEntity": [
+      { "@type": "Question", "name": "Comment publier une offre ?", "acceptedAnswer": { "@type": "Answer", "text": `Cliquez sur “Publier une offre” dans l’en-tête et remplissez le formulaire. Toutes les offres ${TARGET_PROFESSION} sont les bienvenues.` } },
+      { "@type": "Question", "name": "La publication est-elle gratuite ?", "acceptedAnswer": { "@type": "Answer", "text": "Oui, la publication d’offres est entièrement gratuite sur notre plateforme." } },
+      { "@type": "Question", "name": "Combien de temps une offre reste-t-elle en ligne ?", "acceptedAnswer": { "@type": "Answer", "text": "Les offres restent actives 30 jours et sont incluses dans le sitemap et le flux RSS." } }
+    ]
+  };
+  const faqSchema = `<script type="application/ld+json">${JSON.stringify(faqData)}</script>`;
+  const orgSchema = `<script type="application/ld+json">${JSON.stringify({
+    "@context": "https://schema.org",
+    "@type": "Organization",
+    "name": SITE_NAME,
+    "url": SITE_URL,
+    ...(SITE_LOGO ? { "logo": SITE_LOGO } : {}),
+    ...(SITE_SAMEAS ? { "sameAs": SITE_SAMEAS.split(',').map(s => s.trim()).filter(Boolean) } : {})
+  })}</script>`;
+
+  res.send(layout({
+    title: 'Règles & FAQ',
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › Règles</nav>
+<article class="card">
+  <h1>Règles & FAQ</h1>
+  <h2>Directives de publication</h2>
+  <ul>
+    <li>Uniquement des postes de ${escapeHtml(TARGET_PROFESSION)}</li>
+    <li>Offres légitimes uniquement</li>
+    <li>Informations entreprise et lien de candidature exacts</li>
+    <li>Aucune discrimination</li>
+    <li>Chaque offre soumise est relue avant sa mise en ligne</li>
+  </ul>
+  <h2>FAQ</h2>
+  <h3>Comment publier une offre ?</h3>
+  <p>Cliquez sur “Publier une offre” et remplissez le formulaire.</p>
+  <h3>La publication est-elle gratuite ?</h3>
+  <p>Oui, c’est gratuit.</p>
+  <h3>Combien de temps une offre reste-t-elle en ligne ?</h3>
+  <p>30 jours, incluse dans le sitemap et le RSS.</p>
+  <h3>Modifier ou supprimer une offre ?</h3>
+  <p>Depuis votre <a href="/employer">espace employeur</a> (connexion par lien e-mail) : modifiez, clôturez ou prolongez vos offres.</p>
+  <h3>Comment les offres sont-elles traitées ?</h3>
+  <p>Nous utilisons l’IA pour structurer et améliorer la lisibilité. Si vous fournissez votre description, nous l’utilisons telle quelle.</p>
+</article>
+`,
+    breadcrumbs,
+    metaExtra: faqSchema + orgSchema
+  }));
+});
+
+// PAGE TAG (pagination)
+app.get('/tag/:slug', (req, res) => {
+  const slug = req.params.slug;
+  const tag = stmtGetTagBySlug.get(slug);
+  if (!tag) return res.status(404).send('Introuvable');
+
+  const pageSize = 50;
+  const cursor = req.query.cursor ? parseListCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) return res.status(400).send('Curseur invalide');
+  const filters = parseFacetFilters(req.query);
+  const filtered = hasFacetFilters(filters);
+  const scope = scopeTag(slug);
+
+  const rows = listJobs(scope, filters, cursor, pageSize);
+  const cnt = filtered ? countJobs(scope, filters) : stmtCountJobsByTagId.get(tag.id).c;
+  const hasMore = rows.length === pageSize;
+  const nextCursor = hasMore ? encodeListCursor(rows[rows.length - 1]) : null;
+
+  const items = rows.map(r => `
+<li class="card">
+  <h2><a href="/job/${r.slug}">${escapeHtml(r.title)}</a></h2>
+  ${companyLine(r)}
+  ${jobCardFacts(r)}
+  <p>${escapeHtml(r.description_short)}</p>
+  <div class="muted small">${new Date(r.published_at * 1000).toLocaleDateString('fr-FR')}</div>
+</li>`).join('');
+
+  const qs = (c) => {
+    const params = new URLSearchParams([...facetParams(filters), ...(c ? [['cursor', c]] : [])]).toString();
+    return `/tag/${slug}${params ? `?${params}` : ''}`;
+  };
+  const pagerLinks = [];
+  if (nextCursor) {
+    res.setHeader('Link', `<${canonical(qs(nextCursor))}>; rel="next"`);
+    pagerLinks.push(`<a href="${escapeHtml(qs(nextCursor))}" rel="next">Suivant →</a>`);
+  }
+  if (cursor) {
+    pagerLinks.unshift(`<a href="${escapeHtml(qs(null))}" rel="prev">← Début</a>`);
+  }
+  const pager = pagerLinks.length ? `<div class="pager">${pagerLinks.join('')}</div>` : '';
+
+  const breadcrumbs = [
+    { name: 'Accueil', url: '/' },
+    { name: 'Tags', url: '/tags' },
+    { name: tag.name, url: `/tag/${slug}` }
+  ];
+
+  res.send(layout({
+    title: `Tag : ${tag.name}`,
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › <a href="/tags">Tags</a> › ${escapeHtml(tag.name)}</nav>
+<h1>Tag : ${escapeHtml(tag.name)}</h1>
+<p class="muted">${cnt} offres${filtered ? ' correspondant aux filtres' : ''}</p>
+${renderFacets(`/tag/${slug}`, filters, facetCounts(scope, filters))}
+${alertCta([['tag', slug], ...facetParams(filters)])}
+<ul class="list">${items || '<li class="card">Aucune offre.</li>'}</ul>
+${pager}
+`,
+    breadcrumbs,
+    metaExtra: filtered ? `<meta name="robots" content="noindex, follow"/>` : ''
+  }));
+});
+
+// PAGE ENTREPRISE (toutes ses offres, sous ses différents noms)
+app.get('/entreprise/:slug', (req, res) => {
+  const slug = req.params.slug;
+  const company = stmtCompanyBySlug.get(slug);
+  if (!company) return res.status(404).send('Introuvable');
+
+  const pageSize = 50;
+  const cursor = req.query.cursor ? parseListCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) return res.status(400).send('Curseur invalide');
+  const filters = parseFacetFilters(req.query);
+  const filtered = hasFacetFilters(filters);
+  const scope = scopeCompany(company.id);
+
+  const rows = listJobs(scope, filters, cursor, pageSize);
+  const cnt = countJobs(scope, filters);
+  const hasMore = rows.length === pageSize;
+  const nextCursor = hasMore ? encodeListCursor(rows[rows.length - 1]) : null;
+
+  const items = rows.map(r => `
+<li class="card">
+  <h2><a href="/job/${r.slug}">${escapeHtml(r.title)}</a></h2>
+  ${jobCardFacts(r)}
+  <p>${escapeHtml(r.description_short)}</p>
+  <div class="muted small">${new Date(r.published_at * 1000).toLocaleDateString('fr-FR')}</div>
+</li>`).join('');
+
+  const qs = (c) => {
+    const params = new URLSearchParams([...facetParams(filters), ...(c ? [['cursor', c]] : [])]).toString();
+    return `/entreprise/${slug}${params ? `?${params}` : ''}`;
+  };
+  const pagerLinks = [];
+  if (nextCursor) {
+    res.setHeader('Link', `<${canonical(qs(nextCursor))}>; rel="next"`);
+    pagerLinks.push(`<a href="${escapeHtml(qs(nextCursor))}" rel="next">Suivant →</a>`);
+  }
+  if (cursor) {
+    pagerLinks.unshift(`<a href="${escapeHtml(qs(null))}" rel="prev">← Début</a>`);
+  }
+  const pager = pagerLinks.length ? `<div class="pager">${pagerLinks.join('')}</div>` : '';
+
+  const breadcrumbs = [
+    { name: 'Accueil', url: '/' },
+    { name: company.name, url: `/entreprise/${slug}` }
+  ];
+
+  res.send(layout({
+    title: `Offres ${company.name}`,
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › ${escapeHtml(company.name)}</nav>
+<h1>${escapeHtml(company.name)}${company.is_agency ? ' <span class="badge-agency">Agence d’intérim</span>' : ''}</h1>
+<p class="muted">${cnt} offres${filtered ? ' correspondant aux filtres' : ''}${company.is_agency ? ' · missions proposées pour le compte d’entreprises clientes' : ''}</p>
+${cnt || filtered ? renderFacets(`/entreprise/${slug}`, filters, facetCounts(scope, filters)) : ''}
+<ul class="list">${items || '<li class="card">Aucune offre en ce moment.</li>'}</ul>
+${pager}
+`,
+    breadcrumbs,
+    metaExtra: filtered || !cnt ? `<meta name="robots" content="noindex, follow"/>` : ''
+  }));
+});
+
+// LISTE DE TOUS LES TAGS
+app.get('/tags', (req, res) => {
+  const popular = stmtPopularTags.all(1, 500);
+  const breadcrumbs = [
+    { name: 'Accueil', url: '/' },
+    { name: 'Tags', url: '/tags' }
+  ];
+
+  const body = popular.length ? `
+<nav class="muted small"><a href="/">Accueil</a> › Tags</nav>
+<h1>Tous les tags</h1>
+<div class="tags">
+  ${popular.map(t => `<a class="tag" href="/tag/${t.slug}">${escapeHtml(t.name)} (${t.cnt})</a>`).join('')}
+</div>
+` : `
+<nav class="muted small"><a href="/">Accueil</a> › Tags</nav>
+<h1>Tags</h1>
+<p class="muted">Aucun tag pour le moment.</p>
+`;
+
+  res.send(layout({ title: 'Tags', body, breadcrumbs }));
+});
+
+// PAGE OFFRE (avec JSON-LD corrigé)
+// Motif affiché sur la page 410 : « pourvu » seulement si l'offre a été clôturée
+// ou a disparu de son flux ; une offre arrivée à échéance ou retirée par la rétention ne l'est pas forcément
+export function endedJobStatus(job) {
+  if (job.status === 'closed' || (job.status === 'expired' && job.ended_reason === 'unseen')) {
+    return { title: 'poste pourvu', notice: '<strong>Poste pourvu :</strong> cette offre n\'est plus disponible.' };
+  }
+  if (job.status === 'expired' || (job.status === 'published' && job.expires_at && job.expires_at <= Math.floor(Date.now() / 1000))) {
+    return { title: 'offre expirée', notice: '<strong>Offre expirée :</strong> cette offre n\'est plus en ligne.' };
+  }
+  return { title: 'offre retirée', notice: '<strong>Offre retirée :</strong> cette offre n\'est plus en ligne sur le site.' };
+}
+
+// Offre pourvue, expirée ou supprimée : 410 avec des offres similaires
+function sendEndedJob(res, job) {
+  const ended = endedJobStatus(job);
+  const similar = stmtSimilarJobs.all({
+    tags: JSON.stringify((job.tags_csv || '').split(',').map(t => t.trim()).filter(Boolean)),
+    slug: job.slug,
+    city: job.city || null,
+    limit: 6
+  });
+  const breadcrumbs = [
+    { name: 'Accueil', url: '/' },
+    { name: job.title, url: `/job/${job.slug}` }
+  ];
+  res.status(410).send(layout({
+    title: `${job.title} — ${ended.title}`,
+    breadcrumbs,
+    metaExtra: `<meta name="robots" content="noindex, follow"/>`,
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › ${escapeHtml(job.title)}</nav>
+<article class="card">
+  <h1>${escapeHtml(job.title)}</h1>
+  ${companyLine(jobCompanyRow(job), job.city ? ` · ${escapeHtml(job.city)}` : '')}
+  <p class="status-closed">${ended.notice}</p>
+</article>
+${similar.length ? `<section>
+  <h2>Offres similaires</h2>
+  <ul class="list">${similar.map(r => `
+    <li class="card">
+      <h3><a href="/job/${r.slug}">${escapeHtml(r.title)}</a></h3>
+      <div class="muted small">${[r.company, r.city, new Date(r.published_at * 1000).toLocaleDateString('fr-FR')].filter(Boolean).map(escapeHtml).join(' · ')}</div>
+    </li>`).join('')}
+  </ul>
+</section>` : ''}
+<p><a href="/">← Toutes les offres</a></p>
+`
+  }));
+}
+
+// Jeton des formulaires /go : seules les offres affichées par le site sont redirigées
+const goToken = (id) => crypto.createHmac('sha256', CLICK_SECRET).update(String(id)).digest('hex').slice(0, 16);
+
+app.get('/job/:slug', (req, res) => {
+  const job = stmtBySlug.get(req.params.slug);
+  if (!job) {
+    const gone = stmtArchivedBySlug.get(req.params.slug);
+    return gone ? sendEndedJob(res, gone) : res.status(404).send('Introuvable');
+  }
+  // Doublon d'une offre publiée ailleurs sur le site : la page canonique fait foi
+  if (job.status === 'duplicate' && !getSession(req, 'admin')) {
+    const canonicalJob = stmtById.get(job.cluster_id);
+    if (canonicalJob?.status === 'published') return res.redirect(301, `/job/${canonicalJob.slug}`);
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const ended = ['closed', 'expired'].includes(job.status)
+    || (job.status === 'published' && job.expires_at && job.expires_at <= now); // avant le passage horaire
+  // Les offres non publiées restent consultables par un admin (aperçu)
+  const preview = (ended || job.status !== 'published') && getSession(req, 'admin');
+  if (ended && !preview) return sendEndedJob(res, job);
+  if (job.status !== 'published' && !preview) return res.status(404).send('Introuvable');
+
+  const token = goToken(job.id);
+  const tags = (job.tags_csv || '').split(',').map(s => s.trim()).filter(Boolean);
+  const tagsHtml = tags.length ? `<div class="tags">
+    ${tags.map(name => `<a class="tag" href="/tag/${tagSlug(name)}">${escapeHtml(name)}</a>`).join('')}
+  </div>` : '';
+
+  // Balisage omis si l'offre ne satisfait pas les exigences (cf. /admin/structured-data)
+  const jobPosting = buildJobPosting(job);
+  const jobPostingValid = !validateJobPosting(jobPosting).some(i => i.level === 'error');
+
+  const employer = job.employer_id ? stmtEmployerById.get(job.employer_id) : null;
+  const verifiedBadge = employer?.verified
+    ? ' <span class="badge-verified" title="Offre gérée par un compte employeur dont l’adresse e-mail a été confirmée ; l’identité de l’entreprise n’est pas vérifiée">✓ Publiée par l’employeur</span>'
+    : '';
+  const facts = [job.city, job.contract_text, job.salary_text].filter(Boolean);
+  const factsHtml = facts.length ? `<div class="muted small">${facts.map(escapeHtml).join(' · ')}</div>` : '';
+  const alternates = job.cluster_id === job.id ? stmtClusterAlternates.all({ id: job.id, now }) : [];
+  const alternatesHtml = alternates.length ? `<div class="muted small" style="margin-top:12px">Également publiée sur :
+    ${alternates.map(a => `<form method="POST" action="/go" class="inline-form">
+      <input type="hidden" name="id" value="${a.id}"/>
+      <input type="hidden" name="t" value="${goToken(a.id)}"/>
+      <button type="submit" class="link-button">${escapeHtml(a.feed_label || a.source || 'autre source')}${a.company && a.company !== job.company ? ` (${escapeHtml(a.company)})` : ''}</button>
+    </form>`).join(' · ')}
+  </div>` : '';
+  const qualifications = jobQualifications(job).map(code => QUALIFICATION_BY_CODE[code]);
+  const qualificationsHtml = qualifications.length
+    ? `<div class="muted small">Permis et certifications : ${qualifications.map(q => `<a href="/?permit=${q.code}">${escapeHtml(q.label)}</a>`).join(' · ')}</div>`
+    : '';
+
+  const breadcrumbs = [
+    { name: 'Accueil', url: '/' },
+    { name: job.title, url: `/job/${job.slug}` }
+  ];
+
+  const metaExtra = `
+${preview || !jobPostingValid ? '' : `<script type="application/ld+json">${JSON.stringify(jobPosting).replace(/</g, '\\u003c')}</script>`}
+<meta name="robots" content="${preview ? 'noindex, nofollow' : 'index, follow'}"/>
+`;
+
+  const body = `
+<nav class="muted small"><a href="/">Accueil</a> › ${escapeHtml(job.title)}</nav>
+${preview ? `<p class="card status-${escapeHtml(job.status)}">Aperçu admin — statut : ${escapeHtml(job.status)} · <a href="/admin/jobs/${job.id}">gérer</a></p>` : ''}
+<article class="card">
+  <h1>${escapeHtml(job.title)}</h1>
+  ${companyLine(jobCompanyRow(job), verifiedBadge)}
+  ${factsHtml}
+  ${qualificationsHtml}
+  <div class="muted small">${new Date(job.published_at * 1000).toLocaleDateString('fr-FR')}</div>
+  ${tagsHtml}
+  <div class="content">${job.description_html || ''}</div>
+  <form method="POST" action="/go" style="margin-top:24px">
+    <input type="hidden" name="id" value="${job.id}"/>
+    <input type="hidden" name="t" value="${token}"/>
+    <button class="btn btn-primary" type="submit">Postuler / Voir la source</button>
+  </form>
+  ${alternatesHtml}
+</article>
+`;
+
+  res.send(layout({ title: job.title, body, metaExtra, breadcrumbs }));
+});
+
+// /go - redirection sécurisée
+app.post('/go', (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  const id = Number(req.body?.id || 0);
+  const t = String(req.body?.t || '');
+  if (!id || !t) return res.status(400).send('Requête invalide');
+  if (t !== goToken(id)) return res.status(403).send('Interdit');
+  const job = stmtById.get(id);
+  if (!job || !job.url) return res.status(404).send('Introuvable');
+  return res.redirect(302, job.url);
+});
+app.get('/go', (_req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  return res.status(405).send('Méthode non autorisée');
+});
+
+// Fichier de clé IndexNow : prouve que les URL soumises appartiennent bien au site
+if (INDEXNOW_ENABLED) {
+  app.get(`/${INDEXNOW_KEY}.txt`, (_req, res) => {
+    res.type('text/plain').send(INDEXNOW_KEY);
+  });
+}
+
+// robots.txt
+app.get('/robots.txt', (_req, res) => {
+  res.type('text/plain').send(`User-agent: *
+Disallow: /go
+Disallow: /post-job
+Disallow: /fetch
+Disallow: /admin
+Disallow: /employer
+Sitemap: ${SITE_URL}/sitemap.xml
+`);
+});
+
+// SITEMAPS : index → sitemap-static.xml, sitemap-tags.xml, sitemap-jobs-N.xml (ids
+// (N-1)×50 000+1 à N×50 000 ; seules les pages non vides figurent dans l'index).
+// Rendus à la demande puis servis depuis SITEMAP_CACHE_DIR jusqu'au prochain import,
+// expiration ou passage de rétention (invalidateSitemaps), au plus SITEMAP_CACHE_HOURS.
+const SITEMAP_MAX_URLS = 50000;
+const SITEMAP_CACHE_HOURS = 24;
+const STATIC_PAGES = ['/', '/tags', '/rules', '/privacy', '/terms', '/cookies'];
+
+const sitemapDate = (ts) => new Date(ts * 1000).toISOString();
+const urlsetXml = (urls) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(u => `  <url><loc>${escapeHtml(canonical(u.loc))}</loc>${u.lastmod ? `<lastmod>${sitemapDate(u.lastmod)}</lastmod>` : ''}</url>`).join('\n')}
+</urlset>
+`;
+
+// XML d'un fichier de sitemap, ou null si le nom ne correspond à rien
+function renderSitemap(name) {
+  const jobs = stmtSitemapLastmod.get();
+  if (name === 'sitemap.xml') {
+    const tagsLastmod = stmtSitemapTags.all(SITEMAP_MAX_URLS).reduce((max, t) => Math.max(max, t.lastmod || 0), 0);
+    const entries = [
+      { loc: '/sitemap-static.xml', lastmod: jobs.lastmod },
+      { loc: '/sitemap-tags.xml', lastmod: tagsLastmod || null },
+      ...stmtSitemapJobPages.all({ size: SITEMAP_MAX_URLS }).map(p => ({ loc: `/sitemap-jobs-${p.page}.xml`, lastmod: p.lastmod }))
+    ];
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(e => `  <sitemap><loc>${escapeHtml(canonical(e.loc))}</loc>${e.lastmod ? `<lastmod>${sitemapDate(e.lastmod)}</lastmod>` : ''}</sitemap>`).join('\n')}
+</sitemapindex>
+`;
+  }
+  if (name === 'sitemap-static.xml') {
+    // Accueil et liste des tags changent avec les offres ; pas de date fiable pour les pages légales
+    return urlsetXml(STATIC_PAGES.map(loc => ({ loc, lastmod: ['/', '/tags'].includes(loc) ? jobs.lastmod : null })));
+  }
+  if (name === 'sitemap-tags.xml') {
+    return urlsetXml(stmtSitemapTags.all(SITEMAP_MAX_URLS).map(t => ({ loc: `/tag/${t.slug}`, lastmod: t.lastmod })));
+  }
+  const page = Number(name.match(/^sitemap-jobs-(\d+)\.xml$/)?.[1]);
+  if (!(page >= 1)) return null;
+  const rows = stmtSitemapJobs.all((page - 1) * SITEMAP_MAX_URLS, page * SITEMAP_MAX_URLS);
+  return rows.length ? urlsetXml(rows.map(r => ({ loc: `/job/${r.slug}`, lastmod: r.updated_at }))) : null;
+}
+
+function invalidateSitemaps() {
+  fs.rmSync(SITEMAP_CACHE_DIR, { recursive: true, force: true });
+}
+
+app.get(['/sitemap.xml', '/sitemap-static.xml', '/sitemap-tags.xml', '/sitemap-jobs-:page.xml'], (req, res) => {
+  const name = req.path.slice(1);
+  const file = path.resolve(SITEMAP_CACHE_DIR, name);
+  let fresh = false;
+  try {
+    fresh = fs.statSync(file).mtimeMs > Date.now() - SITEMAP_CACHE_HOURS * 3600 * 1000;
+  } catch {
+    // pas encore en cache
+  }
+  if (!fresh) {
+    const xml = renderSitemap(name);
+    if (xml === null) return res.status(404).send('Introuvable');
+    fs.mkdirSync(SITEMAP_CACHE_DIR, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`; // écriture atomique : jamais de fichier à moitié écrit
+    fs.writeFileSync(tmp, xml);
+    fs.renameSync(tmp, file);
+  }
+  res.sendFile(file, { headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
+});
+
+// RSS
+app.get('/feed.xml', (req, res) => {
+  const recent = stmtRecent.all(100);
+  const items = recent.map(r => `
+  <item>
+    <title><![CDATA[${r.title}]]></title>
+    <link>${canonical(`/job/${r.slug}`)}</link>
+    <guid>${canonical(`/job/${r.slug}`)}</guid>
+    <pubDate>${new Date(r.published_at * 1000).toUTCString()}</pubDate>
+  </item>`).join('');
+  res.set('Content-Type', 'application/rss+xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(SITE_NAME)}</title>
+    <link>${SITE_URL}</link>
+    <description>Dernières offres ${escapeHtml(TARGET_PROFESSION.toLowerCase())}</description>
+    <language>${TARGET_LANG}</language>
+    <atom:link href="${canonical('/feed.xml')}" rel="self" type="application/rss+xml"/>
+    ${items}
+  </channel>
+</rss>`);
+});
+
+// EXPORT XML POUR LES AGRÉGATEURS (schéma <source><job> d'Indeed, Jooble, Google Jobs)
+// Écrit au fil de l'eau par lots, en respectant la contre-pression de la socket.
+// Pas de stmt.iterate() : un itérateur ouvert pendant l'attente de « drain » bloquerait
+// les écritures des autres requêtes (better-sqlite3 : connexion occupée).
+const AGGREGATOR_JOB_TYPES = {
+  FULL_TIME: 'fulltime', PART_TIME: 'parttime', CONTRACTOR: 'contract', TEMPORARY: 'temporary', INTERN: 'internship'
+};
+const EXPORT_BATCH_SIZE = 200;
+
+// CDATA sûr : caractères interdits en XML 1.0 retirés, « ]]> » découpé
+const cdata = (s) => `<![CDATA[${String(s)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+function aggregatorJobXml(job, country) {
+  const tags = (job.tags_csv || '').split(',').map(t => t.trim()).filter(Boolean);
+  const fields = [
+    ['title', job.title],
+    ['date', new Date(job.published_at * 1000).toUTCString()],
+    ['referencenumber', job.id],
+    ['url', canonical(`/job/${job.slug}`)],
+    ['company', job.company],
+    ['city', job.city],
+    ['state', job.region],
+    ['postalcode', job.postcode],
+    ['country', country],
+    ['description', sanitizeHtml(job.description_html || '') || job.description_short],
+    ['salary', formatSalary(job)],
+    ['jobtype', AGGREGATOR_JOB_TYPES[job.employment_type]],
+    ['category', ROME.byCode.get(job.rome_code)?.label || tags[0] || TARGET_PROFESSION],
+    ['expirationdate', job.expires_at ? new Date(job.expires_at * 1000).toISOString().slice(0, 10) : null],
+    ['remotetype', job.is_remote ? 'Télétravail' : null]
+  ];
+  return `  <job>
+${fields.filter(([, v]) => v !== null && v !== undefined && v !== '').map(([k, v]) => `    <${k}>${cdata(v)}</${k}>`).join('\n')}
+  </job>
 `;
 }
 
+app.get('/jobs.xml', async (req, res) => {
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.set('Cache-Control', 'public, max-age=900');
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const write = async (chunk) => {
+    if (res.write(chunk) || closed) return;
+    await new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  };
+
+  const country = getCountryFromHost(SITE_URL);
+  const now = Math.floor(Date.now() / 1000);
+  await write(`<?xml version="1.0" encoding="UTF-8"?>
+<source>
+  <publisher>${cdata(SITE_NAME)}</publisher>
+  <publisherurl>${cdata(SITE_URL)}</publisherurl>
+  <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+`);
+  let cursor = { pub: null, id: null };
+  while (!closed) {
+    const rows = stmtExportJobs.all({ now, ...cursor, limit: EXPORT_BATCH_SIZE });
+    for (const job of rows) {
+      if (closed) break;
+      await write(aggregatorJobXml(job, country));
+    }
+    if (rows.length < EXPORT_BATCH_SIZE) break;
+    cursor = { pub: rows[rows.length - 1].published_at, id: rows[rows.length - 1].id };
+  }
+  res.end('</source>\n');
+});
+
+// ========================================
+// API PUBLIQUE (JSON, lecture seule)
+// ========================================
+// /api/v1 : mêmes périmètres, filtres et curseurs que les pages HTML. Chaque requête
+// porte une clé (Authorization: Bearer … ou X-API-Key) limitée à rate_limit requêtes
+// par heure. ETag calculé par Express sur le corps + Last-Modified (updated_at, dernière
+// modification visible) : réponse 304 si le client est à jour.
+const API_COLUMNS = `${LIST_COLUMNS}, j.tags_csv, j.expires_at, j.updated_at, j.salary_year_min, j.salary_year_max, j.salary_confidence,
+  j.postcode, j.department, j.region, j.lat, j.lon, j.qualifications,
+  (SELECT co.name FROM companies co WHERE co.id = j.company_id) AS company_name`;
+const API_PAGE_SIZE = 50;
+const API_MAX_PAGE_SIZE = 100;
+
+function apiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+// Partenaires appelant depuis un navigateur : CORS ouvert, clé requise quand même
+app.use('/api/v1', (req, res, next) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, X-API-Key, If-None-Match, If-Modified-Since');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, X-RateLimit-Limit, X-RateLimit-Remaining, Retry-After');
+  res.setHeader('X-Robots-Tag', 'noindex');
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    return res.status(204).end();
+  }
+  next();
+});
+
+function requireApiKey(req, res, next) {
+  const [scheme, token] = String(req.headers.authorization || '').split(' ');
+  const raw = scheme === 'Bearer' && token ? token : String(req.headers['x-api-key'] || '');
+  const key = raw ? stmtApiKeyByHash.get(hashToken(raw)) : null;
+  if (!key) return apiError(res, 401, 'unauthorized', 'Clé API manquante, invalide ou révoquée');
+
+  const rate = hitRateLimit(`api:${key.id}`, key.rate_limit, 3600);
+  res.setHeader('X-RateLimit-Limit', String(key.rate_limit));
+  res.setHeader('X-RateLimit-Remaining', String(rate.remaining));
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', String(rate.retryAfter));
+    return apiError(res, 429, 'rate_limited', `Limite de ${key.rate_limit} requêtes par heure atteinte`);
+  }
+  stmtApiKeyUsed.run(Math.floor(Date.now() / 1000), key.id);
+  req.apiKey = key;
+  next();
+}
+
+function sendApi(res, body, lastModified = null) {
+  res.setHeader('Cache-Control', 'private, max-age=60');
+  if (lastModified) res.setHeader('Last-Modified', new Date(lastModified * 1000).toUTCString());
+  res.json(body);
+}
+
+const isoDate = (ts) => (ts ? new Date(ts * 1000).toISOString() : null);
+
+// Offre au format API ; `full` ajoute la description complète (détail d'une offre)
+function apiJob(r, full = false) {
+  return {
+    id: r.id,
+    slug: r.slug,
+    url: canonical(`/job/${r.slug}`),
+    title: r.title,
+    company: r.company || null,
+    company_profile: r.company_slug ? {
+      name: r.company_name, slug: r.company_slug, url: canonical(`/entreprise/${r.company_slug}`), agency: Boolean(r.company_agency)
+    } : null,
+    summary: r.description_short || '',
+    published_at: isoDate(r.published_at),
+    expires_at: isoDate(r.expires_at),
+    contract: r.employment_type ? { type: r.employment_type, label: CONTRACT_LABELS[r.employment_type] || null } : null,
+    remote: Boolean(r.is_remote),
+    salary: (r.salary_currency && (r.salary_min || r.salary_max)) ? {
+      min: r.salary_min, max: r.salary_max, currency: r.salary_currency, unit: r.salary_unit,
+      basis: r.salary_basis || null, confidence: r.salary_confidence,
+      yearly_min: r.salary_year_min, yearly_max: r.salary_year_max, text: formatSalary(r)
+    } : null,
+    location: (r.city || r.lat != null) ? {
+      city: r.city || null, postcode: r.postcode || null, department: r.department || null,
+      region: r.region || null, lat: r.lat ?? null, lon: r.lon ?? null
+    } : null,
+    qualifications: jobQualifications(r).map(code => ({ code, label: QUALIFICATION_BY_CODE[code].label })),
+    occupation: ROME.byCode.has(r.rome_code) ? {
+      rome: r.rome_code, label: ROME.byCode.get(r.rome_code).label, isco: ROME.byCode.get(r.rome_code).isco
+    } : null,
+    tags: (r.tags_csv || '').split(',').map(t => t.trim()).filter(Boolean),
+    ...(r.distance != null ? { distance_km: Math.round(r.distance * 10) / 10 } : {}),
+    ...(full ? {
+      description_html: sanitizeHtml(r.description_html || ''),
+      experience: r.experience || null,
+      experience_in_place_of_education: Boolean(r.experience_in_place)
+    } : {})
+  };
+}
+
+function apiPageSize(req) {
+  const n = Math.floor(Number(req.query.limit));
+  return n > 0 ? Math.min(n, API_MAX_PAGE_SIZE) : API_PAGE_SIZE;
+}
+
+// Liste paginée : { data, next_cursor, links.next } ; Last-Modified = offre de la page modifiée en dernier
+function sendApiList(req, res, rows, limit, encodeCursor, extra = {}) {
+  const nextCursor = rows.length === limit ? encodeCursor(rows[rows.length - 1]) : null;
+  let next = null;
+  if (nextCursor) {
+    const url = new URL(req.originalUrl, SITE_URL);
+    url.searchParams.set('cursor', nextCursor);
+    next = canonical(`${url.pathname}${url.search}`);
+  }
+  sendApi(res, { ...extra, data: rows.map(r => apiJob(r)), next_cursor: nextCursor, links: { next } },
+    rows.reduce((max, r) => Math.max(max, r.updated_at || r.published_at || 0), 0) || null);
+}
+
+function apiJobList(req, res, scope) {
+  const cursor = req.query.cursor ? parseListCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) return apiError(res, 400, 'invalid_cursor', 'Curseur invalide');
+  const limit = apiPageSize(req);
+  sendApiList(req, res, listJobs(scope, parseFacetFilters(req.query), cursor, limit, API_COLUMNS), limit, encodeListCursor);
+}
+
+app.get('/api/v1/jobs', requireApiKey, (req, res) => apiJobList(req, res, scopeAll()));
+
+app.get('/api/v1/jobs/:slug', requireApiKey, (req, res) => {
+  const job = stmtBySlug.get(req.params.slug);
+  if (!job) {
+    return stmtArchivedBySlug.get(req.params.slug)
+      ? apiError(res, 410, 'gone', 'Offre retirée')
+      : apiError(res, 404, 'not_found', 'Offre introuvable');
+  }
+  const ended = ['closed', 'expired'].includes(job.status)
+    || (job.status === 'published' && job.expires_at && job.expires_at <= Math.floor(Date.now() / 1000));
+  if (ended) return apiError(res, 410, 'gone', 'Offre pourvue ou expirée');
+  if (job.status !== 'published') return apiError(res, 404, 'not_found', 'Offre introuvable');
+  sendApi(res, { data: apiJob({ ...job, ...jobCompanyRow(job) }, true) }, job.updated_at || job.published_at);
+});
+
+app.get('/api/v1/tags', requireApiKey, (req, res) => {
+  const tags = stmtPopularTags.all(1, 1000);
+  sendApi(res, {
+    data: tags.map(t => ({ name: t.name, slug: t.slug, jobs: t.cnt, url: canonical(`/tag/${t.slug}`) }))
+  }, stmtJobsLastChange.get().at);
+});
+
+app.get('/api/v1/tags/:slug/jobs', requireApiKey, (req, res) => {
+  if (!stmtGetTagBySlug.get(req.params.slug)) return apiError(res, 404, 'not_found', 'Tag introuvable');
+  apiJobList(req, res, scopeTag(req.params.slug));
+});
+
+app.get('/api/v1/search', requireApiKey, (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const nearInput = String(req.query.near || '').trim().slice(0, 80);
+  if (!q && !nearInput) return apiError(res, 400, 'missing_query', 'Paramètre q ou near requis');
+  const radius = RADIUS_STEPS.includes(Number(req.query.radius)) ? Number(req.query.radius) : 50;
+  const cursor = req.query.cursor ? decodeSearchCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) return apiError(res, 400, 'invalid_cursor', 'Curseur invalide');
+
+  const found = nearInput ? findCommune(nearInput) : null;
+  if (nearInput && !found) return apiError(res, 400, 'unknown_place', `Lieu inconnu : ${nearInput}`);
+  const near = found ? placeFromCommune(found.commune, found.postcode) : null;
+  const match = buildFtsQuery(q);
+  const limit = apiPageSize(req);
+  const rows = (match || !q)
+    ? searchJobs({ match, near, radius, filters: parseFacetFilters(req.query), cursor, limit, columns: API_COLUMNS }).rows
+    : [];
+  sendApiList(req, res, rows, limit, encodeSearchCursor, {
+    query: {
+      q: q || null,
+      near: near ? { city: near.city, postcode: found.postcode || null, lat: near.lat, lon: near.lon, radius_km: radius } : null,
+      sort: near ? 'distance' : 'relevance'
+    }
+  });
+});
+
+// Document OpenAPI 3.1, public
+function openApiDocument() {
+  const param = (name, description, schema = { type: 'string' }, extra = {}) => ({ name, in: 'query', description, schema, ...extra });
+  const filterParams = [
+    param('contract', 'Type de contrat (répétable)', { type: 'array', items: { type: 'string', enum: Object.keys(CONTRACT_LABELS) } }, { style: 'form', explode: true }),
+    param('remote', 'Télétravail uniquement', { type: 'string', enum: ['1'] }),
+    param('salary_min', 'Salaire annuel brut minimum', { type: 'integer', enum: SALARY_STEPS }),
+    param('city', 'Ville (insensible à la casse)'),
+    param('permit', 'Permis ou certification exigés (répétable, tous requis)', { type: 'array', items: { type: 'string', enum: QUALIFICATIONS.map(q => q.code) } }, { style: 'form', explode: true }),
+    param('rome', 'Code métier ROME (répétable)', { type: 'array', items: { type: 'string', enum: ROME.codes.map(c => c.code) } }, { style: 'form', explode: true }),
+    param('no_agency', 'Exclure les offres des agences d’intérim', { type: 'string', enum: ['1'] })
+  ];
+  const pageParams = [
+    param('cursor', 'Curseur opaque renvoyé dans next_cursor'),
+    param('limit', `Taille de page (défaut ${API_PAGE_SIZE})`, { type: 'integer', minimum: 1, maximum: API_MAX_PAGE_SIZE })
+  ];
+  const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+  const json = (schema, description) => ({ description, content: { 'application/json': { schema } } });
+  const errors = {
+    400: json(ref('Error'), 'Paramètre invalide'),
+    401: json(ref('Error'), 'Clé API manquante ou invalide'),
+    429: json(ref('Error'), 'Limite de requêtes atteinte (voir Retry-After)')
+  };
+  const list = (description) => ({ 200: json(ref('JobList'), description), 304: { description: 'Non modifié' }, ...errors });
+  const nullable = (schema) => ({ oneOf: [schema, { type: 'null' }] });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: `${SITE_NAME} — API`,
+      version: '1.0.0',
+      description: `Offres ${TARGET_PROFESSION} publiées, en lecture seule. Pagination par curseur, réponses conditionnelles (ETag, Last-Modified).`
+    },
+    servers: [{ url: `${SITE_URL}/api/v1` }],
+    security: [{ bearer: [] }, { apiKey: [] }],
+    paths: {
+      '/jobs': { get: { summary: 'Offres publiées, les plus récentes d’abord', parameters: [...filterParams, ...pageParams], responses: list('Page d’offres') } },
+      '/jobs/{slug}': {
+        get: {
+          summary: 'Détail d’une offre',
+          parameters: [{ name: 'slug', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: json({ type: 'object', properties: { data: ref('JobDetail') } }, 'Offre'),
+            304: { description: 'Non modifié' },
+            404: json(ref('Error'), 'Offre introuvable'),
+            410: json(ref('Error'), 'Offre pourvue, expirée ou retirée'),
+            ...errors
+          }
+        }
+      },
+      '/tags': {
+        get: {
+          summary: 'Tags ayant au moins une offre publiée',
+          responses: { 200: json({ type: 'object', properties: { data: { type: 'array', items: ref('Tag') } } }, 'Tags'), ...errors }
+        }
+      },
+      '/tags/{slug}/jobs': {
+        get: {
+          summary: 'Offres d’un tag',
+          parameters: [{ name: 'slug', in: 'path', required: true, schema: { type: 'string' } }, ...filterParams, ...pageParams],
+          responses: { ...list('Page d’offres'), 404: json(ref('Error'), 'Tag introuvable') }
+        }
+      },
+      '/search': {
+        get: {
+          summary: 'Recherche plein texte et/ou autour d’un lieu',
+          description: 'q seul : tri par pertinence. near : tri par distance, distance_km renseigné.',
+          parameters: [
+            param('q', 'Mots-clés'),
+            param('near', 'Commune ou code postal'),
+            param('radius', 'Rayon en km', { type: 'integer', enum: RADIUS_STEPS, default: 50 }),
+            ...filterParams, ...pageParams
+          ],
+          responses: list('Page de résultats')
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'object', properties: { code: { type: 'string' }, message: { type: 'string' } } } }
+        },
+        Tag: {
+          type: 'object',
+          properties: { name: { type: 'string' }, slug: { type: 'string' }, jobs: { type: 'integer' }, url: { type: 'string', format: 'uri' } }
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            slug: { type: 'string' },
+            url: { type: 'string', format: 'uri' },
+            title: { type: 'string' },
+            company: nullable({ type: 'string' }),
+            company_profile: nullable({
+              type: 'object',
+              description: 'Entreprise normalisée (regroupe les variantes du nom) ; agency = agence d’intérim',
+              properties: {
+                name: { type: 'string' }, slug: { type: 'string' }, url: { type: 'string', format: 'uri' }, agency: { type: 'boolean' }
+              }
+            }),
+            summary: { type: 'string' },
+            published_at: { type: 'string', format: 'date-time' },
+            expires_at: nullable({ type: 'string', format: 'date-time' }),
+            contract: nullable({
+              type: 'object',
+              properties: { type: { type: 'string', enum: Object.keys(CONTRACT_LABELS) }, label: { type: 'string' } }
+            }),
+            remote: { type: 'boolean' },
+            salary: nullable({
+              type: 'object',
+              properties: {
+                min: nullable({ type: 'number' }), max: nullable({ type: 'number' }),
+                currency: { type: 'string' }, unit: nullable({ type: 'string', enum: Object.keys(UNITS_PER_YEAR) }),
+                basis: nullable({ type: 'string', enum: Object.keys(SALARY_BASIS_LABELS), description: 'Brut (GROSS) ou net (NET), si précisé' }),
+                confidence: nullable({ type: 'number', minimum: 0, maximum: 1, description: 'Fiabilité de l’extraction du salaire' }),
+                yearly_min: nullable({ type: 'integer' }), yearly_max: nullable({ type: 'integer' }), text: { type: 'string' }
+              }
+            }),
+            occupation: nullable({
+              type: 'object',
+              description: 'Métier (fiche ROME de France Travail, équivalent CITP/ISCO-08)',
+              properties: {
+                rome: { type: 'string', enum: ROME.codes.map(c => c.code) }, label: { type: 'string' }, isco: nullable({ type: 'string' })
+              }
+            }),
+            qualifications: {
+              type: 'array',
+              description: 'Permis et certifications mentionnés dans l’offre',
+              items: {
+                type: 'object',
+                properties: { code: { type: 'string', enum: QUALIFICATIONS.map(q => q.code) }, label: { type: 'string' } }
+              }
+            },
+            location: nullable({
+              type: 'object',
+              properties: {
+                city: nullable({ type: 'string' }), postcode: nullable({ type: 'string' }),
+                department: nullable({ type: 'string' }), region: nullable({ type: 'string' }),
+                lat: nullable({ type: 'number' }), lon: nullable({ type: 'number' })
+              }
+            }),
+            tags: { type: 'array', items: { type: 'string' } },
+            distance_km: { type: 'number', description: 'Recherche avec near uniquement' }
+          }
+        },
+        JobDetail: {
+          allOf: [ref('Job'), {
+            type: 'object',
+            properties: {
+              description_html: { type: 'string' },
+              experience: nullable({ type: 'string' }),
+              experience_in_place_of_education: { type: 'boolean' }
+            }
+          }]
+        },
+        JobList: {
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: ref('Job') },
+            next_cursor: nullable({ type: 'string' }),
+            links: { type: 'object', properties: { next: nullable({ type: 'string', format: 'uri' }) } }
+          }
+        }
+      }
+    }
+  };
+}
+
+app.get('/api/v1/openapi.json', (req, res) => sendApi(res, openApiDocument()));
+
+app.use('/api/v1', (req, res) => apiError(res, 404, 'not_found', 'Ressource inconnue'));
+
+// ========================================
+// PAGES LÉGALES
+// ========================================
+const LAST_UPDATED = new Date().toISOString().slice(0,10); // AAAA-MM-JJ
+
+app.get('/privacy', (req, res) => {
+  const breadcrumbs = [
+    { name: 'Accueil', url: '/' },
+    { name: 'Confidentialité', url: '/privacy' }
+  ];
+  res.send(layout({
+    title: 'Politique de confidentialité',
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › Confidentialité</nav>
+<article class="card content">
+  <h1>Politique de confidentialité</h1>
+  <p class="small muted">Dernière mise à jour : ${LAST_UPDATED}</p>
+  <p>Nous respectons votre vie privée. Ce site stocke le minimum de données nécessaires à son fonctionnement.</p>
+  <h2>Données traitées</h2>
+  <ul>
+    <li>Logs serveur (IP, user agent) pour sécurité et fiabilité</li>
+    <li>Contenu des offres que vous soumettez</li>
+    <li>Adresse e-mail et critères de vos alertes, jusqu’au désabonnement (lien présent dans chaque envoi)</li>
+    <li>Cookies essentiels pour mémoriser votre consentement</li>
+  </ul>
+  <h2>Finalités & Base légale</h2>
+  <p>Exploiter le site, prévenir l’abus, fournir les offres. Intérêt légitime et consentement le cas échéant.</p>
+  <h2>Conservation</h2>
+  <p>Logs pour une durée limitée, offres tant qu’elles sont pertinentes, cookies de consentement jusqu’à un an.</p>
+  <h2>Vos droits</h2>
+  <p>Demander l’accès ou la suppression de vos données présentes dans les offres soumises.</p>
+  <h2>Contact</h2>
+  <p>Pour toute demande, contactez-nous via les informations du site.</p>
+</article>
+`,
+    breadcrumbs
+  }));
+});
+
+app.get('/terms', (req, res) => {
+  const breadcrumbs = [
+    { name: 'Accueil', url: '/' },
+    { name: 'Conditions', url: '/terms' }
+  ];
+  res.send(layout({
+    title: 'Conditions d’utilisation',
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › Conditions</nav>
+<article class="card content">
+  <h1>Conditions d’utilisation</h1>
+  <p class="small muted">Dernière mise à jour : ${LAST_UPDATED}</p>
+  <h2>Acceptation</h2>
+  <p>En utilisant ${escapeHtml(SITE_NAME)}, vous acceptez ces Conditions. Si vous n’êtes pas d’accord, n’utilisez pas le site.</p>
+  <h2>Utilisation du service</h2>
+  <ul>
+    <li>Publiez uniquement des offres ${escapeHtml(TARGET_PROFESSION)} légitimes</li>
+    <li>Pas de contenu illégal ou discriminatoire</li>
+    <li>Pas d’usage abusif ou de perturbation du service</li>
+  </ul>
+  <h2>Contenu</h2>
+  <p>Vous êtes responsable des contenus soumis. Nous pouvons retirer les contenus non conformes.</p>
+  <h2>Avertissement</h2>
+  <p>Le site est fourni “tel quel”, sans garantie.</p>
+  <h2>Responsabilité</h2>
+  <p>Dans la limite autorisée par la loi, nous déclinons toute responsabilité pour dommages indirects.</p>
+  <h2>Modifications</h2>
+  <p>Nous pouvons mettre à jour ces Conditions en publiant une nouvelle version ici.</p>
+</article>
+`,
+    breadcrumbs
+  }));
+});
+
+app.get('/cookies', (req, res) => {
+  const breadcrumbs = [
+    { name: 'Accueil', url: '/' },
+    { name: 'Cookies', url: '/cookies' }
+  ];
+  res.send(layout({
+    title: 'Politique Cookies',
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › Cookies</nav>
+<article class="card content">
+  <h1>Politique Cookies</h1>
+  <p class="small muted">Dernière mise à jour : ${LAST_UPDATED}</p>
+  <h2>Qu’est-ce qu’un cookie ?</h2>
+  <p>Un petit fichier texte stocké sur votre appareil pour aider les sites à fonctionner.</p>
+  <h2>Cookies utilisés</h2>
+  <ul>
+    <li><strong>cookie_consent</strong> — mémorise votre choix (expire sous 12 mois).</li>
+  </ul>
+  <h2>Gestion</h2>
+  <p>Supprimez les cookies dans les réglages du navigateur. Pour changer votre consentement ici, effacez les cookies ou utilisez le bouton ci-dessous.</p>
+  <button class="btn" onclick="document.cookie='cookie_consent=; Max-Age=0; Path=/; SameSite=Lax'; alert('Consentement effacé. Rechargez la page pour voir le bandeau.');">Effacer le consentement</button>
+</article>
+`,
+    breadcrumbs
+  }));
+});
+
+// ========================================
+// SESSIONS & COOKIES
+// ========================================
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function parseCookies(req) {
+  const out = {};
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    const name = part.slice(0, idx).trim();
+    try {
+      out[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      out[name] = part.slice(idx + 1).trim();
+    }
+  }
+  return out;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const SECURE_COOKIES = SITE_URL.startsWith('https://');
+
+// Sessions stockées en base (seul le hash du jeton est conservé), un cookie par rôle.
+// sameSite 'lax' quand la session s'ouvre depuis un lien externe (lien magique par e-mail).
+function createSession(res, role, subjectId, hours, { sameSite = 'strict' } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Math.floor(Date.now() / 1000);
+  stmtPurgeSessions.run(now);
+  stmtInsertSession.run(hashToken(token), role, subjectId, now + Math.round(hours * 3600));
+  res.cookie(`${role}_session`, token, {
+    httpOnly: true, sameSite, secure: SECURE_COOKIES, path: '/', maxAge: hours * 3600 * 1000
+  });
+}
+function getSession(req, role) {
+  const token = parseCookies(req)[`${role}_session`];
+  if (!token) return null;
+  return stmtGetSession.get(hashToken(token), role, Math.floor(Date.now() / 1000)) || null;
+}
+function destroySession(req, res, role) {
+  const token = parseCookies(req)[`${role}_session`];
+  if (token) stmtDeleteSession.run(hashToken(token));
+  res.clearCookie(`${role}_session`, { path: '/' });
+}
+
 // ========================================
-// SERVEUR HTTP
+// ADMINISTRATION
 // ========================================
-const app = express();
-app.use(express.urlencoded({ extended: false }));
-app.use(express.json());
-app.use(express.static('public'));
+// Session admin (formulaire de connexion) ou jeton Bearer ADMIN_TOKEN pour les scripts
+function requireAdmin(req, res, next) {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  if (!ADMIN_PASSWORD && !ADMIN_TOKEN) return res.status(503).send('Administration désactivée (ADMIN_PASSWORD non défini)');
 
-// Santé
-app.get('/healthz', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString(), jobs: getCachedCount(), feedRunning: FEED_RUNNING, aiEnabled: HAS_OPENAI });
-});
+  const [scheme, token] = String(req.headers.authorization || '').split(' ');
+  if (ADMIN_TOKEN && scheme === 'Bearer' && token && safeEqual(token, ADMIN_TOKEN)) return next();
+  if (getSession(req, 'admin')) return next();
 
-// ACCUEIL
-app.get('/', (req, res) => {
-  const pageSize = 50;
-  const cursor = req.query.cursor || '';
-  let rows;
-  if (!cursor) {
-    rows = stmtPageFirst.all(pageSize);
-  } else {
-    const [pub, id] = cursor.split('-').map(Number);
-    if (!pub || !id) return res.status(400).send('Curseur invalide');
-    rows = stmtPageCursor.all(pub, pub, id, pageSize);
+  if (req.method === 'GET' && req.accepts('html')) {
+    return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
   }
-  const total = getCachedCount();
-  const hasMore = rows.length === pageSize;
-  const nextCursor = hasMore ? `${rows[rows.length - 1].published_at}-${rows[rows.length - 1].id}` : null;
+  return res.status(401).send('Authentification requise');
+}
 
-  const items = rows.map(r => `
-<li class="card">
-  <h2><a href="/job/${r.slug}">${escapeHtml(r.title)}</a></h2>
-  ${r.company ? `<div class="muted">${escapeHtml(r.company)}</div>` : ''}
-  <p>${escapeHtml(r.description_short)}</p>
-  <div class="muted small">${new Date(r.published_at * 1000).toLocaleDateString('fr-FR')}</div>
-</li>`).join('');
+function adminLayout({ title, body, breadcrumbs = [] }) {
+  return layout({
+    title,
+    body: `
+<nav class="admin-nav small">
+  <a href="/admin/jobs">Offres</a>
+  <a href="/admin/moderation">Modération (${stmtCountPending.get().c + stmtCountPendingProfiles.get().c})</a>
+  <a href="/admin/runs">Imports</a>
+  <a href="/admin/blocklist">Liste de blocage</a>
+  <a href="/admin/api-keys">Clés API</a>
+  <a href="/admin/structured-data">Données structurées</a>
+  <a href="/admin/relevance">Pertinence</a>
+  <a href="/admin/clusters">Doublons</a>
+  <a href="/admin/companies">Entreprises</a>
+  <a href="/admin/queue">File IA</a>
+  <form method="POST" action="/admin/logout" class="inline-form"><button type="submit" class="link-button">Déconnexion</button></form>
+</nav>
+<nav class="muted small"><a href="/admin">Administration</a>${breadcrumbs.map(b => ` › ${b.url ? `<a href="${b.url}">${escapeHtml(b.name)}</a>` : escapeHtml(b.name)}`).join('')}</nav>
+${body}`,
+    metaExtra: `<meta name="robots" content="noindex, nofollow"/>`
+  });
+}
 
-  const popular = stmtPopularTags.all(5, 50);
-  const tagsBlock = popular.length ? `
-<section>
-  <h3>Tags populaires</h3>
-  <div class="tags">
-    ${popular.map(t => `<a class="tag" href="/tag/${t.slug}">${escapeHtml(t.name)} (${t.cnt})</a>`).join('')}
-  </div>
-</section>` : '';
+// Redirection post-connexion limitée aux chemins internes : « //hôte » et « /\hôte » (lu
+// comme « //hôte » par les navigateurs) sont refusés, ainsi que les blancs qu'ils ignorent
+export function safeNextPath(next, fallback) {
+  const p = String(next || '');
+  return /^\/[^/\\\s][^\\\s]*$/.test(p) ? p : fallback;
+}
 
-  const pagerLinks = [];
-  if (nextCursor) {
-    res.setHeader('Link', `<${canonical('/?cursor=' + nextCursor)}>; rel="next"`);
-    pagerLinks.push(`<a href="/?cursor=${nextCursor}" rel="next">Suivant →</a>`);
+function loginPage({ error = '', next = '/admin' } = {}) {
+  return layout({
+    title: 'Connexion administration',
+    body: `
+<article class="card" style="max-width:420px">
+  <h1>Administration</h1>
+  ${error ? `<p class="status-error">${escapeHtml(error)}</p>` : ''}
+  <form method="POST" action="/admin/login">
+    <input type="hidden" name="next" value="${escapeHtml(next)}"/>
+    <label for="user">Identifiant</label>
+    <input type="text" id="user" name="user" required autocomplete="username"/>
+    <label for="password">Mot de passe</label>
+    <input type="password" id="password" name="password" required autocomplete="current-password"/>
+    <button type="submit" class="btn btn-primary">Se connecter</button>
+  </form>
+</article>
+`,
+    metaExtra: `<meta name="robots" content="noindex, nofollow"/>`
+  });
+}
+
+app.get('/admin/login', (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  if (!ADMIN_PASSWORD) return res.status(503).send('Administration désactivée (ADMIN_PASSWORD non défini)');
+  res.send(loginPage({ next: safeNextPath(req.query.next, '/admin') }));
+});
+
+app.post('/admin/login', (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  if (!ADMIN_PASSWORD) return res.status(503).send('Administration désactivée (ADMIN_PASSWORD non défini)');
+  const rate = hitRateLimit(`admin-login:${req.ip}`, 10, 900);
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', String(rate.retryAfter));
+    return res.status(429).send('Trop de tentatives. Réessayez plus tard.');
   }
-  if (cursor) {
-    pagerLinks.unshift(`<a href="/" rel="prev">← Début</a>`);
+  const { user = '', password = '', next = '' } = req.body || {};
+  const nextPath = safeNextPath(next, '/admin');
+  if (!(safeEqual(user, ADMIN_USER) && safeEqual(password, ADMIN_PASSWORD))) {
+    console.log(`Échec de connexion admin depuis ${req.ip}`);
+    return res.status(401).send(loginPage({ error: 'Identifiants invalides', next: nextPath }));
   }
-  const pager = pagerLinks.length ? `<div class="pager">${pagerLinks.join('')}</div>` : '';
+  createSession(res, 'admin', null, ADMIN_SESSION_HOURS);
+  res.redirect(nextPath);
+});
 
-  const orgSchema = `<script type="application/ld+json">${JSON.stringify({
-    "@context": "https://schema.org",
-    "@type": "Organization",
-    "name": SITE_NAME,
-    "url": SITE_URL,
-    ...(SITE_LOGO ? { "logo": SITE_LOGO } : {}),
-    ...(SITE_SAMEAS ? { "sameAs": SITE_SAMEAS.split(',').map(s => s.trim()).filter(Boolean) } : {})
-  })}</script>`;
+app.post('/admin/logout', (req, res) => {
+  destroySession(req, res, 'admin');
+  res.redirect('/admin/login');
+});
 
-  const websiteSchema = `<script type="application/ld+json">${JSON.stringify({
-    "@context": "https://schema.org",
-    "@type": "WebSite",
-    "name": SITE_NAME,
-    "url": SITE_URL,
-    "potentialAction": {
-      "@type": "SearchAction",
-      "target": { "@type": "EntryPoint", "urlTemplate": `${SITE_URL}/search?q={search_term_string}` },
-      "query-input": "required name=search_term_string"
-    }
-  })}</script>`;
+const fmtDateTime = (ts) => ts ? new Date(ts * 1000).toLocaleString('fr-FR') : '—';
+function fmtDuration(run) {
+  if (!run.finished_at) return '—';
+  const sec = Math.max(0, run.finished_at - run.started_at);
+  return sec >= 60 ? `${Math.floor(sec / 60)} min ${sec % 60} s` : `${sec} s`;
+}
+function parseRunErrors(run) {
+  try { return JSON.parse(run.errors || '[]'); } catch { return []; }
+}
 
-  res.send(layout({
-    title: 'Dernières offres',
+// Offres réécrites par l'IA (sur celles mises en file, si la file n'a pas fini) / description de secours
+const runAiCell = (r) => `${r.ai_applied}${r.ai_queued > r.ai_applied ? ` <span class="muted">sur ${r.ai_queued}</span>` : ''} / ${r.fallback}`;
+
+app.get('/admin', requireAdmin, (req, res) => res.redirect('/admin/jobs'));
+
+// Historique des imports
+app.get('/admin/runs', requireAdmin, (req, res) => {
+  const runs = stmtRecentRuns.all(100);
+  const trends = stmtRunTrends.all(Math.floor(Date.now() / 1000) - 30 * 24 * 3600);
+  const maxProcessed = Math.max(1, ...trends.map(t => t.processed || 0));
+  const indexNow = INDEXNOW_ENABLED ? stmtIndexNowStats.get(INDEXNOW_MAX_ATTEMPTS, INDEXNOW_MAX_ATTEMPTS) : null;
+
+  const trendRows = trends.map(t => `
+<tr>
+  <td>${escapeHtml(t.day)}</td>
+  <td>${t.runs}</td>
+  <td><span class="bar" style="width:${Math.round(120 * (t.processed || 0) / maxProcessed)}px"></span> ${(t.processed || 0).toLocaleString('fr-FR')}</td>
+  <td>${(t.matched || 0).toLocaleString('fr-FR')}</td>
+  <td>${(t.inserted || 0).toLocaleString('fr-FR')}</td>
+  <td>${(t.ai_applied || 0).toLocaleString('fr-FR')}</td>
+  <td class="${t.failed ? 'status-error' : ''}">${t.failed}</td>
+</tr>`).join('');
+
+  const runRows = runs.map(r => `
+<tr>
+  <td><a href="/admin/runs/${r.id}">#${r.id}</a></td>
+  <td>${escapeHtml(r.feed_label || r.source || '—')}</td>
+  <td>${fmtDateTime(r.started_at)}</td>
+  <td>${fmtDuration(r)}</td>
+  <td class="status-${escapeHtml(r.status)}">${escapeHtml(r.status)}</td>
+  <td>${r.processed}</td>
+  <td>${r.matched}</td>
+  <td>${r.inserted}${r.clustered ? ` <span class="muted">(${r.clustered} doublons)</span>` : ''}</td>
+  <td>${runAiCell(r)}</td>
+  <td>${r.skipped}</td>
+  <td>${r.expired}</td>
+  <td>${parseRunErrors(r).length}</td>
+</tr>`).join('');
+
+  res.send(adminLayout({
+    title: 'Imports de flux',
+    breadcrumbs: [{ name: 'Imports' }],
     body: `
-<section class="card search-form">
-  <form method="GET" action="/search">
-    <label for="q">Rechercher une offre</label>
-    <input type="search" id="q" name="q" placeholder="Titre ou entreprise…" required/>
-    <button type="submit" class="btn" style="margin-top:12px">Rechercher</button>
-  </form>
+<h1>Imports de flux</h1>
+<section class="card">
+  <h2>Tendances (30 jours)</h2>
+  ${trends.length ? `<table class="admin-table">
+    <tr><th>Jour</th><th>Exécutions</th><th>Éléments</th><th>Retenus</th><th>Insérés</th><th>IA</th><th>Échecs</th></tr>
+    ${trendRows}
+  </table>` : '<p class="muted">Aucune donnée.</p>'}
 </section>
-<p class="muted">Affichage des postes ${escapeHtml(TARGET_PROFESSION)} · ${total.toLocaleString('fr-FR')} offres au total</p>
-${tagsBlock}
-<ul class="list">${items || '<li class="card">Aucune offre pour le moment. Rendez-vous sur /fetch pour importer.</li>'}</ul>
-${pager}
-`,
-    metaExtra: orgSchema + websiteSchema
+<section class="card">
+  <h2>Exécutions récentes</h2>
+  ${runs.length ? `<table class="admin-table">
+    <tr><th>#</th><th>Source</th><th>Début</th><th>Durée</th><th>Statut</th><th>Éléments</th><th>Retenus</th><th>Insérés</th><th>IA / fallback</th><th>Ignorés</th><th>Expirées</th><th>Erreurs</th></tr>
+    ${runRows}
+  </table>` : '<p class="muted">Aucun import enregistré.</p>'}
+</section>
+${indexNow ? `<section class="card">
+  <h2>IndexNow</h2>
+  <p>${(indexNow.submitted || 0).toLocaleString('fr-FR')} URL soumises · ${(indexNow.pending || 0).toLocaleString('fr-FR')} en attente ·
+  <span class="${indexNow.failed ? 'status-error' : ''}">${(indexNow.failed || 0).toLocaleString('fr-FR')} abandonnées après ${INDEXNOW_MAX_ATTEMPTS} tentatives</span>
+  · dernière soumission : ${fmtDateTime(indexNow.last_submitted_at)}</p>
+</section>` : ''}
+`
   }));
 });
 
-// RECHERCHE — noindex
-app.get('/search', (req, res) => {
-  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
-  const q = String(req.query.q || '').trim();
-  if (!q) return res.redirect('/');
-  const searchPattern = `%${q}%`;
-  const rows = stmtSearch.all(searchPattern, searchPattern);
+// Détail d'une exécution et offres insérées
+app.get('/admin/runs/:id', requireAdmin, (req, res) => {
+  const run = stmtRunById.get(Number(req.params.id));
+  if (!run) return res.status(404).send('Introuvable');
+  const jobs = stmtJobsByRun.all(run.id, 500);
+  const errors = parseRunErrors(run);
 
-  const items = rows.map(r => `
-<li class="card">
-  <h2><a href="/job/${r.slug}">${escapeHtml(r.title)}</a></h2>
-  ${r.company ? `<div class="muted">${escapeHtml(r.company)}</div>` : ''}
-  <p>${escapeHtml(r.description_short)}</p>
-  <div class="muted small">${new Date(r.published_at * 1000).toLocaleDateString('fr-FR')}</div>
-</li>`).join('');
+  res.send(adminLayout({
+    title: `Import #${run.id}`,
+    breadcrumbs: [{ name: 'Imports', url: '/admin/runs' }, { name: `#${run.id}` }],
+    body: `
+<h1>Import #${run.id} · ${escapeHtml(run.feed_label || run.source || '')}</h1>
+<section class="card">
+  <table class="admin-table">
+    <tr><th>Source</th><td>${escapeHtml(run.feed_url || run.source || '—')}</td></tr>
+    <tr><th>Statut</th><td class="status-${escapeHtml(run.status)}">${escapeHtml(run.status)}</td></tr>
+    <tr><th>Début</th><td>${fmtDateTime(run.started_at)}</td></tr>
+    <tr><th>Fin</th><td>${fmtDateTime(run.finished_at)} (${fmtDuration(run)})</td></tr>
+    <tr><th>Éléments traités</th><td>${run.processed}</td></tr>
+    <tr><th>Retenus / insérés</th><td>${run.matched} / ${run.inserted}</td></tr>
+    <tr><th>IA / fallback</th><td>${runAiCell(run)}${run.ai_queued > run.ai_applied ? ' · <a href="/admin/queue">file IA</a>' : ''}</td></tr>
+    <tr><th>Ignorés</th><td>${run.skipped}</td></tr>
+    <tr><th>Expirées (absentes du flux)</th><td>${run.expired}</td></tr>
+  </table>
+</section>
+${errors.length ? `<section class="card"><h2>Erreurs (${errors.length})</h2><ul>${errors.map(e => `<li class="status-error">${escapeHtml(e)}</li>`).join('')}</ul></section>` : ''}
+<section class="card">
+  <h2>Offres insérées (${jobs.length})</h2>
+  ${jobs.length ? `<ul>${jobs.map(j => `<li><a href="/job/${j.slug}">${escapeHtml(j.title)}</a>${j.company ? ` <span class="muted">· ${escapeHtml(j.company)}</span>` : ''}</li>`).join('')}</ul>` : '<p class="muted">Aucune offre insérée par cette exécution.</p>'}
+</section>
+`
+  }));
+});
 
-  const breadcrumbs = [
-    { name: 'Accueil', url: '/' },
-    { name: 'Recherche', url: `/search?q=${encodeURIComponent(q)}` }
-  ];
+// Modération des offres
+const STATUS_LABELS = { published: 'Publiée', unpublished: 'Dépubliée', pending: 'En attente', rejected: 'Refusée', closed: 'Clôturée', expired: 'Expirée', duplicate: 'Doublon' };
 
-  res.send(layout({
-    title: `Recherche : ${q}`,
+app.get('/admin/jobs', requireAdmin, (req, res) => {
+  const pageSize = 50;
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const q = String(req.query.q || '').trim();
+  const status = STATUS_LABELS[req.query.status] ? String(req.query.status) : '';
+  const params = { status, like: q ? `%${q}%` : '', limit: pageSize, offset: (page - 1) * pageSize };
+  const rows = stmtAdminJobs.all(params);
+  const total = stmtAdminJobsCount.get(params).c;
+  const pages = Math.max(1, Math.ceil(total / pageSize));
+
+  const qs = (p) => `/admin/jobs?${new URLSearchParams({ ...(q ? { q } : {}), ...(status ? { status } : {}), page: String(p) })}`;
+  const pager = `<div class="pager">
+  ${page > 1 ? `<a href="${qs(page - 1)}" rel="prev">← Précédent</a>` : ''}
+  <span class="current">Page ${page} / ${pages}</span>
+  ${page < pages ? `<a href="${qs(page + 1)}" rel="next">Suivant →</a>` : ''}
+</div>`;
+
+  const items = rows.map(j => `
+<tr>
+  <td>${j.id}</td>
+  <td><a href="/admin/jobs/${j.id}">${escapeHtml(j.title)}</a><div class="muted">${escapeHtml(j.company || '')}</div></td>
+  <td>${escapeHtml(j.source || '')}</td>
+  <td class="status-${escapeHtml(j.status)}">${escapeHtml(STATUS_LABELS[j.status] || j.status)}</td>
+  <td>${new Date(j.published_at * 1000).toLocaleDateString('fr-FR')}</td>
+  <td><a href="/job/${j.slug}">Voir</a></td>
+</tr>`).join('');
+
+  res.send(adminLayout({
+    title: 'Offres',
+    breadcrumbs: [{ name: 'Offres' }],
     body: `
-<nav class="muted small"><a href="/">Accueil</a> › Recherche</nav>
-<h1>Recherche : "${escapeHtml(q)}"</h1>
-<p class="muted">${rows.length} résultats</p>
-<ul class="list">${items || '<li class="card">Aucun résultat.</li>'}</ul>
-<p><a href="/">← Retour aux offres</a></p>
-`,
-    breadcrumbs,
-    metaExtra: `<meta name="robots" content="noindex, nofollow"/>`
+<h1>Offres (${total.toLocaleString('fr-FR')})</h1>
+<form method="GET" action="/admin/jobs" class="card">
+  <div class="form-row">
+    <div>
+      <label for="q">Titre ou entreprise</label>
+      <input type="text" id="q" name="q" value="${escapeHtml(q)}"/>
+    </div>
+    <div>
+      <label for="status">Statut</label>
+      <select id="status" name="status">
+        <option value="">Tous</option>
+        ${Object.entries(STATUS_LABELS).map(([v, l]) => `<option value="${v}"${v === status ? ' selected' : ''}>${l}</option>`).join('')}
+      </select>
+    </div>
+  </div>
+  <button type="submit" class="btn">Filtrer</button>
+</form>
+<form method="POST" action="/admin/fetch" class="inline-form"><button type="submit" class="btn">Lancer un import</button></form>
+<section class="card">
+  ${rows.length ? `<table class="admin-table">
+    <tr><th>#</th><th>Offre</th><th>Source</th><th>Statut</th><th>Publiée le</th><th></th></tr>
+    ${items}
+  </table>` : '<p class="muted">Aucune offre.</p>'}
+</section>
+${pager}
+`
   }));
 });
 
-// PUBLIER UNE OFFRE (GET)
-app.get('/post-job', (req, res) => {
-  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
-  const breadcrumbs = [
-    { name: 'Accueil', url: '/' },
-    { name: 'Publier une offre', url: '/post-job' }
-  ];
-  res.send(layout({
-    title: 'Publier une offre',
+app.get('/admin/jobs/:id', requireAdmin, (req, res) => {
+  const job = stmtById.get(Number(req.params.id));
+  if (!job) return res.status(404).send('Introuvable');
+  const notice = req.query.done ? `<p class="status-success">${escapeHtml(String(req.query.done))}</p>`
+    : req.query.error ? `<p class="status-error">${escapeHtml(String(req.query.error))}</p>` : '';
+  const issues = job.status === 'published' ? validateJobPosting(buildJobPosting(job)) : [];
+  const aiTask = stmtAiTaskByJob.get(job.id);
+
+  res.send(adminLayout({
+    title: `Offre #${job.id}`,
+    breadcrumbs: [{ name: 'Offres', url: '/admin/jobs' }, { name: `#${job.id}` }],
     body: `
-<nav class="muted small"><a href="/">Accueil</a> › Publier une offre</nav>
+<h1>Offre #${job.id}</h1>
+${notice}
+<p class="muted small">
+  Statut : <span class="status-${escapeHtml(job.status)}">${escapeHtml(STATUS_LABELS[job.status] || job.status)}</span>
+  · Source : ${escapeHtml(job.source || '—')}
+  ${job.featured ? '· <strong>Mise en avant</strong> (protégée de la rétention)' : ''}
+  ${job.run_id ? `· <a href="/admin/runs/${job.run_id}">import #${job.run_id}</a>` : ''}
+  ${job.contact_email ? `· Contact : ${escapeHtml(job.contact_email)}` : ''}
+  ${formatSalary(job) ? `· Salaire : ${escapeHtml(formatSalary(job))} (fiabilité ${Math.round((job.salary_confidence || 0) * 100)} %)` : ''}
+  ${job.relevance_score !== null && job.relevance_score !== undefined ? `· Pertinence : ${job.relevance_score}` : ''}
+  · Métier : ${ROME.byCode.has(job.rome_code)
+    ? `${escapeHtml(job.rome_code)} ${escapeHtml(ROME.byCode.get(job.rome_code).label)} (${job.rome_method === 'ai' ? 'IA' : 'règles'})`
+    : `non classé (${OCCUPATIONAL_CATEGORY ? `${escapeHtml(OCCUPATIONAL_CATEGORY)} par défaut` : 'pas d’occupationalCategory'})`}
+  · <a href="/job/${job.slug}">page publique</a>
+</p>
+${aiTask ? `<p class="small ${aiTask.status === 'failed' ? 'status-error' : 'muted'}">${aiTaskLabel(aiTask)}${aiTask.last_error ? ` : ${escapeHtml(aiTask.last_error)}` : ''}
+  ${aiTask.status === 'failed' ? `<form method="POST" action="/admin/queue/retry" class="inline-form">
+    <input type="hidden" name="job_id" value="${job.id}"/><button type="submit" class="link-button">Relancer</button>
+  </form>` : ''}</p>` : ''}
+<div class="actions">
+  <form method="POST" action="/admin/jobs/${job.id}/${job.status === 'published' ? 'unpublish' : 'publish'}" class="inline-form">
+    <button type="submit" class="btn">${job.status === 'published' ? 'Dépublier' : 'Publier'}</button>
+  </form>
+  <form method="POST" action="/admin/jobs/${job.id}/${job.featured ? 'unfeature' : 'feature'}" class="inline-form">
+    <button type="submit" class="btn">${job.featured ? 'Retirer la mise en avant' : 'Mettre en avant'}</button>
+  </form>
+  <form method="POST" action="/admin/jobs/${job.id}/rewrite" class="inline-form">
+    <button type="submit" class="btn"${HAS_OPENAI ? '' : ' disabled title="OPENAI_API_KEY non configurée"'}>Relancer la réécriture IA</button>
+  </form>
+  <form method="POST" action="/admin/jobs/${job.id}/delete" class="inline-form" onsubmit="return confirm('Supprimer cette offre ? Elle sera retirée du site et archivée.')">
+    <button type="submit" class="btn">Supprimer</button>
+  </form>
+</div>
 <article class="card">
-  <h1>Publier une offre</h1>
-  <p>Publiez votre offre ${escapeHtml(TARGET_PROFESSION)}. Les champs marqués d’un * sont obligatoires.</p>
-  <form method="POST" action="/post-job">
-    <label for="title">Intitulé du poste *</label>
-    <input type="text" id="title" name="title" required placeholder="ex. Conducteur SPL"/>
+  <form method="POST" action="/admin/jobs/${job.id}">
+    <label for="title">Intitulé</label>
+    <input type="text" id="title" name="title" required value="${escapeHtml(job.title || '')}"/>
+    <label for="company">Entreprise</label>
+    <input type="text" id="company" name="company" value="${escapeHtml(job.company || '')}"/>
+    <label for="description">Description (HTML)</label>
+    <textarea id="description" name="description" style="min-height:320px">${escapeHtml(job.description_html || '')}</textarea>
+    <label for="tags">Tags</label>
+    <input type="text" id="tags" name="tags" value="${escapeHtml(job.tags_csv || '')}"/>
+    <div class="help-text">Séparés par des virgules</div>
+    <button type="submit" class="btn btn-primary">Enregistrer</button>
+  </form>
+</article>
+${issues.length ? `<section class="card">
+  <h2>Données structurées</h2>
+  ${structuredDataIssuesHtml(issues)}
+</section>` : ''}
+<section class="card">
+  <h2>Doublons</h2>
+  ${job.cluster_id ? clusterMembersTable(stmtClusterMembers.all(job.cluster_id), job.id) : '<p class="muted">Offre isolée.</p>'}
+  ${clusterMergeForm(job.id)}
+</section>
+`
+  }));
+});
 
-    <label for="company">Entreprise *</label>
-    <input type="text" id="company" name="company" required placeholder="ex. ABC Logistique"/>
+app.post('/admin/jobs/:id', requireAdmin, (req, res) => {
+  const job = stmtById.get(Number(req.params.id));
+  if (!job) return res.status(404).send('Introuvable');
+  const { title = '', company = '', description = '', tags = '' } = req.body || {};
+  if (!String(title).trim()) return res.status(400).send('Intitulé obligatoire');
+
+  const html = sanitizeHtml(stripDocumentTags(description));
+  const tagList = uniqNormTags(String(tags).split(','));
+  stmtUpdateJobContent.run({
+    id: job.id,
+    title: String(title).trim(),
+    company: String(company).trim(),
+    description_html: html,
+    description_short: truncateWords(convert(html, { wordwrap: 120 }), 45),
+    tags_csv: tagList.join(', ')
+  });
+  replaceTagsForJob(job.id, tagList);
+  stmtDeleteAiTask.run(job.id); // la réécriture en attente écraserait la saisie
+  // Description remplacée à la main : elle devient la source des facettes
+  if (html !== sanitizeHtml(stripDocumentTags(job.description_html || ''))) stmtClearJobSource.run(job.id);
+  const updated = stmtById.get(job.id);
+  refreshJobFacets(updated);
+  fingerprintJob(job.id, storedJobFingerprint(updated));
+  if (String(company).trim() !== job.company) stmtSetJobCompany.run(resolveCompany(company, html) ?? 0, job.id);
+  console.log(`Admin : offre #${job.id} modifiée`);
+  res.redirect(`/admin/jobs/${job.id}?done=${encodeURIComponent('Modifications enregistrées')}`);
+});
 
-    <label for="url">URL de candidature *</label>
-    <input type="url" id="url" name="url" required placeholder="https://..."/>
-    <div class="help-text">Lien où les candidat·e·s postulent</div>
+app.post(['/admin/jobs/:id/publish', '/admin/jobs/:id/unpublish'], requireAdmin, (req, res) => {
+  const job = stmtById.get(Number(req.params.id));
+  if (!job) return res.status(404).send('Introuvable');
+  const status = req.path.endsWith('/unpublish') ? 'unpublished' : 'published';
+  if (status === 'published' && job.status === 'duplicate') splitFromCluster(job.id); // publiée pour elle-même
+  if (status === 'published') {
+    stmtRepublishJob.run({ id: job.id, now: Math.floor(Date.now() / 1000), ttl: JOB_TTL_DAYS * 24 * 3600 });
+    flagAgencyFromJob(job);
+  } else {
+    stmtSetJobStatus.run(status, job.id);
+  }
+  stmtSetCache.run('total_jobs', getCachedCount(0));
+  invalidateSitemaps();
+  console.log(`Admin : offre #${job.id} → ${status}`);
+  res.redirect(`/admin/jobs/${job.id}?done=${encodeURIComponent(STATUS_LABELS[status])}`);
+});
 
-    <label for="description">Description (optionnel)</label>
-    <textarea id="description" name="description" placeholder="Si vide, l’IA générera une description structurée…"></textarea>
-    <div class="help-text">Laissez vide pour contenu IA, ou fournissez votre HTML/texte</div>
+app.post(['/admin/jobs/:id/feature', '/admin/jobs/:id/unfeature'], requireAdmin, (req, res) => {
+  const job = stmtById.get(Number(req.params.id));
+  if (!job) return res.status(404).send('Introuvable');
+  const featured = req.path.endsWith('/unfeature') ? 0 : 1;
+  stmtSetFeatured.run(featured, job.id);
+  console.log(`Admin : offre #${job.id} ${featured ? 'mise en avant' : 'retirée de la mise en avant'}`);
+  res.redirect(`/admin/jobs/${job.id}?done=${encodeURIComponent(featured ? 'Offre mise en avant' : 'Mise en avant retirée')}`);
+});
 
-    <label for="tags">Tags (optionnel)</label>
-    <input type="text" id="tags" name="tags" placeholder="ex. télétravail, temps plein, adr"/>
-    <div class="help-text">Séparés par des virgules</div>
+app.post('/admin/jobs/:id/delete', requireAdmin, (req, res) => {
+  const job = stmtById.get(Number(req.params.id));
+  if (!job) return res.status(404).send('Introuvable');
+  db.transaction(() => {
+    archiveJobs([job.id], 'deleted');
+    stmtDeleteOrphanTags.run();
+  })();
+  repairClusters();
+  stmtSetCache.run('total_jobs', getCachedCount(0));
+  invalidateSitemaps();
+  console.log(`Admin : offre #${job.id} supprimée`);
+  res.redirect('/admin/jobs');
+});
 
-    <div class="form-row">
-      <div>
-        <label for="employmentType">Type de contrat</label>
-        <select id="employmentType" name="employmentType">
-          <option value="FULL_TIME">Temps plein</option>
-          <option value="PART_TIME">Temps partiel</option>
-          <option value="CONTRACTOR">Contrat</option>
-          <option value="TEMPORARY">Temporaire</option>
-          <option value="INTERN">Stage</option>
-        </select>
-      </div>
-      <div>
-        <label for="isRemote">Télétravail</label>
-        <select id="isRemote" name="isRemote">
-          <option value="no">Non</option>
-          <option value="yes">Oui</option>
-        </select>
-      </div>
-    </div>
+app.post('/admin/jobs/:id/rewrite', requireAdmin, async (req, res) => {
+  const job = stmtById.get(Number(req.params.id));
+  if (!job) return res.status(404).send('Introuvable');
+  try {
+    const { short, html, tags, usedAI } = await rewriteJobRich(
+      { title: job.title, company: job.company, html: job.description_html }, true
+    );
+    if (!usedAI) {
+      return res.redirect(`/admin/jobs/${job.id}?done=${encodeURIComponent('IA indisponible : offre inchangée')}`);
+    }
+    stmtUpdateJobContent.run({
+      id: job.id,
+      title: job.title,
+      company: job.company,
+      description_html: html,
+      description_short: truncateWords(short, 60),
+      tags_csv: tags.join(', ')
+    });
+    replaceTagsForJob(job.id, tags);
+    stmtDeleteAiTask.run(job.id);
+    console.log(`Admin : offre #${job.id} réécrite par l'IA`);
+    res.redirect(`/admin/jobs/${job.id}?done=${encodeURIComponent('Réécriture IA appliquée')}`);
+  } catch (e) {
+    console.error('Erreur de réécriture :', e);
+    res.status(500).send('Erreur serveur. Veuillez réessayer.');
+  }
+});
 
-    <h3 style="margin-top:24px">Salaire (optionnel)</h3>
-    <div class="form-row">
-      <div>
-        <label for="currency">Devise</label>
-        <select id="currency" name="currency">
-          <option value="">Aucune</option>
-          <option value="EUR">EUR</option>
-          <option value="CHF">CHF</option>
-          <option value="USD">USD</option>
-          <option value="GBP">GBP</option>
-        </select>
-      </div>
-      <div>
-        <label for="salaryMin">Minimum</label>
-        <input type="number" id="salaryMin" name="salaryMin" placeholder="ex. 28000"/>
-      </div>
-      <div>
-        <label for="salaryMax">Maximum</label>
-        <input type="number" id="salaryMax" name="salaryMax" placeholder="ex. 35000"/>
-      </div>
-      <div>
-        <label for="salaryUnit">Par</label>
-        <select id="salaryUnit" name="salaryUnit">
-          <option value="YEAR">An</option>
-          <option value="MONTH">Mois</option>
-          <option value="WEEK">Semaine</option>
-          <option value="DAY">Jour</option>
-          <option value="HOUR">Heure</option>
-        </select>
-      </div>
-    </div>
+// File de modération des offres soumises via /post-job
+function moderationMail(job, approved, note = '') {
+  const lines = approved
+    ? [`Bonne nouvelle : votre offre « ${job.title} » (${job.company}) est désormais en ligne.`, '', canonical(`/job/${job.slug}`)]
+    : [`Votre offre « ${job.title} » (${job.company}) n’a pas été retenue.`, ...(note ? ['', `Motif : ${note}`] : []),
+      '', `Consultez nos règles de publication : ${canonical('/rules')}`];
+  return {
+    to: job.contact_email,
+    subject: approved ? `Votre offre est publiée sur ${SITE_NAME}` : `Votre offre sur ${SITE_NAME}`,
+    text: [...lines, '', `— ${SITE_NAME}`].join('\n')
+  };
+}
+
+app.get('/admin/moderation', requireAdmin, (req, res) => {
+  const rows = stmtPendingJobs.all(200);
+  const profiles = stmtPendingProfiles.all(200);
+  const notice = req.query.done ? `<p class="status-success">${escapeHtml(String(req.query.done))}</p>` : '';
+  const items = rows.map(j => `
+<li class="card">
+  <h2><a href="/admin/jobs/${j.id}">${escapeHtml(j.title)}</a></h2>
+  <div class="muted">${escapeHtml(j.company || '')} · soumise le ${fmtDateTime(j.created_at)}</div>
+  <p>${escapeHtml(j.description_short || '')}</p>
+  <p class="small">Candidature : <a href="${escapeHtml(j.url || '')}" rel="nofollow noopener" target="_blank">${escapeHtml(j.url || '—')}</a>
+  ${j.contact_email ? ` · Contact : ${escapeHtml(j.contact_email)}` : ' · <span class="muted">pas d’e-mail</span>'}</p>
+  <div class="actions">
+    <form method="POST" action="/admin/moderation/${j.id}/approve" class="inline-form">
+      ${j.contact_email ? '<label class="small"><input type="checkbox" name="notify" value="1" checked/> notifier</label>' : ''}
+      <button type="submit" class="btn btn-primary">Approuver</button>
+    </form>
+    <form method="POST" action="/admin/moderation/${j.id}/reject" class="inline-form">
+      <input type="text" name="note" placeholder="Motif (optionnel)"/>
+      ${j.contact_email ? '<label class="small"><input type="checkbox" name="notify" value="1" checked/> notifier</label>' : ''}
+      <button type="submit" class="btn">Refuser</button>
+    </form>
+  </div>
+</li>`).join('');
+
+  res.send(adminLayout({
+    title: 'Modération',
+    breadcrumbs: [{ name: 'Modération' }],
+    body: `
+<h1>Offres en attente (${rows.length})</h1>
+${notice}
+<ul class="list">${items || '<li class="card">Aucune offre en attente.</li>'}</ul>
+${profiles.length ? `<h2>Profils entreprise en attente (${profiles.length})</h2>
+<p class="muted small">Nom, site officiel et logo sont repris dans les données structurées des offres de l’employeur.</p>
+<ul class="list">${profiles.map(profileModerationItem).join('')}</ul>` : ''}
+`
+  }));
+});
+
+// Profil soumis face au profil en vigueur
+function profileModerationItem(employer) {
+  const submitted = JSON.parse(employer.pending_profile);
+  const link = (u) => u ? `<a href="${escapeHtml(u)}" rel="nofollow noopener" target="_blank">${escapeHtml(u)}</a>` : '—';
+  const row = (label, key, fmt) => `<tr><th>${label}</th><td>${fmt(employer[key])}</td><td>${fmt(submitted[key])}</td></tr>`;
+  return `
+<li class="card">
+  <div class="muted">${escapeHtml(employer.email)} · soumis le ${fmtDateTime(employer.profile_submitted_at)}</div>
+  <table class="admin-table">
+    <tr><th></th><th>Actuel</th><th>Proposé</th></tr>
+    ${row('Entreprise', 'company_name', v => escapeHtml(v || '—'))}
+    ${row('Site officiel', 'website', link)}
+    ${row('Logo', 'logo_url', link)}
+  </table>
+  <div class="actions">
+    <form method="POST" action="/admin/moderation/employers/${employer.id}/approve" class="inline-form">
+      <button type="submit" class="btn btn-primary">Approuver</button>
+    </form>
+    <form method="POST" action="/admin/moderation/employers/${employer.id}/reject" class="inline-form">
+      <button type="submit" class="btn">Refuser</button>
+    </form>
+  </div>
+</li>`;
+}
 
-    <button type="submit" class="btn btn-primary">Soumettre l’offre</button>
-  </form>
-</article>
-`,
-    breadcrumbs
+app.post(['/admin/moderation/employers/:id/approve', '/admin/moderation/employers/:id/reject'], requireAdmin, (req, res) => {
+  const employer = stmtEmployerById.get(Number(req.params.id));
+  if (!employer) return res.status(404).send('Introuvable');
+  if (!employer.pending_profile) {
+    return res.redirect(`/admin/moderation?done=${encodeURIComponent(`Profil de ${employer.email} déjà traité`)}`);
+  }
+  const approved = req.path.endsWith('/approve');
+  if (approved) stmtUpdateEmployerProfile.run({ id: employer.id, ...JSON.parse(employer.pending_profile) });
+  else stmtClearEmployerProfile.run(employer.id);
+  console.log(`Modération : profil employeur #${employer.id} ${approved ? 'approuvé' : 'refusé'}`);
+  res.redirect(`/admin/moderation?done=${encodeURIComponent(`Profil de ${employer.email} ${approved ? 'approuvé' : 'refusé'}`)}`);
+});
+
+app.post(['/admin/moderation/:id/approve', '/admin/moderation/:id/reject'], requireAdmin, async (req, res) => {
+  const job = stmtById.get(Number(req.params.id));
+  if (!job) return res.status(404).send('Introuvable');
+  if (job.status !== 'pending') {
+    return res.redirect(`/admin/moderation?done=${encodeURIComponent(`Offre #${job.id} déjà traitée`)}`);
+  }
+  const approved = req.path.endsWith('/approve');
+  const note = String(req.body?.note || '').trim().slice(0, 500);
+
+  const now = Math.floor(Date.now() / 1000);
+  if (approved) {
+    stmtApproveJob.run(JOB_TTL_DAYS * 24 * 3600, job.id);
+    flagAgencyFromJob(job);
+  } else {
+    stmtRejectJob.run(note || null, job.id);
+  }
+  stmtSetCache.run('total_jobs', getCachedCount(0));
+  if (approved) {
+    invalidateSitemaps();
+    notifyIndexNow(now);
+  }
+  console.log(`Modération : offre #${job.id} ${approved ? 'approuvée' : 'refusée'}`);
+
+  let notified = false;
+  if (req.body?.notify && job.contact_email) {
+    notified = await sendMail(moderationMail(job, approved, note));
+  }
+  const label = `Offre #${job.id} ${approved ? 'approuvée' : 'refusée'}${notified ? ', soumetteur notifié' : ''}`;
+  res.redirect(`/admin/moderation?done=${encodeURIComponent(label)}`);
+});
+
+// Liste de blocage du formulaire public
+const BLOCK_KINDS = { domain: 'Domaine', url: 'Fragment d’URL' };
+
+app.get('/admin/blocklist', requireAdmin, (req, res) => {
+  const rows = stmtBlocklist.all();
+  res.send(adminLayout({
+    title: 'Liste de blocage',
+    breadcrumbs: [{ name: 'Liste de blocage' }],
+    body: `
+<h1>Liste de blocage</h1>
+<p class="muted">Appliquée aux soumissions de /post-job : URL de candidature, liens de la description et domaine de l’e-mail.</p>
+<form method="POST" action="/admin/blocklist" class="card">
+  <div class="form-row">
+    <div>
+      <label for="kind">Type</label>
+      <select id="kind" name="kind">${Object.entries(BLOCK_KINDS).map(([v, l]) => `<option value="${v}">${l}</option>`).join('')}</select>
+    </div>
+    <div>
+      <label for="pattern">Valeur</label>
+      <input type="text" id="pattern" name="pattern" required placeholder="ex. spam.example ou /offres-miracle"/>
+    </div>
+    <div>
+      <label for="note">Note</label>
+      <input type="text" id="note" name="note"/>
+    </div>
+  </div>
+  <button type="submit" class="btn btn-primary">Ajouter</button>
+</form>
+<section class="card">
+  ${rows.length ? `<table class="admin-table">
+    <tr><th>Type</th><th>Valeur</th><th>Note</th><th>Ajouté le</th><th></th></tr>
+    ${rows.map(r => `<tr>
+      <td>${escapeHtml(BLOCK_KINDS[r.kind] || r.kind)}</td>
+      <td>${escapeHtml(r.pattern)}</td>
+      <td>${escapeHtml(r.note || '')}</td>
+      <td>${fmtDateTime(r.created_at)}</td>
+      <td><form method="POST" action="/admin/blocklist/${r.id}/delete" class="inline-form"><button type="submit" class="link-button">Retirer</button></form></td>
+    </tr>`).join('')}
+  </table>` : '<p class="muted">Liste vide.</p>'}
+</section>
+`
   }));
 });
 
-// PUBLIER UNE OFFRE (POST)
-app.post('/post-job', async (req, res) => {
-  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
-  try {
-    const {
-      title, company, url,
-      description = '', tags = '',
-      employmentType = 'FULL_TIME',
-      isRemote = 'no',
-      currency = '',
-      salaryMin = '',
-      salaryMax = '',
-      salaryUnit = 'YEAR'
-    } = req.body;
+app.post('/admin/blocklist', requireAdmin, (req, res) => {
+  const kind = BLOCK_KINDS[req.body?.kind] ? req.body.kind : 'domain';
+  const pattern = String(req.body?.pattern || '').trim().toLowerCase();
+  if (!pattern) return res.status(400).send('Valeur obligatoire');
+  stmtAddBlock.run(kind, pattern, String(req.body?.note || '').trim() || null);
+  res.redirect('/admin/blocklist');
+});
 
-    if (!title || !company || !url) {
-      return res.status(400).send('Champs obligatoires manquants');
-    }
+app.post('/admin/blocklist/:id/delete', requireAdmin, (req, res) => {
+  stmtDeleteBlock.run(Number(req.params.id));
+  res.redirect('/admin/blocklist');
+});
 
-    const guid = `manual-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
-    const published_at = Math.floor(Date.now() / 1000);
+// CLÉS API
+function apiKeysPage({ created = null } = {}) {
+  const rows = stmtApiKeys.all();
+  return adminLayout({
+    title: 'Clés API',
+    breadcrumbs: [{ name: 'Clés API' }],
+    body: `
+<h1>Clés API</h1>
+<p class="muted">Accès en lecture à <code>/api/v1</code> (documentation : <a href="/api/v1/openapi.json">openapi.json</a>).
+Les clés sont transmises par <code>Authorization: Bearer …</code> ou <code>X-API-Key</code>.</p>
+${created ? `<div class="card">
+  <p class="status-success">Clé créée pour « ${escapeHtml(created.label)} ». Copiez-la maintenant : elle ne sera plus affichée.</p>
+  <p><code>${escapeHtml(created.key)}</code></p>
+</div>` : ''}
+<form method="POST" action="/admin/api-keys" class="card">
+  <div class="form-row">
+    <div>
+      <label for="label">Partenaire</label>
+      <input type="text" id="label" name="label" required placeholder="ex. site-partenaire.fr"/>
+    </div>
+    <div>
+      <label for="rate_limit">Requêtes par heure</label>
+      <input type="number" id="rate_limit" name="rate_limit" min="1" value="${API_RATE_LIMIT}"/>
+    </div>
+  </div>
+  <button type="submit" class="btn btn-primary">Créer une clé</button>
+</form>
+<section class="card">
+  ${rows.length ? `<table class="admin-table">
+    <tr><th>Partenaire</th><th>Clé</th><th>Limite / h</th><th>Requêtes</th><th>Dernier appel</th><th>Créée le</th><th></th></tr>
+    ${rows.map(r => `<tr>
+      <td>${escapeHtml(r.label)}</td>
+      <td><code>${escapeHtml(r.key_prefix)}…</code></td>
+      <td>${r.rate_limit.toLocaleString('fr-FR')}</td>
+      <td>${r.request_count.toLocaleString('fr-FR')}</td>
+      <td>${fmtDateTime(r.last_used_at)}</td>
+      <td>${fmtDateTime(r.created_at)}</td>
+      <td>${r.revoked_at
+        ? `<span class="muted">Révoquée le ${fmtDateTime(r.revoked_at)}</span>`
+        : `<form method="POST" action="/admin/api-keys/${r.id}/revoke" class="inline-form"><button type="submit" class="link-button">Révoquer</button></form>`}</td>
+    </tr>`).join('')}
+  </table>` : '<p class="muted">Aucune clé.</p>'}
+</section>
+`
+  });
+}
 
-    const userTags = tags.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+app.get('/admin/api-keys', requireAdmin, (req, res) => {
+  res.send(apiKeysPage());
+});
 
-    let finalHtml, finalShort, finalTags;
+// La clé n'est affichée qu'une fois, dans la réponse à la création
+app.post('/admin/api-keys', requireAdmin, (req, res) => {
+  const label = String(req.body?.label || '').trim().slice(0, 100);
+  if (!label) return res.status(400).send('Partenaire obligatoire');
+  const rateLimit = Math.floor(Number(req.body?.rate_limit)) > 0 ? Math.floor(Number(req.body.rate_limit)) : API_RATE_LIMIT;
+  const key = `jb_${crypto.randomBytes(24).toString('base64url')}`;
+  stmtInsertApiKey.run(hashToken(key), key.slice(0, 10), label, rateLimit);
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(apiKeysPage({ created: { label, key } }));
+});
 
-    if (!String(description || '').trim()) {
-      console.log('Génération IA pour publication manuelle :', title);
-      const result = await rewriteJobRich({ title, company, html: `<p>Poste chez ${company}</p>` }, true);
-      finalHtml = result.html;
-      finalShort = result.short;
-      finalTags = [...new Set([...result.tags, ...userTags])];
-    } else {
-      finalHtml = sanitizeHtml(stripDocumentTags(description));
-      finalShort = truncateWords(convert(description, { wordwrap: 120 }), 45);
-      finalTags = [...new Set([...extractTags({ title, company, html: description }), ...userTags])];
-    }
+app.post('/admin/api-keys/:id/revoke', requireAdmin, (req, res) => {
+  stmtRevokeApiKey.run(Number(req.params.id));
+  res.redirect('/admin/api-keys');
+});
 
-    let salaryInfo = '';
-    if (currency && (salaryMin || salaryMax)) {
-      const unitLabel = UNIT_LABELS[String(salaryUnit).toUpperCase()] || 'période';
-      salaryInfo = `\n<p><strong>Salaire :</strong> ${currency} ${salaryMin ? salaryMin : ''}${salaryMin && salaryMax ? '-' : ''}${salaryMax ? salaryMax : ''} par ${unitLabel}</p>`;
-    }
+// Contrôle des données structurées JobPosting des offres publiées
+function structuredDataIssuesHtml(issues) {
+  return `<ul class="small">${issues.map(i => `
+    <li class="${i.level === 'error' ? 'status-error' : 'muted'}">${i.level === 'error' ? 'Erreur' : 'Avertissement'} ·
+      <code>${escapeHtml(i.field)}</code> : ${escapeHtml(i.message)}</li>`).join('')}
+  </ul>`;
+}
 
-    const enrichedHtml = finalHtml + salaryInfo;
-    const slug = mkSlug(`${title}-${company}-${Date.now()}`) || mkSlug(guid);
+// Contrôle page par page : valider tout le catalogue en une requête bloquerait le serveur
+const STRUCTURED_DATA_PER_PAGE = 500;
+app.get('/admin/structured-data', requireAdmin, (req, res) => {
+  const showWarnings = req.query.warnings === '1';
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const now = Math.floor(Date.now() / 1000);
+  const pages = Math.ceil(stmtCountStructuredDataJobs.get(now).c / STRUCTURED_DATA_PER_PAGE);
+  const byRule = new Map();
+  const failing = [];
+  let total = 0, withErrors = 0;
+  for (const job of stmtStructuredDataJobs.iterate(now, STRUCTURED_DATA_PER_PAGE, (page - 1) * STRUCTURED_DATA_PER_PAGE)) {
+    total++;
+    const issues = validateJobPosting(buildJobPosting(job));
+    const errors = issues.filter(i => i.level === 'error');
+    if (errors.length) withErrors++;
+    for (const i of issues) {
+      const key = `${i.level}\t${i.field}\t${i.message}`;
+      byRule.set(key, (byRule.get(key) || 0) + 1);
+    }
+    const shown = showWarnings ? issues : errors;
+    if (shown.length) failing.push({ job, issues: shown });
+  }
 
-    stmtInsertJob.run({
-      guid,
-      source: 'manuel',
-      title,
-      company,
-      description_html: enrichedHtml,
-      description_short: finalShort,
-      url,
-      published_at,
-      slug,
-      tags_csv: uniqNormTags(finalTags).join(', ')
-    });
+  const ruleRows = [...byRule.entries()]
+    .map(([key, count]) => [...key.split('\t'), count])
+    .sort((a, b) => (a[0] === b[0] ? b[3] - a[3] : a[0] === 'error' ? -1 : 1))
+    .map(([level, field, message, count]) => `
+<tr>
+  <td class="${level === 'error' ? 'status-error' : ''}">${level === 'error' ? 'Erreur' : 'Avertissement'}</td>
+  <td><code>${escapeHtml(field)}</code></td>
+  <td>${escapeHtml(message)}</td>
+  <td>${count.toLocaleString('fr-FR')}</td>
+</tr>`).join('');
+
+  const jobRows = failing.map(({ job, issues }) => `
+<tr>
+  <td><a href="/admin/jobs/${job.id}">#${job.id}</a></td>
+  <td><a href="/job/${job.slug}">${escapeHtml(job.title)}</a><div class="muted">${escapeHtml(job.company || '—')}</div></td>
+  <td>${structuredDataIssuesHtml(issues)}</td>
+  <td><a href="https://search.google.com/test/rich-results?url=${encodeURIComponent(canonical(`/job/${job.slug}`))}" rel="noopener" target="_blank">Tester</a></td>
+</tr>`).join('');
+
+  res.send(adminLayout({
+    title: 'Données structurées',
+    breadcrumbs: [{ name: 'Données structurées' }],
+    body: `
+<h1>Données structurées (JobPosting)</h1>
+<p class="muted">${total.toLocaleString('fr-FR')} offres publiées contrôlées${pages > 1 ? ` (page ${page} / ${pages}, des plus récentes aux plus anciennes)` : ''} ·
+  <span class="${withErrors ? 'status-error' : ''}">${withErrors.toLocaleString('fr-FR')} en erreur</span> :
+  leur page est servie sans balisage JobPosting tant que l’erreur n’est pas corrigée.</p>
+<section class="card">
+  <h2>Contrôles</h2>
+  ${ruleRows ? `<table class="admin-table">
+    <tr><th>Niveau</th><th>Propriété</th><th>Contrôle</th><th>Offres</th></tr>
+    ${ruleRows}
+  </table>` : '<p class="muted">Aucun problème détecté.</p>'}
+</section>
+<section class="card">
+  <h2>Offres ${showWarnings ? 'à corriger ou à compléter' : 'en erreur'}</h2>
+  <p class="small">${showWarnings
+    ? `<a href="/admin/structured-data?page=${page}">Erreurs seulement</a>`
+    : `<a href="/admin/structured-data?warnings=1&amp;page=${page}">Inclure les avertissements</a>`}</p>
+  ${jobRows ? `<table class="admin-table">
+    <tr><th>#</th><th>Offre</th><th>Problèmes</th><th></th></tr>
+    ${jobRows}
+  </table>` : '<p class="muted">Aucune offre concernée.</p>'}
+</section>
+${pages > 1 ? `<p class="small">${page > 1 ? `<a href="/admin/structured-data?page=${page - 1}${showWarnings ? '&amp;warnings=1' : ''}">← Plus récentes</a>` : ''}
+  Page ${page} / ${pages}
+  ${page < pages ? `<a href="/admin/structured-data?page=${page + 1}${showWarnings ? '&amp;warnings=1' : ''}">Plus anciennes →</a>` : ''}</p>` : ''}
+`
+  }));
+});
 
-    const inserted = stmtHasGuid.get(guid);
-    if (inserted) {
-      upsertTagsForJob(inserted.id, finalTags);
+// Simulation du filtre de pertinence sur une source : rien n'est importé. Les mots-clés et le
+// seuil peuvent être surchargés pour essayer des règles avant de modifier la configuration.
+const RELEVANCE_DRY_RUN_ITEMS = 500;
+const RELEVANCE_DRY_RUN_TIMEOUT_MS = 30000; // une source lente ne bloque pas la page indéfiniment
+app.get('/admin/relevance', requireAdmin, async (req, res) => {
+  const feeds = stmtAllFeeds.all();
+  const feed = stmtFeedById.get(Number(req.query.feed) || 0);
+  const show = ['accepted', 'rejected'].includes(req.query.show) ? req.query.show : '';
+  const keywordsInput = String(req.query.keywords || '').trim();
+  const thresholdInput = String(req.query.threshold ?? '').trim();
+
+  let report = '';
+  if (feed) {
+    const keywords = keywordsInput ? parseKeywords(keywordsInput) : feedKeywords(feed);
+    const threshold = thresholdInput !== '' && Number.isFinite(Number(thresholdInput)) ? Number(thresholdInput) : feedThreshold(feed);
+    const { rules, errors } = compileRelevanceRules(keywords);
+    const items = [];
+    const controller = new AbortController();
+    const timeout = AbortSignal.timeout(RELEVANCE_DRY_RUN_TIMEOUT_MS);
+    try {
+      const response = await fetch(feed.url, { signal: AbortSignal.any([controller.signal, timeout]) });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      await readFeedItems(response, resolveFeedFormat(feed), (item) => {
+        if (items.length >= RELEVANCE_DRY_RUN_ITEMS) return controller.abort();
+        const { score, matches } = scoreRelevance(item, rules);
+        const guid = item.guid || item.link;
+        items.push({ item, score, matches, accepted: score >= threshold, imported: Boolean(guid && stmtHasGuid.get(guid)) });
+      }, (message) => errors.push(message));
+    } catch (e) {
+      if (timeout.aborted) errors.push(`Source trop lente : analyse interrompue après ${RELEVANCE_DRY_RUN_TIMEOUT_MS / 1000} s`);
+      else if (!controller.signal.aborted) errors.push(e.message);
     }
-    stmtSetCache.run('total_jobs', getCachedCount(0));
 
-    console.log(`Offre publiée : ${title} chez ${company}`);
-    res.redirect(`/job/${slug}`);
-  } catch (error) {
-    console.error('Erreur lors de la publication :', error);
-    res.status(500).send('Erreur serveur. Veuillez réessayer.');
+    const accepted = items.filter(i => i.accepted).length;
+    const shown = items.filter(i => !show || (show === 'accepted') === i.accepted);
+    const link = (value, label) => {
+      const params = new URLSearchParams({ feed: feed.id, keywords: keywordsInput, threshold: thresholdInput, show: value });
+      return show === value ? `<strong>${label}</strong>` : `<a href="/admin/relevance?${params}">${label}</a>`;
+    };
+    const rows = shown.map(({ item, score, matches, accepted, imported }) => `
+<tr>
+  <td class="${accepted ? '' : 'status-error'}">${accepted ? 'Retenue' : 'Rejetée'}${imported ? '<div class="muted">déjà importée</div>' : ''}</td>
+  <td>${score}</td>
+  <td>${item.link ? `<a href="${escapeHtml(item.link)}" rel="noopener nofollow" target="_blank">${escapeHtml(item.title || 'Sans titre')}</a>` : escapeHtml(item.title || 'Sans titre')}
+    <div class="muted">${escapeHtml(item.company || '—')}</div></td>
+  <td class="small">${matches.length ? escapeHtml(describeRelevance(matches)) : '<span class="muted">aucune règle</span>'}</td>
+</tr>`).join('');
+
+    report = `
+${errors.length ? `<section class="card"><h2>Erreurs</h2><ul>${errors.map(e => `<li class="status-error">${escapeHtml(e)}</li>`).join('')}</ul></section>` : ''}
+<section class="card">
+  <h2>${escapeHtml(feed.label)} · seuil ${threshold}</h2>
+  <p>${items.length.toLocaleString('fr-FR')} éléments analysés${items.length >= RELEVANCE_DRY_RUN_ITEMS ? ` (${RELEVANCE_DRY_RUN_ITEMS} premiers du flux)` : ''} ·
+    ${accepted.toLocaleString('fr-FR')} retenus · ${(items.length - accepted).toLocaleString('fr-FR')} rejetés</p>
+  <p class="small">${link('', 'Tous')} · ${link('accepted', 'Retenus')} · ${link('rejected', 'Rejetés')}</p>
+  ${rows ? `<table class="admin-table">
+    <tr><th>Décision</th><th>Score</th><th>Offre</th><th>Règles</th></tr>
+    ${rows}
+  </table>` : '<p class="muted">Aucun élément.</p>'}
+</section>`;
   }
+
+  res.send(adminLayout({
+    title: 'Pertinence des flux',
+    breadcrumbs: [{ name: 'Pertinence' }],
+    body: `
+<h1>Pertinence des flux</h1>
+<p class="muted">Simulation du filtre d’import sur les ${RELEVANCE_DRY_RUN_ITEMS} premiers éléments d’une source, sans rien enregistrer.
+  Poids : titre ${RELEVANCE_WEIGHTS.title}, entreprise ${RELEVANCE_WEIGHTS.company}, description ${RELEVANCE_WEIGHTS.description} ;
+  une règle « -expression » retire ces points, « /regex/ » est une expression régulière.</p>
+<form method="GET" action="/admin/relevance" class="card">
+  <div class="form-row">
+    <div>
+      <label for="feed">Source</label>
+      <select id="feed" name="feed">${feeds.map(f => `<option value="${f.id}"${feed?.id === f.id ? ' selected' : ''}>${escapeHtml(f.label)}${f.enabled ? '' : ' (désactivée)'}</option>`).join('')}</select>
+    </div>
+    <div>
+      <label for="threshold">Seuil</label>
+      <input type="number" step="any" id="threshold" name="threshold" value="${escapeHtml(thresholdInput)}" placeholder="${feed ? feedThreshold(feed) : RELEVANCE_THRESHOLD}"/>
+    </div>
+  </div>
+  <label for="keywords">Mots-clés (séparés par des virgules, vide = ceux de la source)</label>
+  <textarea id="keywords" name="keywords" rows="3" placeholder="${escapeHtml((feed ? feedKeywords(feed) : PROFESSION_KEYWORDS).join(', '))}">${escapeHtml(keywordsInput)}</textarea>
+  <button type="submit" class="btn btn-primary"${feeds.length ? '' : ' disabled'}>Simuler</button>
+</form>
+${report}
+`
+  }));
 });
 
-// RÈGLES (FAQ + schéma)
-app.get('/rules', (req, res) => {
-  const breadcrumbs = [
-    { name: 'Accueil', url: '/' },
-    { name: 'Règles', url: '/rules' }
-  ];
-  const faqData = {
-    "@context": "https://schema.org",
-    "@type": "FAQPage",
-    "mainEntity": [
-      { "@type": "Question", "name": "Comment publier une offre ?", "acceptedAnswer": { "@type": "Answer", "text": `Cliquez sur “Publier une offre” dans l’en-tête et remplissez le formulaire. Toutes les offres ${TARGET_PROFESSION} sont les bienvenues.` } },
-      { "@type": "Question", "name": "La publication est-elle gratuite ?", "acceptedAnswer": { "@type": "Answer", "text": "Oui, la publication d’offres est entièrement gratuite sur notre plateforme." } },
-      { "@type": "Question", "name": "Combien de temps une offre reste-t-elle en ligne ?", "acceptedAnswer": { "@type": "Answer", "text": "Les offres restent actives 30 jours et sont incluses dans le sitemap et le flux RSS." } }
-    ]
-  };
-  const faqSchema = `<script type="application/ld+json">${JSON.stringify(faqData)}</script>`;
-  const orgSchema = `<script type="application/ld+json">${JSON.stringify({
-    "@context": "https://schema.org",
-    "@type": "Organization",
-    "name": SITE_NAME,
-    "url": SITE_URL,
-    ...(SITE_LOGO ? { "logo": SITE_LOGO } : {}),
-    ...(SITE_SAMEAS ? { "sameAs": SITE_SAMEAS.split(',').map(s => s.trim()).filter(Boolean) } : {})
-  })}</script>`;
+// Groupes de doublons entre sources : fusion, détachement et choix de l'offre canonique
+function clusterMembersTable(members, currentId = null) {
+  const now = Math.floor(Date.now() / 1000);
+  const back = currentId ? `<input type="hidden" name="back" value="/admin/jobs/${currentId}"/>` : '';
+  return `<table class="admin-table">
+    <tr><th>#</th><th>Offre</th><th>Source</th><th>Statut</th><th></th></tr>
+    ${members.map(m => `<tr>
+      <td>${m.id === currentId ? `#${m.id}` : `<a href="/admin/jobs/${m.id}">#${m.id}</a>`}${m.id === m.cluster_id ? ' <strong>canonique</strong>' : ''}</td>
+      <td>${escapeHtml(m.title)}<div class="muted">${escapeHtml([m.company, m.city].filter(Boolean).join(' · ') || '—')}</div></td>
+      <td>${m.url ? `<a href="${escapeHtml(m.url)}" rel="noopener nofollow" target="_blank">${escapeHtml(m.feed_label || m.source || '—')}</a>` : escapeHtml(m.feed_label || m.source || '—')}</td>
+      <td class="status-${escapeHtml(m.status)}">${escapeHtml(STATUS_LABELS[m.status] || m.status)}${m.status === 'duplicate' && !(m.expires_at > now) ? '<div class="muted">absente du flux</div>' : ''}</td>
+      <td>
+        ${m.id !== m.cluster_id && m.status === 'duplicate' ? `<form method="POST" action="/admin/clusters/${m.id}/canonical" class="inline-form">${back}<button type="submit" class="link-button">Rendre canonique</button></form> · ` : ''}
+        <form method="POST" action="/admin/clusters/${m.id}/split" class="inline-form">${back}<button type="submit" class="link-button">Détacher</button></form>
+      </td>
+    </tr>`).join('')}
+  </table>`;
+}
 
-  res.send(layout({
-    title: 'Règles & FAQ',
+const clusterMergeForm = (id = '') => `<form method="POST" action="/admin/clusters/merge" class="form-row">
+  ${id ? `<input type="hidden" name="back" value="/admin/jobs/${id}"/>` : ''}
+  <div>
+    <label for="merge-id">Offre</label>
+    <input type="number" id="merge-id" name="id" required min="1" value="${escapeHtml(String(id))}"/>
+  </div>
+  <div>
+    <label for="merge-into">Regrouper avec l’offre</label>
+    <input type="number" id="merge-into" name="into" required min="1"/>
+  </div>
+  <div><button type="submit" class="btn">Regrouper</button></div>
+</form>`;
+
+const CLUSTERS_PER_PAGE = 50;
+app.get('/admin/clusters', requireAdmin, (req, res) => {
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const total = stmtCountClusters.get().c;
+  const clusters = stmtClusters.all(CLUSTERS_PER_PAGE, (page - 1) * CLUSTERS_PER_PAGE);
+  const notice = req.query.done ? `<p class="status-success">${escapeHtml(String(req.query.done))}</p>`
+    : req.query.error ? `<p class="status-error">${escapeHtml(String(req.query.error))}</p>` : '';
+  const pages = Math.ceil(total / CLUSTERS_PER_PAGE);
+
+  res.send(adminLayout({
+    title: 'Doublons',
+    breadcrumbs: [{ name: 'Doublons' }],
     body: `
-<nav class="muted small"><a href="/">Accueil</a> › Règles</nav>
-<article class="card">
-  <h1>Règles & FAQ</h1>
-  <h2>Directives de publication</h2>
-  <ul>
-    <li>Uniquement des postes de ${escapeHtml(TARGET_PROFESSION)}</li>
-    <li>Offres légitimes uniquement</li>
-    <li>Informations entreprise et lien de candidature exacts</li>
-    <li>Aucune discrimination</li>
-  </ul>
-  <h2>FAQ</h2>
-  <h3>Comment publier une offre ?</h3>
-  <p>Cliquez sur “Publier une offre” et remplissez le formulaire.</p>
-  <h3>La publication est-elle gratuite ?</h3>
-  <p>Oui, c’est gratuit.</p>
-  <h3>Combien de temps une offre reste-t-elle en ligne ?</h3>
-  <p>30 jours, incluse dans le sitemap et le RSS.</p>
-  <h3>Modifier ou supprimer une offre ?</h3>
-  <p>Contactez-nous si nécessaire.</p>
-  <h3>Comment les offres sont-elles traitées ?</h3>
-  <p>Nous utilisons l’IA pour structurer et améliorer la lisibilité. Si vous fournissez votre description, nous l’utilisons telle quelle.</p>
-</article>
-`,
-    breadcrumbs,
-    metaExtra: faqSchema + orgSchema
+<h1>Doublons entre sources</h1>
+${notice}
+<p class="muted">${total.toLocaleString('fr-FR')} groupes. Seule l’offre canonique est publiée ; les doublons encore présents
+  dans leur flux sont proposés sur sa page (« Également publiée sur… »). Une offre détachée n’est plus regroupée automatiquement.</p>
+<section class="card">
+  <h2>Regrouper deux offres</h2>
+  ${clusterMergeForm()}
+</section>
+${clusters.map(c => `<section class="card">
+  <h2><a href="/admin/jobs/${c.id}">${escapeHtml(c.title)}</a> <span class="muted small">${c.members + 1} offres</span></h2>
+  ${clusterMembersTable(stmtClusterMembers.all(c.id))}
+</section>`).join('') || '<p class="muted">Aucun groupe.</p>'}
+${pages > 1 ? `<p class="small">${page > 1 ? `<a href="/admin/clusters?page=${page - 1}">← Précédents</a>` : ''}
+  Page ${page} / ${pages}
+  ${page < pages ? `<a href="/admin/clusters?page=${page + 1}">Suivants →</a>` : ''}</p>` : ''}
+`
   }));
 });
 
-// PAGE TAG (pagination)
-app.get('/tag/:slug', (req, res) => {
-  const slug = req.params.slug;
-  const tag = stmtGetTagBySlug.get(slug);
-  if (!tag) return res.status(404).send('Introuvable');
+// Retour à la fiche d'offre d'où vient l'action, sinon à la liste des groupes
+function clusterActionRedirect(req, res, message, isError = false) {
+  const back = /^\/admin\/jobs\/\d+$/.test(String(req.body?.back || '')) ? req.body.back : '/admin/clusters';
+  res.redirect(`${back}?${isError ? 'error' : 'done'}=${encodeURIComponent(message)}`);
+}
 
-  const pageSize = 50;
-  const cursor = req.query.cursor || '';
-  let rows;
-  if (!cursor) {
-    rows = stmtJobsByTagFirst.all(slug, pageSize);
-  } else {
-    const [pub, id] = cursor.split('-').map(Number);
-    if (!pub || !id) return res.status(400).send('Curseur invalide');
-    rows = stmtJobsByTagCursor.all(slug, pub, pub, id, pageSize);
+app.post('/admin/clusters/merge', requireAdmin, (req, res) => {
+  const id = Number(req.body?.id), into = Number(req.body?.into);
+  try {
+    const root = mergeClusters(id, into);
+    repairClusters();
+    stmtSetCache.run('total_jobs', getCachedCount(0));
+    invalidateSitemaps();
+    console.log(`Admin : offre #${id} regroupée avec #${into} (canonique #${root})`);
+    clusterActionRedirect(req, res, `Offres regroupées (canonique #${root})`);
+  } catch (e) {
+    clusterActionRedirect(req, res, e.message, true);
   }
-  const cnt = stmtCountJobsByTagId.get(tag.id).c;
-  const hasMore = rows.length === pageSize;
-  const nextCursor = hasMore ? `${rows[rows.length - 1].published_at}-${rows[rows.length - 1].id}` : null;
-
-  const items = rows.map(r => `
-<li class="card">
-  <h2><a href="/job/${r.slug}">${escapeHtml(r.title)}</a></h2>
-  ${r.company ? `<div class="muted">${escapeHtml(r.company)}</div>` : ''}
-  <p>${escapeHtml(r.description_short)}</p>
-  <div class="muted small">${new Date(r.published_at * 1000).toLocaleDateString('fr-FR')}</div>
-</li>`).join('');
+});
 
-  const pagerLinks = [];
-  if (nextCursor) {
-    res.setHeader('Link', `<${canonical(`/tag/${slug}?cursor=${nextCursor}`)}>; rel="next"`);
-    pagerLinks.push(`<a href="/tag/${slug}?cursor=${nextCursor}" rel="next">Suivant →</a>`);
-  }
-  if (cursor) {
-    pagerLinks.unshift(`<a href="/tag/${slug}" rel="prev">← Début</a>`);
+app.post(['/admin/clusters/:id/split', '/admin/clusters/:id/canonical'], requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  const split = req.path.endsWith('/split');
+  try {
+    if (split) splitFromCluster(id);
+    else setClusterCanonical(id);
+    stmtSetCache.run('total_jobs', getCachedCount(0));
+    invalidateSitemaps();
+    console.log(`Admin : offre #${id} ${split ? 'détachée de son groupe' : 'devenue canonique'}`);
+    clusterActionRedirect(req, res, split ? `Offre #${id} détachée` : `Offre #${id} canonique`);
+  } catch (e) {
+    clusterActionRedirect(req, res, e.message, true);
   }
-  const pager = pagerLinks.length ? `<div class="pager">${pagerLinks.join('')}</div>` : '';
-
-  const breadcrumbs = [
-    { name: 'Accueil', url: '/' },
-    { name: 'Tags', url: '/tags' },
-    { name: tag.name, url: `/tag/${slug}` }
-  ];
+});
 
-  res.send(layout({
-    title: `Tag : ${tag.name}`,
+// Entreprises : repérage des agences d'intérim corrigé à la main, fusion des doublons de nom
+const AGENCY_SOURCE_LABELS = { list: 'liste des enseignes', name: 'nom', text: 'description', admin: 'admin' };
+const COMPANIES_PER_PAGE = 50;
+app.get('/admin/companies', requireAdmin, (req, res) => {
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const q = String(req.query.q || '').trim();
+  const agencyFilter = ['0', '1'].includes(req.query.agency) ? req.query.agency : '';
+  const companies = stmtCompanyStats.all({
+    q: placeKey(q), agency: agencyFilter === '' ? null : Number(agencyFilter),
+    limit: COMPANIES_PER_PAGE + 1, offset: (page - 1) * COMPANIES_PER_PAGE
+  });
+  const hasMore = companies.length > COMPANIES_PER_PAGE;
+  const notice = req.query.done ? `<p class="status-success">${escapeHtml(String(req.query.done))}</p>`
+    : req.query.error ? `<p class="status-error">${escapeHtml(String(req.query.error))}</p>` : '';
+  const pageLink = (p) => `/admin/companies?${new URLSearchParams([...(q ? [['q', q]] : []), ...(agencyFilter ? [['agency', agencyFilter]] : []), ['page', String(p)]])}`;
+
+  const rows = companies.slice(0, COMPANIES_PER_PAGE).map(c => `<tr>
+  <td>#${c.id}</td>
+  <td><a href="/entreprise/${c.slug}">${escapeHtml(c.name)}</a>
+    <div class="muted small">${c.aliases} alias : ${stmtCompanyAliases.all(c.id).map(a => escapeHtml(a.alias)).join(', ')}</div></td>
+  <td>${c.published || 0} / ${c.jobs}</td>
+  <td>${c.is_agency ? '<span class="badge-agency">Agence d’intérim</span>' : 'Employeur'}
+    ${c.agency_source ? `<div class="muted small">${escapeHtml(AGENCY_SOURCE_LABELS[c.agency_source] || c.agency_source)}</div>` : ''}</td>
+  <td><form method="POST" action="/admin/companies/${c.id}/agency" class="inline-form">
+    <input type="hidden" name="agency" value="${c.is_agency ? 0 : 1}"/>
+    <button type="submit" class="link-button">${c.is_agency ? 'Marquer employeur' : 'Marquer agence'}</button>
+  </form></td>
+</tr>`).join('');
+
+  res.send(adminLayout({
+    title: 'Entreprises',
+    breadcrumbs: [{ name: 'Entreprises' }],
     body: `
-<nav class="muted small"><a href="/">Accueil</a> › <a href="/tags">Tags</a> › ${escapeHtml(tag.name)}</nav>
-<h1>Tag : ${escapeHtml(tag.name)}</h1>
-<p class="muted">${cnt} offres</p>
-<ul class="list">${items || '<li class="card">Aucune offre.</li>'}</ul>
-${pager}
-`,
-    breadcrumbs
+<h1>Entreprises</h1>
+${notice}
+<p class="muted">Les noms reçus des flux sont regroupés par nom normalisé (sans forme juridique ni ville) ; chaque variante
+  est un alias. Une agence marquée ou démarquée ici n’est plus modifiée par le repérage automatique.</p>
+<form method="GET" action="/admin/companies" class="card form-row">
+  <div>
+    <label for="q">Nom</label>
+    <input type="search" id="q" name="q" value="${escapeHtml(q)}"/>
+  </div>
+  <div>
+    <label for="agency">Type</label>
+    <select id="agency" name="agency">
+      <option value="">Toutes</option>
+      <option value="1"${agencyFilter === '1' ? ' selected' : ''}>Agences d’intérim</option>
+      <option value="0"${agencyFilter === '0' ? ' selected' : ''}>Employeurs</option>
+    </select>
+  </div>
+  <div><button type="submit" class="btn">Filtrer</button></div>
+</form>
+<section class="card">
+  <h2>Fusionner deux entreprises</h2>
+  <form method="POST" action="/admin/companies/merge" class="form-row">
+    <div>
+      <label for="merge-from">Entreprise</label>
+      <input type="number" id="merge-from" name="from" required min="1"/>
+    </div>
+    <div>
+      <label for="merge-into">Fusionner dans</label>
+      <input type="number" id="merge-into" name="into" required min="1"/>
+    </div>
+    <div><button type="submit" class="btn">Fusionner</button></div>
+  </form>
+  <p class="muted small">Les alias et les offres de la première rejoignent la seconde, qui garde son nom et son adresse.</p>
+</section>
+${rows ? `<table class="admin-table">
+  <tr><th>#</th><th>Entreprise</th><th>Publiées / offres</th><th>Type</th><th></th></tr>
+  ${rows}
+</table>` : '<p class="muted">Aucune entreprise.</p>'}
+${page > 1 || hasMore ? `<p class="small">${page > 1 ? `<a href="${escapeHtml(pageLink(page - 1))}">← Précédentes</a>` : ''}
+  Page ${page}
+  ${hasMore ? `<a href="${escapeHtml(pageLink(page + 1))}">Suivantes →</a>` : ''}</p>` : ''}
+`
   }));
 });
 
-// LISTE DE TOUS LES TAGS
-app.get('/tags', (req, res) => {
-  const popular = stmtPopularTags.all(1, 500);
-  const breadcrumbs = [
-    { name: 'Accueil', url: '/' },
-    { name: 'Tags', url: '/tags' }
-  ];
-
-  const body = popular.length ? `
-<nav class="muted small"><a href="/">Accueil</a> › Tags</nav>
-<h1>Tous les tags</h1>
-<div class="tags">
-  ${popular.map(t => `<a class="tag" href="/tag/${t.slug}">${escapeHtml(t.name)} (${t.cnt})</a>`).join('')}
-</div>
-` : `
-<nav class="muted small"><a href="/">Accueil</a> › Tags</nav>
-<h1>Tags</h1>
-<p class="muted">Aucun tag pour le moment.</p>
-`;
+app.post('/admin/companies/:id/agency', requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  const company = stmtCompanyById.get(id);
+  if (!company) return res.redirect(`/admin/companies?error=${encodeURIComponent('Entreprise introuvable')}`);
+  const agency = req.body?.agency === '1' ? 1 : 0;
+  stmtSetCompanyAgency.run(agency, id);
+  facetCountsCache.clear();
+  console.log(`Admin : entreprise #${id} (${company.name}) marquée ${agency ? 'agence d’intérim' : 'employeur'}`);
+  res.redirect(`/admin/companies?done=${encodeURIComponent(`${company.name} : ${agency ? 'agence d’intérim' : 'employeur'}`)}`);
+});
 
-  res.send(layout({ title: 'Tags', body, breadcrumbs }));
+app.post('/admin/companies/merge', requireAdmin, (req, res) => {
+  const from = Number(req.body?.from), into = Number(req.body?.into);
+  try {
+    mergeCompanies(from, into);
+    facetCountsCache.clear();
+    console.log(`Admin : entreprise #${from} fusionnée dans #${into}`);
+    res.redirect(`/admin/companies?done=${encodeURIComponent(`Entreprise #${from} fusionnée dans #${into}`)}`);
+  } catch (e) {
+    res.redirect(`/admin/companies?error=${encodeURIComponent(e.message)}`);
+  }
 });
 
-// PAGE OFFRE (avec JSON-LD corrigé)
-app.get('/job/:slug', (req, res) => {
-  const job = stmtBySlug.get(req.params.slug);
-  if (!job) return res.status(404).send('Introuvable');
+// File de réécriture IA : avancement par import, tâches en attente ou abandonnées
+const AI_TASK_STATUS_LABELS = { pending: 'En attente', running: 'En cours', failed: 'Abandonnée' };
 
-  const token = crypto.createHmac('sha256', CLICK_SECRET).update(String(job.id)).digest('hex').slice(0, 16);
-  const tags = (job.tags_csv || '').split(',').map(s => s.trim()).filter(Boolean);
-  const tagsHtml = tags.length ? `<div class="tags">
-    ${tags.map(name => `<a class="tag" href="/tag/${tagSlug(name)}">${escapeHtml(name)}</a>`).join('')}
-  </div>` : '';
+function aiTaskLabel(task) {
+  if (task.status === 'failed') return `Réécriture IA abandonnée après ${task.attempts} tentative(s)`;
+  if (task.status === 'running') return `Réécriture IA en cours (tentative ${task.attempts})`;
+  return `Réécriture IA en file${task.attempts ? ` (${task.attempts} tentative(s), prochaine le ${fmtDateTime(task.next_attempt_at)})` : ''}`;
+}
+
+app.get('/admin/queue', requireAdmin, (req, res) => {
+  const status = Object.hasOwn(AI_TASK_STATUS_LABELS, req.query.status) ? req.query.status : '';
+  const counts = aiQueueStatus();
+  const runs = stmtAiQueueRuns.all(20);
+  const tasks = stmtAiQueueTasks.all({ status, limit: 200 });
+  const notice = req.query.done ? `<p class="status-success">${escapeHtml(String(req.query.done))}</p>` : '';
+  const link = (value, label) => value === status ? `<strong>${label}</strong>` : `<a href="/admin/queue${value ? `?status=${value}` : ''}">${label}</a>`;
+
+  const runRows = runs.map(r => {
+    const done = r.ai_queued - r.remaining;
+    return `<tr>
+  <td><a href="/admin/runs/${r.id}">#${r.id}</a></td>
+  <td>${escapeHtml(r.source || '—')}</td>
+  <td>${fmtDateTime(r.started_at)}</td>
+  <td><span class="bar" style="width:${Math.round(120 * Math.max(0, done) / r.ai_queued)}px"></span> ${Math.max(0, done)} / ${r.ai_queued}</td>
+  <td>${r.ai_applied}</td>
+  <td>${r.remaining - r.failed}</td>
+  <td class="${r.failed ? 'status-error' : ''}">${r.failed}</td>
+</tr>`;
+  }).join('');
+
+  const taskRows = tasks.map(t => `<tr>
+  <td><a href="/admin/jobs/${t.job_id}">#${t.job_id}</a></td>
+  <td>${escapeHtml(t.title)}<div class="muted">${escapeHtml(t.source || '—')}${t.run_id ? ` · <a href="/admin/runs/${t.run_id}">import #${t.run_id}</a>` : ''}</div></td>
+  <td class="${t.status === 'failed' ? 'status-error' : ''}">${AI_TASK_STATUS_LABELS[t.status] || escapeHtml(t.status)}</td>
+  <td>${t.attempts}</td>
+  <td>${t.status === 'pending' && t.next_attempt_at ? fmtDateTime(t.next_attempt_at) : '—'}</td>
+  <td class="small">${escapeHtml(t.last_error || '')}</td>
+  <td>${t.status === 'failed' ? `<form method="POST" action="/admin/queue/retry" class="inline-form">
+    <input type="hidden" name="job_id" value="${t.job_id}"/><button type="submit" class="link-button">Relancer</button>
+  </form>` : ''}</td>
+</tr>`).join('');
+
+  res.send(adminLayout({
+    title: 'File IA',
+    breadcrumbs: [{ name: 'File IA' }],
+    body: `
+<h1>File de réécriture IA</h1>
+${notice}
+<p class="muted">Les offres importées sont publiées avec une description de secours, puis réécrites par l’IA
+  (${AI_QUEUE_CONCURRENCY} en parallèle, ${AI_QUEUE_MAX_ATTEMPTS} tentatives au plus, délai de ${AI_QUEUE_RETRY_SECONDS} s doublé à chaque échec).
+  Une offre abandonnée garde sa description de secours.</p>
+<section class="card">
+  <p>${HAS_OPENAI ? '' : '<span class="status-error">OPENAI_API_KEY non configurée : la file est à l’arrêt.</span><br/>'}
+    ${counts.pending.toLocaleString('fr-FR')} en attente · ${counts.running.toLocaleString('fr-FR')} en cours ·
+    <span class="${counts.failed ? 'status-error' : ''}">${counts.failed.toLocaleString('fr-FR')} abandonnées</span>
+    ${counts.pausedUntil ? ` · limite de débit de l’API : reprise à ${fmtDateTime(Math.ceil(Date.parse(counts.pausedUntil) / 1000))}` : ''}</p>
+  ${counts.failed ? `<div class="actions">
+    <form method="POST" action="/admin/queue/retry" class="inline-form"><button type="submit" class="btn">Relancer les abandonnées</button></form>
+    <form method="POST" action="/admin/queue/discard" class="inline-form" onsubmit="return confirm('Retirer les offres abandonnées de la file ? Elles garderont leur description de secours.')">
+      <button type="submit" class="btn">Retirer les abandonnées</button>
+    </form>
+  </div>` : ''}
+</section>
+<section class="card">
+  <h2>Avancement par import</h2>
+  ${runRows ? `<table class="admin-table">
+    <tr><th>#</th><th>Source</th><th>Début</th><th>Traitées</th><th>Réécrites</th><th>En file</th><th>Abandonnées</th></tr>
+    ${runRows}
+  </table>` : '<p class="muted">Aucun import n’a utilisé la file.</p>'}
+</section>
+<section class="card">
+  <h2>Tâches</h2>
+  <p class="small">${link('', 'Toutes')} · ${Object.entries(AI_TASK_STATUS_LABELS).map(([v, l]) => link(v, l)).join(' · ')}</p>
+  ${taskRows ? `<table class="admin-table">
+    <tr><th>#</th><th>Offre</th><th>Statut</th><th>Tentatives</th><th>Prochain essai</th><th>Dernière erreur</th><th></th></tr>
+    ${taskRows}
+  </table>` : '<p class="muted">File vide.</p>'}
+</section>
+`
+  }));
+});
 
-  const meta = parseMeta(job.description_html || '', job.title || '');
-  const datePostedISO = new Date(job.published_at * 1000).toISOString();
-  const validThrough = new Date(Date.now() + 30 * 24 * 3600 * 1000).toISOString();
+app.post('/admin/queue/retry', requireAdmin, (req, res) => {
+  const jobId = Number(req.body?.job_id) || null;
+  const changes = stmtRetryFailedAi.run({ job_id: jobId }).changes;
+  kickAiQueue();
+  console.log(`Admin : ${changes} réécriture(s) IA relancée(s)`);
+  if (jobId) return res.redirect(`/admin/jobs/${jobId}?done=${encodeURIComponent('Réécriture IA remise en file')}`);
+  res.redirect(`/admin/queue?done=${encodeURIComponent(`${changes} offre(s) remise(s) en file`)}`);
+});
 
-  const jobLocations = inferJobLocations(job.description_html || '', job.title || '', SITE_URL);
+app.post('/admin/queue/discard', requireAdmin, (req, res) => {
+  const changes = stmtDiscardFailedAi.run().changes;
+  console.log(`Admin : ${changes} réécriture(s) IA abandonnée(s) retirée(s) de la file`);
+  res.redirect(`/admin/queue?done=${encodeURIComponent(`${changes} offre(s) retirée(s) de la file`)}`);
+});
 
-  const identifier = {
-    "@type": "PropertyValue",
-    "name": SITE_NAME,
-    "value": String(job.guid || job.id)
-  };
-  const directApply = false; // redirection vers la source
+// Déclenchement manuel du flux (admin)
+async function runFetch(_req, res) {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  res.type('text/plain');
+  res.write('Traitement du flux…\n\n');
+  if (FEED_RUNNING) {
+    processFeed().catch(console.error);
+    return res.end('Un import est déjà en cours : celui-ci est mis en file et démarrera à sa fin.\n');
+  }
+  try {
+    const results = await processFeed();
+    for (const r of results) {
+      res.write(r.error
+        ? `[${r.feed}] Erreur : ${r.error}\n`
+        : `[${r.feed}] ${r.processed} éléments, ${r.matched} retenus, ${r.inserted} insérés (${r.clustered} doublons, ${r.aiQueued} en file IA), ${r.skipped} ignorés\n`);
+      res.write(`  Détail : ${canonical(`/admin/runs/${r.runId}`)}\n`);
+    }
+    res.end('Terminé !\n');
+  } catch (e) {
+    res.end(`Erreur : ${e.message}\n`);
+  }
+}
+app.get('/fetch', requireAdmin, runFetch);
+app.post('/admin/fetch', requireAdmin, runFetch);
 
-  const jobPostingJson = {
-    "@context": "https://schema.org",
-    "@type": "JobPosting",
-    "title": job.title,
-    "description": job.description_html,
-    "datePosted": datePostedISO,
-    "validThrough": validThrough,
-    "employmentType": meta.employmentType,
-    "hiringOrganization": {
-      "@type": "Organization",
-      "name": job.company || "Inconnu"
-    },
-    "jobLocation": jobLocations,                     // REQUIS
-    ...(meta.isRemote ? { "jobLocationType": "TELECOMMUTE" } : {}),
-    "identifier": identifier,                        // recommandé
-    "directApply": directApply,                      // recommandé
-    ...(meta.experienceRequirements ? { "experienceRequirements": meta.experienceRequirements } : {}),
-    "experienceInPlaceOfEducation": Boolean(meta.experienceInPlaceOfEducation),
-    ...(meta.salary ? {
-      "baseSalary": {
-        "@type": "MonetaryAmount",
-        "currency": meta.salary.currency,
-        "value": {
-          "@type": "QuantitativeValue",
-          ...(meta.salary.min ? { "minValue": meta.salary.min } : {}),
-          ...(meta.salary.max ? { "maxValue": meta.salary.max } : {}),
-          ...(meta.salary.unit ? { "unitText": meta.salary.unit } : {})
-        }
-      }
-    } : {})
-  };
+// ========================================
+// ESPACE EMPLOYEUR (connexion par lien magique)
+// ========================================
+function currentEmployer(req) {
+  const session = getSession(req, 'employer');
+  return session ? stmtEmployerById.get(session.subject_id) || null : null;
+}
 
-  const breadcrumbs = [
-    { name: 'Accueil', url: '/' },
-    { name: job.title, url: `/job/${job.slug}` }
-  ];
+function requireEmployer(req, res, next) {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  const employer = currentEmployer(req);
+  if (!employer) {
+    if (req.method === 'GET') return res.redirect('/employer/login');
+    return res.status(401).send('Connexion requise');
+  }
+  req.employer = employer;
+  next();
+}
 
-  const metaExtra = `
-<script type="application/ld+json">${JSON.stringify(jobPostingJson)}</script>
-<meta name="robots" content="index, follow"/>
-`;
+function employerLayout({ title, body, employer = null }) {
+  return layout({
+    title,
+    body: `
+<nav class="muted small"><a href="/">Accueil</a> › <a href="/employer">Espace employeur</a>${employer ? ` · ${escapeHtml(employer.email)}
+  · <form method="POST" action="/employer/logout" class="inline-form"><button type="submit" class="link-button">Déconnexion</button></form>` : ''}</nav>
+${body}`,
+    metaExtra: `<meta name="robots" content="noindex, nofollow"/>`
+  });
+}
 
-  const body = `
-<nav class="muted small"><a href="/">Accueil</a> › ${escapeHtml(job.title)}</nav>
-<article class="card">
-  <h1>${escapeHtml(job.title)}</h1>
-  ${job.company ? `<div class="muted">${escapeHtml(job.company)}</div>` : ''}
-  <div class="muted small">${new Date(job.published_at * 1000).toLocaleDateString('fr-FR')}</div>
-  ${tagsHtml}
-  <div class="content">${job.description_html || ''}</div>
-  <form method="POST" action="/go" style="margin-top:24px">
-    <input type="hidden" name="id" value="${job.id}"/>
-    <input type="hidden" name="t" value="${token}"/>
-    <button class="btn btn-primary" type="submit">Postuler / Voir la source</button>
+function employerJobOr404(req, res) {
+  const job = stmtById.get(Number(req.params.id));
+  if (!job || job.employer_id !== req.employer.id) {
+    res.status(404).send('Introuvable');
+    return null;
+  }
+  return job;
+}
+
+app.get('/employer/login', (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  if (currentEmployer(req)) return res.redirect('/employer');
+  const sent = req.query.sent === '1';
+  const expired = req.query.expired === '1';
+  res.send(employerLayout({
+    title: 'Espace employeur',
+    body: `
+<article class="card" style="max-width:520px">
+  <h1>Espace employeur</h1>
+  ${sent ? '<p class="status-success">Si l’adresse est valide, un lien de connexion vient de vous être envoyé. Il expire dans ' + MAGIC_LINK_MINUTES + ' minutes.</p>' : ''}
+  ${expired ? '<p class="status-error">Ce lien de connexion est invalide ou expiré. Demandez-en un nouveau.</p>' : ''}
+  <p>Recevez un lien de connexion par e-mail, sans mot de passe. Vous pourrez suivre vos offres, les modifier, les clôturer ou les prolonger.</p>
+  <form method="POST" action="/employer/login">
+    <label for="email">E-mail professionnel</label>
+    <input type="text" id="email" name="email" inputmode="email" required autocomplete="email"/>
+    <label for="company">Entreprise (optionnel)</label>
+    <input type="text" id="company" name="company"/>
+    <button type="submit" class="btn btn-primary">Recevoir un lien de connexion</button>
   </form>
 </article>
-`;
-
-  res.send(layout({ title: job.title, body, metaExtra, breadcrumbs }));
+`
+  }));
 });
 
-// /go - redirection sécurisée
-app.post('/go', (req, res) => {
-  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
-  const id = Number(req.body?.id || 0);
-  const t = String(req.body?.t || '');
-  if (!id || !t) return res.status(400).send('Requête invalide');
-  const expect = crypto.createHmac('sha256', CLICK_SECRET).update(String(id)).digest('hex').slice(0, 16);
-  if (t !== expect) return res.status(403).send('Interdit');
-  const job = stmtById.get(id);
-  if (!job || !job.url) return res.status(404).send('Introuvable');
-  return res.redirect(302, job.url);
-});
-app.get('/go', (_req, res) => {
+app.post('/employer/login', async (req, res) => {
   res.setHeader('X-Robots-Tag', 'noindex, nofollow');
-  return res.status(405).send('Méthode non autorisée');
-});
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  const company = String(req.body?.company || '').trim().slice(0, 200);
+  if (!isValidEmail(email)) return res.status(400).send('Adresse e-mail invalide');
+
+  const rate = hitRateLimit(`employer-login:${req.ip}`, 5, 3600);
+  const rateEmail = hitRateLimit(`employer-login:${email}`, 3, 3600);
+  if (!rate.allowed || !rateEmail.allowed) {
+    res.setHeader('Retry-After', String(Math.max(rate.retryAfter, rateEmail.retryAfter)));
+    return res.status(429).send('Trop de demandes. Réessayez plus tard.');
+  }
+  if (findBlocked({ email })) {
+    console.log(`Anti-spam : connexion employeur refusée pour ${email}`);
+    return res.redirect('/employer/login?sent=1'); // réponse identique, rien à signaler
+  }
 
-// robots.txt
-app.get('/robots.txt', (_req, res) => {
-  res.type('text/plain').send(`User-agent: *
-Disallow: /go
-Disallow: /post-job
-Disallow: /fetch
-Sitemap: ${SITE_URL}/sitemap.xml
-`);
+  stmtInsertEmployer.run(email, company || null);
+  const employer = stmtEmployerByEmail.get(email);
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Math.floor(Date.now() / 1000);
+  stmtPurgeLoginTokens.run(now);
+  stmtInsertLoginToken.run(hashToken(token), employer.id, now + MAGIC_LINK_MINUTES * 60);
+
+  await sendMail({
+    to: email,
+    subject: `Votre lien de connexion ${SITE_NAME}`,
+    text: [
+      'Bonjour,',
+      '',
+      `Cliquez sur ce lien pour accéder à votre espace employeur (valable ${MAGIC_LINK_MINUTES} minutes, usage unique) :`,
+      canonical(`/employer/auth?token=${token}`),
+      '',
+      'Si vous n’êtes pas à l’origine de cette demande, ignorez ce message.',
+      '',
+      `— ${SITE_NAME}`
+    ].join('\n')
+  });
+  res.redirect('/employer/login?sent=1');
 });
 
-// sitemap.xml
-app.get('/sitemap.xml', (req, res) => {
-  const recent = stmtRecent.all(10000);
-  const urls = recent.map(r => `
-  <url>
-    <loc>${canonical(`/job/${r.slug}`)}</loc>
-    <lastmod>${new Date(r.published_at * 1000).toISOString()}</lastmod>
-    <changefreq>weekly</changefreq>
-    <priority>0.8</priority>
-  </url>`).join('');
-  res.set('Content-Type', 'application/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <url>
-    <loc>${SITE_URL}/</loc>
-    <changefreq>hourly</changefreq>
-    <priority>1.0</priority>
-  </url>
-  <url>
-    <loc>${SITE_URL}/tags</loc>
-    <changefreq>daily</changefreq>
-    <priority>0.7</priority>
-  </url>
-  ${urls}
-</urlset>`);
+app.get('/employer/auth', (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  const row = stmtUseLoginToken.get(hashToken(String(req.query.token || '')), Math.floor(Date.now() / 1000));
+  const employer = row ? stmtEmployerById.get(row.employer_id) : null;
+  if (!employer) return res.redirect('/employer/login?expired=1');
+
+  stmtEmployerLoggedIn.run(employer.id);
+  const claimed = stmtClaimJobs.run(employer.id, employer.email).changes;
+  if (claimed) console.log(`Employeur #${employer.id} : ${claimed} offre(s) rattachée(s)`);
+  createSession(res, 'employer', employer.id, EMPLOYER_SESSION_DAYS * 24, { sameSite: 'lax' });
+  res.redirect('/employer');
 });
 
-// RSS
-app.get('/feed.xml', (req, res) => {
-  const recent = stmtRecent.all(100);
-  const items = recent.map(r => `
-  <item>
-    <title><![CDATA[${r.title}]]></title>
-    <link>${canonical(`/job/${r.slug}`)}</link>
-    <guid>${canonical(`/job/${r.slug}`)}</guid>
-    <pubDate>${new Date(r.published_at * 1000).toUTCString()}</pubDate>
-  </item>`).join('');
-  res.set('Content-Type', 'application/rss+xml').send(`<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
-  <channel>
-    <title>${escapeHtml(SITE_NAME)}</title>
-    <link>${SITE_URL}</link>
-    <description>Dernières offres ${escapeHtml(TARGET_PROFESSION.toLowerCase())}</description>
-    <language>${TARGET_LANG}</language>
-    <atom:link href="${canonical('/feed.xml')}" rel="self" type="application/rss+xml"/>
-    ${items}
-  </channel>
-</rss>`);
+app.post('/employer/logout', (req, res) => {
+  destroySession(req, res, 'employer');
+  res.redirect('/');
 });
 
-// ========================================
-// PAGES LÉGALES
-// ========================================
-const LAST_UPDATED = new Date().toISOString().slice(0,10); // AAAA-MM-JJ
-
-app.get('/privacy', (req, res) => {
-  const breadcrumbs = [
-    { name: 'Accueil', url: '/' },
-    { name: 'Confidentialité', url: '/privacy' }
-  ];
-  res.send(layout({
-    title: 'Politique de confidentialité',
+app.get('/employer', requireEmployer, (req, res) => {
+  const jobs = stmtEmployerJobs.all(req.employer.id);
+  const now = Math.floor(Date.now() / 1000);
+  const notices = {
+    submitted: 'Offre reçue : elle sera publiée après vérification.',
+    saved: 'Modifications enregistrées.',
+    resubmitted: 'Modifications reçues : l’offre repasse en modération et sera de nouveau publiée après vérification.',
+    closed: 'Offre clôturée.',
+    renewed: `Offre prolongée de ${JOB_TTL_DAYS} jours.`,
+    profile: 'Profil entreprise reçu : il sera repris dans vos offres après vérification.',
+    'profile-unchanged': 'Profil entreprise inchangé.'
+  };
+  const notice = notices[req.query.done] ? `<p class="status-success">${notices[req.query.done]}</p>` : '';
+  // Le formulaire reprend le profil en attente de validation s'il y en a un
+  const profile = req.employer.pending_profile ? JSON.parse(req.employer.pending_profile) : req.employer;
+
+  const rows = jobs.map(j => {
+    const expiry = j.expires_at
+      ? `${new Date(j.expires_at * 1000).toLocaleDateString('fr-FR')}${j.expires_at < now ? ' (expirée)' : ''}`
+      : '—';
+    const open = j.status === 'published' || j.status === 'pending';
+    return `
+<tr>
+  <td>${j.status === 'published' ? `<a href="/job/${j.slug}">${escapeHtml(j.title)}</a>` : escapeHtml(j.title)}
+    <div class="muted">${escapeHtml(j.company || '')}</div></td>
+  <td class="status-${escapeHtml(j.status)}">${escapeHtml(STATUS_LABELS[j.status] || j.status)}</td>
+  <td>${expiry}</td>
+  <td class="actions">
+    ${open ? `<a href="/employer/jobs/${j.id}">Modifier</a>` : ''}
+    ${j.status === 'published' ? `<form method="POST" action="/employer/jobs/${j.id}/renew" class="inline-form"><button type="submit" class="link-button">Prolonger</button></form>` : ''}
+    ${open ? `<form method="POST" action="/employer/jobs/${j.id}/close" class="inline-form" onsubmit="return confirm('Clôturer cette offre ?')"><button type="submit" class="link-button">Clôturer</button></form>` : ''}
+  </td>
+</tr>`;
+  }).join('');
+
+  res.send(employerLayout({
+    title: 'Mes offres',
+    employer: req.employer,
     body: `
-<nav class="muted small"><a href="/">Accueil</a> › Confidentialité</nav>
-<article class="card content">
-  <h1>Politique de confidentialité</h1>
-  <p class="small muted">Dernière mise à jour : ${LAST_UPDATED}</p>
-  <p>Nous respectons votre vie privée. Ce site stocke le minimum de données nécessaires à son fonctionnement.</p>
-  <h2>Données traitées</h2>
-  <ul>
-    <li>Logs serveur (IP, user agent) pour sécurité et fiabilité</li>
-    <li>Contenu des offres que vous soumettez</li>
-    <li>Cookies essentiels pour mémoriser votre consentement</li>
-  </ul>
-  <h2>Finalités & Base légale</h2>
-  <p>Exploiter le site, prévenir l’abus, fournir les offres. Intérêt légitime et consentement le cas échéant.</p>
-  <h2>Conservation</h2>
-  <p>Logs pour une durée limitée, offres tant qu’elles sont pertinentes, cookies de consentement jusqu’à un an.</p>
-  <h2>Vos droits</h2>
-  <p>Demander l’accès ou la suppression de vos données présentes dans les offres soumises.</p>
-  <h2>Contact</h2>
-  <p>Pour toute demande, contactez-nous via les informations du site.</p>
-</article>
-`,
-    breadcrumbs
+<h1>Mes offres${req.employer.company_name ? ` · ${escapeHtml(req.employer.company_name)}` : ''}</h1>
+${notice}
+<p><a href="/post-job" class="btn btn-primary">Publier une nouvelle offre</a></p>
+<section class="card">
+  ${jobs.length ? `<table class="admin-table">
+    <tr><th>Offre</th><th>Statut</th><th>Expire le</th><th></th></tr>
+    ${rows}
+  </table>` : '<p class="muted">Aucune offre pour le moment.</p>'}
+</section>
+<section class="card">
+  <h2>Profil entreprise</h2>
+  <p class="muted small">Repris dans les données structurées de vos offres (résultats enrichis des moteurs de recherche) après vérification par notre équipe.</p>
+  ${req.employer.pending_profile ? `<p class="status-pending">Modifications soumises le ${fmtDateTime(req.employer.profile_submitted_at)}, en attente de vérification.</p>` : ''}
+  <form method="POST" action="/employer/profile">
+    <label for="company_name">Nom de l’entreprise</label>
+    <input type="text" id="company_name" name="company_name" value="${escapeHtml(profile.company_name || '')}"/>
+    <label for="website">Site officiel</label>
+    <input type="url" id="website" name="website" placeholder="https://" value="${escapeHtml(profile.website || '')}"/>
+    <label for="logo_url">URL du logo</label>
+    <input type="url" id="logo_url" name="logo_url" placeholder="https://" value="${escapeHtml(profile.logo_url || '')}"/>
+    <div class="help-text">Image PNG, JPG ou SVG accessible publiquement, en https.</div>
+    <button type="submit" class="btn">Enregistrer le profil</button>
+  </form>
+</section>
+`
   }));
 });
 
-app.get('/terms', (req, res) => {
-  const breadcrumbs = [
-    { name: 'Accueil', url: '/' },
-    { name: 'Conditions', url: '/terms' }
-  ];
-  res.send(layout({
-    title: 'Conditions d’utilisation',
-    body: `
-<nav class="muted small"><a href="/">Accueil</a> › Conditions</nav>
-<article class="card content">
-  <h1>Conditions d’utilisation</h1>
-  <p class="small muted">Dernière mise à jour : ${LAST_UPDATED}</p>
-  <h2>Acceptation</h2>
-  <p>En utilisant ${escapeHtml(SITE_NAME)}, vous acceptez ces Conditions. Si vous n’êtes pas d’accord, n’utilisez pas le site.</p>
-  <h2>Utilisation du service</h2>
-  <ul>
-    <li>Publiez uniquement des offres ${escapeHtml(TARGET_PROFESSION)} légitimes</li>
-    <li>Pas de contenu illégal ou discriminatoire</li>
-    <li>Pas d’usage abusif ou de perturbation du service</li>
-  </ul>
-  <h2>Contenu</h2>
-  <p>Vous êtes responsable des contenus soumis. Nous pouvons retirer les contenus non conformes.</p>
-  <h2>Avertissement</h2>
-  <p>Le site est fourni “tel quel”, sans garantie.</p>
-  <h2>Responsabilité</h2>
-  <p>Dans la limite autorisée par la loi, nous déclinons toute responsabilité pour dommages indirects.</p>
-  <h2>Modifications</h2>
-  <p>Nous pouvons mettre à jour ces Conditions en publiant une nouvelle version ici.</p>
-</article>
-`,
-    breadcrumbs
-  }));
+app.post('/employer/profile', requireEmployer, (req, res) => {
+  const { company_name = '', website = '', logo_url = '' } = req.body || {};
+  const urls = [String(website).trim(), String(logo_url).trim()];
+  if (urls.some(u => u && !/^https:\/\/[^\s/]+\.[^\s]+$/i.test(u))) {
+    return res.status(400).send('Le site et le logo doivent être des adresses https complètes');
+  }
+  if (findBlocked({ description: urls.join(' ') })) {
+    return res.status(422).send('Ce domaine n’est pas autorisé.');
+  }
+  const profile = {
+    company_name: String(company_name).trim().slice(0, 200) || null,
+    website: urls[0] || null,
+    logo_url: urls[1] || null
+  };
+  // Soumis à validation : ces champs partent tels quels dans le JSON-LD des offres
+  if (Object.keys(profile).every(k => profile[k] === req.employer[k])) {
+    stmtClearEmployerProfile.run(req.employer.id);
+    return res.redirect('/employer?done=profile-unchanged');
+  }
+  stmtSubmitEmployerProfile.run(JSON.stringify(profile), req.employer.id);
+  console.log(`Profil employeur #${req.employer.id} soumis à validation`);
+  res.redirect('/employer?done=profile');
 });
 
-app.get('/cookies', (req, res) => {
-  const breadcrumbs = [
-    { name: 'Accueil', url: '/' },
-    { name: 'Cookies', url: '/cookies' }
-  ];
-  res.send(layout({
-    title: 'Politique Cookies',
+app.get('/employer/jobs/:id', requireEmployer, (req, res) => {
+  const job = employerJobOr404(req, res);
+  if (!job) return;
+  res.send(employerLayout({
+    title: `Modifier : ${job.title}`,
+    employer: req.employer,
     body: `
-<nav class="muted small"><a href="/">Accueil</a> › Cookies</nav>
-<article class="card content">
-  <h1>Politique Cookies</h1>
-  <p class="small muted">Dernière mise à jour : ${LAST_UPDATED}</p>
-  <h2>Qu’est-ce qu’un cookie ?</h2>
-  <p>Un petit fichier texte stocké sur votre appareil pour aider les sites à fonctionner.</p>
-  <h2>Cookies utilisés</h2>
-  <ul>
-    <li><strong>cookie_consent</strong> — mémorise votre choix (expire sous 12 mois).</li>
-  </ul>
-  <h2>Gestion</h2>
-  <p>Supprimez les cookies dans les réglages du navigateur. Pour changer votre consentement ici, effacez les cookies ou utilisez le bouton ci-dessous.</p>
-  <button class="btn" onclick="document.cookie='cookie_consent=; Max-Age=0; Path=/; SameSite=Lax'; alert('Consentement effacé. Rechargez la page pour voir le bandeau.');">Effacer le consentement</button>
+<article class="card">
+  <h1>Modifier l’offre</h1>
+  <form method="POST" action="/employer/jobs/${job.id}">
+    <label for="title">Intitulé du poste *</label>
+    <input type="text" id="title" name="title" required value="${escapeHtml(job.title || '')}"/>
+    <label for="company">Entreprise *</label>
+    <input type="text" id="company" name="company" required value="${escapeHtml(job.company || '')}"/>
+    <label for="url">URL de candidature *</label>
+    <input type="url" id="url" name="url" required value="${escapeHtml(job.url || '')}"/>
+    <label for="description">Description</label>
+    <textarea id="description" name="description" style="min-height:320px">${escapeHtml(job.description_html || '')}</textarea>
+    <label for="tags">Tags</label>
+    <input type="text" id="tags" name="tags" value="${escapeHtml(job.tags_csv || '')}"/>
+    <div class="help-text">Séparés par des virgules</div>
+    ${job.status === 'published' ? '<p class="muted small">Modifier l’intitulé, l’entreprise, l’URL ou la description d’une offre publiée la repasse en modération.</p>' : ''}
+    <button type="submit" class="btn btn-primary">Enregistrer</button>
+  </form>
 </article>
-`,
-    breadcrumbs
+`
   }));
 });
 
-// Déclenchement manuel du flux
-app.get('/fetch', async (_req, res) => {
-  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
-  res.write('Traitement du flux…\n\n');
-  try {
-    await processFeed();
-    res.end('Terminé ! Voir la console pour le détail.\n');
-  } catch (e) {
-    res.end(`Erreur : ${e.message}\n`);
+app.post('/employer/jobs/:id', requireEmployer, (req, res) => {
+  const job = employerJobOr404(req, res);
+  if (!job) return;
+  if (!['published', 'pending'].includes(job.status)) {
+    return res.status(409).send('Seule une offre publiée ou en attente de validation peut être modifiée');
+  }
+  const { title = '', company = '', url = '', description = '', tags = '' } = req.body || {};
+  if (!String(title).trim() || !String(company).trim() || !/^https?:\/\//i.test(String(url))) {
+    return res.status(400).send('Champs obligatoires manquants ou invalides');
+  }
+  if (findBlocked({ url, description })) {
+    return res.status(422).send('Cette offre contient un lien ou un domaine non autorisé.');
+  }
+  const html = sanitizeHtml(stripDocumentTags(description));
+  const tagList = uniqNormTags(String(tags).split(','));
+  const fields = { title: String(title).trim(), company: String(company).trim(), url: String(url).trim() };
+  // Même contrôle qu'à la soumission : une offre modifiée ne doit pas contourner la modération
+  const changed = fields.title !== job.title || fields.company !== job.company || fields.url !== job.url ||
+    html !== sanitizeHtml(stripDocumentTags(job.description_html || ''));
+  if (changed && findNearDuplicate(fields.title, fields.company, { excludeId: job.id })) {
+    return res.status(409).send('Une offre très similaire (même intitulé, même entreprise) existe déjà.');
+  }
+  const resubmitted = changed && job.status === 'published';
+  stmtEmployerUpdateJob.run({
+    id: job.id,
+    employer_id: req.employer.id,
+    ...fields,
+    description_html: html,
+    description_short: truncateWords(convert(html, { wordwrap: 120 }), 45),
+    tags_csv: tagList.join(', '),
+    status: resubmitted ? 'pending' : job.status
+  });
+  replaceTagsForJob(job.id, tagList);
+  const updated = stmtById.get(job.id);
+  refreshJobFacets(updated);
+  fingerprintJob(job.id, storedJobFingerprint(updated));
+  // Texte non modéré : pas d'indice d'agence, comme à la soumission
+  if (fields.company !== job.company) stmtSetJobCompany.run(resolveCompany(fields.company) ?? 0, job.id);
+  if (resubmitted) {
+    stmtSetCache.run('total_jobs', getCachedCount(0));
+    invalidateSitemaps();
   }
+  console.log(`Employeur #${req.employer.id} : offre #${job.id} modifiée${resubmitted ? ', repassée en modération' : ''}`);
+  res.redirect(`/employer?done=${resubmitted ? 'resubmitted' : 'saved'}`);
+});
+
+app.post('/employer/jobs/:id/close', requireEmployer, (req, res) => {
+  const job = employerJobOr404(req, res);
+  if (!job) return;
+  stmtSetJobStatus.run('closed', job.id);
+  stmtSetCache.run('total_jobs', getCachedCount(0));
+  invalidateSitemaps();
+  console.log(`Employeur #${req.employer.id} : offre #${job.id} clôturée`);
+  res.redirect('/employer?done=closed');
+});
+
+app.post('/employer/jobs/:id/renew', requireEmployer, (req, res) => {
+  const job = employerJobOr404(req, res);
+  if (!job) return;
+  if (job.status !== 'published') return res.status(409).send('Seule une offre publiée peut être prolongée');
+  stmtRenewJob.run(JOB_TTL_DAYS * 24 * 3600, job.id, req.employer.id);
+  res.redirect('/employer?done=renewed');
 });
 
 // ========================================
 // DÉMARRAGE
 // ========================================
-if (FEED_URL) {
-  processFeed().catch(console.error);
+// Offres antérieures aux colonnes de facettes : calcul par lots, sans bloquer le serveur
+function backfillJobFacets(done = 0) {
+  const rows = stmtJobsWithoutFacets.all(FACETS_VERSION, 500);
+  if (!rows.length) {
+    if (done) console.log(`Facettes calculées pour ${done.toLocaleString('fr-FR')} offres existantes`);
+    return;
+  }
+  db.transaction(() => rows.forEach(refreshJobFacets))();
+  setImmediate(() => backfillJobFacets(done + rows.length));
+}
+backfillJobFacets();
+
+// Offres antérieures au regroupement des doublons : empreintes calculées par lots, dans
+// l'ordre d'import pour que la plus ancienne reste canonique
+export function backfillJobClusters(done = 0, clustered = 0) {
+  const rows = stmtJobsWithoutFingerprint.all(500);
+  if (!rows.length) {
+    if (done) console.log(`Doublons : empreintes calculées pour ${done.toLocaleString('fr-FR')} offres existantes, ${clustered.toLocaleString('fr-FR')} regroupées`);
+    return;
+  }
+  db.transaction(() => {
+    for (const job of rows) {
+      const fingerprint = storedJobFingerprint(job);
+      if (job.status === 'published' && job.feed_id) {
+        if (clusterJob(job.id, fingerprint, job.title, job.feed_id)) clustered++;
+        continue;
+      }
+      fingerprintJob(job.id, fingerprint);
+    }
+  })();
+  setImmediate(() => backfillJobClusters(done + rows.length, clustered));
+}
+backfillJobClusters();
+
+// Offres antérieures à la table companies : rattachement par lots
+function backfillJobCompanies(done = 0) {
+  const rows = stmtJobsWithoutCompany.all(500);
+  if (!rows.length) {
+    if (done) console.log(`Entreprises : ${done.toLocaleString('fr-FR')} offres existantes rattachées`);
+    return;
+  }
+  db.transaction(() => {
+    for (const job of rows) {
+      const moderated = job.status !== 'pending' && job.status !== 'rejected';
+      stmtSetJobCompany.run(resolveCompany(job.company, moderated ? job.description_html : '') ?? 0, job.id);
+    }
+  })();
+  setImmediate(() => backfillJobCompanies(done + rows.length));
 }
-if (FEED_URL && CRON_SCHEDULE) {
-  cron.schedule(CRON_SCHEDULE, () => {
-    console.log(`\nCRON : démarrage du traitement planifié du flux…`);
+backfillJobCompanies();
+kickAiQueue(); // reprend la file IA laissée par l'arrêt précédent
+expireDueJobs();
+
+// Lancé directement (node app.js) : tâches planifiées, import initial et serveur HTTP.
+// Importé par les tests : seules la base et les fonctions sont initialisées.
+const IS_MAIN = !!process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href;
+if (IS_MAIN) {
+  cron.schedule('0 * * * *', expireDueJobs);
+  if (cron.validate(RETENTION_CRON)) {
+    cron.schedule(RETENTION_CRON, () => {
+      if (!FEED_RUNNING) applyRetention(); // sinon appliquée à la fin de l'import en cours
+    });
+  } else {
+    console.error(`RETENTION_CRON invalide : ${RETENTION_CRON}`);
+  }
+  if (cron.validate(ALERTS_DAILY_CRON)) {
+    cron.schedule(ALERTS_DAILY_CRON, () => {
+      sendAlertDigests('daily').catch(e => console.error('Erreur d’envoi des alertes :', e.message));
+    });
+  } else {
+    console.error(`ALERTS_DAILY_CRON invalide : ${ALERTS_DAILY_CRON}`);
+  }
+  const startupFeeds = stmtEnabledFeeds.all();
+  if (startupFeeds.length) {
     processFeed().catch(console.error);
+  }
+
+  // Une tâche cron par expression distincte, pour que des sources partageant
+  // le même horaire soient traitées dans le même passage.
+  const feedsBySchedule = new Map();
+  for (const feed of startupFeeds) {
+    const schedule = feed.cron || CRON_SCHEDULE;
+    if (!schedule) continue;
+    if (!cron.validate(schedule)) {
+      console.error(`[${feed.label}] Expression cron invalide : ${schedule}`);
+      continue;
+    }
+    if (!feedsBySchedule.has(schedule)) feedsBySchedule.set(schedule, []);
+    feedsBySchedule.get(schedule).push(feed.id);
+  }
+  for (const [schedule, feedIds] of feedsBySchedule) {
+    cron.schedule(schedule, () => {
+      console.log(`\nCRON (${schedule}) : démarrage du traitement planifié du flux…`);
+      processFeed({ feedIds }).catch(console.error);
+    });
+  }
+
+  app.listen(PORT, () => {
+    console.log('\n' + '='.repeat(60));
+    console.log(`${SITE_NAME}`);
+    console.log('='.repeat(60));
+    console.log(`Serveur :     ${SITE_URL}`);
+    console.log(`Profession :  ${TARGET_PROFESSION}`);
+    console.log(`Mots-clés :   ${PROFESSION_KEYWORDS.join(', ')} (seuil ${RELEVANCE_THRESHOLD})`);
+    console.log(`IA activée :  ${HAS_OPENAI ? 'Oui' : 'Non'}`);
+    console.log(`Limite IA :   ${AI_PROCESS_LIMIT === 0 ? 'Illimitée' : `${AI_PROCESS_LIMIT} offres/flux`}`);
+    console.log(`File IA :     ${stmtAiQueueCounts.get().pending.toLocaleString('fr-FR')} offres en attente, ${AI_QUEUE_CONCURRENCY} en parallèle`);
+    console.log(`Flux :        ${startupFeeds.length ? startupFeeds.map(f => f.label).join(', ') : 'Non configuré'}`);
+    console.log(`Cron :        ${CRON_SCHEDULE}`);
+    console.log(`Favicon :     ${FAVICON_URL || 'Aucun'}`);
+    console.log(`Offres tot. : ${getCachedCount().toLocaleString('fr-FR')}`);
+    console.log('='.repeat(60) + '\n');
   });
 }
 
-app.listen(PORT, () => {
-  console.log('\n' + '='.repeat(60));
-  console.log(`${SITE_NAME}`);
-  console.log('='.repeat(60));
-  console.log(`Serveur :     ${SITE_URL}`);
-  console.log(`Profession :  ${TARGET_PROFESSION}`);
-  console.log(`Mots-clés :   ${PROFESSION_KEYWORDS.join(', ')}`);
-  console.log(`IA activée :  ${HAS_OPENAI ? 'Oui' : 'Non'}`);
-  console.log(`Limite IA :   ${AI_PROCESS_LIMIT === 0 ? 'Illimitée' : `${AI_PROCESS_LIMIT} offres/flux`}`);
-  console.log(`Flux :        ${FEED_URL || 'Non configuré'}`);
-  console.log(`Cron :        ${CRON_SCHEDULE}`);
-  console.log(`Favicon :     ${FAVICON_URL || 'Aucun'}`);
-  console.log(`Offres tot. : ${getCachedCount().toLocaleString('fr-FR')}`);
-  console.log('='.repeat(60) + '\n');
-});
-
@@ -0,0 +1,107 @@
+// Génère data/communes.json (gazetteer hors ligne des communes françaises).
+//
+// Sources (paquets npm, à extraire au préalable) :
+//   - @etalab/decoupage-administratif : toutes les communes du Code officiel géographique (INSEE)
+//     avec leurs codes postaux (base officielle La Poste), départements, régions (Licence Ouverte 2.0)
+//   - cities.json : coordonnées GeoNames des localités de plus de 1 000 habitants (CC BY 4.0)
+//
+// Toutes les communes sont écrites, y compris celles que GeoNames ne connaît pas. Leurs coordonnées
+// sont alors celles d'une commune déléguée, sinon le barycentre des communes géolocalisées de même
+// code postal (même bureau distributeur), sinon de la même intercommunalité (EPCI) : une
+// approximation de quelques kilomètres, suffisante pour la recherche par rayon. À défaut, lat/lon
+// valent null : la commune reste reconnue par son nom et son code postal, hors recherche par rayon.
+//
+// Usage : node data/build-communes.mjs <decoupage-administratif/data> <cities.json/cities.json>
+import fs from 'node:fs';
+import path from 'node:path';
+
+const [decoupageDir, citiesFile] = process.argv.slice(2);
+if (!decoupageDir || !citiesFile) {
+  console.error('Usage : node data/build-communes.mjs <decoupage-administratif/data> <cities.json>');
+  process.exit(1);
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+const fold = (s) => String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const all = readJson(path.join(decoupageDir, 'communes.json'));
+const communes = all.filter(c => c.type === 'commune-actuelle');
+// Anciennes communes fusionnées (« Oullins » dans « Oullins-Pierre-Bénite ») : encore citées dans les offres
+const delegated = all.filter(c => c.type === 'commune-deleguee' || c.type === 'commune-associee');
+const regions = Object.fromEntries(readJson(path.join(decoupageDir, 'regions.json')).map(r => [r.code, r.nom]));
+
+// Coordonnées GeoNames indexées par nom + département (admin2) ; les DROM ont leur propre code pays
+const OVERSEAS_DEPARTMENTS = { GP: '971', MQ: '972', GF: '973', RE: '974', YT: '976' };
+const coords = new Map();
+for (const c of readJson(citiesFile)) {
+  const department = c.country === 'FR' ? c.admin2 : OVERSEAS_DEPARTMENTS[c.country];
+  if (!department) continue;
+  const key = `${fold(c.name)}|${department}`;
+  if (!coords.has(key)) coords.set(key, [Number(c.lat), Number(c.lng)]);
+}
+const coordsOf = (c) => coords.get(`${fold(c.nom)}|${c.departement}`);
+
+const withPostcodes = communes.filter(c => c.codesPostaux?.length);
+const exact = new Map();
+for (const c of withPostcodes) {
+  const point = coordsOf(c) || delegated.filter(d => d.chefLieu === c.code).map(coordsOf).find(Boolean);
+  if (point) exact.set(c.code, point);
+}
+
+// Barycentre des communes géolocalisées partageant un code postal
+const byPostcode = new Map();
+for (const c of withPostcodes) {
+  for (const pc of c.codesPostaux) {
+    if (!byPostcode.has(pc)) byPostcode.set(pc, []);
+    byPostcode.get(pc).push(c.code);
+  }
+}
+const epciOf = new Map();
+for (const epci of readJson(path.join(decoupageDir, 'epci.json'))) {
+  const members = epci.membres.map(m => m.code);
+  for (const code of members) epciOf.set(code, members);
+}
+const round = (n) => Math.round(n * 1e5) / 1e5;
+const barycentre = (codes) => {
+  const near = [...new Set(codes)].map(code => exact.get(code)).filter(Boolean);
+  return near.length ? [0, 1].map(i => round(near.reduce((sum, p) => sum + p[i], 0) / near.length)) : null;
+};
+const points = new Map(exact);
+let byPostcodeCount = 0;
+for (const c of withPostcodes) {
+  if (points.has(c.code)) continue;
+  const fromPostcode = barycentre(c.codesPostaux.flatMap(pc => byPostcode.get(pc)));
+  if (fromPostcode) byPostcodeCount++;
+  const point = fromPostcode || barycentre(epciOf.get(c.code) || []);
+  if (point) points.set(c.code, point);
+}
+
+const rows = [];
+for (const c of withPostcodes) {
+  const point = points.get(c.code) || [null, null];
+  rows.push([c.nom, c.code, c.departement, c.region, c.codesPostaux, point[0], point[1], c.population || 0]);
+}
+rows.sort((a, b) => b[7] - a[7]);
+
+// Placées après les communes actuelles : en cas d'homonymie, la commune actuelle l'emporte
+const parents = new Map(rows.map(r => [r[1], r]));
+const aliases = [];
+for (const d of delegated) {
+  const parent = parents.get(d.chefLieu);
+  if (!parent || parent[0] === d.nom) continue;
+  const point = coordsOf(d) || points.get(d.chefLieu) || [null, null];
+  aliases.push([d.nom, parent[1], parent[2], parent[3], parent[4], point[0], point[1], parent[7]]);
+}
+aliases.sort((a, b) => b[7] - a[7]);
+rows.push(...aliases);
+
+const out = {
+  sources: ['@etalab/decoupage-administratif (Licence Ouverte 2.0)', 'GeoNames via cities.json (CC BY 4.0)'],
+  fields: ['name', 'insee', 'department', 'region', 'postcodes', 'lat', 'lon', 'population'],
+  regions,
+  communes: rows
+};
+fs.writeFileSync(new URL('./communes.json', import.meta.url), JSON.stringify(out));
+console.log(`${rows.length - aliases.length} communes (sur ${communes.length}) et ${aliases.length} anciennes communes écrites`);
+console.log(`Coordonnées : ${exact.size} GeoNames, ${byPostcodeCount} par code postal, ` +
+  `${points.size - exact.size - byPostcodeCount} par intercommunalité, ${withPostcodes.length - points.size} sans`);
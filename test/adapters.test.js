@@ -0,0 +1,62 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const DESCRIPTION = 'Chauffeur routier SPL pour tournées régionales, permis CE et FIMO exigés.';
+const FEEDS = {
+  '/atom.xml': ['application/atom+xml', `<?xml version="1.0"?><feed xmlns="http://www.w3.org/2005/Atom">
+<entry><id>AT1</id><title>Chauffeur routier SPL</title><author><name>Transports Atom</name></author>
+<link href="https://example.com/atom/1"/><published>2026-10-01T08:00:00Z</published>
+<content type="html">&lt;p&gt;${DESCRIPTION}&lt;/p&gt;</content></entry></feed>`],
+  '/jobs.json': ['application/json', JSON.stringify({
+    results: [{ id: 'JS1', title: 'Chauffeur routier SPL', company: { name: 'Transports Json' },
+      url: 'https://example.com/json/1', description: DESCRIPTION, location: { city: 'Lyon' } }]
+  })],
+  '/jobs.jsonl': ['application/x-ndjson', [
+    JSON.stringify({ id: 'JL1', title: 'Chauffeur routier SPL', employer: 'Transports Lignes', link: 'https://example.com/jsonl/1', description: DESCRIPTION }),
+    '{ ligne tronquée',
+    JSON.stringify({ id: 'JL2', title: 'Conducteur poids lourd CE', employer: 'Transports Lignes', link: 'https://example.com/jsonl/2', description: DESCRIPTION })
+  ].join('\n')]
+};
+
+const server = http.createServer((req, res) => {
+  const [type, body] = FEEDS[req.url] || ['text/plain', ''];
+  res.setHeader('Content-Type', type);
+  res.end(body);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+process.env.FEEDS = JSON.stringify([
+  { url: `${base}/atom.xml`, label: 'Atom', format: 'atom' },
+  { url: `${base}/jobs.json`, label: 'Json', format: 'json' },
+  { url: `${base}/jobs.jsonl`, label: 'Lignes', format: 'jsonl' }
+]);
+const { processFeed, db } = await import('../app.js');
+after(() => server.close());
+
+const jobByRef = (ref) => db.prepare(`SELECT * FROM jobs WHERE guid LIKE ?`).get(`%${ref}`);
+
+test('les adaptateurs Atom, JSON et JSON Lines alimentent les mêmes champs', async () => {
+  await processFeed();
+
+  const atom = jobByRef('AT1');
+  assert.ok(atom, 'entrée Atom importée');
+  assert.equal(atom.title, 'Chauffeur routier SPL');
+  assert.equal(atom.company, 'Transports Atom');
+  assert.equal(atom.url, 'https://example.com/atom/1');
+  assert.equal(atom.published_at, Date.parse('2026-10-01T08:00:00Z') / 1000);
+
+  const json = jobByRef('JS1');
+  assert.ok(json, 'offre JSON importée');
+  assert.equal(json.company, 'Transports Json');
+  assert.equal(json.url, 'https://example.com/json/1');
+  assert.equal(json.city, 'Lyon');
+
+  assert.equal(jobByRef('JL1')?.company, 'Transports Lignes');
+  assert.equal(jobByRef('JL2')?.url, 'https://example.com/jsonl/2');
+});
+
+test('une ligne JSON illisible est ignorée sans interrompre l’import', () => {
+  assert.equal(db.prepare(`SELECT COUNT(*) c FROM jobs WHERE guid LIKE '%JL_'`).get().c, 2);
+});
@@ -0,0 +1,87 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+// Une offre nouvelle à chaque import ; l'API OpenAI est simulée par `replies` (une réponse par appel)
+let imports = 0;
+const replies = [];
+const calls = [];
+const server = http.createServer((req, res) => {
+  if (req.url === '/feed.xml') {
+    imports++;
+    res.setHeader('Content-Type', 'application/xml');
+    return res.end(`<?xml version="1.0"?><source><job><title>Chauffeur routier SPL</title><company>Transports ${imports}</company>
+<referencenumber>Q${imports}</referencenumber><city>Lyon</city><description>Poste de chauffeur routier longue distance</description></job></source>`);
+  }
+  calls.push(req.url);
+  const [status, body, headers = {}] = replies.shift() || [500, { error: { message: 'Réponse non prévue' } }];
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+process.env.FEEDS = JSON.stringify([{ url: `${base}/feed.xml`, label: 'IA' }]);
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.OPENAI_BASE_URL = `${base}/v1`;
+process.env.AI_QUEUE_RETRY_SECONDS = '3600'; // les nouveaux essais ordinaires n'arrivent pas pendant les tests
+const { processFeed, db } = await import('../app.js');
+after(() => server.close());
+
+const apiError = (status, code, message) => [status, { error: { message, type: code, code } }];
+const completion = (content) => [200, {
+  id: 'cmpl-test', object: 'chat.completion', created: 0, model: 'gpt-4o-mini',
+  choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }]
+}];
+const REWRITE = '===DESCRIPTION=== Chauffeur routier SPL en CDI ===HTML=== <section><h2>À propos du poste</h2><p>Réécrite</p></section> ===TAGS=== ["chauffeur routier"]';
+
+async function importJob() {
+  await processFeed();
+  return db.prepare(`SELECT * FROM jobs WHERE guid=?`).get(`Q${imports}`);
+}
+const task = (job) => db.prepare(`SELECT * FROM ai_queue WHERE job_id=?`).get(job.id);
+async function waitFor(check, ms = 5000) {
+  for (let waited = 0; waited < ms && !check(); waited += 50) await sleep(50);
+  return check();
+}
+
+test('une limite de débit (429) ne compte pas la tentative et la file reprend après Retry-After', async () => {
+  replies.push([...apiError(429, 'rate_limit_exceeded', 'Rate limit reached'), { 'retry-after': '1' }], completion(REWRITE));
+  const job = await importJob();
+  assert.ok(await waitFor(() => task(job)?.last_error), 'échec enregistré');
+  assert.equal(task(job).status, 'pending');
+  assert.equal(task(job).attempts, 0);
+
+  assert.ok(await waitFor(() => !task(job)), 'réécriture appliquée après la pause');
+  assert.match(db.prepare(`SELECT description_html FROM jobs WHERE id=?`).get(job.id).description_html, /Réécrite/);
+  assert.equal(calls.length, 2);
+});
+
+test('une erreur passagère compte la tentative et reporte l’offre ; une requête refusée l’abandonne', async () => {
+  replies.push(apiError(500, 'server_error', 'Erreur serveur'));
+  const retried = await importJob();
+  assert.ok(await waitFor(() => task(retried)?.status === 'pending' && task(retried).attempts === 1));
+  assert.ok(task(retried).next_attempt_at >= Math.floor(Date.now() / 1000) + 3500);
+
+  replies.push(apiError(400, 'invalid_request_error', 'Requête invalide'));
+  const refused = await importJob();
+  assert.ok(await waitFor(() => task(refused)?.status === 'failed'));
+  assert.equal(task(refused).attempts, 1);
+});
+
+test('un quota épuisé compte la tentative et suspend toute la file', async () => {
+  replies.push(apiError(429, 'insufficient_quota', 'You exceeded your current quota'));
+  const job = await importJob();
+  assert.ok(await waitFor(() => task(job)?.last_error));
+  assert.equal(task(job).status, 'pending');
+  assert.equal(task(job).attempts, 1);
+  assert.ok(task(job).next_attempt_at >= Math.floor(Date.now() / 1000) + 3500);
+
+  // File suspendue : l'offre suivante attend sans appel à l'API
+  const before = calls.length;
+  const next = await importJob();
+  await sleep(300);
+  assert.equal(calls.length, before);
+  assert.equal(task(next).attempts, 0);
+});
@@ -0,0 +1,80 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { db, sendAlertDigests, setMailTransport } from '../app.js';
+
+let sent = [];
+let mailDelay = 0;
+setMailTransport(async (msg) => {
+  if (mailDelay) await sleep(mailDelay);
+  sent.push(msg);
+});
+
+let seq = 0;
+function insertJob(title, status) {
+  seq++;
+  return Number(db.prepare(`
+INSERT INTO jobs (guid, source, title, company, description_short, url, published_at, slug, status)
+VALUES (?, 'test', ?, 'Transports Alerte', ?, 'https://example.org', strftime('%s','now'), ?, ?)
+`).run(`alert-${seq}`, title, title, `alerte-${seq}`, status).lastInsertRowid);
+}
+const addAlert = (email, frequency) => db.prepare(`
+INSERT INTO alerts (email, query, frequency, status, last_listed_at)
+VALUES (?, '', ?, 'active', CAST(strftime('%s','now') AS INTEGER) - 5)
+`).run(email, frequency);
+
+beforeEach(() => {
+  db.exec(`DELETE FROM alerts; DELETE FROM jobs;`);
+  sent = [];
+  mailDelay = 0;
+});
+
+test('une offre sortie de modération après un envoi part au suivant', async () => {
+  addAlert('instant@example.org', 'instant');
+  const pendingId = insertJob('Chauffeur SPL en attente', 'pending');
+  insertJob('Chauffeur PL publié', 'published');
+  await sleep(1100); // le curseur exclut la seconde en cours
+
+  await sendAlertDigests('instant');
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].text, /Chauffeur PL publié/);
+  assert.doesNotMatch(sent[0].text, /en attente/);
+
+  // Approbation : l'offre garde son id ancien mais est mise en ligne maintenant
+  db.prepare(`UPDATE jobs SET status='published' WHERE id=?`).run(pendingId);
+  await sleep(1100);
+  await sendAlertDigests('instant');
+  assert.equal(sent.length, 2);
+  assert.match(sent[1].text, /Chauffeur SPL en attente/);
+  assert.doesNotMatch(sent[1].text, /Chauffeur PL publié/);
+
+  await sendAlertDigests('instant');
+  assert.equal(sent.length, 2, 'rien de nouveau : pas de second envoi');
+});
+
+test('une offre republiée n’est pas renvoyée', async () => {
+  addAlert('instant@example.org', 'instant');
+  const id = insertJob('Chauffeur frigo', 'published');
+  await sleep(1100);
+  await sendAlertDigests('instant');
+  db.prepare(`UPDATE jobs SET status='expired' WHERE id=?`).run(id);
+  db.prepare(`UPDATE jobs SET status='published' WHERE id=?`).run(id);
+  await sleep(1100);
+  await sendAlertDigests('instant');
+  assert.equal(sent.length, 1);
+});
+
+test('un envoi quotidien n’est pas bloqué par un envoi instantané en cours', async () => {
+  addAlert('instant@example.org', 'instant');
+  addAlert('daily@example.org', 'daily');
+  insertJob('Conducteur routier', 'published');
+  await sleep(1100);
+
+  mailDelay = 300;
+  const instant = sendAlertDigests('instant');
+  assert.equal(await sendAlertDigests('instant'), null, 'même fréquence : ignoré');
+  assert.deepEqual(await sendAlertDigests('daily'), { sent: 1, failed: 0 });
+  assert.deepEqual(await instant, { sent: 1, failed: 0 });
+  assert.deepEqual(sent.map(m => m.to).sort(), ['daily@example.org', 'instant@example.org']);
+});
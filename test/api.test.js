@@ -0,0 +1,70 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import crypto from 'node:crypto';
+
+const { app, db } = await import('../app.js');
+const server = app.listen(0, '127.0.0.1');
+await once(server, 'listening');
+after(() => server.close());
+const base = `http://127.0.0.1:${server.address().port}`;
+
+const addKey = (key, rateLimit) => db.prepare(`INSERT INTO api_keys (key_hash, key_prefix, label, rate_limit) VALUES (?, ?, ?, ?)`)
+  .run(crypto.createHash('sha256').update(key).digest('hex'), key.slice(0, 8), key, rateLimit).lastInsertRowid;
+addKey('cle-api-lecture', 100);
+addKey('cle-api-limitee', 2);
+const revoked = addKey('cle-api-revoquee', 100);
+db.prepare(`UPDATE api_keys SET revoked_at = 1 WHERE id = ?`).run(revoked);
+
+db.prepare(`
+  INSERT INTO jobs (guid, source, title, company, description_html, description_short, slug, published_at, status)
+  VALUES ('api-1', 'test', 'Chauffeur SPL', 'Transports Api', '<p>Tournées régionales.</p>', 'Tournées régionales.', 'chauffeur-spl-api', ?, 'published')
+`).run(Math.floor(Date.now() / 1000) - 3600);
+
+// cache: 'no-cache' : sinon fetch ajoute Cache-Control: no-cache aux requêtes conditionnelles
+const get = (path, headers = {}) => fetch(`${base}${path}`, { headers, cache: 'no-cache' });
+
+test('une clé valide est exigée, en Bearer ou en X-API-Key', async () => {
+  assert.equal((await get('/api/v1/jobs')).status, 401);
+  assert.equal((await get('/api/v1/jobs', { Authorization: 'Bearer inconnue' })).status, 401);
+  assert.equal((await get('/api/v1/jobs', { 'X-API-Key': 'cle-api-revoquee' })).status, 401);
+
+  const res = await get('/api/v1/jobs', { Authorization: 'Bearer cle-api-lecture' });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.deepEqual(body.data.map(j => j.slug), ['chauffeur-spl-api']);
+  assert.equal((await get('/api/v1/jobs', { 'X-API-Key': 'cle-api-lecture' })).status, 200);
+});
+
+test('au-delà de sa limite horaire, une clé reçoit 429 et Retry-After', async () => {
+  const headers = { 'X-API-Key': 'cle-api-limitee' };
+  const first = await get('/api/v1/jobs', headers);
+  assert.equal(first.headers.get('x-ratelimit-limit'), '2');
+  assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+  assert.equal((await get('/api/v1/jobs', headers)).status, 200);
+
+  const limited = await get('/api/v1/jobs', headers);
+  assert.equal(limited.status, 429);
+  assert.equal((await limited.json()).error.code, 'rate_limited');
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  // Les autres clés ne sont pas concernées
+  assert.equal((await get('/api/v1/jobs', { 'X-API-Key': 'cle-api-lecture' })).status, 200);
+});
+
+test('ETag et Last-Modified permettent une réponse 304', async () => {
+  const headers = { 'X-API-Key': 'cle-api-lecture' };
+  const res = await get('/api/v1/jobs/chauffeur-spl-api', headers);
+  assert.equal(res.status, 200);
+  const etag = res.headers.get('etag');
+  const lastModified = res.headers.get('last-modified');
+  assert.ok(etag && lastModified);
+
+  assert.equal((await get('/api/v1/jobs/chauffeur-spl-api', { ...headers, 'If-None-Match': etag })).status, 304);
+  assert.equal((await get('/api/v1/jobs/chauffeur-spl-api', { ...headers, 'If-Modified-Since': lastModified })).status, 304);
+
+  db.prepare(`UPDATE jobs SET title = 'Chauffeur SPL frigo' WHERE slug = 'chauffeur-spl-api'`).run();
+  const changed = await get('/api/v1/jobs/chauffeur-spl-api', { ...headers, 'If-None-Match': etag });
+  assert.equal(changed.status, 200);
+  assert.equal((await changed.json()).data.title, 'Chauffeur SPL frigo');
+});
@@ -0,0 +1,15 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { processFeed, safeNextPath } from '../app.js';
+
+test('app.js s’importe sans démarrer le serveur ni les tâches planifiées', () => {
+  assert.equal(typeof processFeed, 'function');
+});
+
+test('la redirection après connexion reste sur le site', () => {
+  assert.equal(safeNextPath('/admin/jobs?page=2', '/admin'), '/admin/jobs?page=2');
+  for (const next of ['//evil.example', '/\\evil.example', '/\t/evil.example', 'https://evil.example', '/', '']) {
+    assert.equal(safeNextPath(next, '/admin'), '/admin', next);
+  }
+});
@@ -0,0 +1,59 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const DESCRIPTION = 'Nous recherchons un chauffeur routier SPL pour des tournées régionales au départ de Lyon, ' +
+  'avec retour au domicile chaque soir, permis CE et FIMO à jour, camion récent et équipé.';
+const item = (ref, company = 'Transports Durand') => `<job><title>Chauffeur routier SPL</title><company>${company}</company>
+<referencenumber>${ref}</referencenumber><city>Lyon</city><description>${DESCRIPTION}</description></job>`;
+const FEEDS = {
+  '/a.xml': item('A1') + item('A2'), // même poste publié deux fois par la même source
+  '/b.xml': item('B1')
+};
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Content-Type', 'application/xml');
+  res.end(`<?xml version="1.0"?><source>${FEEDS[req.url] || ''}</source>`);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+process.env.FEEDS = JSON.stringify([{ url: `${base}/a.xml`, label: 'A' }, { url: `${base}/b.xml`, label: 'B' }]);
+const { processFeed, backfillJobClusters, mergeClusters, setClusterCanonical, db } = await import('../app.js');
+after(() => server.close());
+
+const jobByRef = (ref) => db.prepare(`SELECT * FROM jobs WHERE guid LIKE ?`).get(`%${ref}`);
+
+test('une offre reprise par une autre source rejoint le groupe de la première ; pas au sein d’un même flux', async () => {
+  await processFeed();
+  const a1 = jobByRef('A1'), a2 = jobByRef('A2'), b1 = jobByRef('B1');
+  assert.ok(a1 && a2 && b1, 'offres importées');
+  assert.equal(a1.status, 'published');
+  assert.equal(a2.status, 'published');
+  assert.equal(a2.cluster_id, null);
+  assert.equal(b1.status, 'duplicate');
+  assert.equal(b1.cluster_id, a1.id);
+  assert.equal(db.prepare(`SELECT cluster_id FROM jobs WHERE id=?`).get(a1.id).cluster_id, a1.id);
+});
+
+test('une offre saisie sur le site n’est jamais rangée comme doublon d’une offre de flux', () => {
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO jobs (guid, source, title, company, city, description_html, slug, status)
+    VALUES ('manuel-1', 'manuel', 'Chauffeur routier SPL', 'Transports Durand', 'Lyon', ?, 'chauffeur-manuel-1', 'published')
+  `).run(`<p>${DESCRIPTION}</p>`);
+  backfillJobClusters();
+  const manual = db.prepare(`SELECT * FROM jobs WHERE id=?`).get(lastInsertRowid);
+  assert.ok(manual.dedupe_key, 'empreintes calculées');
+  assert.equal(manual.status, 'published');
+  assert.equal(manual.cluster_id, null);
+});
+
+test('un regroupement manuel garde l’offre saisie sur le site comme canonique', () => {
+  const manual = jobByRef('manuel-1'), a1 = jobByRef('A1');
+  assert.equal(mergeClusters(manual.id, a1.id), manual.id);
+  assert.equal(jobByRef('manuel-1').status, 'published');
+  assert.equal(jobByRef('A1').status, 'duplicate');
+  assert.equal(jobByRef('B1').cluster_id, manual.id);
+  assert.throws(() => setClusterCanonical(a1.id), /reste l’offre canonique/);
+  assert.equal(jobByRef('manuel-1').status, 'published');
+});
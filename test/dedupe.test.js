@@ -0,0 +1,16 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jaccard } from '../app.js';
+
+test('jaccard : similarité des ensembles de mots', () => {
+  assert.equal(jaccard(['chauffeur', 'spl'], ['chauffeur', 'spl']), 1);
+  assert.equal(jaccard(['chauffeur', 'spl'], ['chauffeur', 'pl']), 1 / 3);
+  assert.equal(jaccard(['a', 'a', 'b'], ['a', 'b']), 1);
+});
+
+test('jaccard : un ensemble vide ne ressemble à rien', () => {
+  assert.equal(jaccard([], []), 0);
+  assert.equal(jaccard([], ['transports']), 0);
+  assert.equal(jaccard(['transports'], []), 0);
+});
@@ -0,0 +1,70 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import sax from 'sax';
+
+const { app, db } = await import('../app.js');
+const server = app.listen(0, '127.0.0.1');
+await once(server, 'listening');
+after(() => server.close());
+const base = `http://127.0.0.1:${server.address().port}`;
+
+// Plus de deux lots d'export, avec des dates de publication identiques à cheval sur les lots
+const now = Math.floor(Date.now() / 1000);
+const insertJob = db.prepare(`
+  INSERT INTO jobs (guid, source, title, company, description_html, description_short, slug, published_at, expires_at, status)
+  VALUES (@slug, 'test', @title, 'Transports Export', '<p>Tournées régionales.</p>', 'Tournées régionales.', @slug, @published_at, @expires_at, @status)
+`);
+const published = [];
+db.transaction(() => {
+  for (let i = 1; i <= 450; i++) {
+    const { lastInsertRowid } = insertJob.run({
+      slug: `export-${i}`, title: `Chauffeur SPL ${i}`, published_at: now - Math.floor(i / 7) * 60, expires_at: null, status: 'published'
+    });
+    published.push(Number(lastInsertRowid));
+  }
+  insertJob.run({ slug: 'export-piege', title: 'Chauffeur ]]> <b>PL</b> \u0001', published_at: now, expires_at: null, status: 'published' });
+  insertJob.run({ slug: 'export-expiree', title: 'Chauffeur expiré', published_at: now, expires_at: now - 60, status: 'published' });
+  insertJob.run({ slug: 'export-attente', title: 'Chauffeur en attente', published_at: now, expires_at: null, status: 'pending' });
+})();
+
+function parseExport(xml) {
+  const parser = sax.parser(true);
+  const jobs = [];
+  let job = null;
+  let field = null;
+  parser.onopentag = (node) => {
+    if (node.name === 'job') job = {};
+    else if (job) field = node.name;
+  };
+  const onText = (text) => { if (job && field) job[field] = (job[field] || '') + text; };
+  parser.ontext = onText;
+  parser.oncdata = onText;
+  parser.onclosetag = (name) => {
+    if (name === 'job') {
+      jobs.push(job);
+      job = null;
+    }
+    field = null;
+  };
+  parser.write(xml).close(); // lève une erreur si le document est mal formé
+  return jobs;
+}
+
+test('/jobs.xml exporte chaque offre publiée et active une seule fois, dans un XML bien formé', async () => {
+  const res = await fetch(`${base}/jobs.xml`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^application\/xml/);
+  const jobs = parseExport(await res.text());
+
+  const refs = jobs.map(j => Number(j.referencenumber));
+  assert.equal(new Set(refs).size, refs.length, 'aucune offre en double');
+  assert.equal(jobs.length, 451);
+  for (const id of published) assert.ok(refs.includes(id), `offre #${id} exportée`);
+
+  const titles = jobs.map(j => j.title);
+  assert.ok(titles.includes('Chauffeur ]]> <b>PL</b> '));
+  assert.ok(!titles.includes('Chauffeur expiré'));
+  assert.ok(!titles.includes('Chauffeur en attente'));
+});
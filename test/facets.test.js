@@ -0,0 +1,37 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Content-Type', 'application/xml');
+  res.end(`<?xml version="1.0"?><source><job><title>Chauffeur routier SPL</title><company>Transports Facettes</company>
+<referencenumber>F1</referencenumber><city>Lyon</city>
+<description>Chauffeur routier SPL en CDI, salaire 2 400 € brut par mois, permis CE et FIMO exigés.</description></job></source>`);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+process.env.FEEDS = JSON.stringify([{ url: `http://127.0.0.1:${server.address().port}/feed.xml`, label: 'Facettes' }]);
+const { processFeed, refreshJobFacets, detectQualifications, db } = await import('../app.js');
+after(() => server.close());
+
+const FACET_COLUMNS = 'employment_type, salary_min, salary_unit, salary_year_min, qualifications, rome_code';
+
+test('un recalcul après réécriture reprend la description d’origine du flux', async () => {
+  await processFeed();
+  const job = db.prepare(`SELECT * FROM jobs WHERE guid LIKE '%F1'`).get();
+  assert.ok(job, 'offre importée');
+  const imported = db.prepare(`SELECT ${FACET_COLUMNS} FROM jobs WHERE id=?`).get(job.id);
+  assert.equal(imported.employment_type, 'FULL_TIME');
+  assert.equal(imported.salary_min, 2400);
+
+  // Réécriture (IA) plus courte : les facettes ne doivent pas en dépendre
+  db.prepare(`UPDATE jobs SET description_html='<p>Poste de conducteur.</p>' WHERE id=?`).run(job.id);
+  refreshJobFacets(db.prepare(`SELECT * FROM jobs WHERE id=?`).get(job.id));
+  assert.deepEqual(db.prepare(`SELECT ${FACET_COLUMNS} FROM jobs WHERE id=?`).get(job.id), imported);
+});
+
+test('« super poids lourd » relève du permis CE, avec ou sans trait d’union', () => {
+  assert.deepEqual(detectQualifications('Chauffeur super poids lourd'), ['permis-ce']);
+  assert.deepEqual(detectQualifications('Chauffeur super-poids-lourd'), ['permis-ce']);
+  assert.deepEqual(detectQualifications('Chauffeur poids lourd'), ['permis-c']);
+});
@@ -0,0 +1,33 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+// Flux XML lent : laisse le temps de déclencher un second import pendant le premier
+let hits = 0;
+const server = http.createServer((req, res) => {
+  hits++;
+  setTimeout(() => {
+    res.setHeader('Content-Type', 'application/xml');
+    res.end(`<?xml version="1.0"?><source><job><title>Chauffeur routier SPL</title><company>Transports Test ${hits}</company>
+<referencenumber>T${hits}</referencenumber><city>Lyon</city><description>Poste de chauffeur routier longue distance</description></job></source>`);
+  }, 200);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+process.env.FEEDS = JSON.stringify([{ url: `http://127.0.0.1:${server.address().port}/feed.xml`, label: 'Test' }]);
+const { processFeed, db } = await import('../app.js');
+after(() => server.close());
+
+test('un import demandé pendant un autre est mis en file puis exécuté', async () => {
+  const first = processFeed();
+  assert.deepEqual(await processFeed(), []);
+  assert.equal((await first).length, 1);
+
+  const imported = () => db.prepare(`SELECT COUNT(*) c FROM jobs WHERE guid LIKE '%T_'`).get().c;
+  for (let i = 0; i < 50 && imported() < 2; i++) {
+    await sleep(100);
+  }
+  assert.equal(hits, 2);
+  assert.equal(imported(), 2);
+});
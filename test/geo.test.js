@@ -0,0 +1,16 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { detectCommune } = await import('../app.js');
+
+test('une commune homonyme d’un mot courant est retenue quand un lieu est annoncé', () => {
+  assert.equal(detectCommune('Chauffeur SPL basé à Gap, CDI')?.commune.name, 'Gap');
+  assert.equal(detectCommune('Livraisons secteur Orange et alentours')?.commune.name, 'Orange');
+  assert.equal(detectCommune('Conducteur PL, dépôt de Sens')?.commune.name, 'Sens');
+});
+
+test('sans préposition de lieu, les mots courants ne désignent pas une commune', () => {
+  assert.equal(detectCommune('Forfait Orange offert, Gap de salaire comblé'), null);
+  assert.equal(detectCommune('Chauffeur SPL à Lyon')?.commune.name, 'Lyon');
+});
@@ -0,0 +1,67 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+const item = (ref) => `<job><title>Chauffeur routier SPL ${ref}</title><company>Transports ${ref}</company>
+<referencenumber>${ref}</referencenumber><city>Lyon</city><description>Chauffeur routier SPL, permis CE et FIMO.</description></job>`;
+
+// Un seul serveur : le flux d'offres et le point d'entrée IndexNow (429 à la première soumission)
+let submissions = 0;
+const server = http.createServer((req, res) => {
+  if (req.url === '/feed.xml') {
+    res.setHeader('Content-Type', 'application/xml');
+    return res.end(`<?xml version="1.0"?><source>${item('N1')}${item('N2')}${item('N3')}</source>`);
+  }
+  submissions++;
+  res.statusCode = submissions === 1 ? 429 : 200;
+  res.end();
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+process.env.FEEDS = JSON.stringify([{ url: `${base}/feed.xml`, label: 'IndexNow' }]);
+process.env.INDEXNOW_KEY = 'cle-de-test-indexnow';
+process.env.INDEXNOW_ENDPOINT = `${base}/indexnow`;
+process.env.INDEXNOW_BATCH_SIZE = '2';
+const { processFeed, setIndexNowClient, db } = await import('../app.js');
+after(() => server.close());
+
+const bodies = [];
+setIndexNowClient((url, init) => {
+  bodies.push(JSON.parse(init.body));
+  return fetch(url, init);
+});
+
+const urlStates = () => db.prepare(`SELECT * FROM indexnow_urls ORDER BY changed_at, url`).all();
+async function waitFor(condition) {
+  for (let i = 0; i < 50 && !condition(); i++) await sleep(100);
+  assert.ok(condition(), 'soumission IndexNow terminée');
+}
+
+test('un lot refusé reste en file avec son état, les autres URL attendent leur tour', async () => {
+  await processFeed();
+  await waitFor(() => urlStates().some(u => u.attempts > 0));
+  assert.equal(bodies.length, 1);
+  assert.equal(bodies[0].key, 'cle-de-test-indexnow');
+  assert.equal(bodies[0].urlList.length, 2);
+
+  const states = urlStates();
+  assert.equal(states.length, 3);
+  const failed = states.filter(u => bodies[0].urlList.includes(u.url));
+  assert.ok(failed.every(u => u.attempts === 1 && u.last_status === 429 && u.last_error === 'HTTP 429' && u.submitted_at === null));
+  const waiting = states.find(u => !bodies[0].urlList.includes(u.url));
+  assert.equal(waiting.attempts, 0);
+  assert.equal(waiting.last_status, null);
+});
+
+test('le passage suivant soumet à nouveau les URL en échec, par lots', async () => {
+  await processFeed();
+  await waitFor(() => urlStates().every(u => u.submitted_at !== null));
+  assert.deepEqual(bodies.map(b => b.urlList.length), [2, 2, 1]);
+  assert.deepEqual(bodies[1].urlList, bodies[0].urlList);
+  for (const u of urlStates()) {
+    assert.equal(u.last_status, 200);
+    assert.equal(u.last_error, null);
+  }
+});
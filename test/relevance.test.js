@@ -0,0 +1,36 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { parseKeywords, compileRelevanceRules, scoreRelevance } = await import('../app.js');
+
+test('les expressions sont mises en minuscules, les /regex/ gardent leur casse et leurs virgules', () => {
+  assert.deepEqual(
+    parseKeywords('Chauffeur Routier, /\\bC\\S*E\\b/, -/\\d{1,3} T\\b/, -Cariste ,,'),
+    ['chauffeur routier', '/\\bC\\S*E\\b/', '-/\\d{1,3} T\\b/', '-cariste']
+  );
+});
+
+test('une /regex/ s’applique sans tenir compte de la casse du texte', () => {
+  const { rules, errors } = compileRelevanceRules(parseKeywords('/\\bspl\\b/, /\\S+-routier/'));
+  assert.deepEqual(errors, []);
+  const { score, matches } = scoreRelevance({ title: 'Chauffeur SPL', description: 'Poste de CHAUFFEUR-ROUTIER' }, rules);
+  assert.equal(score, 4);
+  assert.deepEqual(matches.map(m => [m.keyword, m.field]), [['/\\bspl\\b/', 'title'], ['/\\S+-routier/', 'description']]);
+});
+
+test('chaque règle compte une fois, au poids du champ le plus fort ; les négatives retirent des points', () => {
+  const { rules } = compileRelevanceRules(parseKeywords('chauffeur routier, -magasinier'));
+  const { score, matches } = scoreRelevance({
+    title: 'Chauffeur routier',
+    description: 'Chauffeur routier ou magasinier, chauffeur routier confirmé'
+  }, rules);
+  assert.equal(score, 3 - 1);
+  assert.deepEqual(matches.map(m => m.points), [3, -1]);
+});
+
+test('les accents sont ignorés et une règle invalide est signalée sans bloquer les autres', () => {
+  const { rules, errors } = compileRelevanceRules(parseKeywords('/(/, conducteur poids lourd'));
+  assert.equal(errors.length, 1);
+  assert.equal(scoreRelevance({ title: 'Conducteur poids-lourd' }, rules).score, 3);
+});
@@ -0,0 +1,53 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const DAY = 24 * 3600 * 1000;
+const item = (ref, daysAgo) => `<job><title>Chauffeur routier SPL ${ref}</title><company>Transports ${ref}</company>
+<referencenumber>${ref}</referencenumber><pubdate>${new Date(Date.now() - daysAgo * DAY).toUTCString()}</pubdate>
+<description>Chauffeur routier longue distance, poste ${ref}</description></job>`;
+const server = http.createServer((req, res) => {
+  res.setHeader('Content-Type', 'application/xml');
+  res.end(`<?xml version="1.0"?><source>${item('R1', 1)}${item('R2', 2)}${item('R3', 3)}</source>`);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+process.env.FEEDS = JSON.stringify([{ url: `http://127.0.0.1:${server.address().port}/feed.xml`, label: 'Quota', maxJobs: 2 }]);
+const { processFeed, endedJobStatus, db } = await import('../app.js');
+after(() => server.close());
+
+const live = () => db.prepare(`SELECT guid FROM jobs ORDER BY guid`).all().map(r => r.guid);
+
+test('une offre archivée faute de place revient quand le quota le permet', async () => {
+  await processFeed();
+  assert.deepEqual(live(), ['R1', 'R2']);
+  assert.equal(db.prepare(`SELECT reason FROM jobs_archive WHERE guid='R3'`).get().reason, 'quota');
+
+  // Source pleine : pas de réimport (sinon archivée de nouveau à chaque passage)
+  const [full] = await processFeed();
+  assert.equal(full.inserted, 0);
+  assert.equal(db.prepare(`SELECT COUNT(*) c FROM jobs_archive WHERE guid='R3'`).get().c, 1);
+
+  db.prepare(`UPDATE feeds SET max_jobs=3`).run();
+  const [roomy] = await processFeed();
+  assert.equal(roomy.inserted, 1);
+  assert.deepEqual(live(), ['R1', 'R2', 'R3']);
+});
+
+test('une offre retirée pour une autre raison n’est pas réimportée', async () => {
+  db.prepare(`UPDATE jobs_archive SET reason='ended' WHERE guid='R3'`).run();
+  db.prepare(`DELETE FROM jobs WHERE guid='R3'`).run();
+  db.prepare(`UPDATE feeds SET max_jobs=10`).run();
+  const [run] = await processFeed();
+  assert.equal(run.inserted, 0);
+});
+
+test('« Poste pourvu » seulement pour une offre clôturée ou disparue de son flux', () => {
+  const past = Math.floor(Date.now() / 1000) - 60;
+  assert.equal(endedJobStatus({ status: 'closed' }).title, 'poste pourvu');
+  assert.equal(endedJobStatus({ status: 'expired', ended_reason: 'unseen' }).title, 'poste pourvu');
+  assert.equal(endedJobStatus({ status: 'expired', ended_reason: 'expired' }).title, 'offre expirée');
+  assert.equal(endedJobStatus({ status: 'published', expires_at: past }).title, 'offre expirée');
+  // Archivée publiée (âge, quota, MAX_JOBS)
+  assert.equal(endedJobStatus({ status: 'published', expires_at: past + 3600 }).title, 'offre retirée');
+});
@@ -0,0 +1,22 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+const { parseSalary } = await import('../app.js');
+// Corpus : { text, expected } ; expected null = aucun salaire à retenir
+const corpus = JSON.parse(fs.readFileSync(new URL('./fixtures/salaries.json', import.meta.url), 'utf8'));
+
+for (const { text, expected } of corpus) {
+  test(`parseSalary : ${text}`, () => {
+    const salary = parseSalary(text);
+    if (expected === null) return assert.equal(salary, null);
+    assert.ok(salary, 'salaire détecté');
+    const { min, max, unit, basis, currency } = salary;
+    assert.deepEqual({ min, max, unit, basis, currency }, expected);
+  });
+}
+
+test('un champ salaire dédié inspire plus de confiance que la description', () => {
+  assert.ok(parseSalary('2 400 €', { structured: true }).confidence > parseSalary('2 400 €').confidence);
+});
@@ -0,0 +1,53 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+
+const { app, db } = await import('../app.js');
+const server = app.listen(0, '127.0.0.1');
+await once(server, 'listening');
+after(() => server.close());
+const base = `http://127.0.0.1:${server.address().port}`;
+
+const insertJob = db.prepare(`
+  INSERT INTO jobs (guid, source, title, company, description_html, description_short, slug, published_at, status)
+  VALUES (@slug, 'test', @title, @company, @short, @short, @slug, @published_at, 'published')
+`);
+const now = Math.floor(Date.now() / 1000);
+insertJob.run({ slug: 'frigo-description', title: 'Conducteur routier', company: 'Transports Texte',
+  short: 'Tournées régionales en porteur frigo.', published_at: now });
+insertJob.run({ slug: 'frigo-titre', title: 'Chauffeur SPL frigo', company: 'Transports Titre',
+  short: 'Tournées régionales, retour au domicile.', published_at: now - 60 });
+for (let i = 1; i <= 35; i++) {
+  insertJob.run({ slug: `benne-${i}`, title: `Chauffeur benne ${i}`, company: `Transports ${i}`,
+    short: 'Chantiers de la région.', published_at: now - i * 3600 });
+}
+
+const slugsOf = (html) => [...html.matchAll(/<h2><a href="\/job\/([^"]+)"/g)].map(m => m[1]);
+
+test('la recherche classe les correspondances du titre avant celles de la description et les surligne', async () => {
+  const res = await fetch(`${base}/search?q=frigo`);
+  assert.equal(res.status, 200);
+  const html = await res.text();
+  assert.deepEqual(slugsOf(html), ['frigo-titre', 'frigo-description']);
+  assert.match(html, /Chauffeur SPL <mark>frigo<\/mark>/);
+});
+
+test('le curseur parcourt tous les résultats sans doublon ni oubli', async () => {
+  const first = await fetch(`${base}/search?q=bennes`);
+  const page1 = slugsOf(await first.text());
+  assert.equal(page1.length, 30);
+  const next = first.headers.get('link')?.match(/<[^>]*?(\/search\?[^>]+)>; rel="next"/)?.[1];
+  assert.ok(next, 'lien vers la page suivante');
+
+  const second = await fetch(base + next);
+  const page2 = slugsOf(await second.text());
+  assert.equal(page2.length, 5);
+  assert.equal(second.headers.get('link'), null);
+  assert.equal(new Set([...page1, ...page2]).size, 35);
+});
+
+test('un curseur illisible est refusé', async () => {
+  const res = await fetch(`${base}/search?q=benne&cursor=${encodeURIComponent('pas-un-curseur')}`);
+  assert.equal(res.status, 400);
+});
@@ -0,0 +1,7 @@
+// À importer avant ../app.js : base en mémoire, ni flux, ni IA, ni courriel réel.
+process.env.DB_PATH = ':memory:';
+process.env.FEEDS = '';
+process.env.FEED_URL = '';
+process.env.OPENAI_API_KEY = '';
+process.env.MAIL_TRANSPORT = 'none';
+process.env.INDEXNOW_KEY = '';
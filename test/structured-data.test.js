@@ -0,0 +1,65 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { validateJobPosting } = await import('../app.js');
+
+const NOW = Date.parse('2026-10-01T12:00:00Z');
+const valid = () => ({
+  '@context': 'https://schema.org',
+  '@type': 'JobPosting',
+  title: 'Chauffeur SPL',
+  description: '<p>Tournées régionales au départ de Lyon, retour au domicile chaque soir, permis CE et FIMO à jour, camion récent.</p>',
+  datePosted: '2026-09-25T08:00:00.000Z',
+  validThrough: '2026-11-25T08:00:00.000Z',
+  employmentType: 'FULL_TIME',
+  hiringOrganization: { '@type': 'Organization', name: 'Transports Durand', sameAs: 'https://durand.example' },
+  jobLocation: [{ '@type': 'Place', address: { '@type': 'PostalAddress', addressLocality: 'Lyon', postalCode: '69007', addressCountry: 'FR' } }],
+  identifier: { '@type': 'PropertyValue', name: 'Test', value: '1' },
+  baseSalary: { '@type': 'MonetaryAmount', currency: 'EUR', value: { '@type': 'QuantitativeValue', minValue: 2200, maxValue: 2600, unitText: 'MONTH' } }
+});
+const fields = (issues, level) => issues.filter(i => i.level === level).map(i => i.field).sort();
+
+test('un JobPosting complet ne lève ni erreur ni avertissement', () => {
+  assert.deepEqual(validateJobPosting(valid(), NOW), []);
+});
+
+test('les propriétés obligatoires absentes ou mal formées sont des erreurs', () => {
+  const jp = {
+    ...valid(),
+    title: 'Chauffeur <b>SPL</b>',
+    datePosted: '25/09/2026',
+    validThrough: '2026-09-30T08:00:00.000Z',
+    employmentType: 'CDI',
+    hiringOrganization: { name: 'Transports Durand', logo: 'http://durand.example/logo.png' },
+    jobLocation: [{ address: { addressLocality: 'Lyon', addressCountry: 'France' } }],
+    baseSalary: { currency: 'euros', value: { minValue: 2600, maxValue: 2200, unitText: 'ANNUAL' } }
+  };
+  assert.deepEqual(fields(validateJobPosting(jp, NOW), 'error'), [
+    'baseSalary.currency', 'baseSalary.value', 'baseSalary.value.unitText', 'datePosted', 'employmentType',
+    'hiringOrganization.logo', 'jobLocation.address.addressCountry', 'title', 'validThrough'
+  ]);
+});
+
+test('le télétravail dispense du lieu mais exige la zone des candidats', () => {
+  const jp = { ...valid(), jobLocation: [], jobLocationType: 'TELECOMMUTE' };
+  assert.deepEqual(fields(validateJobPosting(jp, NOW), 'error'), ['applicantLocationRequirements']);
+  jp.applicantLocationRequirements = { '@type': 'Country', name: 'FR' };
+  assert.deepEqual(validateJobPosting(jp, NOW), []);
+  assert.deepEqual(fields(validateJobPosting({ ...valid(), jobLocation: [] }, NOW), 'error'), ['jobLocation']);
+});
+
+test('les propriétés recommandées manquantes sont des avertissements', () => {
+  const jp = valid();
+  delete jp.validThrough;
+  delete jp.employmentType;
+  delete jp.baseSalary;
+  delete jp.identifier;
+  jp.description = '<p>Chauffeur SPL.</p>';
+  jp.jobLocation = [{ address: { addressLocality: 'Lyon', addressCountry: 'FR' } }];
+  const issues = validateJobPosting(jp, NOW);
+  assert.deepEqual(fields(issues, 'error'), []);
+  assert.deepEqual(fields(issues, 'warning'), [
+    'baseSalary', 'description', 'employmentType', 'identifier', 'jobLocation.address.postalCode', 'validThrough'
+  ]);
+});